@@ -39,6 +39,7 @@ export const AssetUrls = {
     ['MAGIC', new URL('./almanacs/magic.txt', import.meta.url)],
     ['ENEMIES', new URL('./almanacs/monsters.txt', import.meta.url)],
     ['HEROES', new URL('./almanacs/heroes.txt', import.meta.url)],
+    ['RACES', new URL('./almanacs/races.txt', import.meta.url)],
     ['MONEY', new URL('./almanacs/money.txt', import.meta.url)],
     ['TRADERS', new URL('./almanacs/traders.txt', import.meta.url)],
     ['WEAPONS', new URL('./almanacs/weapons.txt', import.meta.url)],
@@ -106,6 +107,15 @@ export const AssetUrls = {
       new URL('./audio/sci-fi-portal-83746-trimmed_mono.mp3', import.meta.url),
     ],
     ['BREAK_WEAPON', new URL('./audio/weapon_break.mp3', import.meta.url)],
+    [
+      'CRITICAL HIT',
+      new URL('./audio/metal-blade-slice-32-195321_mono.mp3', import.meta.url),
+    ],
+    ['FUMBLE', new URL('./audio/long-medium-swish-44324.mp3', import.meta.url)],
+    [
+      'RANGED ATTACK',
+      new URL('./audio/long-medium-swish-trimmed_mono.mp3', import.meta.url),
+    ],
   ]),
   SPLASH_IMAGE: new URL('./images/click-and-crawl.png', import.meta.url),
   GUIDE_MOVE: new URL('./images/guide-move.jpg', import.meta.url),
@@ -33,6 +33,7 @@
  * @enum {string}
  */
 export const Colours = {
+  CRITICAL_HIT_TEXT: 'rgb(255, 215, 0)',
   DOOR_HIGHLIGHT_FILL: 'rgba(0, 255, 0, 0.2)',
   DOOR_HIGHLIGHT_STROKE: 'green',
   HP_GAUGE: 'rgba(255, 108, 108, 0.4)',
@@ -44,4 +45,19 @@ export const Colours = {
 
   MOVE_HIGHLIGHT_FILL: undefined,
   MOVE_HIGHLIGHT_STROKE: 'white',
+
+  RANGED_HIGHLIGHT_FILL: undefined,
+  RANGED_HIGHLIGHT_STROKE: 'rgb(255, 165, 0)',
+
+  SPELL_AREA_HIGHLIGHT_FILL: 'rgba(160, 32, 240, 0.3)',
+  SPELL_AREA_HIGHLIGHT_STROKE: 'rgb(160, 32, 240)',
+  SPELL_TARGET_HIGHLIGHT_FILL: undefined,
+  SPELL_TARGET_HIGHLIGHT_STROKE: 'rgb(200, 150, 255)',
+
+  THUMBNAIL_DOOR: 'rgb(0, 160, 0)',
+  THUMBNAIL_GROUND: 'rgb(160, 140, 110)',
+  THUMBNAIL_WALL: 'rgb(70, 60, 50)',
+
+  TURN_ORDER_BACKGROUND: 'rgba(0, 0, 0, 0.5)',
+  TURN_ORDER_TEXT: 'white',
 };
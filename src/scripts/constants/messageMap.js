@@ -28,25 +28,35 @@
  */
 const MESSAGE_MAP = new Map([
   ['BUTTON ABOUT AND PRIVACY', 'About & privacy'],
+  ['BUTTON ACCEPT', 'Accept'],
   ['BUTTON BUY FOR GP', 'Buy for ${0}\u{00A0}GP'],
   ['BUTTON CANCEL', 'Cancel'],
   ['BUTTON CAST SPELL', 'Cast spells & cantrips'],
+  ['BUTTON CAST HEALING SPELL', 'Cast ${0-spell}'],
   ['BUTTON DELETE MEMORY', 'Delete memory'],
   ['BUTTON CONSUME', 'Consume'],
   ['BUTTON CONTINUE', 'Continue'],
   ['BUTTON CONTINUE ADVENTURE', 'Continue adventure'],
+  ['BUTTON CLASS FEATURES', 'Class features'],
   ['BUTTON CLIMB OVER', 'Climb over'],
   ['BUTTON BARGE', 'Barge past'],
   ['BUTTON HALL OF FAME', 'Hall of fame'],
   ['BUTTON DELETE', 'DELETE!'],
+  ['BUTTON DELETE SAVED ADVENTURE', 'Delete saved adventure'],
   ['BUTTON DISCARD', 'Discard'],
+  ['BUTTON DUNGEON SEED', 'Dungeon seed'],
   ['BUTTON DO NOT SHOW AGAIN', 'Do not show again'],
+  ['BUTTON DRINK POTION', 'Drink potion'],
   ['BUTTON ENTER DUNGEON', 'Enter if you dare'],
   ['BUTTON EQUIP', 'Equip'],
+  ['BUTTON EXPORT', 'Export'],
+  ['BUTTON EXPORT ADVENTURE', 'Export adventure'],
   ['BUTTON FORGET', 'Forget'],
   ['BUTTON GETTING STARTED', 'Getting started'],
   ['BUTTON GUIDES', 'About and Help'],
   ['BUTTON HELP', 'Help'],
+  ['BUTTON IMPORT', 'Import here'],
+  ['BUTTON IMPORT ADVENTURE', 'Import adventure'],
   ['BUTTON INVENTORY', 'Inventory'],
   ['BUTTON LEARN SPELL', 'Learn spell'],
   ['BUTTON LEAVE ARTEFACT', 'Leave'],
@@ -58,16 +68,22 @@ const MESSAGE_MAP = new Map([
   ['BUTTON PILLAGE', 'Pillage'],
   ['BUTTON PLAY ADVENTURE', 'Start adventure'],
   ['BUTTON PLAY CASUAL', 'Casual exploration'],
+  ['BUTTON POINT BUY', 'Point buy'],
   ['BUTTON PRIVACY', 'Privacy'],
   ['BUTTON PREPARE SPELL', 'Prepare'],
   ['BUTTON REST', 'Rest'],
   ['BUTTON REST LONG', 'Long rest'],
+  ['BUTTON RAISE ABILITY', 'Raise ${0-ability} to ${1-value}'],
+  ['BUTTON ROLL ABILITIES', 'Roll abilities'],
+  ['BUTTON ROLL AGAIN', 'Roll again'],
   ['BUTTON READY MAGIC', 'Ready Magic'],
   ['BUTTON REST SHORT', 'Short rest'],
   ['BUTTON SEARCH', 'Search'],
   ['BUTTON SELL FOR GP', 'Sell for ${0}\u{00A0}GP'],
   ['BUTTON SETTINGS', 'Settings'],
+  ['BUTTON SLOT LEVEL', 'Level ${0}'],
   ['BUTTON SHOW DEBUG LOG', 'The chronicles of DeBuggle Logitall'],
+  ['BUTTON SUGGEST NAME', 'Suggest another name'],
   ['BUTTON START', "Let's get started."],
   ['BUTTON STASH', 'Stash'],
   ['BUTTON STEAL', 'Steal'],
@@ -79,14 +95,22 @@ const MESSAGE_MAP = new Map([
   ['BUTTON TRY AGAIN', 'Try again'],
   ['BUTTON TRY TO PICK', 'Pick lock'],
   ['BUTTON UNEQUIP', 'Unequip'],
+  ['BUTTON USE FEATURE', '${0-feature} (${1-uses} left)'],
   ['BUTTON USE', 'Use'],
 
   ['CONTROL DO NOT SCALE', 'Maximum scale 1:1'],
+  ['CONTROL DUNGEON SEED', 'Seed'],
+  ['CONTROL HERO NAME', 'Name'],
   ['CONTROL EFFECTS VOLUME', 'Effects volume'],
   ['CONTROL UI FONT SCALE', 'UI font scale'],
+  ['CONTROL USE FUMBLE TABLE', 'Use fumble table for natural 1s'],
   ['CONTROL MUSIC VOLUME', 'Music volume'],
   ['CONTROL SHOW QUICK TIPS', 'Show quick tips'],
   ['CONTROL RUN FULLSCREEN', 'Run fullscreen'],
+  [
+    'DESCRIPTION ACTION_SURGE',
+    'Push yourself beyond your normal limits to take another turn before your enemies can act.',
+  ],
   [
     'DESCRIPTION ACID_SPLASH',
     'You hurl a bubble of acid over up to two creatures within your touch.',
@@ -99,6 +123,10 @@ const MESSAGE_MAP = new Map([
     'DESCRIPTION AMBER',
     'Precious fossilized tree resin, which is much sought after in these realms.',
   ],
+  [
+    'DESCRIPTION ARCANE_RECOVERY',
+    'Recover some of your spent spell slots through study. This cannot be done while enemies are hunting you.',
+  ],
   [
     'DESCRIPTION ARCANE_ORB',
     'Orb used by some users of magic to focus their spells.',
@@ -150,6 +178,10 @@ const MESSAGE_MAP = new Map([
     'DESCRIPTION CHAIN_MAIL_ARMOUR',
     'Armour comprising interlocking steel rings over a soft cushioning fabric. The suit includes gauntlets.',
   ],
+  [
+    'DESCRIPTION CHANNEL_DIVINITY',
+    'Channel divine energy to turn the undead. Undead you can see nearby must make a wisdom save or flee until harmed.',
+  ],
   [
     'DESCRIPTION CHILL_TOUCH',
     'You create a ghostly skeletal hand above a creature within your range and assail it with the chill of the grave.',
@@ -191,10 +223,18 @@ const MESSAGE_MAP = new Map([
   ],
   ['DESCRIPTION DIAMOND', 'A valuable and rare crystal.'],
   ['DESCRIPTION DRETCH', 'The lowest and least respected of all demons.'],
+  [
+    'DESCRIPTION DWARF',
+    'Bold and hardy, dwarves are tough and wise but slow on their feet. They see in the dark and resist poison.',
+  ],
   [
     'DESCRIPTION EARTHQUAKE',
     'You create a seismic disturbance causing an intense tremor to rip through the ground.',
   ],
+  [
+    'DESCRIPTION ELF',
+    'Graceful and perceptive, elves are nimble and clever. They see in the dark.',
+  ],
   [
     'DESCRIPTION ENCHANTED_BATTLEAXE',
     'A mighty battleaxe. This magical weapon increases the likelihood and severity of damage.',
@@ -300,10 +340,18 @@ const MESSAGE_MAP = new Map([
     'A two-handed massive sword inflicting serious slashing damage.',
   ],
 
+  [
+    'DESCRIPTION HALF_ORC',
+    'Strong and tough, half-orcs see in the dark and, once between long rests, can shrug off a blow that would have knocked them down.',
+  ],
   [
     'DESCRIPTION HALF_PLATE_ARMOUR',
     'Shaped metal plates covering most of the body. Simple greaves protect the legs.',
   ],
+  [
+    'DESCRIPTION HALFLING',
+    'Small and nimble, halflings are slow on their feet but lucky: they reroll any natural 1 on attacks, checks and saving throws.',
+  ],
   [
     'DESCRIPTION HANDAXE',
     'A small, light axe. The blade is sharp and has been looked after with care.',
@@ -315,6 +363,10 @@ const MESSAGE_MAP = new Map([
   ],
 
   ['DESCRIPTION HIDDEN_ARTEFACT', 'The ground appears to have been disturbed.'],
+  [
+    'DESCRIPTION HUMAN',
+    'Humans are the most adaptable of folk and gain a little in every ability.',
+  ],
   [
     'DESCRIPTION HUNTING_TRAP',
     'A old battered hunting trap designed for catching monsters and humans.',
@@ -422,6 +474,10 @@ const MESSAGE_MAP = new Map([
     'A large quarterstaff capable of causing significant damage in the right hands.',
   ],
   ['DESCRIPTION QUARTZ', 'A precious crystal.'],
+  [
+    'DESCRIPTION RAGE',
+    'Fly into a rage, adding to your melee damage, resisting bludgeoning, piercing and slashing damage, and gaining advantage on strength saves.',
+  ],
   ['DESCRIPTION RAT_PV', 'A giant rat, diseased and vicious.'],
   [
     'DESCRIPTION RAT_TAIL',
@@ -476,6 +532,10 @@ const MESSAGE_MAP = new Map([
     'DESCRIPTION SCALE_MAIL_ARMOUR',
     'Leather coat and legging covered with overlapping steel scales.',
   ],
+  [
+    'DESCRIPTION SECOND_WIND',
+    'Draw on a limited well of stamina to regain some hit points. This does not end your turn.',
+  ],
   ['DESCRIPTION SHADOW', 'An undead shadow creature, hiding in the darkness.'],
   [
     'DESCRIPTION SHATTER',
@@ -499,6 +559,10 @@ const MESSAGE_MAP = new Map([
     "A skeleton of someone who died here many years ago. It's intent on revenge.",
   ],
   ['DESCRIPTION SLIME', 'A green sticky substance that seems to be growing.'],
+  [
+    'DESCRIPTION SNEAK_ATTACK',
+    'Deal extra damage once per attack when you have advantage on the attack roll.',
+  ],
   [
     'DESCRIPTION SPARE_ME',
     'You use your knowledge of necromancy to raise your health if you are nearly dying.',
@@ -528,6 +592,10 @@ const MESSAGE_MAP = new Map([
     'DESCRIPTION STUDDED_LEATHER_ARMOUR',
     'Tough and flexible leather armour with the addition of steel spikes and rivets.',
   ],
+  [
+    'DESCRIPTION TIEFLING',
+    'Descended from fiends, tieflings are clever and charismatic. They see in the dark and resist fire.',
+  ],
   ['DESCRIPTION TIGER_EYE', 'A precious gemstone'],
   [
     'DESCRIPTION TOMB_OF_ELDER',
@@ -588,10 +656,18 @@ const MESSAGE_MAP = new Map([
   ],
   ['DESCRIPTION ZOMBIE', 'An undead creature roaming the dungeon floors.'],
   ['DIALOG TITLE CASUAL GAME WARNING', 'WARNING! CASUAL EXPLORATION'],
+  ['DIALOG TITLE CREATE HERO', 'Create your hero'],
   ['DIALOG TITLE DEBUG LOG', 'Chronicles of Debug Loggerman'],
   ['DIALOG TITLE DELETE MEMORY', 'DELETE MEMORY!'],
+  ['DIALOG TITLE DELETE SAVED ADVENTURE', 'DELETE SAVED ADVENTURE!'],
+  ['DIALOG TITLE DOWNED', 'Downed and dying'],
   ['DIALOG TITLE HALL OF FAME', 'Hall of Fame'],
+  ['DIALOG TITLE CLASS FEATURES', 'Class features'],
   ['DIALOG TITLE CHOICES', 'Decisions, decisions'],
+  ['DIALOG TITLE DUNGEON SEED', 'Choose your dungeon'],
+  ['DIALOG TITLE EXPORT ADVENTURE', 'Export adventure'],
+  ['DIALOG TITLE IMPORT ADVENTURE', 'Import adventure into'],
+  ['DIALOG TITLE LEVEL UP', 'Level up!'],
   ['DIALOG TITLE LOCKED', 'Locked'],
   ['DIALOG TITLE GOLD_PORTAL', 'Use the gold portal'],
 
@@ -599,6 +675,7 @@ const MESSAGE_MAP = new Map([
   ['DIALOG TITLE PILLAGE', 'Pillage corpse'],
   ['DIALOG TITLE PREPARE SPELLS', 'Prepare spells'],
   ['DIALOG TITLE RUNE PUZZLE', 'Where next?'],
+  ['DIALOG TITLE SAVE SLOTS', 'Choose your adventure'],
   ['DIALOG TITLE SETTINGS', 'Adjust settings'],
   ['DIALOG TITLE TRADE', 'Buy and sell with trader'],
   ['DIALOG TITLE TRAP DETECTED', 'Trap detected!'],
@@ -611,6 +688,11 @@ const MESSAGE_MAP = new Map([
     'MESSAGE ACHIEVEMENTS',
     'You managed to reach floor ${0-floor} and sent back ${1}\u{00A0}GP to the struggling townsfolk beyond these dungeon walls.',
   ],
+  ['MESSAGE ADVENTURE IMPORTED', 'The adventure has been imported.'],
+  [
+    'MESSAGE ADVENTURE IMPORT FAILED',
+    'The adventure could not be imported. The file is not an exported adventure or it has been damaged.',
+  ],
   [
     'MESSAGE CANNOT EQUIP ITEM OR STASH',
     'This item is too large for your backpack and you are already wearing something else. Get rid of the other item first.',
@@ -648,10 +730,30 @@ const MESSAGE_MAP = new Map([
     'MESSAGE CASUAL GAME WARNING',
     'You are about to embark on a casual exploration. The townsfolk know nothing of this. Your progress WILL NOT BE SAVED and you cannot enter the Hall of Fame.',
   ],
+  [
+    'MESSAGE CHOOSE ABILITY METHOD',
+    'Roll your abilities, with the best scores going to those most important to your class, or buy them with a budget of points.',
+  ],
+  [
+    'MESSAGE CHOOSE ABILITY IMPROVEMENT',
+    'You have ${0} ability points to spend. Choose an ability to raise by one point.',
+  ],
+  ['MESSAGE CHOOSE HERO CLASS', 'Choose the class of your hero.'],
+  ['MESSAGE CHOOSE HERO RACE', 'Choose the race of your hero.'],
+  ['MESSAGE CHOOSE HERO NAME', 'What is your hero called?'],
+  ['MESSAGE CHOOSE PORTRAIT', 'Choose a portrait for your hero.'],
+  [
+    'MESSAGE CHOOSE SPELL SLOT LEVEL',
+    'Choose the level of spell slot to use. Higher level slots can make the spell more powerful.',
+  ],
   [
     'MESSAGE CONFIRM DELETE MEMORY',
     "Are you sure you want to delete the game's memory? The Hall of Fame will be lost along with all the game settings.",
   ],
+  [
+    'MESSAGE CONFIRM DELETE SAVED ADVENTURE',
+    'Are you sure you want to delete the saved adventure of ${0-name}? The Hall of Fame is not affected.',
+  ],
   [
     'MESSAGE CONJURED FOOD AND WATER',
     'You conjure some food and water and stash it in your backpack.',
@@ -688,10 +790,22 @@ const MESSAGE_MAP = new Map([
     'MESSAGE DETECT POISON SUCCESS',
     'You identify everything in your backpack.',
   ],
+  [
+    'MESSAGE DOWNED BY POISON',
+    'Yuk! Poison! You start to burn up, cough and vomit, before collapsing unconscious on the floor.',
+  ],
   [
     'MESSAGE DUNGEON INTRO CONTINUE',
     'Welcome back, ${0}. The adventure continues. You recognise the familiar smell of death.',
   ],
+  [
+    'MESSAGE DUNGEON SEED',
+    'Dungeon seed: ${0}. Share it with other adventurers so they can face the same dungeon.',
+  ],
+  [
+    'MESSAGE ENTER DUNGEON SEED',
+    'Every dungeon is created from a seed. Enter the seed of a dungeon you want to explore again, or leave it blank to create a new one. The seed is used for the next new adventure.',
+  ],
   [
     'MESSAGE ENTER FLOOR',
     "You enter dungeon floor ${0}. The door slams shut behind you. There's no way back. Like it or not, your only path is to continue deeper into the depths of this stone hell.",
@@ -717,6 +831,24 @@ const MESSAGE_MAP = new Map([
     'MESSAGE EXPLAIN SPELL NEEDS REST',
     'To use a spell you need to prepare it. Preparation can only be done between dungeon floors after a long rest.',
   ],
+  ['MESSAGE FEATURE ALREADY RAGING', 'You are already raging.'],
+  [
+    'MESSAGE FEATURE NO UNDEAD',
+    'There are no undead that you can see close enough to turn.',
+  ],
+  ['MESSAGE FEATURE NOT HURT', 'You are not hurt.'],
+  [
+    'MESSAGE FEATURE NOT IN COMBAT',
+    'You cannot concentrate on that while enemies are hunting you.',
+  ],
+  [
+    'MESSAGE FEATURE SLOTS FULL',
+    'You have no spent spell slots that can be recovered.',
+  ],
+  [
+    'MESSAGE FEATURES SPENT',
+    'You have used all of your class features. A rest will restore them.',
+  ],
   [
     'MESSAGE FAILED TO IDENTIFY',
     "You try to identify this item, but you're not sure exactly what it is. You might remember later.",
@@ -751,6 +883,10 @@ const MESSAGE_MAP = new Map([
     '${3-startDate}: ${0-name}; level ${1-level} ${2-class}; ${4-gold} GP sent; floor ${5-floor}',
   ],
   ['MESSAGE HERO EPITAPH FOR', 'Here lies the body of ${0}. Rest in peace.'],
+  [
+    'MESSAGE HERO DOWNED',
+    'You lie unconscious and dying, with ${0-successes} successful and ${1-failures} failed death saves so far. With one last effort, you could try to heal yourself.',
+  ],
   ['MESSAGE IDENTIFIED ITEM', "You manage to identify an item you've found."],
 
   [
@@ -768,6 +904,10 @@ const MESSAGE_MAP = new Map([
     'MESSAGE KEY UNLOCKS EXIT',
     'You use the key you found earlier to unlock the door.',
   ],
+  [
+    'MESSAGE LEVEL REACHED',
+    'You have reached level ${0-level}. Your hit points maximum is now ${1-hpMax}.',
+  ],
   [
     'MESSAGE LOCK PICK BREAKS',
     'The iron here is poor and damaged by iron blight. Your lock pick breaks.',
@@ -810,9 +950,14 @@ const MESSAGE_MAP = new Map([
     "You can't pick a lock without a set of lock picks.",
   ],
   [
-    'MESSAGE NO CASTING POWER LEFT',
-    "You don't have enough casting power left to cast this spell. You will need to take a long rest to recover your energy.",
+    'MESSAGE NEW CLASS FEATURES',
+    'You have gained new class features. Use them from the class features button.',
+  ],
+  [
+    'MESSAGE NO SPELL SLOTS LEFT',
+    "You don't have any spell slots left that are high enough to cast this spell. You will need to rest to recover your energy.",
   ],
+  ['MESSAGE NO CLASS FEATURES', 'Your class has no features that you can use.'],
   ['MESSAGE NO SAVED ADVENTURE', 'No adventure has been saved yet.'],
   ['MESSAGE NOTHING HERE', "There's nothing here."],
 
@@ -821,6 +966,25 @@ const MESSAGE_MAP = new Map([
     "There's nothing more for you to learn or discover here.",
   ],
   ['MESSAGE PROGRESS HAS BEEN SAVED', 'Your current progress has been saved.'],
+  [
+    'MESSAGE SAVE SLOT ADVENTURE OVER',
+    'This adventure is over. Starting here replaces it.',
+  ],
+  ['MESSAGE SAVE SLOT EMPTY', 'Empty slot'],
+  [
+    'MESSAGE SAVE SLOT ENTRY',
+    '${0-name}; level ${1-level} ${2-class}; floor ${3-floor}; ${4-gold} GP sent; last played ${5-date}',
+  ],
+  [
+    'MESSAGE SAVE SLOT UNRECOVERABLE',
+    'This saved adventure cannot be recovered. It is damaged or was saved by an incompatible version of the game. Starting here replaces it.',
+  ],
+  ['MESSAGE SAVED ADVENTURE DELETED', 'The saved adventure has been deleted.'],
+  [
+    'MESSAGE POINT BUY',
+    'Every ability starts at 8 and can be raised to 15. You have ${0} points to spend, with higher scores costing more.',
+  ],
+  ['MESSAGE POINTS REMAINING', 'Points remaining: ${0}'],
   [
     'MESSAGE REQUIRES RESTART',
     'Change will take place when the game is next reloaded.',
@@ -844,6 +1008,7 @@ const MESSAGE_MAP = new Map([
   ],
   ['MESSAGE ROUTE CHOICE - EASY', 'You choose the easier route.'],
   ['MESSAGE ROUTE CHOICE - MEDIUM', 'You choose the harder route.'],
+  ['MESSAGE ROLLED ABILITIES', 'Your hero has rolled these abilities.'],
   [
     'MESSAGE RUNES ON WALL',
     "At the bottom of the stairs there are two doors. There's an ancient inscription on wall.",
@@ -954,6 +1119,9 @@ const MESSAGE_MAP = new Map([
   ['DMG_PER_TURN', 'Damage per turn'],
   ['DC', 'Difficulty'],
   ['HP', 'Hit points'],
+  ['AMMO', 'Ammunition'],
+  ['QTY', 'Quantity'],
+  ['RANGE', 'Range'],
 
   [
     'TRIGGERS',
@@ -963,51 +1131,134 @@ const MESSAGE_MAP = new Map([
   // Miscellaneous words and phrases.
   ['AC', 'armour class'],
   ['AC (including armour)', 'AC (+armour): ${0}'],
+  ['ACTION SURGE!', 'ACTION SURGE!'],
+  ['ACTION_SURGE', 'Action surge'],
+  ['ABILITY SCORE', '${0-ability}: ${1-value}'],
+  ['ACID', 'acid'],
   ['ACTS ON CASTER', 'Acts on caster'],
+  ['ARCANE_RECOVERY', 'Arcane recovery'],
+  ['BARBARIAN', 'Barbarian'],
   ['Backpack', 'Backpack'],
+  ['BLINDED', 'blinded'],
+  ['BLUDGEONING', 'bludgeoning'],
   ['Body', 'Body'],
   ['Cantrips', 'Cantrips'],
   ['Consumables', 'Consumables'],
+  ['CHANNEL_DIVINITY', 'Channel divinity'],
+  ['CLASS NAME', '${0}: '],
+  ['CLERIC', 'Cleric'],
   ['CHARACTER LEVEL:', 'level: ${0-level} ${1-class}'],
+  ['CHARACTER LEVEL AND RACE:', 'level: ${0-level} ${1-race} ${2-class}'],
   ['CHA', 'charisma'],
   ['CON', 'constitution'],
+  ['COLD', 'cold'],
+  ['CONCENTRATION LOST', 'Concentration on ${0} lost'],
+  ['CONDITION APPLIED', '${0}!'],
+  ['CONDITION ENDED', 'No longer ${0}'],
+  ['CONDITION TURNS LEFT', '${0-condition}: ${1-turns} turns left'],
   ['CR', 'Challenge rating'],
+  ['CRITICAL HIT!', 'CRITICAL HIT!'],
+  ['DAMAGE RESISTED', '-${0-damage} HP ${1-type} (resisted)'],
+  ['DAMAGE TAKEN', '-${0-damage} HP ${1-type}'],
+  ['DAMAGE VULNERABLE', '-${0-damage} HP ${1-type} (vulnerable)'],
+  ['DEATH SAVE FAILED', 'DEATH SAVE FAILED'],
+  ['DEATH SAVE SUCCEEDED', 'DEATH SAVE SUCCEEDED'],
   ['DC', 'difficulty challenge'],
   ['(DEAD)', '(DEAD!)'],
+  ['DMG_TYPE', 'damage type'],
   ['DEX', 'dexterity'],
+  ['DWARF', 'Dwarf'],
+  ['DOWNED!', 'DOWNED!'],
+  ['DARKVISION', 'darkvision'],
   ['Dungeon floor:', 'Dungeon floor: ${0}'],
   ['EXP', 'Experience'],
+  ['ELF', 'Elf'],
   ['Experience:', 'Experience: ${0}'],
+  ['FEATURE NAME', '${0}: '],
   ['Feet', 'Feet'],
+  ['FIGHTER', 'Fighter'],
+  ['FIRE', 'fire'],
+  ['FORCE', 'force'],
+  ['FRIGHTENED', 'frightened'],
   ['Score:', 'Score: ${0}'],
+  ['FUMBLE!', 'FUMBLE!'],
   ['Gold:', 'Gold: ${0}\u{00A0}GP'],
   ['GOLD PIECES', ' gold pieces'],
   ['Hands', 'Hands'],
+  ['HALF_ORC', 'Half-orc'],
+  ['HALFLING', 'Halfling'],
   ['Head', 'Head'],
   ['hover', 'hover'],
   ['HP_MAX', 'Hit points maximum'],
   ['(HP OUT OF VALUE)', '(HP:\u{00A0}${0}/${1})'],
   ['(HP VALUE)', '(HP:\u{00A0}${0})'],
+  ['HUMAN', 'Human'],
+  ['IMMUNE', 'immune to'],
+  ['IMMUNE TO DAMAGE', 'Immune to ${0-type}!'],
+  ['INCAPACITATED!', 'INCAPACITATED!'],
   ['INT', 'intelligence'],
+  ['INVISIBLE', 'invisible'],
   ['Known spells', 'Known spells'],
   ['level', 'level'],
   ['LEVEL UP', 'Level up to ${0}'],
+  ['LIGHTNING', 'lightning'],
+  ['LUCKY', 'lucky'],
   ['Name:', 'Name: ${0}'],
+  ['NECROTIC', 'necrotic'],
   ['NSEW', 'north-south-east-west'],
+  ['PARALYSED', 'paralysed'],
   ['PB', 'proficiency bonus'],
+  ['PICK SPELL TARGET', 'Pick a target'],
+  ['PIERCING', 'piercing'],
+  ['POISON', 'poison'],
+  ['POISONED', 'poisoned'],
   ['Prepared spells', 'Prepared spells'],
+  ['PRONE', 'prone'],
+  ['Quiver', 'Quiver'],
+  ['RAGE', 'Rage'],
+  ['RAGING', 'raging'],
+  ['RANGER', 'Ranger'],
   ['RADIAL', 'radial'],
+  ['RACE', 'race'],
   ['Range:', 'Range: ${0-range}'],
   ['Ready spells', 'Ready spells'],
+  ['RESIST', 'resistant to'],
+  ['ROGUE', 'Rogue'],
+  ['RESTRAINED', 'restrained'],
+  ['REVIVED!', 'REVIVED!'],
+  ['RELENTLESS ENDURANCE!', 'RELENTLESS ENDURANCE!'],
+  ['RELENTLESS_ENDURANCE', 'relentless endurance'],
   ['Ring fingers', 'Ring fingers'],
   ['SHORT_RESTS_REMAINING', 'Short rests remaining'],
+  ['SECOND_WIND', 'Second wind'],
+  ['SLASHING', 'slashing'],
+  ['SNEAK ATTACK!', 'SNEAK ATTACK!'],
+  ['SNEAK_ATTACK', 'Sneak attack'],
+  ['SPELL EFFECT ENDED', '${0} ends'],
+  ['SPELL EFFECT TURNS LEFT', '${0-spell} (${1-turns})'],
+  ['SPELL EFFECTS', 'Spells: ${0}'],
+  ['SPELL SLOT LEVELS RECOVERED', '+${0} spell slot levels'],
+  ['SPELL SLOTS AT LEVEL', 'Level ${0-level} slots: ${1-slots}'],
+  ['STABILISED!', 'STABILISED!'],
   ['STR', 'strength'],
+  ['SIZE', 'size'],
+  ['STUNNED', 'stunned'],
+  ['SURPRISED!', 'SURPRISED!'],
+  ['TAP AGAIN TO CAST', 'Tap again to cast'],
+  ['TIEFLING', 'Tiefling'],
   ['TRANSIENT', 'TRANSIENT'],
+  ['TURN ORDER', 'Turn order: ${0}'],
+  ['TURN UNDEAD!', 'TURN UNDEAD!'],
+  ['TURNED', 'turned'],
+  ['UNCONSCIOUS', 'unconscious'],
   ['Unknown', 'Unknown'],
   ['Wagon', 'Wagon'],
   ['Waist', 'Waist'],
+  ['WARLOCK', 'Warlock'],
   ['WEAPON BROKE!', 'WEAPON BROKE!'],
+  ['VULNERABLE', 'vulnerable to'],
   ['WIS', 'wisdom'],
+  ['WIZARD', 'Wizard'],
   ['YOU DIED!', 'YOU DIED!'],
   ['zero', 'zero'],
 ]);
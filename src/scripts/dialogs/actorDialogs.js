@@ -40,8 +40,12 @@ import { gpAsString } from '../utils/game/coins.js';
 import * as dndAction from '../dnd/dndAction.js';
 import LOG from '../utils/logging.js';
 import { sceneToFloor } from '../dnd/floorNumbering.js';
-import { canCastSpell } from '../dnd/magic.js';
+import * as magic from '../dnd/magic.js';
 import { useIdCheck } from '../gameManagement/identifyLimiter.js';
+import RANDOM from '../utils/random.js';
+import { getConditionIcon } from '../dnd/conditions.js';
+import { DamageResponse } from '../dnd/damageTypes.js';
+import { getSpellShape } from '../dnd/spellAreas.js';
 
 /**
  * @typedef {number} ArtefactActionTypeValue
@@ -97,8 +101,10 @@ const ArtefactAction = {
 
 /**
  * @typedef {Object} DelayedAction
- * @property {function():Promise} invoke - function that can be called to instigate the
- * delayed action.
+ * @property {function(Point=):Promise} invoke - function that can be called to instigate the
+ * delayed action. Area spells are passed the grid point of the target tile.
+ * @property {module:players/artefacts.Artefact} [areaSpell] - set if the action
+ * is a spell with a SHAPE, which needs a target tile before it can be invoked.
  */
 
 /**
@@ -271,6 +277,7 @@ class InventoryContainerElement {
           { label: i18n`Hands`, storeType: StoreType.HANDS },
           { label: i18n`Ring fingers`, storeType: StoreType.RING_FINGERS },
           { label: i18n`Feet`, storeType: StoreType.FEET },
+          { label: i18n`Quiver`, storeType: StoreType.QUIVER },
           this.#getStashStoreInfo(),
         ];
         break;
@@ -333,7 +340,7 @@ class InventoryContainerElement {
         if (
           artefactTypesEqual(artefact.artefactType, ArtefactType.SPELL) &&
           options.allowMagicUse &&
-          !canCastSpell(options.currentOwner.traits, artefact.traits)
+          !magic.canCastSpell(options.currentOwner.traits, artefact.traits)
         ) {
           button = this.#createUncastableSpellButtonControl(options);
         } else {
@@ -357,7 +364,7 @@ class InventoryContainerElement {
     const label = createArtefactButtonLabel(options);
     let action;
     action = async () => {
-      await UI.showOkDialog(i18n`MESSAGE NO CASTING POWER LEFT`);
+      await UI.showOkDialog(i18n`MESSAGE NO SPELL SLOTS LEFT`);
     };
 
     const control = new components.BitmapButtonControl({
@@ -380,8 +387,21 @@ class InventoryContainerElement {
     let closes;
     if (options.delayedReaction) {
       closes = {
-        invoke: () => options.artefact.interaction.react(options.currentOwner),
+        invoke: (targetGridPoint) =>
+          chooseSpellSlotLevel(options).then((slotLevel) =>
+            options.artefact.interaction.react(
+              options.currentOwner,
+              slotLevel,
+              targetGridPoint
+            )
+          ),
       };
+      if (
+        options.currentOwner.isHero?.() &&
+        getSpellShape(options.artefact.traits)
+      ) {
+        closes.areaSpell = options.artefact;
+      }
     } else {
       action = async () => {
         await showArtefactDialog(options).then(() => options.refresh?.());
@@ -588,6 +608,10 @@ function showInventory(actor, options = {}) {
  */
 function showCastSpells(actor) {
   const container = components.createElement('div', { className: 'inventory' });
+  const slots = magic.getSpellSlots(actor.traits);
+  if (slots.length > 0) {
+    container.appendChild(createSpellSlotsElement(slots));
+  }
 
   const inventoryContainer = new InventoryContainerElement(
     {
@@ -613,6 +637,58 @@ function showCastSpells(actor) {
   });
 }
 
+/**
+ * Create an element listing the spell slots left at each level.
+ * @param {number[]} slots - slots left for spell levels 1 upwards.
+ * @returns {Element}
+ */
+function createSpellSlotsElement(slots) {
+  const container = components.createElement('div', {
+    className: 'spell-slots',
+  });
+  slots.forEach((count, index) => {
+    container.appendChild(
+      components.createElement('span', {
+        text: i18n`SPELL SLOTS AT LEVEL ${index + 1} ${count}`,
+      })
+    );
+  });
+  return container;
+}
+
+/**
+ * Let the player choose the level of the spell slot used to cast a spell.
+ * The player is only asked if the spell could be cast using more than one
+ * level of slot.
+ * @param {ArtefactDialogOptions} options
+ * @returns {Promise<number>} fulfils to the slot level. Undefined for
+ * cantrips and other artefacts that do not use slots.
+ */
+function chooseSpellSlotLevel(options) {
+  if (!artefactTypesEqual(options.artefact.artefactType, ArtefactType.SPELL)) {
+    return Promise.resolve();
+  }
+  const slotLevels = magic.getAvailableSlotLevels(
+    options.currentOwner.traits,
+    options.artefact.traits
+  );
+  if (slotLevels.length <= 1) {
+    return Promise.resolve(slotLevels[0]);
+  }
+  const actionButtons = slotLevels.map(
+    (slotLevel) =>
+      new components.TextButtonControl({
+        label: i18n`BUTTON SLOT LEVEL ${slotLevel}`,
+        closes: slotLevel,
+      })
+  );
+  return UI.showControlsDialog(i18n`MESSAGE CHOOSE SPELL SLOT LEVEL`, {
+    title: options.artefact.traits.get('NAME'),
+    actionButtons: actionButtons,
+    row: true,
+  });
+}
+
 /**
  * Create buttons for dialog. The buttons are added to the container.
  * @param {Element} container - container for the action buttons.
@@ -1095,14 +1171,46 @@ function createIdCard(actor) {
 
   const characterClass = actor.traits.get('CLASS', '').toLowerCase();
   if (actor.traits.getCharacterLevel && characterClass) {
+    const race = actor.traits.get('RACE');
+    const level = actor.traits.getCharacterLevel();
     idCard.appendChild(
       components.createElement('span', {
-        text: i18n`CHARACTER LEVEL: ${actor.traits.getCharacterLevel()} ${characterClass}`,
+        text: race
+          ? i18n`CHARACTER LEVEL AND RACE: ${level} ${MESSAGES.getText(race).toLowerCase()} ${characterClass}`
+          : i18n`CHARACTER LEVEL: ${level} ${characterClass}`,
       })
     );
   }
+
+  const conditions = actor.conditions?.getAll() ?? [];
+  if (actor.alive && conditions.length > 0) {
+    idCard.appendChild(createConditionsElement(conditions));
+  }
   return idCard;
 }
+
+/**
+ * Create an element showing icons for an actor's conditions. Each icon's
+ * title gives the condition and the number of turns left.
+ * @param {module:dnd/conditions.Condition[]} conditions
+ * @returns {Element}
+ */
+function createConditionsElement(conditions) {
+  const container = components.createElement('span', {
+    className: 'actor-conditions',
+  });
+  for (const condition of conditions) {
+    const icon = components.createElement('span', {
+      className: 'condition-icon',
+      text: getConditionIcon(condition.type),
+    });
+    icon.title = i18n`CONDITION TURNS LEFT ${MESSAGES.getText(
+      condition.type
+    )} ${condition.turnsLeft}`;
+    container.appendChild(icon);
+  }
+  return container;
+}
 /**
  * Create an element describing an actor.
  * @param {module:players/actors.Actor} actor
@@ -1141,12 +1249,48 @@ function createActorElement(actor, options = {}) {
   if (descriptionElement) {
     container.appendChild(descriptionElement);
   }
+  const damageResponsesElement = createDamageResponsesElement(actor);
+  if (damageResponsesElement) {
+    container.appendChild(damageResponsesElement);
+  }
   if (!options.hideTraits) {
     container.appendChild(createTraitsList(actor, ['NAME'], true));
   }
   return container;
 }
 
+/**
+ * Create an element listing the damage types that a living actor resists, is
+ * vulnerable to, or is immune to.
+ * @param {module:players/actors~Actor|module:players/artefacts~Artefact} actor
+ * @returns {Element} null if there are none.
+ */
+function createDamageResponsesElement(actor) {
+  if (actor.artefactType || !actor.alive) {
+    return null;
+  }
+  const descriptions = [];
+  for (const key of [
+    DamageResponse.RESISTANT,
+    DamageResponse.VULNERABLE,
+    DamageResponse.IMMUNE,
+  ]) {
+    const damageTypes = actor.traits?.get(key);
+    if (damageTypes?.length) {
+      const value = createReadableValue(damageTypes);
+      const displayedValue = Array.isArray(value) ? value.join(', ') : value;
+      descriptions.push(`${createReadableKey(key)} ${displayedValue}.`);
+    }
+  }
+  if (descriptions.length === 0) {
+    return null;
+  }
+  return components.createElement('p', {
+    className: 'damage-responses',
+    text: descriptions.join(' '),
+  });
+}
+
 /**
  * Create an element describing a corpse.
  * @param {module:players/actors~Actor}
@@ -1238,7 +1382,8 @@ function createTraitsList(actor, excludedKeys, includeGold) {
 }
 
 /**
- * Create a trait representing any transient properties.
+ * Create a trait representing any transient properties. Hovering from a spell
+ * effect is included.
  * @param {module:players/actors~Actor|module:players/artefacts~Artefact} actor
  * @returns {<key:string, value: number>} null if not applicable.
  */
@@ -1246,8 +1391,12 @@ function getTransientPropertiesTrait(actor) {
   if (!actor.traits.transientProperties) {
     return null;
   }
+  const props = new Set(Object.keys(actor.traits.transientProperties));
+  if (actor.traits.spellEffects?.isHovering()) {
+    props.add('hover');
+  }
   const readableProps = [];
-  for (const prop in actor.traits.transientProperties) {
+  for (const prop of props) {
     readableProps.push(MESSAGES.getText(prop).toLowerCase());
   }
   return [createReadableKey('TRANSIENT'), readableProps.sort().join(', ')];
@@ -1787,5 +1936,10 @@ export function showEpitaph(hero, leaderboardIndex, options) {
       text: messageDefeat,
     })
   );
+  container.appendChild(
+    components.createElement('p', {
+      text: i18n`MESSAGE DUNGEON SEED ${RANDOM.getSeed()}`,
+    })
+  );
   return UI.showControlsDialog(container, options);
 }
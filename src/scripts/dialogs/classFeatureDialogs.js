@@ -0,0 +1,157 @@
+/**
+ * @file Dialogs for levelling up and using class features.
+ *
+ * @module dialogs/classFeatureDialogs
+ */
+/**
+ * license {@link https://opensource.org/license/mit/|MIT}
+ * Copyright 2024 Steve Butler (henspace.com).
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the “Software”), to deal in
+ * the Software without restriction, including without limitation the rights to use,
+ * copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the
+ * Software, and to permit persons to whom the Software is furnished to do so,
+ * subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED “AS IS”, WITHOUT WARRANTY OF ANY KIND,
+ * EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES
+ * OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT
+ * HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY,
+ * WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR
+ * OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+import UI from '../utils/dom/ui.js';
+import { i18n, MESSAGES } from '../utils/messageManager.js';
+import * as components from '../utils/dom/components.js';
+import * as classFeatures from '../dnd/classFeatures.js';
+import * as levelUp from '../dnd/levelUp.js';
+
+/**
+ * Create an element naming and describing a class feature.
+ * @param {module:dnd/classFeatures~ClassFeature} feature
+ * @returns {Element}
+ */
+function createFeatureElement(feature) {
+  const element = components.createElement('p', {
+    text: MESSAGES.getText(`DESCRIPTION ${feature.id}`),
+  });
+  element.prepend(
+    components.createElement('strong', {
+      text: i18n`FEATURE NAME ${MESSAGES.getText(feature.id)}`,
+    })
+  );
+  return element;
+}
+
+/**
+ * Let the player spend ability points one at a time. Only abilities below the
+ * maximum are offered.
+ * @param {module:dnd/traits.CharacterTraits} traits
+ * @param {number} points - points left to spend.
+ * @returns {Promise} fulfils to undefined once all points are spent.
+ */
+function chooseAbilityImprovements(traits, points) {
+  const abilities = levelUp.getImprovableAbilities(traits);
+  if (points <= 0 || abilities.length === 0) {
+    return Promise.resolve();
+  }
+  const actionButtons = abilities.map(
+    (key, index) =>
+      new components.TextButtonControl({
+        label: i18n`BUTTON RAISE ABILITY ${MESSAGES.getText(key)} ${traits.getInt(key, 0) + 1}`,
+        closes: index,
+      })
+  );
+  return UI.showControlsDialog(
+    i18n`MESSAGE CHOOSE ABILITY IMPROVEMENT ${points}`,
+    {
+      title: i18n`DIALOG TITLE LEVEL UP`,
+      actionButtons: actionButtons,
+    }
+  ).then((index) => {
+    levelUp.improveAbility(traits, abilities[index]);
+    return chooseAbilityImprovements(traits, points - 1);
+  });
+}
+
+/**
+ * Show the hero's advancement to a new level, if there is one waiting. The
+ * player is told of the new level and any class features gained, and then
+ * chooses how to spend any ability score improvements.
+ * @param {module:players/actors.Actor} hero
+ * @returns {Promise} fulfils to undefined once the advancement is complete.
+ */
+export function showLevelUpDialog(hero) {
+  const traits = hero.traits;
+  const advancement = levelUp.getPendingAdvancement(traits);
+  if (!advancement) {
+    return Promise.resolve();
+  }
+  const container = components.createElement('div');
+  container.appendChild(
+    components.createElement('p', {
+      text: i18n`MESSAGE LEVEL REACHED ${advancement.toLevel} ${traits.getInt('HP_MAX', 0)}`,
+    })
+  );
+  if (advancement.features.length > 0) {
+    container.appendChild(
+      components.createElement('p', { text: i18n`MESSAGE NEW CLASS FEATURES` })
+    );
+    advancement.features.forEach((feature) =>
+      container.appendChild(createFeatureElement(feature))
+    );
+  }
+  return UI.showElementOkDialog(i18n`DIALOG TITLE LEVEL UP`, container)
+    .then(() => chooseAbilityImprovements(traits, advancement.abilityPoints))
+    .then(() => levelUp.completeAdvancement(traits));
+}
+
+/**
+ * Show the class features the hero can use and the uses left before resting.
+ * @param {module:players/actors.Actor} hero
+ * @returns {Promise<module:dnd/classFeatures~ClassFeature>} fulfils to the
+ * chosen feature or null if none is chosen.
+ */
+export function showClassFeaturesDialog(hero) {
+  const traits = hero.traits;
+  const features = classFeatures.getUsableFeatures(traits);
+  if (features.length === 0) {
+    return UI.showOkDialog(i18n`MESSAGE NO CLASS FEATURES`).then(() => null);
+  }
+  const container = components.createElement('div');
+  const actionButtons = [];
+  features.forEach((feature, index) => {
+    container.appendChild(createFeatureElement(feature));
+    const usesLeft = classFeatures.getRemainingUses(traits, feature);
+    if (usesLeft > 0) {
+      actionButtons.push(
+        new components.TextButtonControl({
+          label: i18n`BUTTON USE FEATURE ${MESSAGES.getText(feature.id)} ${usesLeft}`,
+          closes: index,
+        })
+      );
+    }
+  });
+  if (actionButtons.length === 0) {
+    container.appendChild(
+      components.createElement('p', { text: i18n`MESSAGE FEATURES SPENT` })
+    );
+  }
+  actionButtons.push(
+    new components.TextButtonControl({
+      label: i18n`BUTTON CANCEL`,
+      closes: -1,
+    })
+  );
+  return UI.showControlsDialog(container, {
+    title: i18n`DIALOG TITLE CLASS FEATURES`,
+    actionButtons: actionButtons,
+  }).then((index) => features[index] ?? null);
+}
@@ -0,0 +1,113 @@
+/**
+ * @file Dialogs for a hero that has been downed.
+ *
+ * @module dialogs/downedDialogs
+ */
+/**
+ * license {@link https://opensource.org/license/mit/|MIT}
+ * Copyright 2024 Steve Butler (henspace.com).
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the “Software”), to deal in
+ * the Software without restriction, including without limitation the rights to use,
+ * copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the
+ * Software, and to permit persons to whom the Software is furnished to do so,
+ * subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED “AS IS”, WITHOUT WARRANTY OF ANY KIND,
+ * EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES
+ * OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT
+ * HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY,
+ * WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR
+ * OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+import UI from '../utils/dom/ui.js';
+import { i18n } from '../utils/messageManager.js';
+import { StoreType } from '../players/artefacts.js';
+import * as magic from '../dnd/magic.js';
+
+/**
+ * Find a healing potion carried by an actor.
+ * @param {module:players/artefacts.ArtefactStoreManager} storeManager
+ * @returns {module:players/artefacts.Artefact} undefined if none.
+ */
+function findHealingPotion(storeManager) {
+  for (const details of storeManager.getAllStorageDetails()) {
+    const traits = details.artefact.traits;
+    if (traits.get('TYPE') === 'MEDICINE' && traits.has('HP')) {
+      return details.artefact;
+    }
+  }
+  return;
+}
+
+/**
+ * Find a prepared healing spell, such as cure my wounds, that an actor can
+ * cast on itself.
+ * @param {module:players/actors.Actor} actor
+ * @returns {module:players/artefacts.Artefact} undefined if none.
+ */
+function findHealingSpell(actor) {
+  const store = actor.storeManager.getStore(StoreType.PREPARED_SPELLS);
+  if (!store) {
+    return;
+  }
+  for (const spell of store.values()) {
+    const traits = spell.traits;
+    if (
+      traits.get('MODE') === 'BLESS' &&
+      traits.has('HP_GAIN') &&
+      magic.canCastSpell(actor.traits, traits)
+    ) {
+      return spell;
+    }
+  }
+  return;
+}
+
+/**
+ * Offer a downed hero the chance to heal itself. With a last effort the hero
+ * can drink any healing potion it carries or cast a prepared healing spell,
+ * either of which revives it if it restores some HP. Nothing is shown if the
+ * hero has neither.
+ * @param {module:players/actors.Actor} hero
+ * @returns {Promise<boolean>} fulfils to true if a potion was drunk or a spell
+ * cast.
+ */
+export function showDownedHeroDialog(hero) {
+  const potion = findHealingPotion(hero.storeManager);
+  const spell = findHealingSpell(hero);
+  if (!potion && !spell) {
+    return Promise.resolve(false);
+  }
+  const options = [];
+  const labels = [];
+  if (potion) {
+    options.push(() => {
+      hero.storeManager.discard(potion);
+      return potion.interaction.react(hero);
+    });
+    labels.push(i18n`BUTTON DRINK POTION`);
+  }
+  if (spell) {
+    options.push(() => spell.interaction.react(hero));
+    labels.push(i18n`BUTTON CAST HEALING SPELL ${spell.traits.get('NAME')}`);
+  }
+  labels.push(i18n`BUTTON LEAVE IT`);
+  return UI.showChoiceDialog(
+    i18n`DIALOG TITLE DOWNED`,
+    i18n`MESSAGE HERO DOWNED ${hero.deathSaves.successes} ${hero.deathSaves.failures}`,
+    labels
+  ).then((choice) => {
+    if (choice >= options.length) {
+      return false;
+    }
+    return Promise.resolve(options[choice]()).then(() => true);
+  });
+}
@@ -0,0 +1,368 @@
+/**
+ * @file Dialogs for creating a new hero.
+ *
+ * @module dialogs/heroCreationDialogs
+ */
+/**
+ * license {@link https://opensource.org/license/mit/|MIT}
+ * Copyright 2024 Steve Butler (henspace.com).
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the “Software”), to deal in
+ * the Software without restriction, including without limitation the rights to use,
+ * copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the
+ * Software, and to permit persons to whom the Software is furnished to do so,
+ * subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED “AS IS”, WITHOUT WARRANTY OF ANY KIND,
+ * EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES
+ * OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT
+ * HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY,
+ * WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR
+ * OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+import UI from '../utils/dom/ui.js';
+import { i18n, MESSAGES } from '../utils/messageManager.js';
+import * as components from '../utils/dom/components.js';
+import { ALMANAC_LIBRARY } from '../dnd/almanacs/almanacs.js';
+import { buildCreatedHero } from '../dnd/almanacs/actorBuilder.js';
+import { createDebugHero } from '../dnd/almanacs/debugBuilder.js';
+import { getClassAbilities } from '../dnd/abilityGenerator.js';
+import * as heroCreator from '../dnd/heroCreator.js';
+import { getRandomFullName } from '../utils/nameGenerator.js';
+import StdAnimations from '../scriptReaders/actorAnimationKeys.js';
+
+/** @type {number} */
+const MAX_NAME_LENGTH = 24;
+
+/**
+ * Get all the entries in the heroes almanac.
+ * @returns {module:dnd/almanacs/almanacs~AlmanacEntry[]}
+ */
+function getHeroEntries() {
+  const almanac = ALMANAC_LIBRARY.getAlmanac('HEROES');
+  return [
+    ...almanac.common,
+    ...almanac.uncommon,
+    ...almanac.rare,
+    ...almanac.veryRare,
+  ];
+}
+
+/**
+ * Let the player choose the hero's class.
+ * @param {module:dnd/almanacs/almanacs~AlmanacEntry[]} entries
+ * @returns {Promise<module:dnd/almanacs/almanacs~AlmanacEntry>}
+ */
+function chooseHeroEntry(entries) {
+  const container = components.createElement('div');
+  const actionButtons = entries.map((entry, index) => {
+    const className = MESSAGES.getText(heroCreator.getEntryClass(entry));
+    const element = components.createElement('p', {
+      text: entry.description,
+    });
+    element.prepend(
+      components.createElement('strong', {
+        text: i18n`CLASS NAME ${className}`,
+      })
+    );
+    container.appendChild(element);
+    return new components.TextButtonControl({
+      label: className,
+      closes: index,
+    });
+  });
+  return UI.showControlsDialog(container, {
+    title: i18n`DIALOG TITLE CREATE HERO`,
+    preamble: i18n`MESSAGE CHOOSE HERO CLASS`,
+    actionButtons: actionButtons,
+  }).then((index) => entries[index]);
+}
+
+/**
+ * Get all the entries in the races almanac.
+ * @returns {module:dnd/almanacs/almanacs~AlmanacEntry[]}
+ */
+function getRaceEntries() {
+  const almanac = ALMANAC_LIBRARY.getAlmanac('RACES');
+  return [
+    ...almanac.common,
+    ...almanac.uncommon,
+    ...almanac.rare,
+    ...almanac.veryRare,
+  ];
+}
+
+/**
+ * Let the player choose the hero's race.
+ * @returns {Promise<module:dnd/almanacs/almanacs~AlmanacEntry>}
+ */
+function chooseRace() {
+  const entries = getRaceEntries();
+  const container = components.createElement('div');
+  const actionButtons = entries.map((entry, index) => {
+    const raceName = MESSAGES.getText(entry.id.toUpperCase());
+    const element = components.createElement('p', {
+      text: entry.description,
+    });
+    element.prepend(
+      components.createElement('strong', {
+        text: i18n`CLASS NAME ${raceName}`,
+      })
+    );
+    container.appendChild(element);
+    return new components.TextButtonControl({
+      label: raceName,
+      closes: index,
+    });
+  });
+  return UI.showControlsDialog(container, {
+    title: i18n`DIALOG TITLE CREATE HERO`,
+    preamble: i18n`MESSAGE CHOOSE HERO RACE`,
+    actionButtons: actionButtons,
+  }).then((index) => entries[index]);
+}
+
+/**
+ * Create an element listing ability scores.
+ * @param {Map<string, number>} abilities
+ * @returns {Element}
+ */
+function createAbilitiesElement(abilities) {
+  const container = components.createElement('div', {
+    className: 'ability-scores',
+  });
+  abilities.forEach((value, key) =>
+    container.appendChild(
+      components.createElement('span', {
+        text: i18n`ABILITY SCORE ${MESSAGES.getText(key)} ${value}`,
+      })
+    )
+  );
+  return container;
+}
+
+/**
+ * Roll abilities for the class until the player accepts them.
+ * @param {string} characterClass
+ * @returns {Promise<Map<string, number>>}
+ */
+function rollAbilities(characterClass) {
+  const abilities = getClassAbilities(characterClass);
+  const acceptButton = new components.TextButtonControl({
+    label: i18n`BUTTON ACCEPT`,
+    closes: 'ACCEPT',
+  });
+  const rollAgainButton = new components.TextButtonControl({
+    label: i18n`BUTTON ROLL AGAIN`,
+    closes: 'ROLL AGAIN',
+  });
+  return UI.showControlsDialog(createAbilitiesElement(abilities), {
+    title: i18n`DIALOG TITLE CREATE HERO`,
+    preamble: i18n`MESSAGE ROLLED ABILITIES`,
+    actionButtons: [acceptButton, rollAgainButton],
+    row: true,
+  }).then((response) =>
+    response === 'ACCEPT' ? abilities : rollAbilities(characterClass)
+  );
+}
+
+/**
+ * Let the player buy abilities for the class with a budget of points.
+ * @param {string} characterClass
+ * @returns {Promise<Map<string, number>>}
+ */
+function buyAbilities(characterClass) {
+  const abilities = heroCreator.createPointBuyAbilities(characterClass);
+  const container = components.createElement('div', {
+    className: 'ability-scores',
+  });
+  const pointsElement = components.createElement('p');
+  container.appendChild(pointsElement);
+  const rows = [];
+  const refresh = () => {
+    pointsElement.innerText = i18n`MESSAGE POINTS REMAINING ${heroCreator.getPointsRemaining(abilities)}`;
+    rows.forEach((row) => {
+      row.label.innerText = i18n`ABILITY SCORE ${MESSAGES.getText(row.key)} ${abilities.get(row.key)}`;
+      row.lower.element.disabled = !heroCreator.canAdjustAbility(
+        abilities,
+        row.key,
+        -1
+      );
+      row.raise.element.disabled = !heroCreator.canAdjustAbility(
+        abilities,
+        row.key,
+        1
+      );
+    });
+  };
+  abilities.forEach((valueUnused, key) => {
+    const adjust = (change) => {
+      heroCreator.adjustAbility(abilities, key, change);
+      refresh();
+    };
+    const row = {
+      key: key,
+      label: components.createElement('span'),
+      lower: new components.TextButtonControl({
+        label: '-',
+        action: () => adjust(-1),
+      }),
+      raise: new components.TextButtonControl({
+        label: '+',
+        action: () => adjust(1),
+      }),
+    };
+    const rowElement = components.createElement('div', {
+      className: 'ability-score',
+      child: row.label,
+    });
+    rowElement.appendChild(row.lower.element);
+    rowElement.appendChild(row.raise.element);
+    container.appendChild(rowElement);
+    rows.push(row);
+  });
+  refresh();
+  return UI.showControlsDialog(container, {
+    title: i18n`DIALOG TITLE CREATE HERO`,
+    preamble: i18n`MESSAGE POINT BUY ${heroCreator.POINT_BUY_BUDGET}`,
+    actionButtons: [
+      new components.TextButtonControl({
+        label: i18n`BUTTON ACCEPT`,
+        closes: 'ACCEPT',
+      }),
+    ],
+  }).then(() => abilities);
+}
+
+/**
+ * Let the player choose how to set the hero's abilities.
+ * @param {string} characterClass
+ * @returns {Promise<Map<string, number>>}
+ */
+function chooseAbilities(characterClass) {
+  const rollButton = new components.TextButtonControl({
+    label: i18n`BUTTON ROLL ABILITIES`,
+    closes: 'ROLL',
+  });
+  const pointBuyButton = new components.TextButtonControl({
+    label: i18n`BUTTON POINT BUY`,
+    closes: 'POINT BUY',
+  });
+  return UI.showControlsDialog(i18n`MESSAGE CHOOSE ABILITY METHOD`, {
+    title: i18n`DIALOG TITLE CREATE HERO`,
+    actionButtons: [rollButton, pointBuyButton],
+    row: true,
+  }).then((response) =>
+    response === 'ROLL'
+      ? rollAbilities(characterClass)
+      : buyAbilities(characterClass)
+  );
+}
+
+/**
+ * Let the player name the hero. A random name is suggested.
+ * @param {string} suggestion
+ * @returns {Promise<string>}
+ */
+function chooseName(suggestion) {
+  const nameInput = new components.TextInputControl({
+    label: i18n`CONTROL HERO NAME`,
+    defValue: suggestion,
+    maxLength: MAX_NAME_LENGTH,
+  });
+  const okButton = new components.TextButtonControl({
+    label: i18n`BUTTON OK`,
+    closes: 'OK',
+  });
+  const suggestButton = new components.TextButtonControl({
+    label: i18n`BUTTON SUGGEST NAME`,
+    closes: 'SUGGEST',
+  });
+  return UI.showControlsDialog(i18n`MESSAGE CHOOSE HERO NAME`, {
+    title: i18n`DIALOG TITLE CREATE HERO`,
+    actionButtons: [nameInput, okButton, suggestButton],
+  }).then((response) => {
+    if (response === 'SUGGEST') {
+      return chooseName(getRandomFullName());
+    }
+    return nameInput.value?.trim() || suggestion;
+  });
+}
+
+/**
+ * Let the player choose the hero's portrait from those of all the heroes.
+ * The portrait of the chosen class is offered first.
+ * @param {module:dnd/almanacs/almanacs~AlmanacEntry} heroEntry
+ * @param {module:dnd/almanacs/almanacs~AlmanacEntry[]} entries
+ * @returns {Promise<string>} fulfils to the image name.
+ */
+function choosePortrait(heroEntry, entries) {
+  const imageNames = [
+    heroEntry.imageName,
+    ...entries
+      .map((entry) => entry.imageName)
+      .filter((imageName) => imageName !== heroEntry.imageName),
+  ];
+  const actionButtons = imageNames.map(
+    (imageName, index) =>
+      new components.BitmapButtonControl({
+        imageName: StdAnimations.peripatetic.getDefaultImageName(imageName),
+        closes: index,
+      })
+  );
+  return UI.showControlsDialog(i18n`MESSAGE CHOOSE PORTRAIT`, {
+    title: i18n`DIALOG TITLE CREATE HERO`,
+    actionButtons: actionButtons,
+    row: true,
+  }).then((index) => imageNames[index]);
+}
+
+/**
+ * Show the dialogs for creating a new hero. The player chooses a class, race,
+ * abilities, name and portrait, and the hero starts with the class's starting
+ * kit. The race's bonuses are added to the chosen abilities. If a debug hero has been requested, that is used instead.
+ * @returns {Promise<module:players/actors.Actor>}
+ */
+export function showHeroCreationDialog() {
+  const debugHero = createDebugHero();
+  if (debugHero) {
+    return Promise.resolve(debugHero);
+  }
+  const entries = getHeroEntries();
+  const choices = {};
+  return chooseHeroEntry(entries)
+    .then((entry) => {
+      choices.entry = entry;
+      return chooseRace();
+    })
+    .then((raceEntry) => {
+      choices.raceEntry = raceEntry;
+      return chooseAbilities(heroCreator.getEntryClass(choices.entry));
+    })
+    .then((abilities) => {
+      choices.abilities = abilities;
+      return chooseName(getRandomFullName());
+    })
+    .then((name) => {
+      choices.name = name;
+      return choosePortrait(choices.entry, entries);
+    })
+    .then((imageName) =>
+      buildCreatedHero(
+        { ...choices.entry, imageName: imageName },
+        heroCreator.createHeroTraits(
+          choices.entry,
+          choices.name,
+          choices.abilities,
+          choices.raceEntry
+        )
+      )
+    );
+}
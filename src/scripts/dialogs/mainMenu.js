@@ -29,17 +29,63 @@
  */
 
 import UI from '../utils/dom/ui.js';
-import { BitmapButtonControl } from '../utils/dom/components.js';
+import {
+  BitmapButtonControl,
+  TextButtonControl,
+  TextInputControl,
+} from '../utils/dom/components.js';
 import { showSettingsDialog } from './settingsDialog.js';
 import { i18n } from '../utils/messageManager.js';
 import { showHallOfFameDialog } from './hallOfFameDialogs.js';
 import { showGuideDialog } from './guideDialogs.js';
+import RANDOM from '../utils/random.js';
+import { showSaveSlotPicker } from './saveSlotDialogs.js';
+import {
+  getSaveSlots,
+  restoreGameState,
+  setActiveSaveSlot,
+} from '../gameManagement/gameSaver.js';
+
+/** @type {number} */
+const MAX_SEED_LENGTH = 16;
+
+/**
+ * Display dialog allowing the user to enter the seed for the next new
+ * adventure. Leaving the seed blank results in a random dungeon.
+ * @returns {Promise} fulfils to undefined when dialog closed.
+ */
+function showSeedDialog() {
+  const seedInput = new TextInputControl({
+    label: i18n`CONTROL DUNGEON SEED`,
+    defValue: RANDOM.getRequestedSeed(),
+    maxLength: MAX_SEED_LENGTH,
+  });
+  const okButton = new TextButtonControl({
+    label: i18n`BUTTON OK`,
+    closes: 'OK',
+  });
+  const cancelButton = new TextButtonControl({
+    label: i18n`BUTTON CANCEL`,
+    closes: 'CANCEL',
+  });
+  return UI.showControlsDialog(i18n`MESSAGE ENTER DUNGEON SEED`, {
+    title: i18n`DIALOG TITLE DUNGEON SEED`,
+    actionButtons: [seedInput, okButton, cancelButton],
+    className: 'door',
+  }).then((response) => {
+    if (response === 'OK') {
+      RANDOM.requestSeed(seedInput.value);
+    }
+  });
+}
 
 /**
  * Display the main menu. All actions are controlled by the main menu except play
- * which results in the menu resolving.
+ * which results in the menu resolving. Playing an adventure requires a save
+ * slot to be picked first; cancelling the choice or picking a slot whose
+ * adventure cannot be recovered returns to the menu.
  * @param {boolean} continuation - continue an adventure
- * @returns {Promise} fulfils to undefined if play selected.
+ * @returns {Promise<string>} fulfils to 'PLAY ADVENTURE' or 'PLAY CASUAL'.
  */
 export function showMainMenu(continuation) {
   const playAdventure = new BitmapButtonControl({
@@ -68,6 +114,12 @@ export function showMainMenu(continuation) {
     internalLabel: true,
     action: () => showHallOfFameDialog(),
   });
+  const seed = new BitmapButtonControl({
+    leftLabel: i18n`BUTTON DUNGEON SEED`,
+    imageName: 'ui-settings00.png',
+    internalLabel: true,
+    action: () => showSeedDialog(),
+  });
   const guides = new BitmapButtonControl({
     leftLabel: i18n`BUTTON GUIDES`,
     imageName: 'ui-guides00.png',
@@ -75,7 +127,30 @@ export function showMainMenu(continuation) {
     action: () => showGuideDialog(),
   });
   return UI.showControlsDialog(i18n`MENU TITLE MAIN`, {
-    actionButtons: [guides, settings, bestAdventure, playAdventure, playCasual],
+    actionButtons: [
+      guides,
+      settings,
+      seed,
+      bestAdventure,
+      playAdventure,
+      playCasual,
+    ],
     className: 'door',
+  }).then((response) => {
+    if (response !== 'PLAY ADVENTURE') {
+      return response;
+    }
+    return showSaveSlotPicker().then((slotId) => {
+      if (slotId === null) {
+        return showMainMenu(continuation);
+      }
+      setActiveSaveSlot(slotId);
+      if (getSaveSlots()[slotId]?.canContinue && !restoreGameState()) {
+        return UI.showOkDialog(i18n`MESSAGE SAVE SLOT UNRECOVERABLE`).then(() =>
+          showMainMenu(continuation)
+        );
+      }
+      return response;
+    });
   });
 }
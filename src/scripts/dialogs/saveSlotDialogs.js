@@ -0,0 +1,264 @@
+/**
+ * @file Dialogs for choosing, deleting, exporting and importing saved
+ * adventures.
+ *
+ * @module dialogs/saveSlotDialogs
+ */
+/**
+ * license {@link https://opensource.org/license/mit/|MIT}
+ * Copyright 2024 Steve Butler (henspace.com).
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the “Software”), to deal in
+ * the Software without restriction, including without limitation the rights to use,
+ * copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the
+ * Software, and to permit persons to whom the Software is furnished to do so,
+ * subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED “AS IS”, WITHOUT WARRANTY OF ANY KIND,
+ * EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES
+ * OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT
+ * HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY,
+ * WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR
+ * OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+import UI from '../utils/dom/ui.js';
+import { i18n } from '../utils/messageManager.js';
+import * as components from '../utils/dom/components.js';
+import LOG from '../utils/logging.js';
+import { downloadTextFile, selectTextFile } from '../utils/dom/files.js';
+import {
+  deleteSaveSlot,
+  exportAdventure,
+  getSaveSlots,
+  importAdventure,
+  parseAdventureExport,
+} from '../gameManagement/gameSaver.js';
+
+/**
+ * Form the description of a save slot.
+ * @param {module:gameManagement/gameSaver~SaveSlotInfo} slot
+ * @returns {string}
+ */
+function formSaveSlotEntry(slot) {
+  const lastPlayed = new Date(slot.lastPlayed).toISOString().split('T')[0];
+  const chrClass = slot.class?.toLowerCase() ?? '';
+  return i18n`MESSAGE SAVE SLOT ENTRY ${slot.name} ${slot.characterLevel} ${chrClass} ${slot.dungeonFloor} ${slot.goldSent} ${lastPlayed}`;
+}
+
+/**
+ * Create the card showing the details of a save slot.
+ * @param {module:gameManagement/gameSaver~SaveSlotInfo} slot - null if empty.
+ * @param {module:utils/dom/components~BaseControl} button - button placed on
+ * the card.
+ * @returns {Element}
+ */
+function createSaveSlotCard(slot, button) {
+  const card = components.createElement('div', { className: 'save-slot' });
+  if (slot?.thumbnail) {
+    const thumbnail = components.createElement('img', {
+      className: 'save-slot-thumbnail',
+    });
+    thumbnail.src = slot.thumbnail;
+    card.appendChild(thumbnail);
+  }
+  const details = components.createElement('div', {
+    className: 'save-slot-details',
+  });
+  card.appendChild(details);
+  if (slot) {
+    details.appendChild(
+      components.createElement('p', { text: formSaveSlotEntry(slot) })
+    );
+    if (slot.error) {
+      details.appendChild(
+        components.createElement('p', {
+          text: i18n`MESSAGE SAVE SLOT UNRECOVERABLE`,
+        })
+      );
+    } else if (!slot.canContinue) {
+      details.appendChild(
+        components.createElement('p', {
+          text: i18n`MESSAGE SAVE SLOT ADVENTURE OVER`,
+        })
+      );
+    }
+  } else {
+    details.appendChild(
+      components.createElement('p', { text: i18n`MESSAGE SAVE SLOT EMPTY` })
+    );
+  }
+  if (button) {
+    details.appendChild(button.element);
+  }
+  return card;
+}
+
+/**
+ * Show a list of save slots, each with its own button, and wait for one to be
+ * chosen.
+ * @param {string} title
+ * @param {number[]} slotIds - slots to show.
+ * @param {function(module:gameManagement/gameSaver~SaveSlotInfo):string} getLabel -
+ * gets the button label for a slot. The slot is null if empty.
+ * @returns {Promise<number>} fulfils to the slot id or null if cancelled.
+ */
+function chooseSaveSlot(title, slotIds, getLabel) {
+  const slots = getSaveSlots();
+  const container = components.createElement('div', {
+    className: 'save-slots',
+  });
+  const buttons = [];
+  slotIds.forEach((slotId) => {
+    const button = new components.TextButtonControl({
+      label: getLabel(slots[slotId]),
+      closes: slotId,
+    });
+    buttons.push(button);
+    container.appendChild(createSaveSlotCard(slots[slotId], button));
+  });
+  buttons.push(
+    new components.TextButtonControl({
+      label: i18n`BUTTON CANCEL`,
+      closes: 'CANCEL',
+    })
+  );
+  return UI.showControlsDialog(container, {
+    title: title,
+    actionButtons: buttons,
+    className: 'door',
+  }).then((response) => (response === 'CANCEL' ? null : response));
+}
+
+/**
+ * Get the ids of all the save slots.
+ * @returns {number[]}
+ */
+function getAllSlotIds() {
+  return getSaveSlots().map((slotUnused, slotId) => slotId);
+}
+
+/**
+ * Get the ids of the save slots that hold a game.
+ * @returns {number[]}
+ */
+function getOccupiedSlotIds() {
+  return getAllSlotIds().filter((slotId) => getSaveSlots()[slotId]);
+}
+
+/**
+ * Show the save slots, allowing the user to pick the one to play. Picking a
+ * slot that cannot be continued starts a new adventure in it.
+ * @returns {Promise<number>} fulfils to the slot id or null if cancelled.
+ */
+export function showSaveSlotPicker() {
+  return chooseSaveSlot(
+    i18n`DIALOG TITLE SAVE SLOTS`,
+    getAllSlotIds(),
+    (slot) =>
+      slot?.canContinue ? i18n`BUTTON CONTINUE` : i18n`BUTTON PLAY ADVENTURE`
+  );
+}
+
+/**
+ * Confirm and then delete a save slot.
+ * @param {module:gameManagement/gameSaver~SaveSlotInfo} slot
+ * @returns {Promise}
+ */
+function confirmDeleteSaveSlot(slot) {
+  return UI.showChoiceDialog(
+    i18n`DIALOG TITLE DELETE SAVED ADVENTURE`,
+    i18n`MESSAGE CONFIRM DELETE SAVED ADVENTURE ${slot.name}`,
+    [i18n`BUTTON DELETE`, i18n`BUTTON CANCEL`]
+  ).then((choice) => {
+    if (choice === 0) {
+      deleteSaveSlot(slot.id);
+      return UI.showOkDialog(i18n`MESSAGE SAVED ADVENTURE DELETED`);
+    }
+  });
+}
+
+/**
+ * Show the occupied save slots, allowing the user to delete one of them.
+ * Deletion requires confirmation.
+ * @returns {Promise}
+ */
+export function showDeleteSaveSlotDialog() {
+  const slotIds = getOccupiedSlotIds();
+  if (slotIds.length === 0) {
+    return UI.showOkDialog(i18n`MESSAGE NO SAVED ADVENTURE`);
+  }
+  return chooseSaveSlot(
+    i18n`DIALOG TITLE DELETE SAVED ADVENTURE`,
+    slotIds,
+    () => i18n`BUTTON DELETE`
+  ).then((slotId) =>
+    slotId === null ? undefined : confirmDeleteSaveSlot(getSaveSlots()[slotId])
+  );
+}
+
+/**
+ * Show the occupied save slots, allowing the user to export one of them to a
+ * file along with the Hall of Fame and settings.
+ * @param {string[]} settingIds - ids of the persistent settings to export.
+ * @returns {Promise}
+ */
+export function showExportAdventureDialog(settingIds) {
+  const slotIds = getOccupiedSlotIds();
+  if (slotIds.length === 0) {
+    return UI.showOkDialog(i18n`MESSAGE NO SAVED ADVENTURE`);
+  }
+  return chooseSaveSlot(
+    i18n`DIALOG TITLE EXPORT ADVENTURE`,
+    slotIds,
+    () => i18n`BUTTON EXPORT`
+  ).then((slotId) => {
+    if (slotId === null) {
+      return;
+    }
+    const name = getSaveSlots()[slotId].name.replace(/[^\w-]/g, '_');
+    downloadTextFile(
+      `ClickAndCrawl-${name}.json`,
+      exportAdventure(slotId, settingIds)
+    );
+  });
+}
+
+/**
+ * Let the user pick an exported adventure file and the slot to import it into.
+ * @returns {Promise<boolean>} fulfils to true if an adventure was imported.
+ */
+export function showImportAdventureDialog() {
+  let adventure;
+  return selectTextFile('.json,application/json')
+    .then((text) => {
+      if (text === null) {
+        return null;
+      }
+      adventure = parseAdventureExport(text);
+      return chooseSaveSlot(
+        i18n`DIALOG TITLE IMPORT ADVENTURE`,
+        getAllSlotIds(),
+        () => i18n`BUTTON IMPORT`
+      );
+    })
+    .then((slotId) => {
+      if (slotId === null) {
+        return false;
+      }
+      importAdventure(adventure, slotId);
+      return UI.showOkDialog(i18n`MESSAGE ADVENTURE IMPORTED`).then(() => true);
+    })
+    .catch((error) => {
+      LOG.error(`Unable to import adventure. ${error.message}`);
+      return UI.showOkDialog(i18n`MESSAGE ADVENTURE IMPORT FAILED`).then(
+        () => false
+      );
+    });
+}
@@ -40,6 +40,11 @@ import {
   getDefaultFontScale,
 } from '../utils/text/fonts.js';
 import SERVICE_WORKER_SUPPORT from '../serviceWorkers/serviceWorkerSupport.js';
+import {
+  showDeleteSaveSlotDialog,
+  showExportAdventureDialog,
+  showImportAdventureDialog,
+} from './saveSlotDialogs.js';
 
 /** Settings */
 const SETTINGS = [
@@ -82,6 +87,15 @@ const SETTINGS = [
     action: null,
     onChange: null,
   },
+  {
+    id: 'FUMBLE_TABLE',
+    labelKey: 'CONTROL USE FUMBLE TABLE',
+    defValue: false,
+    controlType: ControlType.CHECKBOX,
+    persistent: true,
+    action: null,
+    onChange: null,
+  },
   {
     id: 'START_IN_FULLSCREEN',
     labelKey: 'CONTROL RUN FULLSCREEN',
@@ -110,6 +124,38 @@ const SETTINGS = [
     action: () => showLogDialog(),
     onChange: null,
   },
+  {
+    id: 'EXPORT_ADVENTURE',
+    labelKey: 'BUTTON EXPORT ADVENTURE',
+    defValue: true,
+    controlType: ControlType.TEXT_BUTTON,
+    persistent: false,
+    action: () => showExportAdventureDialog(getPersistentSettingIds()),
+    onChange: null,
+  },
+  {
+    id: 'IMPORT_ADVENTURE',
+    labelKey: 'BUTTON IMPORT ADVENTURE',
+    defValue: true,
+    controlType: ControlType.TEXT_BUTTON,
+    persistent: false,
+    action: () =>
+      showImportAdventureDialog().then((imported) => {
+        if (imported) {
+          initialiseSettings();
+        }
+      }),
+    onChange: null,
+  },
+  {
+    id: 'DELETE_SAVED_ADVENTURE',
+    labelKey: 'BUTTON DELETE SAVED ADVENTURE',
+    defValue: true,
+    controlType: ControlType.TEXT_BUTTON,
+    persistent: false,
+    action: () => showDeleteSaveSlotDialog(),
+    onChange: null,
+  },
   {
     id: 'CLEAR_MEMORY',
     labelKey: 'BUTTON DELETE MEMORY',
@@ -121,6 +167,16 @@ const SETTINGS = [
   },
 ];
 
+/**
+ * Get the ids of the settings held in persistent storage.
+ * @returns {string[]}
+ */
+function getPersistentSettingIds() {
+  return SETTINGS.filter((setting) => setting.persistent).map(
+    (setting) => setting.id
+  );
+}
+
 /**
  * Delete memory. Confirmation is required.
  */
@@ -0,0 +1,134 @@
+/**
+ * @file Advantage and disadvantage on d20 rolls.
+ *
+ * @module dnd/advantage
+ */
+/**
+ * license {@link https://opensource.org/license/mit/|MIT}
+ * Copyright 2024 Steve Butler (henspace.com).
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the “Software”), to deal in
+ * the Software without restriction, including without limitation the rights to use,
+ * copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the
+ * Software, and to permit persons to whom the Software is furnished to do so,
+ * subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED “AS IS”, WITHOUT WARRANTY OF ANY KIND,
+ * EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES
+ * OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT
+ * HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY,
+ * WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR
+ * OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+import * as dice from '../utils/dice.js';
+import LOG from '../utils/logging.js';
+
+/**
+ * Sources of advantage and disadvantage on a d20 roll. With advantage, two
+ * dice are rolled and the higher used; with disadvantage, the lower. As in the
+ * 5e rules, if there is any source of advantage and any source of
+ * disadvantage they cancel out, regardless of how many sources there are.
+ * A lucky roller rerolls any die that comes up as a natural 1.
+ */
+export class Advantage {
+  /** Reasons for advantage. @type {string[]} */
+  #advantages;
+  /** Reasons for disadvantage. @type {string[]} */
+  #disadvantages;
+  /** Reason for luck. Undefined if the roller is not lucky. @type {string} */
+  #luck;
+
+  /**
+   * Create with no sources of advantage or disadvantage.
+   */
+  constructor() {
+    this.#advantages = [];
+    this.#disadvantages = [];
+  }
+
+  /**
+   * Add a source of advantage.
+   * @param {string} reason - description used in logs.
+   * @returns {Advantage} this to allow chaining.
+   */
+  addAdvantage(reason) {
+    this.#advantages.push(reason);
+    return this;
+  }
+
+  /**
+   * Add a source of disadvantage.
+   * @param {string} reason - description used in logs.
+   * @returns {Advantage} this to allow chaining.
+   */
+  addDisadvantage(reason) {
+    this.#disadvantages.push(reason);
+    return this;
+  }
+
+  /**
+   * Make the roll lucky so that a natural 1 on a die is rerolled. The new roll
+   * must be used.
+   * @param {string} reason - description used in logs.
+   * @returns {Advantage} this to allow chaining.
+   */
+  addLuck(reason) {
+    this.#luck = reason;
+    return this;
+  }
+
+  /**
+   * Test if the roll has advantage once any cancelling out is applied.
+   * @returns {boolean}
+   */
+  hasAdvantage() {
+    return this.#advantages.length > 0 && this.#disadvantages.length === 0;
+  }
+
+  /**
+   * Test if the roll has disadvantage once any cancelling out is applied.
+   * @returns {boolean}
+   */
+  hasDisadvantage() {
+    return this.#disadvantages.length > 0 && this.#advantages.length === 0;
+  }
+
+  /**
+   * Roll a d20 applying any advantage or disadvantage.
+   * @returns {number}
+   */
+  rollD20() {
+    if (this.hasAdvantage()) {
+      LOG.info(`Advantage: ${this.#advantages.join(', ')}.`);
+      return Math.max(this.#rollDie(), this.#rollDie());
+    } else if (this.hasDisadvantage()) {
+      LOG.info(`Disadvantage: ${this.#disadvantages.join(', ')}.`);
+      return Math.min(this.#rollDie(), this.#rollDie());
+    } else if (this.#advantages.length > 0) {
+      LOG.info(
+        `Advantage (${this.#advantages.join(', ')}) and disadvantage (${this.#disadvantages.join(', ')}) cancel out.`
+      );
+    }
+    return this.#rollDie();
+  }
+
+  /**
+   * Roll a single d20, rerolling a natural 1 if lucky.
+   * @returns {number}
+   */
+  #rollDie() {
+    const roll = dice.rollDice(20);
+    if (roll === 1 && this.#luck) {
+      LOG.info(`Natural 1 rerolled: ${this.#luck}.`);
+      return dice.rollDice(20);
+    }
+    return roll;
+  }
+}
@@ -0,0 +1,102 @@
+/**
+ * @file Test advantage
+ *
+ * @module dnd/advantage.test
+ */
+/**
+ * license {@link https://opensource.org/license/mit/|MIT}
+ * Copyright 2024 Steve Butler (henspace.com).
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the “Software”), to deal in
+ * the Software without restriction, including without limitation the rights to use,
+ * copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the
+ * Software, and to permit persons to whom the Software is furnished to do so,
+ * subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED “AS IS”, WITHOUT WARRANTY OF ANY KIND,
+ * EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES
+ * OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT
+ * HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY,
+ * WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR
+ * OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+import { beforeEach, jest, test, expect } from '@jest/globals';
+import * as mockedDice from '../utils/dice.mockable.js';
+
+jest.unstable_mockModule('../utils/dice.js', () => {
+  return {
+    __esModule: true,
+    ...mockedDice,
+    rollDice: jest.fn((sides) => mockedDice.rollDice(sides)),
+  };
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+const mockDice = await import('../utils/dice.js');
+const { Advantage } = await import('./advantage.js');
+
+test('rollD20 with no advantage rolls once', () => {
+  mockDice.rollDice.mockReturnValueOnce(7);
+  expect(new Advantage().rollD20()).toBe(7);
+  expect(mockDice.rollDice).toHaveBeenCalledTimes(1);
+  expect(mockDice.rollDice).toHaveBeenCalledWith(20);
+});
+
+test('rollD20 with advantage takes the higher roll', () => {
+  const advantage = new Advantage().addAdvantage('sleeping target');
+  mockDice.rollDice.mockReturnValueOnce(4).mockReturnValueOnce(15);
+  expect(advantage.hasAdvantage()).toBe(true);
+  expect(advantage.hasDisadvantage()).toBe(false);
+  expect(advantage.rollD20()).toBe(15);
+});
+
+test('rollD20 with disadvantage takes the lower roll', () => {
+  const advantage = new Advantage().addDisadvantage('heavy weapon');
+  mockDice.rollDice.mockReturnValueOnce(4).mockReturnValueOnce(15);
+  expect(advantage.hasAdvantage()).toBe(false);
+  expect(advantage.hasDisadvantage()).toBe(true);
+  expect(advantage.rollD20()).toBe(4);
+});
+
+test('advantage and disadvantage cancel regardless of number of sources', () => {
+  const advantage = new Advantage()
+    .addAdvantage('sleeping target')
+    .addAdvantage('target PRONE')
+    .addDisadvantage('heavy weapon');
+  mockDice.rollDice.mockReturnValueOnce(9);
+  expect(advantage.hasAdvantage()).toBe(false);
+  expect(advantage.hasDisadvantage()).toBe(false);
+  expect(advantage.rollD20()).toBe(9);
+  expect(mockDice.rollDice).toHaveBeenCalledTimes(1);
+});
+
+test('rollD20 lucky rerolls a natural 1', () => {
+  const advantage = new Advantage().addLuck('halfling');
+  mockDice.rollDice.mockReturnValueOnce(1).mockReturnValueOnce(1);
+  expect(advantage.rollD20()).toBe(1);
+  expect(mockDice.rollDice).toHaveBeenCalledTimes(2);
+  mockDice.rollDice.mockReturnValueOnce(12);
+  expect(advantage.rollD20()).toBe(12);
+  expect(mockDice.rollDice).toHaveBeenCalledTimes(3);
+});
+
+test('rollD20 lucky with disadvantage rerolls each natural 1', () => {
+  const advantage = new Advantage()
+    .addDisadvantage('heavy weapon')
+    .addLuck('halfling');
+  mockDice.rollDice
+    .mockReturnValueOnce(1)
+    .mockReturnValueOnce(8)
+    .mockReturnValueOnce(14);
+  expect(advantage.rollD20()).toBe(8);
+});
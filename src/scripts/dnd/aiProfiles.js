@@ -0,0 +1,368 @@
+/**
+ * @file Behaviour profiles that decide how computer controlled actors move
+ * and when they interact with the hero.
+ *
+ * @module dnd/aiProfiles
+ */
+/**
+ * license {@link https://opensource.org/license/mit/|MIT}
+ * Copyright 2024 Steve Butler (henspace.com).
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the “Software”), to deal in
+ * the Software without restriction, including without limitation the rights to use,
+ * copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the
+ * Software, and to permit persons to whom the Software is furnished to do so,
+ * subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED “AS IS”, WITHOUT WARRANTY OF ANY KIND,
+ * EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES
+ * OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT
+ * HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY,
+ * WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR
+ * OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+import { Point } from '../utils/geometry.js';
+
+/**
+ * @typedef {string} AiProfileValue
+ */
+/**
+ * Profiles set by the AI trait. Actors without one close in on the hero as
+ * determined by their MOVE trait.
+ * @enum {AiProfileValue}
+ */
+export const AiProfile = {
+  CASTER: 'CASTER',
+  COWARD: 'COWARD',
+  GUARD: 'GUARD',
+  PACK: 'PACK',
+  SKIRMISHER: 'SKIRMISHER',
+};
+
+/** Cowards flee once their HP falls to this fraction of their maximum. */
+const FLEE_HP_FRACTION = 0.25;
+
+/** Skirmishers fall back to this many tiles from the hero after striking. */
+const SKIRMISH_DISTANCE = 3;
+
+/** Guards only leave their post for heroes within this many tiles of it. */
+const GUARD_RADIUS = 4;
+
+/**
+ * @typedef {Object} TurnSituation
+ * @property {Point} gridPoint - the actor's position.
+ * @property {Point} heroGridPoint
+ * @property {boolean} engaged - true if the actor is next to the hero.
+ * @property {boolean} heroInSight - true if the actor has noticed the hero and
+ * can still see it.
+ * @property {boolean} heroDisengaging
+ * @property {number} hpFraction - current HP as a fraction of the maximum.
+ * @property {number} maxTilesPerMove
+ * @property {Point[]} allyGridPoints - positions of the actor's awake allies.
+ * @property {function(Point):boolean} canReachHeroFrom - test if the actor's
+ * attack can reach the hero from a grid point.
+ * @property {function():Point} getPostGridPoint - get the point, such as the
+ * exit or some treasure, that a guard would protect.
+ */
+
+/**
+ * Function that scores a grid point the actor could move to. The reachable
+ * point with the highest score is chosen.
+ * @callback DestinationScorer
+ * @param {Point} gridPoint
+ * @returns {number}
+ */
+
+/**
+ * Standard behaviour. The actor interacts when next to the hero and leaves
+ * movement to its MOVE trait.
+ */
+export class Behaviour {
+  /**
+   * Test if the actor should interact with the hero this turn.
+   * @param {TurnSituation} situation
+   * @returns {boolean}
+   */
+  willInteract(situation) {
+    return situation.engaged;
+  }
+
+  /**
+   * Called once the actor has interacted with the hero.
+   * @returns {boolean} true if the actor should then move.
+   */
+  afterInteracting() {
+    return false;
+  }
+
+  /**
+   * Get the scorer used to choose where the actor moves.
+   * @param {TurnSituation} situationUnused
+   * @returns {DestinationScorer} null if movement is left to the MOVE trait.
+   */
+  getDestinationScorer(situationUnused) {
+    return null;
+  }
+}
+
+/**
+ * Cowards fight normally but flee from the hero once badly hurt.
+ */
+class CowardBehaviour extends Behaviour {
+  /**
+   * @override
+   */
+  willInteract(situation) {
+    return !this.#isFleeing(situation) && super.willInteract(situation);
+  }
+
+  /**
+   * @override
+   */
+  getDestinationScorer(situation) {
+    if (!this.#isFleeing(situation)) {
+      return null;
+    }
+    return createFleeScorer(situation);
+  }
+
+  /**
+   * Test if the actor is hurt enough to flee.
+   * @param {TurnSituation} situation
+   * @returns {boolean}
+   */
+  #isFleeing(situation) {
+    return situation.hpFraction <= FLEE_HP_FRACTION;
+  }
+}
+
+/**
+ * Actors forced to flee, such as undead turned by a cleric, never interact and
+ * move as far from the hero as they can.
+ */
+class FleeingBehaviour extends Behaviour {
+  /**
+   * @override
+   */
+  willInteract(situationUnused) {
+    return false;
+  }
+
+  /**
+   * @override
+   */
+  getDestinationScorer(situation) {
+    return createFleeScorer(situation);
+  }
+}
+
+/**
+ * Behaviour shared by all actors while a condition makes them flee. It has no
+ * state so a single instance is used.
+ * @type {Behaviour}
+ */
+export const FLEEING_BEHAVIOUR = new FleeingBehaviour();
+
+/**
+ * Skirmishers strike and then fall back before closing in again.
+ */
+class SkirmisherBehaviour extends Behaviour {
+  /** @type {boolean} */
+  #withdrawing = false;
+
+  /**
+   * @override
+   */
+  afterInteracting() {
+    this.#withdrawing = true;
+    return true;
+  }
+
+  /**
+   * @override
+   */
+  getDestinationScorer(situation) {
+    if (!this.#withdrawing) {
+      return null;
+    }
+    this.#withdrawing = false;
+    return (gridPoint) =>
+      -Math.abs(
+        gridPoint.getOrthoSeparation(situation.heroGridPoint) -
+          SKIRMISH_DISTANCE
+      );
+  }
+}
+
+/**
+ * Pack members try to surround the hero, preferring the side opposite an
+ * ally.
+ */
+class PackBehaviour extends Behaviour {
+  /**
+   * @override
+   */
+  getDestinationScorer(situation) {
+    if (
+      situation.heroDisengaging ||
+      !isHeroWithinReach(situation, situation.maxTilesPerMove + 1)
+    ) {
+      return null;
+    }
+    return (gridPoint) => {
+      const tilesFromHero =
+        gridPoint.getOrthoSeparation(situation.heroGridPoint) - 1;
+      if (tilesFromHero > 0) {
+        return -tilesFromHero;
+      }
+      return isFlanking(
+        gridPoint,
+        situation.heroGridPoint,
+        situation.allyGridPoints
+      )
+        ? 2
+        : 1;
+    };
+  }
+}
+
+/**
+ * Guards stay by their post, only leaving it to attack heroes that come
+ * close.
+ */
+class GuardBehaviour extends Behaviour {
+  /** @type {Point} */
+  #postGridPoint;
+
+  /**
+   * @override
+   */
+  getDestinationScorer(situation) {
+    this.#postGridPoint ??= situation.getPostGridPoint();
+    if (
+      !this.#postGridPoint ||
+      (!situation.heroDisengaging &&
+        situation.heroGridPoint.getOrthoSeparation(this.#postGridPoint) <=
+          GUARD_RADIUS)
+    ) {
+      return null;
+    }
+    return (gridPoint) => -gridPoint.getOrthoSeparation(this.#postGridPoint);
+  }
+}
+
+/**
+ * Casters attack from a distance and try to keep out of the hero's reach,
+ * falling back after attacking if the hero gets too close.
+ */
+class CasterBehaviour extends Behaviour {
+  /** @type {boolean} */
+  #withdrawing = false;
+
+  /**
+   * @override
+   */
+  willInteract(situation) {
+    this.#withdrawing = situation.engaged;
+    return situation.canReachHeroFrom(situation.gridPoint);
+  }
+
+  /**
+   * @override
+   */
+  afterInteracting() {
+    return this.#withdrawing;
+  }
+
+  /**
+   * @override
+   */
+  getDestinationScorer(situation) {
+    this.#withdrawing = false;
+    if (
+      !situation.engaged &&
+      (situation.heroDisengaging ||
+        !isHeroWithinReach(situation, 2 * situation.maxTilesPerMove))
+    ) {
+      return null;
+    }
+    return (gridPoint) => {
+      const tilesFromHero = gridPoint.getOrthoSeparation(
+        situation.heroGridPoint
+      );
+      if (!situation.canReachHeroFrom(gridPoint)) {
+        return -tilesFromHero;
+      }
+      return tilesFromHero > 1 ? situation.maxTilesPerMove + tilesFromHero : 0;
+    };
+  }
+}
+
+/**
+ * Create a scorer that favours points furthest from the hero.
+ * @param {TurnSituation} situation
+ * @returns {DestinationScorer}
+ */
+function createFleeScorer(situation) {
+  return (gridPoint) => gridPoint.getOrthoSeparation(situation.heroGridPoint);
+}
+
+/**
+ * Test if the hero is within a number of tiles of the actor.
+ * @param {TurnSituation} situation
+ * @param {number} tiles
+ * @returns {boolean}
+ */
+function isHeroWithinReach(situation, tiles) {
+  return (
+    situation.gridPoint.getOrthoSeparation(situation.heroGridPoint) - 1 <= tiles
+  );
+}
+
+/**
+ * Test if a grid point flanks the hero. This is the case if an ally is on
+ * the opposite side of the hero.
+ * @param {Point} gridPoint
+ * @param {Point} heroGridPoint
+ * @param {Point[]} allyGridPoints
+ * @returns {boolean}
+ */
+export function isFlanking(gridPoint, heroGridPoint, allyGridPoints) {
+  const opposite = new Point(
+    2 * heroGridPoint.x - gridPoint.x,
+    2 * heroGridPoint.y - gridPoint.y
+  );
+  return allyGridPoints.some((allyGridPoint) =>
+    allyGridPoint.coincident(opposite)
+  );
+}
+
+/**
+ * Create the behaviour for an AI profile.
+ * @param {AiProfileValue} [profile] - unrecognised profiles get the standard
+ * behaviour.
+ * @returns {Behaviour}
+ */
+export function createBehaviour(profile) {
+  switch (profile) {
+    case AiProfile.CASTER:
+      return new CasterBehaviour();
+    case AiProfile.COWARD:
+      return new CowardBehaviour();
+    case AiProfile.GUARD:
+      return new GuardBehaviour();
+    case AiProfile.PACK:
+      return new PackBehaviour();
+    case AiProfile.SKIRMISHER:
+      return new SkirmisherBehaviour();
+    default:
+      return new Behaviour();
+  }
+}
@@ -0,0 +1,206 @@
+/**
+ * @file Test AI profiles
+ *
+ * @module dnd/aiProfiles.test
+ */
+/**
+ * license {@link https://opensource.org/license/mit/|MIT}
+ * Copyright 2024 Steve Butler (henspace.com).
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the “Software”), to deal in
+ * the Software without restriction, including without limitation the rights to use,
+ * copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the
+ * Software, and to permit persons to whom the Software is furnished to do so,
+ * subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED “AS IS”, WITHOUT WARRANTY OF ANY KIND,
+ * EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES
+ * OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT
+ * HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY,
+ * WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR
+ * OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+import { test, expect } from '@jest/globals';
+import {
+  AiProfile,
+  Behaviour,
+  createBehaviour,
+  FLEEING_BEHAVIOUR,
+  isFlanking,
+} from './aiProfiles.js';
+import { Point } from '../utils/geometry.js';
+
+/**
+ * Create a situation with the hero at 5, 5.
+ * @param {Object} [overrides = {}] - values to replace the defaults.
+ * @returns {module:dnd/aiProfiles~TurnSituation}
+ */
+function createSituation(overrides = {}) {
+  const heroGridPoint = new Point(5, 5);
+  return {
+    gridPoint: new Point(5, 6),
+    heroGridPoint: heroGridPoint,
+    engaged: true,
+    heroInSight: true,
+    heroDisengaging: false,
+    hpFraction: 1,
+    maxTilesPerMove: 4,
+    allyGridPoints: [],
+    canReachHeroFrom: (gridPoint) =>
+      gridPoint.getOrthoSeparation(heroGridPoint) === 1,
+    getPostGridPoint: () => new Point(0, 0),
+    ...overrides,
+  };
+}
+
+/**
+ * Find the best scoring point.
+ * @param {module:dnd/aiProfiles~DestinationScorer} scorer
+ * @param {Point[]} gridPoints
+ * @returns {Point}
+ */
+function findBest(scorer, gridPoints) {
+  return gridPoints.reduce((best, gridPoint) =>
+    scorer(gridPoint) > scorer(best) ? gridPoint : best
+  );
+}
+
+test('createBehaviour falls back to standard behaviour', () => {
+  const behaviour = createBehaviour(undefined);
+  expect(behaviour).toBeInstanceOf(Behaviour);
+  expect(behaviour.willInteract(createSituation())).toBe(true);
+  expect(behaviour.willInteract(createSituation({ engaged: false }))).toBe(
+    false
+  );
+  expect(behaviour.afterInteracting()).toBe(false);
+  expect(behaviour.getDestinationScorer(createSituation())).toBeNull();
+  expect(createBehaviour('UNKNOWN').getDestinationScorer()).toBeNull();
+});
+
+test('coward fights until badly hurt and then flees', () => {
+  const behaviour = createBehaviour(AiProfile.COWARD);
+  let situation = createSituation({ hpFraction: 0.5 });
+  expect(behaviour.willInteract(situation)).toBe(true);
+  expect(behaviour.getDestinationScorer(situation)).toBeNull();
+
+  situation = createSituation({ hpFraction: 0.25 });
+  expect(behaviour.willInteract(situation)).toBe(false);
+  const scorer = behaviour.getDestinationScorer(situation);
+  expect(
+    findBest(scorer, [new Point(5, 6), new Point(5, 9), new Point(6, 7)])
+  ).toEqual(new Point(5, 9));
+});
+
+test('fleeing behaviour never interacts and moves away', () => {
+  const situation = createSituation();
+  expect(FLEEING_BEHAVIOUR.willInteract(situation)).toBe(false);
+  const scorer = FLEEING_BEHAVIOUR.getDestinationScorer(situation);
+  expect(
+    findBest(scorer, [new Point(5, 6), new Point(5, 9), new Point(6, 7)])
+  ).toEqual(new Point(5, 9));
+});
+
+test('skirmisher falls back after interacting', () => {
+  const behaviour = createBehaviour(AiProfile.SKIRMISHER);
+  const situation = createSituation();
+  expect(behaviour.getDestinationScorer(situation)).toBeNull();
+  expect(behaviour.willInteract(situation)).toBe(true);
+  expect(behaviour.afterInteracting()).toBe(true);
+  const scorer = behaviour.getDestinationScorer(situation);
+  expect(
+    findBest(scorer, [new Point(5, 6), new Point(5, 8), new Point(5, 10)])
+  ).toEqual(new Point(5, 8));
+  expect(behaviour.getDestinationScorer(situation)).toBeNull();
+});
+
+test('pack members prefer flanking positions', () => {
+  const behaviour = createBehaviour(AiProfile.PACK);
+  const situation = createSituation({
+    gridPoint: new Point(7, 7),
+    engaged: false,
+    allyGridPoints: [new Point(5, 4)],
+  });
+  const scorer = behaviour.getDestinationScorer(situation);
+  expect(
+    findBest(scorer, [
+      new Point(7, 7),
+      new Point(6, 5),
+      new Point(5, 6),
+      new Point(4, 5),
+    ])
+  ).toEqual(new Point(5, 6));
+
+  expect(
+    behaviour.getDestinationScorer(createSituation({ heroDisengaging: true }))
+  ).toBeNull();
+  expect(
+    behaviour.getDestinationScorer(
+      createSituation({ gridPoint: new Point(20, 20) })
+    )
+  ).toBeNull();
+});
+
+test('isFlanking', () => {
+  const heroGridPoint = new Point(5, 5);
+  expect(isFlanking(new Point(5, 6), heroGridPoint, [new Point(5, 4)])).toBe(
+    true
+  );
+  expect(isFlanking(new Point(6, 5), heroGridPoint, [new Point(5, 4)])).toBe(
+    false
+  );
+  expect(isFlanking(new Point(6, 5), heroGridPoint, [])).toBe(false);
+});
+
+test('guard returns to its post unless the hero is close to it', () => {
+  const behaviour = createBehaviour(AiProfile.GUARD);
+  let situation = createSituation({
+    gridPoint: new Point(10, 10),
+    heroGridPoint: new Point(20, 20),
+    getPostGridPoint: () => new Point(12, 10),
+  });
+  const scorer = behaviour.getDestinationScorer(situation);
+  expect(
+    findBest(scorer, [new Point(10, 10), new Point(12, 10), new Point(14, 10)])
+  ).toEqual(new Point(12, 10));
+
+  situation = createSituation({
+    gridPoint: new Point(10, 10),
+    heroGridPoint: new Point(13, 11),
+    getPostGridPoint: () => new Point(0, 0),
+  });
+  expect(behaviour.getDestinationScorer(situation)).toBeNull();
+});
+
+test('caster attacks from a distance and keeps away from the hero', () => {
+  const behaviour = createBehaviour(AiProfile.CASTER);
+  const canReachHeroFrom = (gridPoint) =>
+    (gridPoint.x === 5 || gridPoint.y === 5) &&
+    gridPoint.getOrthoSeparation(new Point(5, 5)) <= 3;
+  let situation = createSituation({
+    gridPoint: new Point(5, 8),
+    engaged: false,
+    canReachHeroFrom: canReachHeroFrom,
+  });
+  expect(behaviour.willInteract(situation)).toBe(true);
+  expect(behaviour.afterInteracting()).toBe(false);
+
+  situation = createSituation({ canReachHeroFrom: canReachHeroFrom });
+  expect(behaviour.willInteract(situation)).toBe(true);
+  expect(behaviour.afterInteracting()).toBe(true);
+  const scorer = behaviour.getDestinationScorer(situation);
+  expect(
+    findBest(scorer, [
+      new Point(5, 6),
+      new Point(6, 7),
+      new Point(5, 8),
+      new Point(5, 9),
+    ])
+  ).toEqual(new Point(5, 8));
+});
@@ -47,6 +47,7 @@ import * as maths from '../../utils/maths.js';
 import GameConstants from '../../utils/game/gameConstants.js';
 import { CharacterTraits } from '../traits.js';
 import { ALMANAC_LIBRARY } from './almanacs.js';
+import * as almanacUtils from './almanacUtils.js';
 import { buildArtefact } from './artefactBuilder.js';
 import LOG from '../../utils/logging.js';
 import IMAGE_MANAGER from '../../utils/sprites/imageManager.js';
@@ -462,7 +463,7 @@ export function buildActor(almanacEntry, initialTraits) {
       actor.type = ActorType.HERO;
       if (!initialTraits) {
         traits.set('NAME', getRandomFullName());
-        magic.restoreCastingPower(traits);
+        magic.restoreSpellSlots(traits, 'LONG');
       }
       actor.toxify = new Toxify();
       break;
@@ -494,3 +495,39 @@ export function buildActor(almanacEntry, initialTraits) {
   }
   return actor;
 }
+
+/**
+ * Build a hero created by the player. Unlike a hero rebuilt from saved values,
+ * the new hero's spell slots are restored and it is given the almanac entry's
+ * starting kit.
+ * @param {module:dnd/almanacs/almanacActors~AlmanacEntry} almanacEntry
+ * @param {module:dnd/traits.CharacterTraits} traits - traits holding the
+ * player's choices.
+ * @returns {module:players/actors.Actor}
+ */
+export function buildCreatedHero(almanacEntry, traits) {
+  const actor = buildActor(almanacEntry, traits);
+  magic.restoreSpellSlots(traits, 'LONG');
+  equipActor(actor, almanacEntry.equipmentIds);
+  return actor;
+}
+
+/**
+ * Build a hidden artefact holding an artefact that has been left in the
+ * dungeon, such as a weapon that has been thrown.
+ * @param {module:players/artefacts.Artefact} artefact
+ * @returns {module:players/actors.Actor}
+ */
+export function buildArtefactHolder(artefact) {
+  const id = 'hidden_artefact';
+  const actor = buildActor({
+    id: id,
+    name: almanacUtils.createNameFromId(id),
+    description: almanacUtils.createDescriptionFromId(id),
+    imageName: id,
+    type: ActorType.HIDDEN_ARTEFACT,
+    traitsString: '',
+  });
+  actor.storeManager.addArtefact(artefact);
+  return actor;
+}
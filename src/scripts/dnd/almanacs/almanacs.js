@@ -142,7 +142,7 @@ export class Almanac {
    * @returns {AlmanacEntry}
    */
   getRandomEntry() {
-    const cutoff = Math.random();
+    const cutoff = maths.getRandom();
     if (cutoff < COMMON_CUTOFF) {
       return this.getRandomCommonEntry();
     } else if (cutoff < UNCOMMON_CUTOFF) {
@@ -257,7 +257,7 @@ class AlmanacLibrary {
    */
   findById(id, keys) {
     if (!keys) {
-      keys = this.#almanacs.keys();
+      keys = [...this.#almanacs.keys()];
     }
     for (const key of keys) {
       const result = this.#almanacs.get(key)?.find((entry) => entry.id === id);
@@ -288,7 +288,8 @@ class AlmanacLibrary {
    *
    * @param {string} key - almanac key
    * @param {*} type - entry type
-   * @returns {module:players/artefacts~ArtefactTypeValue | module:players/actors~ActorTypeValue }
+   * @returns {module:players/artefacts~ArtefactTypeValue | module:players/actors~ActorTypeValue | string}
+   * races keep their type as given.
    */
   getItemType(key, type) {
     switch (key) {
@@ -297,6 +298,8 @@ class AlmanacLibrary {
       case 'PORTALS':
       case 'TRADERS':
         return strToActorType(type);
+      case 'RACES':
+        return type;
       default:
         return strToArtefactType(type);
     }
@@ -0,0 +1,322 @@
+/**
+ * @file Class features, such as a fighter's second wind, gained as a hero
+ * levels up.
+ *
+ * @module dnd/classFeatures
+ */
+/**
+ * license {@link https://opensource.org/license/mit/|MIT}
+ * Copyright 2024 Steve Butler (henspace.com).
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the “Software”), to deal in
+ * the Software without restriction, including without limitation the rights to use,
+ * copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the
+ * Software, and to permit persons to whom the Software is furnished to do so,
+ * subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED “AS IS”, WITHOUT WARRANTY OF ANY KIND,
+ * EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES
+ * OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT
+ * HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY,
+ * WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR
+ * OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+import * as dice from '../utils/dice.js';
+import LOG from '../utils/logging.js';
+import { ConditionType } from './conditions.js';
+
+/**
+ * Available class features.
+ * @enum {string}
+ */
+export const FeatureId = {
+  ACTION_SURGE: 'ACTION_SURGE',
+  ARCANE_RECOVERY: 'ARCANE_RECOVERY',
+  CHANNEL_DIVINITY: 'CHANNEL_DIVINITY',
+  RAGE: 'RAGE',
+  SECOND_WIND: 'SECOND_WIND',
+  SNEAK_ATTACK: 'SNEAK_ATTACK',
+};
+
+/**
+ * Values that change with the character's level. Each entry holds the level
+ * from which the value applies and the value. Entries are in level order.
+ * @typedef {Array.Array<level:number, value:*>} LevelTable
+ */
+
+/**
+ * @typedef {Object} ClassFeature
+ * @property {FeatureId} id
+ * @property {number} level - character level at which the feature is gained.
+ * @property {string} [recharge] - length of rest, SHORT or LONG, that
+ * restores spent uses. Passive features have no recharge.
+ * @property {LevelTable} [uses] - number of uses between rests.
+ * @property {boolean} [bonusAction] - using the feature does not end the
+ * hero's turn.
+ * @property {boolean} [outOfCombat] - the feature cannot be used while
+ * fighting.
+ */
+
+/**
+ * Features available to each character class.
+ * @type {Map<string, ClassFeature[]>}
+ */
+const CLASS_FEATURES = new Map([
+  [
+    'BARBARIAN',
+    [
+      {
+        id: FeatureId.RAGE,
+        level: 1,
+        recharge: 'LONG',
+        uses: [
+          [1, 2],
+          [3, 3],
+          [6, 4],
+          [12, 5],
+          [17, 6],
+        ],
+        bonusAction: true,
+      },
+    ],
+  ],
+  [
+    'CLERIC',
+    [
+      {
+        id: FeatureId.CHANNEL_DIVINITY,
+        level: 2,
+        recharge: 'SHORT',
+        uses: [
+          [2, 1],
+          [6, 2],
+          [18, 3],
+        ],
+      },
+    ],
+  ],
+  [
+    'FIGHTER',
+    [
+      {
+        id: FeatureId.SECOND_WIND,
+        level: 1,
+        recharge: 'SHORT',
+        uses: [[1, 1]],
+        bonusAction: true,
+      },
+      {
+        id: FeatureId.ACTION_SURGE,
+        level: 2,
+        recharge: 'SHORT',
+        uses: [
+          [2, 1],
+          [17, 2],
+        ],
+        bonusAction: true,
+      },
+    ],
+  ],
+  ['ROGUE', [{ id: FeatureId.SNEAK_ATTACK, level: 1 }]],
+  [
+    'WIZARD',
+    [
+      {
+        id: FeatureId.ARCANE_RECOVERY,
+        level: 1,
+        recharge: 'LONG',
+        uses: [[1, 1]],
+        outOfCombat: true,
+      },
+    ],
+  ],
+]);
+
+/**
+ * Extra melee damage while raging.
+ * @type {LevelTable}
+ */
+const RAGE_DAMAGE = [
+  [1, 2],
+  [9, 3],
+  [16, 4],
+];
+
+/** Number of turns a rage lasts. */
+export const RAGE_TURNS = 10;
+
+/** Number of turns undead remain turned. */
+export const TURNED_TURNS = 10;
+
+/** Range in tiles over which undead can be turned. */
+export const TURN_UNDEAD_RANGE_TILES = 6;
+
+/**
+ * Look up the value for a level.
+ * @param {LevelTable} table
+ * @param {number} level
+ * @returns {*} undefined if the level is below the first entry.
+ */
+function getValueAtLevel(table, level) {
+  let value;
+  for (const [entryLevel, entryValue] of table ?? []) {
+    if (entryLevel > level) {
+      break;
+    }
+    value = entryValue;
+  }
+  return value;
+}
+
+/**
+ * Get the key of the trait used to record spent uses of a feature. The key
+ * starts with an underscore so it is not shown to the player.
+ * @param {FeatureId} featureId
+ * @returns {string}
+ */
+function getSpentUsesKey(featureId) {
+  return `_SPENT_${featureId}`;
+}
+
+/**
+ * Get the features available to a class at a level.
+ * @param {string} characterClass
+ * @param {number} level
+ * @returns {ClassFeature[]}
+ */
+export function getClassFeatures(characterClass, level) {
+  return (CLASS_FEATURES.get(characterClass) ?? []).filter(
+    (feature) => feature.level <= level
+  );
+}
+
+/**
+ * Get the features gained on advancing between two levels.
+ * @param {string} characterClass
+ * @param {number} oldLevel
+ * @param {number} newLevel
+ * @returns {ClassFeature[]}
+ */
+export function getNewClassFeatures(characterClass, oldLevel, newLevel) {
+  return getClassFeatures(characterClass, newLevel).filter(
+    (feature) => feature.level > oldLevel
+  );
+}
+
+/**
+ * Get the features an actor can use from the HUD. Passive features, such as
+ * sneak attack, are excluded.
+ * @param {module:dnd/traits.CharacterTraits} traits
+ * @returns {ClassFeature[]}
+ */
+export function getUsableFeatures(traits) {
+  return getClassFeatures(
+    traits.get('CLASS'),
+    traits.getCharacterLevel()
+  ).filter((feature) => feature.uses);
+}
+
+/**
+ * Get the maximum number of uses of a feature between rests.
+ * @param {ClassFeature} feature
+ * @param {number} level
+ * @returns {number}
+ */
+export function getMaxUses(feature, level) {
+  return getValueAtLevel(feature.uses, level) ?? 0;
+}
+
+/**
+ * Get the number of uses of a feature remaining before the next rest.
+ * @param {module:dnd/traits.CharacterTraits} traits
+ * @param {ClassFeature} feature
+ * @returns {number}
+ */
+export function getRemainingUses(traits, feature) {
+  const maxUses = getMaxUses(feature, traits.getCharacterLevel());
+  return Math.max(0, maxUses - traits.getInt(getSpentUsesKey(feature.id), 0));
+}
+
+/**
+ * Spend one use of a feature.
+ * @param {module:dnd/traits.CharacterTraits} traits
+ * @param {ClassFeature} feature
+ */
+export function spendUse(traits, feature) {
+  const key = getSpentUsesKey(feature.id);
+  traits.set(key, traits.getInt(key, 0) + 1);
+}
+
+/**
+ * Restore the features that recharge after a rest. A long rest also restores
+ * features that recharge after a short rest.
+ * @param {module:dnd/traits.CharacterTraits} traits
+ * @param {string} length - LONG or SHORT
+ */
+export function restoreUses(traits, length) {
+  for (const feature of CLASS_FEATURES.get(traits.get('CLASS')) ?? []) {
+    if (
+      feature.recharge &&
+      (length === 'LONG' || feature.recharge === length)
+    ) {
+      traits.delete(getSpentUsesKey(feature.id));
+    }
+  }
+}
+
+/**
+ * Get the dice rolled for a sneak attack.
+ * @param {module:dnd/traits.CharacterTraits} traits
+ * @returns {string} undefined if the actor cannot sneak attack.
+ */
+export function getSneakAttackDice(traits) {
+  const level = traits.getCharacterLevel?.();
+  if (
+    !level ||
+    !getClassFeatures(traits.get('CLASS'), level).some(
+      (feature) => feature.id === FeatureId.SNEAK_ATTACK
+    )
+  ) {
+    return;
+  }
+  return `${Math.ceil(level / 2)}D6`;
+}
+
+/**
+ * Get the extra melee damage from raging.
+ * @param {module:dnd/traits.CharacterTraits} traits
+ * @returns {number} 0 if not raging.
+ */
+export function getRageDamage(traits) {
+  if (!traits.conditions?.has(ConditionType.RAGING)) {
+    return 0;
+  }
+  return getValueAtLevel(RAGE_DAMAGE, traits.getCharacterLevel()) ?? 0;
+}
+
+/**
+ * Roll the hit points regained by a second wind.
+ * @param {module:dnd/traits.CharacterTraits} traits
+ * @returns {number}
+ */
+export function rollSecondWind(traits) {
+  const hpGain = dice.rollDice(10) + traits.getCharacterLevel();
+  LOG.info(`Second wind regains ${hpGain} HP.`);
+  return hpGain;
+}
+
+/**
+ * Get the combined level of the spell slots recovered by arcane recovery.
+ * @param {module:dnd/traits.CharacterTraits} traits
+ * @returns {number}
+ */
+export function getArcaneRecoveryLevels(traits) {
+  return Math.ceil(traits.getCharacterLevel() / 2);
+}
@@ -0,0 +1,136 @@
+/**
+ * @file Test class features
+ *
+ * @module dnd/classFeatures.test
+ */
+/**
+ * license {@link https://opensource.org/license/mit/|MIT}
+ * Copyright 2024 Steve Butler (henspace.com).
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the “Software”), to deal in
+ * the Software without restriction, including without limitation the rights to use,
+ * copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the
+ * Software, and to permit persons to whom the Software is furnished to do so,
+ * subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED “AS IS”, WITHOUT WARRANTY OF ANY KIND,
+ * EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES
+ * OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT
+ * HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY,
+ * WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR
+ * OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+import { test, expect } from '@jest/globals';
+import { CharacterTraits } from './traits.js';
+import * as tables from './tables.js';
+import { ConditionType } from './conditions.js';
+import {
+  FeatureId,
+  getClassFeatures,
+  getNewClassFeatures,
+  getUsableFeatures,
+  getMaxUses,
+  getRemainingUses,
+  spendUse,
+  restoreUses,
+  getSneakAttackDice,
+  getRageDamage,
+} from './classFeatures.js';
+
+/**
+ * Create traits for a class at a level.
+ * @param {string} characterClass
+ * @param {number} level
+ * @returns {CharacterTraits}
+ */
+function createCharacter(characterClass, level) {
+  return new CharacterTraits([
+    ['CLASS', characterClass],
+    ['EXP', tables.getMinExpPointsForLevel(level)],
+  ]);
+}
+
+/**
+ * Get the ids of features.
+ * @param {module:dnd/classFeatures~ClassFeature[]} features
+ * @returns {string[]}
+ */
+function getIds(features) {
+  return features.map((feature) => feature.id);
+}
+
+test('getClassFeatures by level', () => {
+  expect(getIds(getClassFeatures('FIGHTER', 1))).toEqual([
+    FeatureId.SECOND_WIND,
+  ]);
+  expect(getIds(getClassFeatures('FIGHTER', 2))).toEqual([
+    FeatureId.SECOND_WIND,
+    FeatureId.ACTION_SURGE,
+  ]);
+  expect(getClassFeatures('CLERIC', 1)).toEqual([]);
+  expect(getClassFeatures('UNKNOWN', 20)).toEqual([]);
+});
+
+test('getNewClassFeatures only includes features gained', () => {
+  expect(getIds(getNewClassFeatures('CLERIC', 1, 3))).toEqual([
+    FeatureId.CHANNEL_DIVINITY,
+  ]);
+  expect(getNewClassFeatures('CLERIC', 2, 3)).toEqual([]);
+});
+
+test('getUsableFeatures excludes passive features', () => {
+  expect(getUsableFeatures(createCharacter('ROGUE', 5))).toEqual([]);
+  expect(getIds(getUsableFeatures(createCharacter('BARBARIAN', 1)))).toEqual([
+    FeatureId.RAGE,
+  ]);
+});
+
+test('getMaxUses increases with level', () => {
+  const rage = getClassFeatures('BARBARIAN', 1)[0];
+  expect(getMaxUses(rage, 1)).toBe(2);
+  expect(getMaxUses(rage, 5)).toBe(3);
+  expect(getMaxUses(rage, 20)).toBe(6);
+});
+
+test('spendUse and restoreUses', () => {
+  const traits = createCharacter('FIGHTER', 2);
+  const [secondWind, actionSurge] = getUsableFeatures(traits);
+  expect(getRemainingUses(traits, secondWind)).toBe(1);
+  spendUse(traits, secondWind);
+  spendUse(traits, actionSurge);
+  expect(getRemainingUses(traits, secondWind)).toBe(0);
+  expect(getRemainingUses(traits, actionSurge)).toBe(0);
+  restoreUses(traits, 'SHORT');
+  expect(getRemainingUses(traits, secondWind)).toBe(1);
+  expect(getRemainingUses(traits, actionSurge)).toBe(1);
+});
+
+test('restoreUses short rest does not restore long rest features', () => {
+  const traits = createCharacter('BARBARIAN', 1);
+  const [rage] = getUsableFeatures(traits);
+  spendUse(traits, rage);
+  restoreUses(traits, 'SHORT');
+  expect(getRemainingUses(traits, rage)).toBe(1);
+  restoreUses(traits, 'LONG');
+  expect(getRemainingUses(traits, rage)).toBe(2);
+});
+
+test('getSneakAttackDice only for rogues', () => {
+  expect(getSneakAttackDice(createCharacter('ROGUE', 1))).toBe('1D6');
+  expect(getSneakAttackDice(createCharacter('ROGUE', 6))).toBe('3D6');
+  expect(getSneakAttackDice(createCharacter('FIGHTER', 6))).toBeUndefined();
+});
+
+test('getRageDamage only while raging', () => {
+  const traits = createCharacter('BARBARIAN', 9);
+  expect(getRageDamage(traits)).toBe(0);
+  traits.conditions.add(ConditionType.RAGING, { turns: 10 });
+  expect(getRageDamage(traits)).toBe(3);
+});
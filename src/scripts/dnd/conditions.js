@@ -0,0 +1,587 @@
+/**
+ * @file Status conditions such as poisoned or paralysed which affect an actor
+ * for a number of turns.
+ *
+ * @module dnd/conditions
+ */
+/**
+ * license {@link https://opensource.org/license/mit/|MIT}
+ * Copyright 2024 Steve Butler (henspace.com).
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the “Software”), to deal in
+ * the Software without restriction, including without limitation the rights to use,
+ * copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the
+ * Software, and to permit persons to whom the Software is furnished to do so,
+ * subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED “AS IS”, WITHOUT WARRANTY OF ANY KIND,
+ * EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES
+ * OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT
+ * HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY,
+ * WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR
+ * OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+import * as maths from '../utils/maths.js';
+import LOG from '../utils/logging.js';
+import { rollSavingThrow } from './dndAction.js';
+import { DamageType } from './damageTypes.js';
+
+/**
+ * Available conditions.
+ * @enum {string}
+ */
+export const ConditionType = {
+  BLINDED: 'BLINDED',
+  FRIGHTENED: 'FRIGHTENED',
+  INVISIBLE: 'INVISIBLE',
+  PARALYSED: 'PARALYSED',
+  POISONED: 'POISONED',
+  PRONE: 'PRONE',
+  RAGING: 'RAGING',
+  RESTRAINED: 'RESTRAINED',
+  STUNNED: 'STUNNED',
+  TURNED: 'TURNED',
+  UNCONSCIOUS: 'UNCONSCIOUS',
+};
+
+/**
+ * @typedef {Object} ConditionRules
+ * @property {string} icon - symbol used to show the condition.
+ * @property {string} saveBy - ability used for saving throws.
+ * @property {boolean} [attackAdvantage] - own attacks have advantage.
+ * @property {boolean} [attackDisadvantage] - own attacks have disadvantage.
+ * @property {boolean} [attackedWithAdvantage] - attacks against have
+ * advantage.
+ * @property {boolean} [attackedWithDisadvantage] - attacks against have
+ * disadvantage.
+ * @property {boolean} [rangedAttackedWithDisadvantage] - ranged attacks
+ * against have disadvantage instead of any advantage.
+ * @property {boolean} [checkDisadvantage] - ability checks have disadvantage.
+ * @property {string[]} [saveDisadvantage] - abilities whose saving throws have
+ * disadvantage.
+ * @property {string[]} [saveAdvantage] - abilities whose saving throws have
+ * advantage.
+ * @property {string[]} [autoFailSaves] - abilities whose saving throws
+ * automatically fail.
+ * @property {module:dnd/damageTypes.DamageType[]} [resist] - damage types
+ * the affected actor resists.
+ * @property {boolean} [flees] - the affected actor runs from the hero.
+ * @property {boolean} [endsOnDamage] - the condition ends if the affected
+ * actor takes damage.
+ * @property {boolean} [incapacitated] - no actions can be taken.
+ * @property {number} [movementFactor = 1] - multiplier for movement.
+ * @property {boolean} [untimed] - the condition does not wear off or allow
+ * saves at the end of turns and lasts until removed.
+ */
+
+/**
+ * Effects of each condition.
+ * @type {Map<ConditionType, ConditionRules>}
+ */
+const CONDITION_RULES = new Map([
+  [
+    ConditionType.BLINDED,
+    {
+      icon: '\u{1F648}',
+      saveBy: 'CON',
+      attackDisadvantage: true,
+      attackedWithAdvantage: true,
+    },
+  ],
+  [
+    ConditionType.FRIGHTENED,
+    {
+      icon: '\u{1F631}',
+      saveBy: 'WIS',
+      attackDisadvantage: true,
+      checkDisadvantage: true,
+    },
+  ],
+  [
+    ConditionType.INVISIBLE,
+    {
+      icon: '\u{1F47B}',
+      saveBy: 'CHA',
+      attackAdvantage: true,
+      attackedWithDisadvantage: true,
+    },
+  ],
+  [
+    ConditionType.PARALYSED,
+    {
+      icon: '\u{26A1}',
+      saveBy: 'CON',
+      attackedWithAdvantage: true,
+      autoFailSaves: ['STR', 'DEX'],
+      incapacitated: true,
+      movementFactor: 0,
+    },
+  ],
+  [
+    ConditionType.POISONED,
+    {
+      icon: '\u{1F922}',
+      saveBy: 'CON',
+      attackDisadvantage: true,
+      checkDisadvantage: true,
+    },
+  ],
+  [
+    ConditionType.PRONE,
+    {
+      icon: '\u{1F6CC}',
+      saveBy: 'DEX',
+      attackDisadvantage: true,
+      attackedWithAdvantage: true,
+      rangedAttackedWithDisadvantage: true,
+      movementFactor: 0.5,
+    },
+  ],
+  [
+    ConditionType.RAGING,
+    {
+      icon: '\u{1F621}',
+      saveBy: 'CON',
+      saveAdvantage: ['STR'],
+      resist: [
+        DamageType.BLUDGEONING,
+        DamageType.PIERCING,
+        DamageType.SLASHING,
+      ],
+    },
+  ],
+  [
+    ConditionType.RESTRAINED,
+    {
+      icon: '\u{26D3}',
+      saveBy: 'STR',
+      attackDisadvantage: true,
+      attackedWithAdvantage: true,
+      saveDisadvantage: ['DEX'],
+      movementFactor: 0,
+    },
+  ],
+  [
+    ConditionType.STUNNED,
+    {
+      icon: '\u{1F4AB}',
+      saveBy: 'CON',
+      attackedWithAdvantage: true,
+      autoFailSaves: ['STR', 'DEX'],
+      incapacitated: true,
+      movementFactor: 0,
+    },
+  ],
+  [
+    ConditionType.TURNED,
+    {
+      icon: '\u{1F3C3}',
+      saveBy: 'WIS',
+      flees: true,
+      endsOnDamage: true,
+    },
+  ],
+  [
+    ConditionType.UNCONSCIOUS,
+    {
+      icon: '\u{1F635}',
+      saveBy: 'CON',
+      attackedWithAdvantage: true,
+      autoFailSaves: ['STR', 'DEX'],
+      incapacitated: true,
+      movementFactor: 0,
+      untimed: true,
+    },
+  ],
+]);
+
+/**
+ * Get the icon for a condition.
+ * @param {ConditionType} type
+ * @returns {string}
+ */
+export function getConditionIcon(type) {
+  return CONDITION_RULES.get(type)?.icon ?? '?';
+}
+
+/**
+ * A single condition affecting an actor.
+ */
+export class Condition {
+  /** @type {ConditionType} */
+  type;
+  /** Remaining turns. @type {number} */
+  turnsLeft;
+  /** Difficulty of the save to end the condition. 0 if no save is allowed. @type {number} */
+  difficulty;
+  /** Ability used for the save. @type {string} */
+  saveBy;
+
+  /**
+   * Create the condition.
+   * @param {ConditionType} type
+   * @param {Object} [options = {}]
+   * @param {number} [options.turns = 1] - number of turns the condition lasts.
+   * @param {number} [options.difficulty = 0] - DC of the save made at the end
+   * of each turn. No save is made if 0.
+   * @param {string} [options.saveBy] - ability used for the save. If not set,
+   * the normal ability for the condition is used.
+   */
+  constructor(type, options = {}) {
+    this.type = type;
+    this.turnsLeft = options.turns ?? 1;
+    this.difficulty = options.difficulty ?? 0;
+    this.saveBy = options.saveBy ?? CONDITION_RULES.get(type).saveBy;
+  }
+
+  /**
+   * Get the rules for the condition.
+   * @returns {ConditionRules}
+   */
+  get rules() {
+    return CONDITION_RULES.get(this.type);
+  }
+}
+
+/**
+ * Collection of the conditions affecting an actor. Only one condition of each
+ * type can be present; reapplying a condition extends it.
+ */
+export class Conditions {
+  /** @type {Map<ConditionType, Condition>} */
+  #conditions;
+
+  /**
+   * Create an empty collection.
+   */
+  constructor() {
+    this.#conditions = new Map();
+  }
+
+  /**
+   * Add a condition. If already present, the longer duration and higher
+   * difficulty are kept.
+   * @param {ConditionType} type
+   * @param {Object} [options] - see {@link Condition}.
+   * @returns {boolean} true if added.
+   */
+  add(type, options) {
+    if (!CONDITION_RULES.has(type)) {
+      LOG.error(`Ignoring unknown condition ${type}.`);
+      return false;
+    }
+    const condition = new Condition(type, options);
+    const existing = this.#conditions.get(type);
+    if (existing) {
+      existing.turnsLeft = Math.max(existing.turnsLeft, condition.turnsLeft);
+      existing.difficulty = Math.max(existing.difficulty, condition.difficulty);
+    } else {
+      this.#conditions.set(type, condition);
+    }
+    return true;
+  }
+
+  /**
+   * Apply conditions defined by an almanac entry's traits. The conditions
+   * are set by FX_CONDITION, with multiple conditions separated by spaces or
+   * &. The number of turns is set by DURATION, defaulting to 1. If the source
+   * has a DC and the target's traits are provided, the target makes a saving
+   * throw to avoid the conditions and again at the end of each of its turns
+   * to end them. SAVE_BY overrides the normal ability used for the save.
+   * @param {module:dnd/traits.Traits} sourceTraits
+   * @param {module:dnd/traits.CharacterTraits} [targetTraits] - if not
+   * provided, no saves are allowed.
+   * @returns {ConditionType[]} conditions that were applied.
+   */
+  applyFromTraits(sourceTraits, targetTraits) {
+    const fxCondition = sourceTraits.get('FX_CONDITION');
+    if (!fxCondition || typeof fxCondition !== 'string') {
+      return [];
+    }
+    const turns = maths.safeParseInt(sourceTraits.get('DURATION'), 1);
+    const difficulty = targetTraits ? sourceTraits.getInt('DC', 0) : 0;
+    const applied = [];
+    fxCondition
+      .toUpperCase()
+      .split(/[\s&]+/)
+      .filter((type) => type)
+      .forEach((type) => {
+        if (!CONDITION_RULES.has(type)) {
+          LOG.error(`Ignoring unknown condition ${type}.`);
+          return;
+        }
+        const saveBy =
+          sourceTraits.get('SAVE_BY') ?? CONDITION_RULES.get(type).saveBy;
+        if (difficulty && rollSavingThrow(targetTraits, saveBy, difficulty)) {
+          LOG.info(`Saved against ${type}.`);
+          return;
+        }
+        this.add(type, {
+          turns: turns,
+          difficulty: difficulty,
+          saveBy: saveBy,
+        });
+        applied.push(type);
+      });
+    return applied;
+  }
+
+  /**
+   * Test if a condition is present.
+   * @param {ConditionType} type
+   * @returns {boolean}
+   */
+  has(type) {
+    return this.#conditions.has(type);
+  }
+
+  /**
+   * Remove a condition.
+   * @param {ConditionType} type
+   */
+  remove(type) {
+    this.#conditions.delete(type);
+  }
+
+  /**
+   * Remove all conditions.
+   */
+  clear() {
+    this.#conditions.clear();
+  }
+
+  /**
+   * Get all of the conditions sorted by type.
+   * @returns {Condition[]}
+   */
+  getAll() {
+    return [...this.#conditions.values()].sort((a, b) =>
+      a.type < b.type ? -1 : 1
+    );
+  }
+
+  /**
+   * Process the end of the affected actor's turn. Saves are rolled for any
+   * conditions that allow them and the remaining conditions lose a turn.
+   * Untimed conditions are unaffected.
+   * @param {module:dnd/traits.CharacterTraits} traits - the affected actor's
+   * traits.
+   * @returns {ConditionType[]} conditions that have ended.
+   */
+  endTurn(traits) {
+    const ended = [];
+    for (const condition of this.getAll()) {
+      if (condition.rules.untimed) {
+        continue;
+      }
+      condition.turnsLeft--;
+      if (
+        condition.turnsLeft <= 0 ||
+        (condition.difficulty &&
+          rollSavingThrow(traits, condition.saveBy, condition.difficulty))
+      ) {
+        this.#conditions.delete(condition.type);
+        ended.push(condition.type);
+      }
+    }
+    return ended;
+  }
+
+  /**
+   * Process damage taken by the affected actor. Conditions that end on damage
+   * are removed.
+   * @returns {ConditionType[]} conditions that have ended.
+   */
+  takeDamage() {
+    const ended = [];
+    for (const condition of this.getAll()) {
+      if (condition.rules.endsOnDamage) {
+        this.#conditions.delete(condition.type);
+        ended.push(condition.type);
+      }
+    }
+    return ended;
+  }
+
+  /**
+   * Test if any condition sets the rule.
+   * @param {string} ruleName - property of {@link ConditionRules}.
+   * @returns {boolean}
+   */
+  #anyRule(ruleName) {
+    for (const condition of this.#conditions.values()) {
+      if (condition.rules[ruleName]) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Test if the actor cannot take any actions.
+   * @returns {boolean}
+   */
+  isIncapacitated() {
+    return this.#anyRule('incapacitated');
+  }
+
+  /**
+   * Test if the actor is running from the hero.
+   * @returns {boolean}
+   */
+  isFleeing() {
+    return this.#anyRule('flees');
+  }
+
+  /**
+   * Test if any condition gives resistance to a type of damage.
+   * @param {module:dnd/damageTypes.DamageType} damageType
+   * @returns {boolean}
+   */
+  resistsDamage(damageType) {
+    for (const condition of this.#conditions.values()) {
+      if (condition.rules.resist?.includes(damageType)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Get the factor by which movement is multiplied.
+   * @returns {number}
+   */
+  getMovementFactor() {
+    let factor = 1;
+    for (const condition of this.#conditions.values()) {
+      factor = Math.min(factor, condition.rules.movementFactor ?? 1);
+    }
+    return factor;
+  }
+
+  /**
+   * Add advantage and disadvantage for attacks made by the affected actor.
+   * @param {module:dnd/advantage.Advantage} advantage
+   */
+  addAttackerAdvantage(advantage) {
+    for (const condition of this.#conditions.values()) {
+      if (condition.rules.attackAdvantage) {
+        advantage.addAdvantage(`attacker ${condition.type}`);
+      }
+      if (condition.rules.attackDisadvantage) {
+        advantage.addDisadvantage(`attacker ${condition.type}`);
+      }
+    }
+  }
+
+  /**
+   * Add advantage and disadvantage for attacks made against the affected
+   * actor.
+   * @param {module:dnd/advantage.Advantage} advantage
+   * @param {Object} [options = {}]
+   * @param {boolean} options.ranged - true if the attack is a ranged attack.
+   */
+  addTargetAdvantage(advantage, options = {}) {
+    for (const condition of this.#conditions.values()) {
+      if (options.ranged && condition.rules.rangedAttackedWithDisadvantage) {
+        advantage.addDisadvantage(`target ${condition.type}`);
+      } else if (condition.rules.attackedWithAdvantage) {
+        advantage.addAdvantage(`target ${condition.type}`);
+      }
+      if (condition.rules.attackedWithDisadvantage) {
+        advantage.addDisadvantage(`target ${condition.type}`);
+      }
+    }
+  }
+
+  /**
+   * Add disadvantage for ability checks made by the affected actor.
+   * @param {module:dnd/advantage.Advantage} advantage
+   */
+  addCheckAdvantage(advantage) {
+    for (const condition of this.#conditions.values()) {
+      if (condition.rules.checkDisadvantage) {
+        advantage.addDisadvantage(condition.type);
+      }
+    }
+  }
+
+  /**
+   * Add advantage and disadvantage for saving throws made by the affected
+   * actor.
+   * @param {module:dnd/advantage.Advantage} advantage
+   * @param {string} ability - ability used for the save.
+   */
+  addSaveAdvantage(advantage, ability) {
+    for (const condition of this.#conditions.values()) {
+      if (condition.rules.saveAdvantage?.includes(ability)) {
+        advantage.addAdvantage(condition.type);
+      }
+      if (condition.rules.saveDisadvantage?.includes(ability)) {
+        advantage.addDisadvantage(condition.type);
+      }
+    }
+  }
+
+  /**
+   * Test if saving throws using the ability automatically fail.
+   * @param {string} ability
+   * @returns {boolean}
+   */
+  failsSaveAutomatically(ability) {
+    for (const condition of this.#conditions.values()) {
+      if (condition.rules.autoFailSaves?.includes(ability)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Clone
+   * @returns {Conditions}
+   */
+  clone() {
+    return Conditions.revive(this.toJSON().data);
+  }
+
+  /**
+   * Convert to JSON.
+   * @returns {module:utils/persistentData~ObjectJSON}
+   */
+  toJSON() {
+    return {
+      reviver: 'Conditions',
+      data: this.getAll().map((condition) => ({
+        type: condition.type,
+        turnsLeft: condition.turnsLeft,
+        difficulty: condition.difficulty,
+        saveBy: condition.saveBy,
+      })),
+    };
+  }
+
+  /**
+   * Revive from previous call to toJSON
+   * @param {Object[]} data - array of condition details.
+   * @returns {Conditions}
+   */
+  static revive(data) {
+    const conditions = new Conditions();
+    data?.forEach((item) =>
+      conditions.add(item.type, {
+        turns: item.turnsLeft,
+        difficulty: item.difficulty,
+        saveBy: item.saveBy,
+      })
+    );
+    return conditions;
+  }
+}
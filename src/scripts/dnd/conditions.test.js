@@ -0,0 +1,236 @@
+/**
+ * @file Test conditions
+ *
+ * @module dnd/conditions.test
+ */
+/**
+ * license {@link https://opensource.org/license/mit/|MIT}
+ * Copyright 2024 Steve Butler (henspace.com).
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the “Software”), to deal in
+ * the Software without restriction, including without limitation the rights to use,
+ * copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the
+ * Software, and to permit persons to whom the Software is furnished to do so,
+ * subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED “AS IS”, WITHOUT WARRANTY OF ANY KIND,
+ * EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES
+ * OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT
+ * HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY,
+ * WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR
+ * OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+import { beforeEach, jest, test, expect } from '@jest/globals';
+import * as mockedDice from '../utils/dice.mockable.js';
+
+jest.unstable_mockModule('../utils/dice.js', () => {
+  return {
+    __esModule: true,
+    ...mockedDice,
+    rollDice: jest.fn((sides) => mockedDice.rollDice(sides)),
+  };
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+const mockDice = await import('../utils/dice.js');
+const { ConditionType, Conditions } = await import('./conditions.js');
+const { CharacterTraits, Traits } = await import('./traits.js');
+const { Advantage } = await import('./advantage.js');
+
+test('applyFromTraits without target applies conditions without a save', () => {
+  const conditions = new Conditions();
+  const applied = conditions.applyFromTraits(
+    new Traits('FX_CONDITION:PARALYSED,DURATION:2,DC:30')
+  );
+  expect(applied).toEqual([ConditionType.PARALYSED]);
+  expect(mockDice.rollDice).not.toHaveBeenCalled();
+  expect(conditions.has(ConditionType.PARALYSED)).toBe(true);
+  expect(conditions.isIncapacitated()).toBe(true);
+  expect(conditions.getMovementFactor()).toBe(0);
+});
+
+test('applyFromTraits handles multiple conditions and ignores unknown ones', () => {
+  const conditions = new Conditions();
+  const applied = conditions.applyFromTraits(
+    new Traits('FX_CONDITION:PRONE & POISONED & SLEEPY')
+  );
+  expect(applied).toEqual([ConditionType.PRONE, ConditionType.POISONED]);
+  expect(conditions.getAll().map((condition) => condition.type)).toEqual([
+    ConditionType.POISONED,
+    ConditionType.PRONE,
+  ]);
+  expect(conditions.getMovementFactor()).toBe(0.5);
+  const advantage = new Advantage();
+  conditions.addCheckAdvantage(advantage);
+  expect(advantage.hasDisadvantage()).toBe(true);
+  expect(conditions.isIncapacitated()).toBe(false);
+});
+
+test('applyFromTraits allows target a save against DC', () => {
+  const source = new Traits('FX_CONDITION:POISONED,DC:12');
+  const target = new CharacterTraits('CON:14');
+  const conditions = new Conditions();
+  mockDice.rollDice.mockReturnValueOnce(10);
+  expect(conditions.applyFromTraits(source, target)).toEqual([]);
+  expect(conditions.has(ConditionType.POISONED)).toBe(false);
+  mockDice.rollDice.mockReturnValueOnce(9);
+  expect(conditions.applyFromTraits(source, target)).toEqual([
+    ConditionType.POISONED,
+  ]);
+  expect(conditions.has(ConditionType.POISONED)).toBe(true);
+});
+
+test('applyFromTraits uses SAVE_BY in preference to normal ability', () => {
+  const source = new Traits('FX_CONDITION:POISONED,DC:12,SAVE_BY:STR');
+  const target = new CharacterTraits('STR:8,CON:20');
+  const conditions = new Conditions();
+  mockDice.rollDice.mockReturnValueOnce(12);
+  expect(conditions.applyFromTraits(source, target)).toEqual([
+    ConditionType.POISONED,
+  ]);
+});
+
+test('endTurn ends conditions when duration expires', () => {
+  const conditions = new Conditions();
+  const traits = new CharacterTraits('CON:10');
+  conditions.add(ConditionType.STUNNED, { turns: 2 });
+  expect(conditions.endTurn(traits)).toEqual([]);
+  expect(conditions.has(ConditionType.STUNNED)).toBe(true);
+  expect(conditions.endTurn(traits)).toEqual([ConditionType.STUNNED]);
+  expect(conditions.has(ConditionType.STUNNED)).toBe(false);
+  expect(mockDice.rollDice).not.toHaveBeenCalled();
+});
+
+test('endTurn ends conditions early on a successful save', () => {
+  const conditions = new Conditions();
+  const traits = new CharacterTraits('STR:10');
+  conditions.add(ConditionType.RESTRAINED, { turns: 5, difficulty: 15 });
+  mockDice.rollDice.mockReturnValueOnce(14);
+  expect(conditions.endTurn(traits)).toEqual([]);
+  mockDice.rollDice.mockReturnValueOnce(15);
+  expect(conditions.endTurn(traits)).toEqual([ConditionType.RESTRAINED]);
+});
+
+test('endTurn does not end untimed conditions', () => {
+  const conditions = new Conditions();
+  const traits = new CharacterTraits('CON:10');
+  conditions.add(ConditionType.UNCONSCIOUS, { turns: 1 });
+  expect(conditions.endTurn(traits)).toEqual([]);
+  expect(conditions.has(ConditionType.UNCONSCIOUS)).toBe(true);
+  expect(conditions.isIncapacitated()).toBe(true);
+  expect(conditions.failsSaveAutomatically('DEX')).toBe(true);
+  expect(mockDice.rollDice).not.toHaveBeenCalled();
+});
+
+test('add extends an existing condition', () => {
+  const conditions = new Conditions();
+  conditions.add(ConditionType.BLINDED, { turns: 3 });
+  conditions.add(ConditionType.BLINDED, { turns: 1, difficulty: 10 });
+  const condition = conditions.getAll()[0];
+  expect(conditions.getAll().length).toBe(1);
+  expect(condition.turnsLeft).toBe(3);
+  expect(condition.difficulty).toBe(10);
+});
+
+test('addAttackerAdvantage and addTargetAdvantage', () => {
+  const attacker = new Conditions();
+  const target = new Conditions();
+  let advantage = new Advantage();
+  attacker.addAttackerAdvantage(advantage);
+  target.addTargetAdvantage(advantage);
+  expect(advantage.hasAdvantage()).toBe(false);
+  expect(advantage.hasDisadvantage()).toBe(false);
+
+  attacker.add(ConditionType.FRIGHTENED);
+  advantage = new Advantage();
+  attacker.addAttackerAdvantage(advantage);
+  target.addTargetAdvantage(advantage);
+  expect(advantage.hasDisadvantage()).toBe(true);
+
+  target.add(ConditionType.PARALYSED);
+  advantage = new Advantage();
+  attacker.addAttackerAdvantage(advantage);
+  target.addTargetAdvantage(advantage);
+  expect(advantage.hasAdvantage()).toBe(false);
+  expect(advantage.hasDisadvantage()).toBe(false);
+
+  target.clear();
+  target.add(ConditionType.INVISIBLE);
+  advantage = new Advantage();
+  target.addTargetAdvantage(advantage);
+  expect(advantage.hasDisadvantage()).toBe(true);
+});
+
+test('addTargetAdvantage prone target is harder to hit at range', () => {
+  const target = new Conditions();
+  target.add(ConditionType.PRONE);
+  let advantage = new Advantage();
+  target.addTargetAdvantage(advantage);
+  expect(advantage.hasAdvantage()).toBe(true);
+  expect(advantage.hasDisadvantage()).toBe(false);
+
+  advantage = new Advantage();
+  target.addTargetAdvantage(advantage, { ranged: true });
+  expect(advantage.hasAdvantage()).toBe(false);
+  expect(advantage.hasDisadvantage()).toBe(true);
+});
+
+test('failsSaveAutomatically and addSaveAdvantage', () => {
+  const conditions = new Conditions();
+  conditions.add(ConditionType.STUNNED);
+  expect(conditions.failsSaveAutomatically('DEX')).toBe(true);
+  expect(conditions.failsSaveAutomatically('WIS')).toBe(false);
+  conditions.clear();
+  conditions.add(ConditionType.RESTRAINED);
+  const advantage = new Advantage();
+  conditions.addSaveAdvantage(advantage, 'STR');
+  expect(advantage.hasDisadvantage()).toBe(false);
+  conditions.addSaveAdvantage(advantage, 'DEX');
+  expect(advantage.hasDisadvantage()).toBe(true);
+});
+
+test('raging gives STR save advantage and resistance', () => {
+  const conditions = new Conditions();
+  conditions.add(ConditionType.RAGING, { turns: 10 });
+  const advantage = new Advantage();
+  conditions.addSaveAdvantage(advantage, 'DEX');
+  expect(advantage.hasAdvantage()).toBe(false);
+  conditions.addSaveAdvantage(advantage, 'STR');
+  expect(advantage.hasAdvantage()).toBe(true);
+  expect(conditions.resistsDamage('SLASHING')).toBe(true);
+  expect(conditions.resistsDamage('FIRE')).toBe(false);
+  expect(conditions.takeDamage()).toEqual([]);
+});
+
+test('turned actors flee until damaged', () => {
+  const conditions = new Conditions();
+  expect(conditions.isFleeing()).toBe(false);
+  conditions.add(ConditionType.TURNED, { turns: 10 });
+  expect(conditions.isFleeing()).toBe(true);
+  expect(conditions.takeDamage()).toEqual([ConditionType.TURNED]);
+  expect(conditions.isFleeing()).toBe(false);
+});
+
+test('toJSON and revive', () => {
+  const conditions = new Conditions();
+  conditions.add(ConditionType.PRONE, { turns: 2 });
+  conditions.add(ConditionType.POISONED, {
+    turns: 4,
+    difficulty: 12,
+    saveBy: 'STR',
+  });
+  const json = JSON.parse(JSON.stringify(conditions));
+  expect(json.reviver).toBe('Conditions');
+  const revived = Conditions.revive(json.data);
+  expect(revived.getAll()).toEqual(conditions.getAll());
+});
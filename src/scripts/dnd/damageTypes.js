@@ -0,0 +1,165 @@
+/**
+ * @file Types of damage and how actors respond to them.
+ *
+ * @module dnd/damageTypes
+ */
+/**
+ * license {@link https://opensource.org/license/mit/|MIT}
+ * Copyright 2024 Steve Butler (henspace.com).
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the “Software”), to deal in
+ * the Software without restriction, including without limitation the rights to use,
+ * copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the
+ * Software, and to permit persons to whom the Software is furnished to do so,
+ * subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED “AS IS”, WITHOUT WARRANTY OF ANY KIND,
+ * EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES
+ * OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT
+ * HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY,
+ * WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR
+ * OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+import LOG from '../utils/logging.js';
+
+/**
+ * Types of damage.
+ * @enum {string}
+ */
+export const DamageType = {
+  ACID: 'ACID',
+  BLUDGEONING: 'BLUDGEONING',
+  COLD: 'COLD',
+  FIRE: 'FIRE',
+  FORCE: 'FORCE',
+  LIGHTNING: 'LIGHTNING',
+  NECROTIC: 'NECROTIC',
+  PIERCING: 'PIERCING',
+  POISON: 'POISON',
+  SLASHING: 'SLASHING',
+};
+
+/**
+ * Responses to a type of damage. The values are the traits that set them.
+ * @enum {string}
+ */
+export const DamageResponse = {
+  NORMAL: 'NORMAL',
+  RESISTANT: 'RESIST',
+  VULNERABLE: 'VULNERABLE',
+  IMMUNE: 'IMMUNE',
+};
+
+/**
+ * Damage types for spell effects. Effects not listed do force damage.
+ * @type {Map<string, DamageType>}
+ */
+const SPELL_EFFECT_DAMAGE_TYPES = new Map([
+  ['ACID', DamageType.ACID],
+  ['FIRE', DamageType.FIRE],
+  ['GAS', DamageType.POISON],
+  ['ICE', DamageType.COLD],
+  ['LIGHTNING', DamageType.LIGHTNING],
+  ['UNDEAD', DamageType.NECROTIC],
+]);
+
+/**
+ * Weapon damage types in the order they are searched for in a weapon's TYPE.
+ * @type {DamageType[]}
+ */
+const WEAPON_DAMAGE_TYPES = [
+  DamageType.SLASHING,
+  DamageType.PIERCING,
+  DamageType.BLUDGEONING,
+];
+
+/**
+ * Get the type of damage done by a weapon. This is taken from the words in
+ * its TYPE trait. Unarmed strikes, natural attacks and weapons with no damage
+ * type in their TYPE do bludgeoning damage.
+ * @param {string} weaponType - the weapon's TYPE trait.
+ * @returns {DamageType}
+ */
+export function getWeaponDamageType(weaponType) {
+  const upperType = weaponType?.toUpperCase() ?? '';
+  return (
+    WEAPON_DAMAGE_TYPES.find((damageType) => upperType.includes(damageType)) ??
+    DamageType.BLUDGEONING
+  );
+}
+
+/**
+ * Get the type of damage done by a spell. This is taken from its EFFECT trait.
+ * @param {module:dnd/traits.Traits} spellTraits
+ * @returns {DamageType}
+ */
+export function getSpellDamageType(spellTraits) {
+  const effect = spellTraits.get('EFFECT', '').toUpperCase();
+  return SPELL_EFFECT_DAMAGE_TYPES.get(effect) ?? DamageType.FORCE;
+}
+
+/**
+ * Get an actor's response to a type of damage. Immunity takes precedence.
+ * Resistance and vulnerability to the same type cancel out. Resistance can
+ * also come from the target's conditions, such as a barbarian's rage.
+ * @param {module:dnd/traits.Traits} targetTraits
+ * @param {DamageType} damageType
+ * @returns {DamageResponse}
+ */
+export function getDamageResponse(targetTraits, damageType) {
+  if (!damageType) {
+    return DamageResponse.NORMAL;
+  }
+  const includesType = (key) =>
+    targetTraits.get(key, [])?.includes(damageType) ?? false;
+  if (includesType(DamageResponse.IMMUNE)) {
+    return DamageResponse.IMMUNE;
+  }
+  const resistant =
+    includesType(DamageResponse.RESISTANT) ||
+    (targetTraits.conditions?.resistsDamage(damageType) ?? false);
+  const vulnerable = includesType(DamageResponse.VULNERABLE);
+  if (resistant && !vulnerable) {
+    return DamageResponse.RESISTANT;
+  } else if (vulnerable && !resistant) {
+    return DamageResponse.VULNERABLE;
+  }
+  return DamageResponse.NORMAL;
+}
+
+/**
+ * Adjust damage for the target's response to its type. Resistance halves the
+ * damage, rounding down, vulnerability doubles it, and immunity prevents it.
+ * @param {number} damage
+ * @param {DamageType} damageType
+ * @param {module:dnd/traits.Traits} targetTraits
+ * @returns {number}
+ */
+export function adjustDamageForType(damage, damageType, targetTraits) {
+  const response = getDamageResponse(targetTraits, damageType);
+  let adjusted;
+  switch (response) {
+    case DamageResponse.IMMUNE:
+      adjusted = 0;
+      break;
+    case DamageResponse.RESISTANT:
+      adjusted = Math.floor(damage / 2);
+      break;
+    case DamageResponse.VULNERABLE:
+      adjusted = 2 * damage;
+      break;
+    default:
+      return damage;
+  }
+  LOG.info(
+    `${damageType} damage ${damage} adjusted to ${adjusted}: ${response}.`
+  );
+  return adjusted;
+}
@@ -0,0 +1,99 @@
+/**
+ * @file Test damage types
+ *
+ * @module dnd/damageTypes.test
+ */
+/**
+ * license {@link https://opensource.org/license/mit/|MIT}
+ * Copyright 2024 Steve Butler (henspace.com).
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the “Software”), to deal in
+ * the Software without restriction, including without limitation the rights to use,
+ * copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the
+ * Software, and to permit persons to whom the Software is furnished to do so,
+ * subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED “AS IS”, WITHOUT WARRANTY OF ANY KIND,
+ * EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES
+ * OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT
+ * HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY,
+ * WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR
+ * OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+import { test, expect } from '@jest/globals';
+import {
+  DamageResponse,
+  DamageType,
+  adjustDamageForType,
+  getDamageResponse,
+  getSpellDamageType,
+  getWeaponDamageType,
+} from './damageTypes.js';
+import { Traits } from './traits.js';
+
+test('getWeaponDamageType uses TYPE and defaults to bludgeoning', () => {
+  expect(getWeaponDamageType('SIMPLE MELEE LIGHT WEAPON SLASHING')).toBe(
+    DamageType.SLASHING
+  );
+  expect(getWeaponDamageType('martial melee weapon piercing')).toBe(
+    DamageType.PIERCING
+  );
+  expect(getWeaponDamageType('UNARMED')).toBe(DamageType.BLUDGEONING);
+  expect(getWeaponDamageType(undefined)).toBe(DamageType.BLUDGEONING);
+});
+
+test('getSpellDamageType maps effects and defaults to force', () => {
+  expect(getSpellDamageType(new Traits('_EFFECT:ICE'))).toBe(DamageType.COLD);
+  expect(getSpellDamageType(new Traits('_EFFECT:GAS'))).toBe(DamageType.POISON);
+  expect(getSpellDamageType(new Traits('EFFECT:UNDEAD'))).toBe(
+    DamageType.NECROTIC
+  );
+  expect(getSpellDamageType(new Traits('_EFFECT:MAGIC'))).toBe(
+    DamageType.FORCE
+  );
+});
+
+test('RESIST, VULNERABLE and IMMUNE traits are parsed as lists', () => {
+  const traits = new Traits(
+    'RESIST:cold & fire, VULNERABLE:bludgeoning, IMMUNE:poison'
+  );
+  expect(traits.get('RESIST')).toEqual(['COLD', 'FIRE']);
+  expect(traits.get('VULNERABLE')).toEqual(['BLUDGEONING']);
+  expect(traits.get('IMMUNE')).toEqual(['POISON']);
+});
+
+test('getDamageResponse', () => {
+  const traits = new Traits(
+    'RESIST:COLD & FIRE, VULNERABLE:FIRE & BLUDGEONING, IMMUNE:POISON & COLD'
+  );
+  expect(getDamageResponse(traits, DamageType.COLD)).toBe(
+    DamageResponse.IMMUNE
+  );
+  expect(getDamageResponse(traits, DamageType.FIRE)).toBe(
+    DamageResponse.NORMAL
+  );
+  expect(getDamageResponse(traits, DamageType.BLUDGEONING)).toBe(
+    DamageResponse.VULNERABLE
+  );
+  expect(getDamageResponse(traits, DamageType.ACID)).toBe(
+    DamageResponse.NORMAL
+  );
+  expect(getDamageResponse(traits, undefined)).toBe(DamageResponse.NORMAL);
+});
+
+test('adjustDamageForType halves, doubles and zeroes damage', () => {
+  const traits = new Traits(
+    'RESIST:COLD, VULNERABLE:BLUDGEONING, IMMUNE:POISON'
+  );
+  expect(adjustDamageForType(7, DamageType.COLD, traits)).toBe(3);
+  expect(adjustDamageForType(7, DamageType.BLUDGEONING, traits)).toBe(14);
+  expect(adjustDamageForType(7, DamageType.POISON, traits)).toBe(0);
+  expect(adjustDamageForType(7, DamageType.FIRE, traits)).toBe(7);
+});
@@ -0,0 +1,202 @@
+/**
+ * @file Death saving throws made by actors that have been downed at 0 HP.
+ *
+ * @module dnd/deathSaves
+ */
+/**
+ * license {@link https://opensource.org/license/mit/|MIT}
+ * Copyright 2024 Steve Butler (henspace.com).
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the “Software”), to deal in
+ * the Software without restriction, including without limitation the rights to use,
+ * copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the
+ * Software, and to permit persons to whom the Software is furnished to do so,
+ * subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED “AS IS”, WITHOUT WARRANTY OF ANY KIND,
+ * EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES
+ * OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT
+ * HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY,
+ * WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR
+ * OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+import * as dice from '../utils/dice.js';
+import LOG from '../utils/logging.js';
+
+/** Successes needed to become stable. */
+const SUCCESSES_TO_STABILISE = 3;
+
+/** Failures that result in death. */
+const FAILURES_TO_DIE = 3;
+
+/** Roll needed for a death saving throw to succeed. */
+const SAVE_DIFFICULTY = 10;
+
+/**
+ * Outcome of a death saving throw.
+ * @enum {string}
+ */
+export const DeathSaveOutcome = {
+  SUCCESS: 'SUCCESS',
+  FAILURE: 'FAILURE',
+  STABILISED: 'STABILISED',
+  STABLE: 'STABLE',
+  REVIVED: 'REVIVED',
+  DEAD: 'DEAD',
+};
+
+/**
+ * Test if an actor makes death saving throws when it is reduced to 0 HP. The
+ * hero always does while monsters need the DEATH_SAVES trait set to YES.
+ * Other actors die immediately.
+ * @param {module:players/actors.Actor} actor
+ * @returns {boolean}
+ */
+export function usesDeathSaves(actor) {
+  return actor.isHero() || actor.traits?.get('DEATH_SAVES', false) === true;
+}
+
+/**
+ * Death saving throws for a downed actor. A d20 is rolled each turn, with 10
+ * or more being a success. Three successes stabilise the actor and three
+ * failures kill it. A roll of 1 counts as two failures and a 20 revives the
+ * actor. Stable actors stop rolling and come round after a few turns unless
+ * damaged first.
+ */
+export class DeathSaves {
+  /** @type {number} */
+  #successes;
+  /** @type {number} */
+  #failures;
+  /** Turns until a stable actor comes round. 0 if not stable. @type {number} */
+  #turnsToRecover;
+
+  /**
+   * Create the death saves for a newly downed actor.
+   */
+  constructor() {
+    this.#successes = 0;
+    this.#failures = 0;
+    this.#turnsToRecover = 0;
+  }
+
+  /**
+   * Get the number of successful saves.
+   * @returns {number}
+   */
+  get successes() {
+    return this.#successes;
+  }
+
+  /**
+   * Get the number of failed saves.
+   * @returns {number}
+   */
+  get failures() {
+    return this.#failures;
+  }
+
+  /**
+   * Test if the actor has stabilised.
+   * @returns {boolean}
+   */
+  isStable() {
+    return this.#turnsToRecover > 0;
+  }
+
+  /**
+   * Test if the actor has died.
+   * @returns {boolean}
+   */
+  isDead() {
+    return this.#failures >= FAILURES_TO_DIE;
+  }
+
+  /**
+   * Roll the death saving throw for a turn. Stable actors do not roll but
+   * count down until they come round.
+   * @returns {DeathSaveOutcome}
+   */
+  rollSave() {
+    if (this.isDead()) {
+      return DeathSaveOutcome.DEAD;
+    }
+    if (this.isStable()) {
+      this.#turnsToRecover--;
+      return this.#turnsToRecover > 0
+        ? DeathSaveOutcome.STABLE
+        : DeathSaveOutcome.REVIVED;
+    }
+    const roll = dice.rollDice(20);
+    LOG.info(`Death saving throw: ${roll}`);
+    if (roll === 20) {
+      return DeathSaveOutcome.REVIVED;
+    } else if (roll >= SAVE_DIFFICULTY) {
+      this.#successes++;
+      if (this.#successes >= SUCCESSES_TO_STABILISE) {
+        this.#stabilise();
+        return DeathSaveOutcome.STABILISED;
+      }
+      return DeathSaveOutcome.SUCCESS;
+    }
+    this.#failures += roll === 1 ? 2 : 1;
+    return this.isDead() ? DeathSaveOutcome.DEAD : DeathSaveOutcome.FAILURE;
+  }
+
+  /**
+   * Record damage taken while downed. Each hit counts as a failure, or two
+   * for a critical hit, and a stable actor starts rolling again.
+   * @param {boolean} [critical = false]
+   * @returns {boolean} true if the damage kills the actor.
+   */
+  takeDamage(critical = false) {
+    this.#turnsToRecover = 0;
+    this.#failures += critical ? 2 : 1;
+    return this.isDead();
+  }
+
+  /**
+   * Stabilise the actor. The tallies are reset and the actor comes round
+   * after 1d4 turns.
+   */
+  #stabilise() {
+    this.#successes = 0;
+    this.#failures = 0;
+    this.#turnsToRecover = dice.rollDice(4);
+  }
+
+  /**
+   * Convert to JSON.
+   * @returns {module:utils/persistentData~ObjectJSON}
+   */
+  toJSON() {
+    return {
+      reviver: 'DeathSaves',
+      data: {
+        successes: this.#successes,
+        failures: this.#failures,
+        turnsToRecover: this.#turnsToRecover,
+      },
+    };
+  }
+
+  /**
+   * Revive from previous call to toJSON
+   * @param {Object} data
+   * @returns {DeathSaves}
+   */
+  static revive(data) {
+    const deathSaves = new DeathSaves();
+    deathSaves.#successes = data?.successes ?? 0;
+    deathSaves.#failures = data?.failures ?? 0;
+    deathSaves.#turnsToRecover = data?.turnsToRecover ?? 0;
+    return deathSaves;
+  }
+}
@@ -0,0 +1,136 @@
+/**
+ * @file Test death saving throws
+ *
+ * @module dnd/deathSaves.test
+ */
+/**
+ * license {@link https://opensource.org/license/mit/|MIT}
+ * Copyright 2024 Steve Butler (henspace.com).
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the “Software”), to deal in
+ * the Software without restriction, including without limitation the rights to use,
+ * copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the
+ * Software, and to permit persons to whom the Software is furnished to do so,
+ * subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED “AS IS”, WITHOUT WARRANTY OF ANY KIND,
+ * EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES
+ * OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT
+ * HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY,
+ * WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR
+ * OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+import { beforeEach, jest, test, expect } from '@jest/globals';
+import * as mockedDice from '../utils/dice.mockable.js';
+
+jest.unstable_mockModule('../utils/dice.js', () => {
+  return {
+    __esModule: true,
+    ...mockedDice,
+    rollDice: jest.fn((sides) => mockedDice.rollDice(sides)),
+  };
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+const mockDice = await import('../utils/dice.js');
+const { DeathSaveOutcome, DeathSaves, usesDeathSaves } =
+  await import('./deathSaves.js');
+const { Traits } = await import('./traits.js');
+
+/**
+ * Roll a series of death saves.
+ * @param {DeathSaves} deathSaves
+ * @param {number[]} rolls - the d20 rolls.
+ * @returns {DeathSaveOutcome[]}
+ */
+function rollSaves(deathSaves, rolls) {
+  return rolls.map((roll) => {
+    mockDice.rollDice.mockReturnValueOnce(roll);
+    return deathSaves.rollSave();
+  });
+}
+
+test('usesDeathSaves for hero and flagged monsters', () => {
+  const hero = { isHero: () => true, traits: new Traits('') };
+  const orc = { isHero: () => false, traits: new Traits('_DEATH_SAVES:yes') };
+  const rat = { isHero: () => false, traits: new Traits('HP:2') };
+  expect(usesDeathSaves(hero)).toBe(true);
+  expect(usesDeathSaves(orc)).toBe(true);
+  expect(usesDeathSaves(rat)).toBe(false);
+});
+
+test('rollSave three failures kill', () => {
+  const deathSaves = new DeathSaves();
+  expect(rollSaves(deathSaves, [9, 15, 2, 5])).toEqual([
+    DeathSaveOutcome.FAILURE,
+    DeathSaveOutcome.SUCCESS,
+    DeathSaveOutcome.FAILURE,
+    DeathSaveOutcome.DEAD,
+  ]);
+  expect(deathSaves.isDead()).toBe(true);
+  expect(deathSaves.rollSave()).toBe(DeathSaveOutcome.DEAD);
+});
+
+test('rollSave natural 1 counts as two failures', () => {
+  const deathSaves = new DeathSaves();
+  expect(rollSaves(deathSaves, [1])).toEqual([DeathSaveOutcome.FAILURE]);
+  expect(deathSaves.failures).toBe(2);
+  expect(rollSaves(deathSaves, [1])).toEqual([DeathSaveOutcome.DEAD]);
+});
+
+test('rollSave natural 20 revives', () => {
+  const deathSaves = new DeathSaves();
+  expect(rollSaves(deathSaves, [3, 20])).toEqual([
+    DeathSaveOutcome.FAILURE,
+    DeathSaveOutcome.REVIVED,
+  ]);
+});
+
+test('rollSave three successes stabilise and then revive', () => {
+  const deathSaves = new DeathSaves();
+  mockDice.rollDice.mockReturnValueOnce(10);
+  mockDice.rollDice.mockReturnValueOnce(19);
+  mockDice.rollDice.mockReturnValueOnce(12).mockReturnValueOnce(2); // d4
+  expect(deathSaves.rollSave()).toBe(DeathSaveOutcome.SUCCESS);
+  expect(deathSaves.rollSave()).toBe(DeathSaveOutcome.SUCCESS);
+  expect(deathSaves.rollSave()).toBe(DeathSaveOutcome.STABILISED);
+  expect(deathSaves.isStable()).toBe(true);
+  expect(deathSaves.successes).toBe(0);
+  expect(deathSaves.rollSave()).toBe(DeathSaveOutcome.STABLE);
+  expect(deathSaves.rollSave()).toBe(DeathSaveOutcome.REVIVED);
+  expect(mockDice.rollDice).toHaveBeenCalledTimes(4);
+});
+
+test('takeDamage counts as failures and ends stability', () => {
+  const deathSaves = new DeathSaves();
+  rollSaves(deathSaves, [10, 10]);
+  mockDice.rollDice.mockReturnValueOnce(10).mockReturnValueOnce(4); // d4
+  deathSaves.rollSave();
+  expect(deathSaves.isStable()).toBe(true);
+  expect(deathSaves.takeDamage()).toBe(false);
+  expect(deathSaves.isStable()).toBe(false);
+  expect(deathSaves.failures).toBe(1);
+  expect(deathSaves.takeDamage(true)).toBe(true);
+});
+
+test('toJSON and revive', () => {
+  const deathSaves = new DeathSaves();
+  rollSaves(deathSaves, [15, 4]);
+  const revived = DeathSaves.revive(
+    JSON.parse(JSON.stringify(deathSaves)).data
+  );
+  expect(revived).toBeInstanceOf(DeathSaves);
+  expect(revived.successes).toBe(1);
+  expect(revived.failures).toBe(1);
+  expect(revived.isStable()).toBe(false);
+});
@@ -31,6 +31,14 @@ import * as dice from '../utils/dice.js';
 import LOG from '../utils/logging.js';
 import { characteristicToModifier, AttackDetail } from './traits.js';
 import * as magic from './magic.js';
+import { restoreUses } from './classFeatures.js';
+import { addLuck, restoreRacialAbilities } from './races.js';
+import { Advantage } from './advantage.js';
+import {
+  DamageType,
+  adjustDamageForType,
+  getSpellDamageType,
+} from './damageTypes.js';
 import { AttackMode } from '../players/actors.js';
 import WORLD from '../utils/game/world.js';
 
@@ -58,32 +66,162 @@ export const Difficulty = {
 };
 
 /**
- * Roll an attack and damage dice.
+ * @typedef {Object} AttackResult
+ * @property {number} damage - 0 if the attack missed. This has been adjusted
+ * for the target's response to the damage type.
+ * @property {boolean} hit - true if the attack hit, even if the target was
+ * immune to its damage.
+ * @property {boolean} critical - true if a natural 20 was rolled.
+ * @property {boolean} fumble - true if a natural 1 was rolled.
+ * @property {boolean} sneakAttack - true if sneak attack dice were added to
+ * the damage.
+ * @property {module:dnd/damageTypes.DamageType} damageType
+ */
+
+/**
+ * Roll sneak attack damage.
+ * @param {string} sneakAttackDice
+ * @param {boolean} critical - if true, the dice are rolled twice.
+ * @returns {number}
+ */
+function rollSneakAttackDamage(sneakAttackDice, critical) {
+  let damageDice = sneakAttackDice;
+  if (critical) {
+    damageDice = dice.changeQtyOfDice(
+      damageDice,
+      dice.getDiceDetails(damageDice).qty
+    );
+  }
+  const damage = dice.rollMultiDice(damageDice);
+  LOG.info(`Sneak attack: ${damageDice} = ${damage}`);
+  return damage;
+}
+
+/**
+ * Roll an attack and damage dice. Conditions affecting the attacker and target
+ * add to any advantage or disadvantage already provided. A natural 1 always
+ * misses and is a fumble. A natural 20 always hits and is a critical hit,
+ * for which the damage dice are rolled twice. The damage is adjusted for the
+ * target's resistance, vulnerability or immunity to the attack's damage type.
+ * Ranged attacks are also rolled here; the attack's ranged flag decides how
+ * conditions such as prone affect them. A lucky attacker rerolls a natural 1.
  * @param {module:dnd/traits~AttackDetail} attack
  * @param {module:dnd/traits.CharacterTraits} targetTraits
- * @returns {number} amount of damage
+ * @param {module:dnd/traits.CharacterTraits} [attackerTraits]
+ * @param {Advantage} [advantage] - sources of advantage and disadvantage
+ * arising from the situation rather than the actors' traits.
+ * @param {Object} [options = {}]
+ * @param {number} [options.bonusDamage = 0] - damage added to a hit, such as
+ * a barbarian's rage damage.
+ * @param {string} [options.sneakAttackDice] - extra damage dice rolled if the
+ * attack hits with advantage. Like the weapon's dice, they are rolled twice
+ * for a critical hit.
+ * @returns {AttackResult}
  */
-export function getMeleeDamage(attack, targetTraits) {
-  const attackRoll = attack.rollForAttack();
-  // handle fate and curses.
+export function rollMeleeAttack(
+  attack,
+  targetTraits,
+  attackerTraits,
+  advantage = new Advantage(),
+  options = {}
+) {
+  attackerTraits?.conditions?.addAttackerAdvantage(advantage);
+  addLuck(advantage, attackerTraits);
+  targetTraits.conditions?.addTargetAdvantage(advantage, {
+    ranged: attack.ranged,
+  });
+  const attackRoll = attack.rollForAttack(advantage);
+  const result = {
+    damage: 0,
+    hit: false,
+    critical: false,
+    fumble: false,
+    sneakAttack: false,
+    damageType: attack.damageType,
+  };
   if (attackRoll.roll === 1) {
-    LOG.info('Attack dice rolled 0: cursed.');
-    return 0; // cursed.
+    LOG.info('Attack dice rolled 1: fumble.');
+    result.fumble = true;
+    return result;
   } else if (attackRoll.roll === 20) {
-    LOG.info('Attack dice rolled 20: critical hit. Damage will be doubled.');
-    return 2 * attack.rollForDamage(); // critical hit
+    LOG.info('Attack dice rolled 20: critical hit. Damage dice rolled twice.');
+    result.critical = true;
+    result.hit = true;
+  } else {
+    const targetAc = targetTraits.getEffectiveInt('AC');
+    LOG.info(`Melee: attack roll ${attackRoll.value} vs target AC ${targetAc}`);
+    result.hit = attackRoll.value >= targetAc;
+  }
+  if (result.hit) {
+    let damage = attack.rollForDamage(result.critical);
+    damage += options.bonusDamage ?? 0;
+    if (options.sneakAttackDice && advantage.hasAdvantage()) {
+      damage += rollSneakAttackDamage(options.sneakAttackDice, result.critical);
+      result.sneakAttack = true;
+    }
+    result.damage = adjustDamageForType(
+      damage,
+      attack.damageType,
+      targetTraits
+    );
   }
+  return result;
+}
+
+/**
+ * Roll an attack and damage dice. See {@link rollMeleeAttack}.
+ * @param {module:dnd/traits~AttackDetail} attack
+ * @param {module:dnd/traits.CharacterTraits} targetTraits
+ * @param {module:dnd/traits.CharacterTraits} [attackerTraits]
+ * @param {Advantage} [advantage]
+ * @returns {number} amount of damage
+ */
+export function getMeleeDamage(
+  attack,
+  targetTraits,
+  attackerTraits,
+  advantage
+) {
+  return rollMeleeAttack(attack, targetTraits, attackerTraits, advantage)
+    .damage;
+}
 
-  const targetAc = targetTraits.getEffectiveInt('AC');
-  LOG.info(`Melee: attack roll ${attackRoll.value} vs target AC ${targetAc}`);
-  if (attackRoll.value >= targetAc) {
-    return attack.rollForDamage();
+/**
+ * Roll a saving throw. Conditions affecting the actor making the save can
+ * give it advantage or disadvantage or cause it to fail automatically. A
+ * lucky actor rerolls a natural 1.
+ * @param {module:dnd/traits.CharacterTraits} traits - traits of the actor
+ * making the save.
+ * @param {string} ability - ability used for the save; e.g. CON.
+ * @param {number} difficulty
+ * @param {Object} [options = {}]
+ * @param {number} [options.modifier] - modifier added to the roll. If not set,
+ * the modifier for the actor's ability is used.
+ * @param {Advantage} [options.advantage] - sources of advantage and
+ * disadvantage arising from the situation.
+ * @returns {boolean} true if the save succeeds.
+ */
+export function rollSavingThrow(traits, ability, difficulty, options = {}) {
+  if (traits.conditions?.failsSaveAutomatically(ability)) {
+    LOG.info(`${ability} save fails automatically.`);
+    return false;
   }
-  return 0;
+  const advantage = options.advantage ?? new Advantage();
+  traits.conditions?.addSaveAdvantage(advantage, ability);
+  addLuck(advantage, traits);
+  const modifier =
+    options.modifier ??
+    characteristicToModifier(traits.getEffectiveInt(ability, 10));
+  const roll = advantage.rollD20();
+  LOG.info(
+    `${ability} save: roll ${roll} + modifier ${modifier} vs DC ${difficulty}`
+  );
+  return roll + modifier >= difficulty;
 }
 
 /**
- * Poison with saving throw.
+ * Poison with saving throw. The damage is adjusted for the target's response
+ * to poison damage.
  * @param {module:dnd/traits.Traits} attackerTraits
  * @param {module:dnd/traits.CharacterTraits} targetTraits
  * @returns {number}
@@ -97,18 +235,20 @@ export function getPoisonDamage(attackerTraits, targetTraits) {
   const difficulty = attackerTraits.getInt('DC');
   if (!difficulty) {
     LOG.error(`Poisoner ${attackerTraits.get('NAME')} has no DC set.`);
-    return damage;
+    return adjustDamageForType(damage, DamageType.POISON, targetTraits);
   }
-  const saveRoll = dice.rollDice(20);
-  LOG.info(
-    `Poison: save roll ${saveRoll} + modifier ${saveModifier} vs target DC ${difficulty}`
+  const saved = rollSavingThrow(
+    targetTraits,
+    attackerTraits.get('SAVE_BY', 'DEX'),
+    difficulty,
+    { modifier: saveModifier }
+  );
+  const factor = saved ? attackerTraits.getFloat('DMG_SAVED', 0) : 1;
+  return adjustDamageForType(
+    Math.round(factor * damage),
+    DamageType.POISON,
+    targetTraits
   );
-  if (saveRoll + saveModifier >= difficulty) {
-    const factor = attackerTraits.getFloat('DMG_SAVED', 0);
-    return Math.round(factor * damage);
-  } else {
-    return damage;
-  }
 }
 
 /**
@@ -133,18 +273,21 @@ export function getConsumptionBenefit(consumableTraits, consumerTraits) {
 }
 
 /**
- * Get the spell damage. Uses the ATTACK to determine the mechanics used.
+ * Get the spell damage. Uses the ATTACK to determine the mechanics used. The
+ * damage type is derived from the spell's EFFECT.
  * @param {module:dnd/traits.CharacterTraits} attackerTraits
  * @param {module:dnd/traits.CharacterTraits} targetTraits
  * @param {module:dnd/traits.MagicTraits} spellTraits
  * @param {number} separation - distance between attacker and target in tiles.
+ * @param {number} [slotLevel] - level of the slot used to cast the spell.
  * @returns {number}
  */
 export function getSpellDamage(
   attackerTraits,
   targetTraits,
   spellTraits,
-  separation
+  separation,
+  slotLevel
 ) {
   if (targetTraits.get('UNDEAD') && spellTraits.get('UNDEAD_IMMUNE')) {
     LOG.info(`Spell does not work on the undead.`);
@@ -153,16 +296,27 @@ export function getSpellDamage(
   switch (spellTraits.get('MODE')) {
     case 'MELEE':
     case 'VAMPIRIC MELEE':
-      return getSpellMeleeDamage(attackerTraits, targetTraits, spellTraits);
+      return getSpellMeleeDamage(
+        attackerTraits,
+        targetTraits,
+        spellTraits,
+        slotLevel
+      );
     case 'RANGED':
       return getSpellRangedDamage(
         attackerTraits,
         targetTraits,
         spellTraits,
-        separation
+        separation,
+        slotLevel
       );
     default:
-      return getSpellNormalDamage(attackerTraits, targetTraits, spellTraits);
+      return getSpellNormalDamage(
+        attackerTraits,
+        targetTraits,
+        spellTraits,
+        slotLevel
+      );
   }
 }
 
@@ -172,13 +326,15 @@ export function getSpellDamage(
  * @param {module:dnd/traits.CharacterTraits} targetTraits
  * @param {module:dnd/traits.MagicTraits} spellTraits
  * @param {number} separation - distance between attacker and target in tiles.
+ * @param {number} [slotLevel] - level of the slot used to cast the spell.
  * @returns {number}
  */
 function getSpellRangedDamage(
   attackerTraits,
   targetTraits,
   spellTraits,
-  separation
+  separation,
+  slotLevel
 ) {
   const spellCastAbility = attackerTraits.get('SPELL_CAST', 'INT');
   const spellCastAbilityValue = attackerTraits.getEffectiveInt(
@@ -187,7 +343,7 @@ function getSpellRangedDamage(
   );
   let damageDice;
   if (spellTraits.getDamageDiceWhenCastBy) {
-    damageDice = spellTraits.getDamageDiceWhenCastBy(attackerTraits);
+    damageDice = spellTraits.getDamageDiceWhenCastBy(attackerTraits, slotLevel);
   } else {
     damageDice = spellTraits.get('DMG', '1D4');
   }
@@ -196,9 +352,12 @@ function getSpellRangedDamage(
     weaponType: 'MAGIC',
     proficiencyBonus: attackerTraits.getCharacterPb(spellTraits),
     abilityModifier: characteristicToModifier(spellCastAbilityValue),
-    disadvantage: Math.round(separation) <= 1,
+    disadvantage:
+      Math.round(separation) <= 1 ? 'ranged attack at close range' : undefined,
+    damageType: getSpellDamageType(spellTraits),
+    ranged: true,
   });
-  return getMeleeDamage(attack, targetTraits);
+  return getMeleeDamage(attack, targetTraits, attackerTraits);
 }
 
 /**
@@ -206,9 +365,15 @@ function getSpellRangedDamage(
  * @param {module:dnd/traits.CharacterTraits} attackerTraits
  * @param {module:dnd/traits.CharacterTraits} targetTraits
  * @param {module:dnd/traits.MagicTraits} spellTraits
+ * @param {number} [slotLevel] - level of the slot used to cast the spell.
  * @returns {number}
  */
-function getSpellMeleeDamage(attackerTraits, targetTraits, spellTraits) {
+function getSpellMeleeDamage(
+  attackerTraits,
+  targetTraits,
+  spellTraits,
+  slotLevel
+) {
   const spellCastAbility = attackerTraits.get('SPELL_CAST', 'INT');
   const spellCastAbilityValue = attackerTraits.getEffectiveInt(
     spellCastAbility,
@@ -216,7 +381,7 @@ function getSpellMeleeDamage(attackerTraits, targetTraits, spellTraits) {
   );
   let damageDice;
   if (spellTraits.getDamageDiceWhenCastBy) {
-    damageDice = spellTraits.getDamageDiceWhenCastBy(attackerTraits);
+    damageDice = spellTraits.getDamageDiceWhenCastBy(attackerTraits, slotLevel);
   } else {
     damageDice = spellTraits.get('DMG', '1D4');
   }
@@ -225,8 +390,9 @@ function getSpellMeleeDamage(attackerTraits, targetTraits, spellTraits) {
     weaponType: 'MAGIC',
     proficiencyBonus: attackerTraits.getCharacterPb(spellTraits),
     abilityModifier: characteristicToModifier(spellCastAbilityValue),
+    damageType: getSpellDamageType(spellTraits),
   });
-  return getMeleeDamage(attack, targetTraits);
+  return getMeleeDamage(attack, targetTraits, attackerTraits);
 }
 
 /**
@@ -234,12 +400,14 @@ function getSpellMeleeDamage(attackerTraits, targetTraits, spellTraits) {
  * @param {module:dnd/traits.CharacterTraits} attackerTraits
  * @param {module:dnd/traits.CharacterTraits} targetTraits
  * @param {module:dnd/traits.MagicTraits} spellTraits
+ * @param {number} [slotLevel] - level of the slot used to cast the spell.
  * @returns {number}
  */
 export function getSpellNormalDamage(
   attackerTraits,
   targetTraits,
-  spellTraits
+  spellTraits,
+  slotLevel
 ) {
   const saveModifier = targetTraits.getNonMeleeSaveAbilityModifier(spellTraits);
   let spellModifier = 0;
@@ -262,23 +430,26 @@ export function getSpellNormalDamage(
   }
 
   const fullDifficulty = difficulty + spellModifier;
-  let savingThrow = dice.rollDice(20) + saveModifier;
   let damageDice;
   if (spellTraits.getDamageDiceWhenCastBy) {
-    damageDice = spellTraits.getDamageDiceWhenCastBy(attackerTraits);
+    damageDice = spellTraits.getDamageDiceWhenCastBy(attackerTraits, slotLevel);
   } else {
     damageDice = spellTraits.get('DMG', '1D4');
   }
   const damage = dice.rollMultiDice(damageDice);
-  LOG.info(
-    `${attackLabel}: saving throw ${savingThrow} vs target DC ${fullDifficulty}`
+  LOG.info(`${attackLabel}: saving throw vs target DC ${fullDifficulty}`);
+  const saved = rollSavingThrow(
+    targetTraits,
+    spellTraits.get('SAVE_BY', 'DEX'),
+    fullDifficulty,
+    { modifier: saveModifier }
+  );
+  const factor = saved ? spellTraits.getFloat('DMG_SAVED', 0) : 1;
+  return adjustDamageForType(
+    Math.round(factor * damage),
+    getSpellDamageType(spellTraits),
+    targetTraits
   );
-  if (savingThrow >= fullDifficulty) {
-    const factor = spellTraits.getFloat('DMG_SAVED', 0);
-    return Math.round(factor * damage);
-  } else {
-    return damage;
-  }
 }
 
 /**
@@ -286,15 +457,21 @@ export function getSpellNormalDamage(
  * @param {module:dnd/traits.CharacterTraits} casterTraits
  * @param {module:dnd/traits.CharacterTraits} targetTraits
  * @param {module:dnd/traits.MagicTraits} spellTraits
+ * @param {number} [slotLevel] - level of the slot used to cast the spell.
  * @returns {number}
  */
-export function getSpellHpGain(casterTraits, targetTraits, spellTraits) {
+export function getSpellHpGain(
+  casterTraits,
+  targetTraits,
+  spellTraits,
+  slotLevel
+) {
   if (!spellTraits.has('HP_GAIN')) {
     return 0;
   }
   let hpGainDice;
   if (spellTraits.getHpGainDiceWhenCastBy) {
-    hpGainDice = spellTraits.getHpGainDiceWhenCastBy(casterTraits);
+    hpGainDice = spellTraits.getHpGainDiceWhenCastBy(casterTraits, slotLevel);
   } else {
     hpGainDice = spellTraits.get('HP_GAIN', 0);
   }
@@ -368,7 +545,9 @@ export function canRest(nFood, nDrinks, traits) {
 }
 
 /**
- * Take a rest.
+ * Take a rest. Spent uses of class features and spell slots are also
+ * restored, and a long rest restores racial abilities. Only pact casters
+ * regain spell slots on a short rest.
  * @param {module:players/actors.Actor} actor
  * @param {string} length - LONG or SHORT
  * @returns {{oldHp: number, newHp: number}}
@@ -392,6 +571,8 @@ export function takeRest(actor, length) {
           actor.traits.set('HP', newHp);
           actor.traits.set('SPENT_HIT_DICE', spentHitDice + 1);
         }
+        restoreUses(actor.traits, length);
+        magic.restoreSpellSlots(actor.traits, length);
         actor.toxify?.cure();
       }
       break;
@@ -407,7 +588,9 @@ export function takeRest(actor, length) {
 
         newHp = actor.traits.getInt('HP_MAX', currentHp);
         actor.traits.set('HP', newHp);
-        magic.restoreCastingPower(actor.traits);
+        restoreUses(actor.traits, length);
+        magic.restoreSpellSlots(actor.traits, length);
+        restoreRacialAbilities(actor.traits, length);
         actor.toxify?.cure();
       }
       break;
@@ -488,12 +671,15 @@ export function canIdentify(identifierTraits, objectTraits) {
 }
 
 /**
- * Can perform task.
+ * Can perform task. Conditions such as poisoned give the check disadvantage
+ * and a lucky picker rerolls a natural 1.
  * @param {module:dnd/traits.CharacterTraits} pickerTraits
  * @param {Object} task
  * @param {string} task.ability -e.g. DEX
  * @param {string} task.proficiency - e.g. 'PICK LOCK'
  * @param {number} task.difficulty - e.g. Difficulty.HARD
+ * @param {Advantage} [task.advantage] - sources of advantage and disadvantage
+ * arising from the situation.
  * @returns {boolean}
  */
 export function canPerformTask(pickerTraits, task) {
@@ -502,7 +688,10 @@ export function canPerformTask(pickerTraits, task) {
   const profBonus = task.proficiency
     ? pickerTraits.getCharacterPb(task.proficiency)
     : 0;
-  const pickRoll = dice.rollDice(20) + modifier + profBonus;
+  const advantage = task.advantage ?? new Advantage();
+  pickerTraits.conditions?.addCheckAdvantage(advantage);
+  addLuck(advantage, pickerTraits);
+  const pickRoll = advantage.rollD20() + modifier + profBonus;
   LOG.info(
     `Try ${task.proficiency}:D20 + ability(${modifier}) + proficiency(${profBonus}): ${pickRoll} vs ${task.difficulty}`
   );
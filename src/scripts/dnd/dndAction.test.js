@@ -48,6 +48,9 @@ const { characteristicToModifier } = await import('./traits.js');
 const { Actor, ActorType } = await import('../players/actors.js');
 const dndAction = await import('./dndAction.js');
 const { CharacterTraits, Traits } = await import('./traits.js');
+const { ConditionType } = await import('./conditions.js');
+const { Advantage } = await import('./advantage.js');
+const magic = await import('./magic.js');
 const { getLevelAndProfBonusFromExp, getMinExpPointsForLevel } = await import(
   './tables.js'
 );
@@ -106,15 +109,138 @@ test('getMeleeDamage AC < attack roll value but critical miss', () => {
   expect(dndAction.getMeleeDamage(attack, traits)).toBe(0);
 });
 
-test('getMeleeDamage AC > attack roll value but twice damage on critical hit', () => {
+test('getMeleeDamage AC > attack roll value but damage dice doubled on critical hit', () => {
   const attackRoll = { roll: 20, value: 18 };
   const damage = 20;
+  const rollForDamage = jest.fn(() => damage);
   let attack = {
     rollForAttack: () => attackRoll,
-    rollForDamage: () => damage,
+    rollForDamage: rollForDamage,
   };
   const traits = new CharacterTraits(`EXP:0, AC:${attackRoll.value + 1}`);
-  expect(dndAction.getMeleeDamage(attack, traits)).toBe(2 * damage);
+  expect(dndAction.getMeleeDamage(attack, traits)).toBe(damage);
+  expect(rollForDamage).toHaveBeenCalledWith(true);
+});
+
+test('rollMeleeAttack adjusts damage for damage type', () => {
+  const damage = 20;
+  let attack = {
+    damageType: 'SLASHING',
+    rollForAttack: () => ({ roll: 16, value: 18 }),
+    rollForDamage: () => damage,
+  };
+  let traits = new CharacterTraits('EXP:0, AC:10, VULNERABLE:SLASHING');
+  expect(dndAction.rollMeleeAttack(attack, traits).damage).toBe(2 * damage);
+  traits = new CharacterTraits('EXP:0, AC:10, IMMUNE:SLASHING');
+  const result = dndAction.rollMeleeAttack(attack, traits);
+  expect(result.damage).toBe(0);
+  expect(result.hit).toBe(true);
+  expect(result.damageType).toBe('SLASHING');
+});
+
+test('rollMeleeAttack flags critical hits and fumbles', () => {
+  const damage = 20;
+  const attackRoll = { roll: 20, value: 18 };
+  let attack = {
+    rollForAttack: () => attackRoll,
+    rollForDamage: () => damage,
+  };
+  const traits = new CharacterTraits('EXP:0, AC:10');
+  expect(dndAction.rollMeleeAttack(attack, traits)).toMatchObject({
+    damage: damage,
+    hit: true,
+    critical: true,
+    fumble: false,
+  });
+  attackRoll.roll = 1;
+  expect(dndAction.rollMeleeAttack(attack, traits)).toMatchObject({
+    damage: 0,
+    hit: false,
+    critical: false,
+    fumble: true,
+  });
+  attackRoll.roll = 10;
+  expect(dndAction.rollMeleeAttack(attack, traits)).toMatchObject({
+    damage: damage,
+    hit: true,
+    critical: false,
+    fumble: false,
+  });
+});
+
+test('rollMeleeAttack adds sneak attack dice only with advantage', () => {
+  const damage = 5;
+  let attack = {
+    rollForAttack: () => ({ roll: 16, value: 18 }),
+    rollForDamage: () => damage,
+  };
+  const traits = new CharacterTraits('EXP:0, AC:10');
+  const options = { bonusDamage: 2, sneakAttackDice: '2D6' };
+  let result = dndAction.rollMeleeAttack(
+    attack,
+    traits,
+    undefined,
+    undefined,
+    options
+  );
+  expect(result.damage).toBe(damage + 2);
+  expect(result.sneakAttack).toBe(false);
+  const advantage = new Advantage();
+  advantage.addAdvantage('test');
+  result = dndAction.rollMeleeAttack(
+    attack,
+    traits,
+    undefined,
+    advantage,
+    options
+  );
+  expect(result.damage).toBeGreaterThanOrEqual(damage + 2 + 2);
+  expect(result.damage).toBeLessThanOrEqual(damage + 2 + 12);
+  expect(result.sneakAttack).toBe(true);
+});
+
+test('rollMeleeAttack raging target resists weapon damage', () => {
+  const damage = 20;
+  let attack = {
+    damageType: 'SLASHING',
+    rollForAttack: () => ({ roll: 16, value: 18 }),
+    rollForDamage: () => damage,
+  };
+  const traits = new CharacterTraits('EXP:0, AC:10');
+  traits.conditions.add(ConditionType.RAGING, { turns: 10 });
+  expect(dndAction.rollMeleeAttack(attack, traits).damage).toBe(damage / 2);
+});
+
+test('getMeleeDamage passes condition advantage to attack roll', () => {
+  const damage = 20;
+  const rollForAttack = jest.fn(() => ({ roll: 16, value: 18 }));
+  const attack = {
+    rollForAttack: rollForAttack,
+    rollForDamage: () => damage,
+  };
+  const attackerTraits = new CharacterTraits('EXP:0');
+  const targetTraits = new CharacterTraits('EXP:0, AC:10');
+  targetTraits.conditions.add(ConditionType.PRONE);
+  expect(dndAction.getMeleeDamage(attack, targetTraits, attackerTraits)).toBe(
+    damage
+  );
+  const advantage = rollForAttack.mock.calls[0][0];
+  expect(advantage.hasAdvantage()).toBe(true);
+});
+
+test('rollSavingThrow: conditions can make saves fail automatically', () => {
+  const traits = new CharacterTraits('EXP:0,DEX:10,CON:10');
+  traits.conditions.add(ConditionType.PARALYSED);
+  mockDice.rollDice.mockReturnValueOnce(20);
+  expect(dndAction.rollSavingThrow(traits, 'DEX', 10)).toBe(false);
+  expect(dndAction.rollSavingThrow(traits, 'CON', 10)).toBe(true);
+});
+
+test('rollSavingThrow: restrained has disadvantage on DEX saves', () => {
+  const traits = new CharacterTraits('EXP:0,DEX:10');
+  traits.conditions.add(ConditionType.RESTRAINED);
+  mockDice.rollDice.mockReturnValueOnce(18).mockReturnValueOnce(5);
+  expect(dndAction.rollSavingThrow(traits, 'DEX', 10)).toBe(false);
 });
 
 test('getPoisonDamage: no DC set always gives damage', () => {
@@ -131,6 +257,19 @@ test('getPoisonDamage: no DC set always gives damage', () => {
   );
 });
 
+test('getPoisonDamage: adjusted for resistance and immunity to poison', () => {
+  const damage = 18;
+  const attackerTraits = new Traits(`DMG:${damage}D1`);
+  let targetTraits = new Traits('RESIST:POISON');
+  targetTraits.getNonMeleeSaveAbilityModifier = jest.fn(() => 0);
+  expect(dndAction.getPoisonDamage(attackerTraits, targetTraits)).toBe(
+    damage / 2
+  );
+  targetTraits = new Traits('IMMUNE:POISON');
+  targetTraits.getNonMeleeSaveAbilityModifier = jest.fn(() => 0);
+  expect(dndAction.getPoisonDamage(attackerTraits, targetTraits)).toBe(0);
+});
+
 test('getPoisonDamage: use DMG_POISON if set', () => {
   const damage = 18;
   const saveModifier = -40; // reduces rollDice(20) to -ve
@@ -332,11 +471,13 @@ test('getSpellHpGain - space for restoration', () => {
   const result = dndAction.getSpellHpGain(
     casterTraits,
     targetTraits,
-    spellTraits
+    spellTraits,
+    2
   );
   expect(result).toBe(hpGain);
   expect(spellTraits.getHpGainDiceWhenCastBy).toHaveBeenCalledWith(
-    casterTraits
+    casterTraits,
+    2
   );
 });
 
@@ -357,7 +498,8 @@ test('getSpellHpGain - clipped to max', () => {
   );
   expect(result).toBe(hpMax - hp);
   expect(spellTraits.getHpGainDiceWhenCastBy).toHaveBeenCalledWith(
-    casterTraits
+    casterTraits,
+    undefined
   );
 });
 
@@ -570,6 +712,28 @@ test('getSpellDamage - ranged - save succeeded', () => {
   expect(result).toBe(0);
 });
 
+test.each(['MELEE', 'RANGED'])(
+  'getSpellDamage - %s spell attack by poisoned caster has disadvantage',
+  (mode) => {
+    const damage = 4;
+    const attackerTraits = new CharacterTraits(
+      'SPELL_CAST:INT, INT:10, PROF:SPELL, EXP:0'
+    );
+    attackerTraits.conditions.add(ConditionType.POISONED);
+    const spellTraits = new Traits(`MODE:${mode}, DMG:${damage}D1`);
+    const targetTraits = new CharacterTraits('EXP:0, AC:15');
+    mockDice.rollDice.mockReturnValueOnce(18).mockReturnValueOnce(5);
+    expect(
+      dndAction.getSpellDamage(attackerTraits, targetTraits, spellTraits, 3)
+    ).toBe(0);
+    attackerTraits.conditions.remove(ConditionType.POISONED);
+    mockDice.rollDice.mockReturnValueOnce(18);
+    expect(
+      dndAction.getSpellDamage(attackerTraits, targetTraits, spellTraits, 3)
+    ).toBe(damage);
+  }
+);
+
 // Undead
 test('getSpellDamage - undead immunity - save failed but target not undead', () => {
   const isProficient = true;
@@ -819,7 +983,7 @@ test('take rest does not exceed HP_MAX', () => {
   expect(actor.traits.getInt('SPENT_HIT_DICE')).toBe(1);
 });
 
-test('takeRest short does not restore casting power but long does', () => {
+test('takeRest short does not restore spell slots but long does', () => {
   const actor = new Actor({}, ActorType.HERO);
   const mockCure = jest.fn(() => console.log('cure'));
   actor.toxify = {
@@ -828,12 +992,25 @@ test('takeRest short does not restore casting power but long does', () => {
 
   const level = 6;
   const exp = getMinExpPointsForLevel(level);
-  actor.traits = new CharacterTraits(`EXP:${exp}, CASTING_POWER:0`);
+  actor.traits = new CharacterTraits(`EXP:${exp}, CLASS:WIZARD`);
+  magic.useSpellSlot(actor.traits, 3);
   dndAction.takeRest(actor, 'SHORT');
-  expect(actor.traits.getInt('CASTING_POWER')).toBe(0);
+  expect(magic.getSpellSlots(actor.traits)).toEqual([4, 3, 2]);
   dndAction.takeRest(actor, 'LONG');
-  const expectedPower = Math.round(4 * (2 + (20 * (level - 1)) / 19));
-  expect(actor.traits.getInt('CASTING_POWER')).toBe(expectedPower);
+  expect(magic.getSpellSlots(actor.traits)).toEqual([4, 3, 3]);
+});
+
+test('takeRest short restores pact spell slots', () => {
+  const actor = new Actor({}, ActorType.HERO);
+  actor.toxify = {
+    cure: jest.fn(),
+  };
+  const exp = getMinExpPointsForLevel(3);
+  actor.traits = new CharacterTraits(`EXP:${exp}, CLASS:WARLOCK`);
+  magic.useSpellSlot(actor.traits, 2);
+  expect(magic.getSpellSlots(actor.traits)).toEqual([0, 1]);
+  dndAction.takeRest(actor, 'SHORT');
+  expect(magic.getSpellSlots(actor.traits)).toEqual([0, 2]);
 });
 
 test('takeRest short increments spent dice', () => {
@@ -1290,6 +1467,18 @@ test('canPerformTask: no proficiency', () => {
   }
 });
 
+test('canPerformTask: poisoned has disadvantage', () => {
+  const actorTraits = new CharacterTraits('EXP:0,DEX:10');
+  actorTraits.conditions.add(ConditionType.POISONED);
+  mockDice.rollDice.mockReturnValueOnce(18).mockReturnValueOnce(5);
+  expect(
+    dndAction.canPerformTask(actorTraits, {
+      ability: 'DEX',
+      difficulty: 15,
+    })
+  ).toBe(false);
+});
+
 test('canPerformTask: proficient', () => {
   let successes = 0;
   let failures = 0;
@@ -0,0 +1,64 @@
+/**
+ * @file Optional table of outcomes for fumbled attacks.
+ *
+ * @module dnd/fumbles
+ */
+/**
+ * license {@link https://opensource.org/license/mit/|MIT}
+ * Copyright 2024 Steve Butler (henspace.com).
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the “Software”), to deal in
+ * the Software without restriction, including without limitation the rights to use,
+ * copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the
+ * Software, and to permit persons to whom the Software is furnished to do so,
+ * subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED “AS IS”, WITHOUT WARRANTY OF ANY KIND,
+ * EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES
+ * OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT
+ * HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY,
+ * WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR
+ * OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+import * as dice from '../utils/dice.js';
+import LOG from '../utils/logging.js';
+
+/**
+ * Outcomes of a fumble.
+ * @enum {string}
+ */
+export const FumbleOutcome = {
+  MISS: 'MISS',
+  STUMBLE: 'STUMBLE',
+  SELF_INJURY: 'SELF INJURY',
+  WEAPON_BREAKS: 'WEAPON BREAKS',
+};
+
+/**
+ * Roll on the fumble table. This is used when an attack roll is a natural 1.
+ * Most fumbles are just a miss but the attacker can also stumble, injure
+ * themselves or break their weapon.
+ * @returns {FumbleOutcome}
+ */
+export function rollOnFumbleTable() {
+  const roll = dice.rollDice(20);
+  let outcome;
+  if (roll <= 10) {
+    outcome = FumbleOutcome.MISS;
+  } else if (roll <= 15) {
+    outcome = FumbleOutcome.STUMBLE;
+  } else if (roll <= 19) {
+    outcome = FumbleOutcome.SELF_INJURY;
+  } else {
+    outcome = FumbleOutcome.WEAPON_BREAKS;
+  }
+  LOG.info(`Fumble table roll ${roll}: ${outcome}`);
+  return outcome;
+}
@@ -0,0 +1,143 @@
+/**
+ * @file Creation of a new hero by the player. The player chooses a class,
+ * ability scores, a name and a portrait.
+ *
+ * @module dnd/heroCreator
+ */
+/**
+ * license {@link https://opensource.org/license/mit/|MIT}
+ * Copyright 2024 Steve Butler (henspace.com).
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the “Software”), to deal in
+ * the Software without restriction, including without limitation the rights to use,
+ * copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the
+ * Software, and to permit persons to whom the Software is furnished to do so,
+ * subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED “AS IS”, WITHOUT WARRANTY OF ANY KIND,
+ * EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES
+ * OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT
+ * HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY,
+ * WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR
+ * OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+import { getTraitAdjustmentDetails } from './abilityGenerator.js';
+import { Traits, CharacterTraits } from './traits.js';
+import { applyRace } from './races.js';
+
+/** Points available to spend on abilities when using point buy. */
+export const POINT_BUY_BUDGET = 27;
+
+/** Lowest ability score available with point buy. */
+const POINT_BUY_MIN = 8;
+
+/** Highest ability score available with point buy. */
+const POINT_BUY_MAX = 15;
+
+/**
+ * Cost in points of each ability score available with point buy.
+ * @type {Map<number, number>}
+ */
+const POINT_BUY_COSTS = new Map([
+  [8, 0],
+  [9, 1],
+  [10, 2],
+  [11, 3],
+  [12, 4],
+  [13, 5],
+  [14, 7],
+  [15, 9],
+]);
+
+/**
+ * Get the character class of a hero almanac entry.
+ * @param {module:dnd/almanacs/almanacs~AlmanacEntry} almanacEntry
+ * @returns {string}
+ */
+export function getEntryClass(almanacEntry) {
+  return new Traits(almanacEntry.traitsString).get('CLASS');
+}
+
+/**
+ * Create the starting abilities for point buy. Every ability starts at the
+ * minimum and the abilities are in the order favoured by the class.
+ * @param {string} characterClass
+ * @returns {Map<string, number>}
+ */
+export function createPointBuyAbilities(characterClass) {
+  return new Map(
+    getTraitAdjustmentDetails(characterClass).traits.map((key) => [
+      key,
+      POINT_BUY_MIN,
+    ])
+  );
+}
+
+/**
+ * Get the points left to spend on a set of point buy abilities.
+ * @param {Map<string, number>} abilities
+ * @returns {number}
+ */
+export function getPointsRemaining(abilities) {
+  let spent = 0;
+  abilities.forEach((value) => (spent += POINT_BUY_COSTS.get(value) ?? 0));
+  return POINT_BUY_BUDGET - spent;
+}
+
+/**
+ * Test if a point buy ability can be changed by a point.
+ * @param {Map<string, number>} abilities
+ * @param {string} key
+ * @param {number} change - +1 to raise the ability or -1 to lower it.
+ * @returns {boolean}
+ */
+export function canAdjustAbility(abilities, key, change) {
+  const value = abilities.get(key);
+  const newValue = value + change;
+  if (newValue < POINT_BUY_MIN || newValue > POINT_BUY_MAX) {
+    return false;
+  }
+  const extraCost = POINT_BUY_COSTS.get(newValue) - POINT_BUY_COSTS.get(value);
+  return extraCost <= getPointsRemaining(abilities);
+}
+
+/**
+ * Change a point buy ability by a point if allowed.
+ * @param {Map<string, number>} abilities
+ * @param {string} key
+ * @param {number} change - +1 to raise the ability or -1 to lower it.
+ * @returns {boolean} true if changed.
+ */
+export function adjustAbility(abilities, key, change) {
+  if (!canAdjustAbility(abilities, key, change)) {
+    return false;
+  }
+  abilities.set(key, abilities.get(key) + change);
+  return true;
+}
+
+/**
+ * Create the traits for a new hero from its almanac entry and the player's
+ * choices. The race's bonuses are added to the chosen abilities.
+ * @param {module:dnd/almanacs/almanacs~AlmanacEntry} almanacEntry
+ * @param {string} name
+ * @param {Map<string, number>} abilities
+ * @param {module:dnd/almanacs/almanacs~AlmanacEntry} [raceEntry]
+ * @returns {CharacterTraits}
+ */
+export function createHeroTraits(almanacEntry, name, abilities, raceEntry) {
+  const traits = new Traits(almanacEntry.traitsString).getAllTraits();
+  abilities.forEach((value, key) => traits.set(key, value));
+  traits.set('NAME', name);
+  if (raceEntry) {
+    applyRace(traits, raceEntry);
+  }
+  return new CharacterTraits(traits);
+}
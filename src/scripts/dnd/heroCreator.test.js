@@ -0,0 +1,114 @@
+/**
+ * @file Test hero creation
+ *
+ * @module dnd/heroCreator.test
+ */
+/**
+ * license {@link https://opensource.org/license/mit/|MIT}
+ * Copyright 2024 Steve Butler (henspace.com).
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the “Software”), to deal in
+ * the Software without restriction, including without limitation the rights to use,
+ * copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the
+ * Software, and to permit persons to whom the Software is furnished to do so,
+ * subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED “AS IS”, WITHOUT WARRANTY OF ANY KIND,
+ * EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES
+ * OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT
+ * HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY,
+ * WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR
+ * OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+import { test, expect } from '@jest/globals';
+import {
+  POINT_BUY_BUDGET,
+  adjustAbility,
+  canAdjustAbility,
+  createHeroTraits,
+  createPointBuyAbilities,
+  getEntryClass,
+  getPointsRemaining,
+} from './heroCreator.js';
+
+const ROGUE_ENTRY = {
+  traitsString: 'CLASS:ROGUE,HIT_DICE:1D8,EXP:0, AC:10,_SPEED:30 FEET',
+};
+
+test('getEntryClass reads class from traits', () => {
+  expect(getEntryClass(ROGUE_ENTRY)).toBe('ROGUE');
+});
+
+test('createPointBuyAbilities starts at 8 in class order', () => {
+  const abilities = createPointBuyAbilities('ROGUE');
+  expect([...abilities.keys()]).toEqual([
+    'DEX',
+    'INT',
+    'CHA',
+    'STR',
+    'CON',
+    'WIS',
+  ]);
+  expect([...abilities.values()]).toEqual([8, 8, 8, 8, 8, 8]);
+  expect(getPointsRemaining(abilities)).toBe(POINT_BUY_BUDGET);
+});
+
+test('adjustAbility spends points at point buy costs', () => {
+  const abilities = createPointBuyAbilities('ROGUE');
+  for (let n = 0; n < 7; n++) {
+    expect(adjustAbility(abilities, 'DEX', 1)).toBe(true);
+  }
+  expect(abilities.get('DEX')).toBe(15);
+  expect(getPointsRemaining(abilities)).toBe(POINT_BUY_BUDGET - 9);
+  expect(adjustAbility(abilities, 'DEX', 1)).toBe(false);
+  expect(adjustAbility(abilities, 'DEX', -1)).toBe(true);
+  expect(getPointsRemaining(abilities)).toBe(POINT_BUY_BUDGET - 7);
+  expect(adjustAbility(abilities, 'CON', -1)).toBe(false);
+});
+
+test('canAdjustAbility prevents overspending', () => {
+  const abilities = new Map([
+    ['DEX', 15],
+    ['INT', 15],
+    ['CHA', 15],
+    ['STR', 8],
+  ]);
+  expect(getPointsRemaining(abilities)).toBe(0);
+  expect(canAdjustAbility(abilities, 'STR', 1)).toBe(false);
+  expect(canAdjustAbility(abilities, 'DEX', -1)).toBe(true);
+});
+
+test('createHeroTraits uses chosen name and abilities', () => {
+  const abilities = new Map([
+    ['DEX', 15],
+    ['CON', 14],
+  ]);
+  const traits = createHeroTraits(ROGUE_ENTRY, 'Pip Nimble', abilities);
+  expect(traits.get('NAME')).toBe('Pip Nimble');
+  expect(traits.get('CLASS')).toBe('ROGUE');
+  expect(traits.getInt('DEX')).toBe(15);
+  expect(traits.getInt('HP_MAX')).toBe(10);
+});
+
+test('createHeroTraits applies race', () => {
+  const abilities = new Map([
+    ['DEX', 15],
+    ['CON', 14],
+  ]);
+  const raceEntry = {
+    id: 'halfling',
+    traitsString: '_TYPE_ID:RACE,DEX:2,CHA:1,_SPEED:25 FEET,LUCKY:yes',
+  };
+  const traits = createHeroTraits(ROGUE_ENTRY, 'Pip', abilities, raceEntry);
+  expect(traits.get('RACE')).toBe('HALFLING');
+  expect(traits.getInt('DEX')).toBe(17);
+  expect(traits.getInt('SPEED')).toBe(25);
+  expect(traits.get('LUCKY')).toBe(true);
+});
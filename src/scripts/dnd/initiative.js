@@ -0,0 +1,192 @@
+/**
+ * @file Initiative rolls and the order in which combatants take their turns.
+ *
+ * @module dnd/initiative
+ */
+/**
+ * license {@link https://opensource.org/license/mit/|MIT}
+ * Copyright 2024 Steve Butler (henspace.com).
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the “Software”), to deal in
+ * the Software without restriction, including without limitation the rights to use,
+ * copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the
+ * Software, and to permit persons to whom the Software is furnished to do so,
+ * subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED “AS IS”, WITHOUT WARRANTY OF ANY KIND,
+ * EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES
+ * OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT
+ * HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY,
+ * WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR
+ * OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+import * as dice from '../utils/dice.js';
+import LOG from '../utils/logging.js';
+
+/**
+ * @typedef {Object} InitiativeEntry
+ * @property {module:players/actors.Actor} actor
+ * @property {number} initiative - d20 roll plus the actor's DEX modifier.
+ */
+
+/**
+ * Roll initiative. This is a d20 roll plus the DEX modifier.
+ * @param {module:dnd/traits.Traits} traits - the actor's traits.
+ * @returns {number}
+ */
+export function rollInitiative(traits) {
+  return dice.rollDice(20) + traits.getAsModifier('DEX', 0);
+}
+
+/**
+ * Order of turns in a combat. Combatants are held in descending order of
+ * initiative. Ties go to the higher DEX and then to the hero.
+ */
+export class InitiativeOrder {
+  /** @type {InitiativeEntry[]} */
+  #entries;
+
+  /**
+   * Create an empty order.
+   */
+  constructor() {
+    this.#entries = [];
+  }
+
+  /**
+   * Test if a combat is in progress.
+   * @returns {boolean}
+   */
+  isActive() {
+    return this.#entries.length > 0;
+  }
+
+  /**
+   * Test if the actor is part of the combat.
+   * @param {module:players/actors.Actor} actor
+   * @returns {boolean}
+   */
+  includes(actor) {
+    return this.#indexOf(actor) >= 0;
+  }
+
+  /**
+   * Add an actor to the combat, rolling its initiative. Actors already in the
+   * combat are ignored.
+   * @param {module:players/actors.Actor} actor
+   * @returns {boolean} true if added.
+   */
+  add(actor) {
+    if (this.includes(actor)) {
+      return false;
+    }
+    const entry = {
+      actor: actor,
+      initiative: rollInitiative(actor.traits),
+    };
+    LOG.info(
+      `${actor.traits.get('NAME')} rolls ${entry.initiative} for initiative.`
+    );
+    let index = this.#entries.findIndex(
+      (existing) => this.#compare(entry, existing) < 0
+    );
+    if (index < 0) {
+      index = this.#entries.length;
+    }
+    this.#entries.splice(index, 0, entry);
+    return true;
+  }
+
+  /**
+   * Remove any actors that are no longer alive.
+   */
+  removeDefeated() {
+    this.#entries = this.#entries.filter((entry) => entry.actor.alive);
+  }
+
+  /**
+   * End the combat, removing all combatants.
+   */
+  clear() {
+    this.#entries = [];
+  }
+
+  /**
+   * Get the entries in turn order.
+   * @returns {InitiativeEntry[]}
+   */
+  getEntries() {
+    return [...this.#entries];
+  }
+
+  /**
+   * Get the actors that act before the actor in each round.
+   * @param {module:players/actors.Actor} actor
+   * @returns {module:players/actors.Actor[]} empty if the actor is not in the
+   * combat.
+   */
+  getActorsBefore(actor) {
+    const index = this.#indexOf(actor);
+    return index < 0
+      ? []
+      : this.#entries.slice(0, index).map((entry) => entry.actor);
+  }
+
+  /**
+   * Get the actors that act after the actor in each round.
+   * @param {module:players/actors.Actor} actor
+   * @returns {module:players/actors.Actor[]} empty if the actor is not in the
+   * combat.
+   */
+  getActorsAfter(actor) {
+    const index = this.#indexOf(actor);
+    return index < 0
+      ? []
+      : this.#entries.slice(index + 1).map((entry) => entry.actor);
+  }
+
+  /**
+   * Get the other actors in the order that they act once the actor's turn
+   * ends. These are the actors after it in this round followed by those
+   * before it in the next round.
+   * @param {module:players/actors.Actor} actor
+   * @returns {module:players/actors.Actor[]}
+   */
+  getActorsFollowing(actor) {
+    return [...this.getActorsAfter(actor), ...this.getActorsBefore(actor)];
+  }
+
+  /**
+   * Get the index of the actor's entry.
+   * @param {module:players/actors.Actor} actor
+   * @returns {number} -1 if not found.
+   */
+  #indexOf(actor) {
+    return this.#entries.findIndex((entry) => entry.actor === actor);
+  }
+
+  /**
+   * Compare entries for sorting into turn order.
+   * @param {InitiativeEntry} entryA
+   * @param {InitiativeEntry} entryB
+   * @returns {number} negative if entryA acts first.
+   */
+  #compare(entryA, entryB) {
+    if (entryA.initiative !== entryB.initiative) {
+      return entryB.initiative - entryA.initiative;
+    }
+    const dexA = entryA.actor.traits.getInt('DEX', 10);
+    const dexB = entryB.actor.traits.getInt('DEX', 10);
+    if (dexA !== dexB) {
+      return dexB - dexA;
+    }
+    return (entryB.actor.isHero() ? 1 : 0) - (entryA.actor.isHero() ? 1 : 0);
+  }
+}
@@ -0,0 +1,132 @@
+/**
+ * @file Test initiative
+ *
+ * @module dnd/initiative.test
+ */
+/**
+ * license {@link https://opensource.org/license/mit/|MIT}
+ * Copyright 2024 Steve Butler (henspace.com).
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the “Software”), to deal in
+ * the Software without restriction, including without limitation the rights to use,
+ * copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the
+ * Software, and to permit persons to whom the Software is furnished to do so,
+ * subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED “AS IS”, WITHOUT WARRANTY OF ANY KIND,
+ * EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES
+ * OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT
+ * HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY,
+ * WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR
+ * OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+import { beforeEach, jest, test, expect } from '@jest/globals';
+import * as mockedDice from '../utils/dice.mockable.js';
+
+jest.unstable_mockModule('../utils/dice.js', () => {
+  return {
+    __esModule: true,
+    ...mockedDice,
+    rollDice: jest.fn((sides) => mockedDice.rollDice(sides)),
+  };
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+const mockDice = await import('../utils/dice.js');
+const { InitiativeOrder, rollInitiative } = await import('./initiative.js');
+const { Traits } = await import('./traits.js');
+
+/**
+ * Create a minimal actor.
+ * @param {string} name
+ * @param {number} dex
+ * @param {boolean} [hero = false]
+ * @returns {Object}
+ */
+function createActor(name, dex, hero = false) {
+  return {
+    alive: true,
+    traits: new Traits(`NAME:${name}, DEX:${dex}`),
+    isHero: () => hero,
+  };
+}
+
+/**
+ * Create an order with the actors rolling the given d20 values.
+ * @param {Object[]} actors
+ * @param {number[]} rolls
+ * @returns {InitiativeOrder}
+ */
+function createOrder(actors, rolls) {
+  rolls.forEach((roll) => mockDice.rollDice.mockReturnValueOnce(roll));
+  const order = new InitiativeOrder();
+  actors.forEach((actor) => order.add(actor));
+  return order;
+}
+
+test('rollInitiative adds DEX modifier to d20', () => {
+  mockDice.rollDice.mockReturnValueOnce(12);
+  expect(rollInitiative(new Traits('DEX:16'))).toBe(15);
+  expect(mockDice.rollDice).toHaveBeenCalledWith(20);
+  mockDice.rollDice.mockReturnValueOnce(12);
+  expect(rollInitiative(new Traits('DEX:7'))).toBe(10);
+});
+
+test('InitiativeOrder sorts by initiative', () => {
+  const hero = createActor('hero', 10, true);
+  const rat = createActor('rat', 10);
+  const goblin = createActor('goblin', 10);
+  const order = createOrder([hero, rat, goblin], [8, 3, 15]);
+  expect(order.isActive()).toBe(true);
+  expect(order.getEntries()).toEqual([
+    { actor: goblin, initiative: 15 },
+    { actor: hero, initiative: 8 },
+    { actor: rat, initiative: 3 },
+  ]);
+  expect(order.getActorsBefore(hero)).toEqual([goblin]);
+  expect(order.getActorsAfter(hero)).toEqual([rat]);
+  expect(order.getActorsFollowing(hero)).toEqual([rat, goblin]);
+});
+
+test('InitiativeOrder breaks ties with DEX and then favours the hero', () => {
+  const hero = createActor('hero', 12, true);
+  const quick = createActor('quick', 13);
+  const slow = createActor('slow', 12);
+  const order = createOrder([slow, hero, quick], [10, 10, 10]);
+  expect(order.getEntries().map((entry) => entry.actor)).toEqual([
+    quick,
+    hero,
+    slow,
+  ]);
+});
+
+test('InitiativeOrder ignores actors already added', () => {
+  const hero = createActor('hero', 10, true);
+  const order = createOrder([hero], [10]);
+  expect(order.add(hero)).toBe(false);
+  expect(order.getEntries().length).toBe(1);
+  expect(mockDice.rollDice).toHaveBeenCalledTimes(1);
+});
+
+test('InitiativeOrder removes defeated and clears', () => {
+  const hero = createActor('hero', 10, true);
+  const rat = createActor('rat', 10);
+  const order = createOrder([hero, rat], [5, 15]);
+  rat.alive = false;
+  order.removeDefeated();
+  expect(order.includes(rat)).toBe(false);
+  expect(order.getActorsBefore(hero)).toEqual([]);
+  order.clear();
+  expect(order.isActive()).toBe(false);
+  expect(order.getActorsFollowing(hero)).toEqual([]);
+});
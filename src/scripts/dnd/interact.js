@@ -41,7 +41,7 @@ import { Point } from '../utils/geometry.js';
 import UI from '../utils/dom/ui.js';
 import SOUND_MANAGER from '../utils/soundManager.js';
 import * as actorDialogs from '../dialogs/actorDialogs.js';
-import { i18n } from '../utils/messageManager.js';
+import { i18n, MESSAGES } from '../utils/messageManager.js';
 import * as dndAction from './dndAction.js';
 import { ActorType, AttackMode } from '../players/actors.js';
 import {
@@ -64,6 +64,23 @@ import { showMoneyPortalDialog } from '../dialogs/moneyPortalDialog.js';
 import { ALMANAC_LIBRARY } from './almanacs/almanacs.js';
 import { pause } from '../utils/timers.js';
 import { createElement } from '../utils/dom/components.js';
+import PERSISTENT_DATA from '../utils/persistentData.js';
+import { Advantage } from './advantage.js';
+import { ConditionType } from './conditions.js';
+import { FumbleOutcome, rollOnFumbleTable } from './fumbles.js';
+import {
+  DamageResponse,
+  DamageType,
+  getDamageResponse,
+  getSpellDamageType,
+} from './damageTypes.js';
+import * as rangedAttacks from './rangedAttacks.js';
+import * as perception from './perception.js';
+import { DeathSaveOutcome, DeathSaves, usesDeathSaves } from './deathSaves.js';
+import { buildArtefactHolder } from './almanacs/actorBuilder.js';
+import * as classFeatures from './classFeatures.js';
+import * as races from './races.js';
+import * as spellAreas from './spellAreas.js';
 
 /**
  * Apply poison damage to defender
@@ -83,7 +100,7 @@ function applyPoisonDamage(poison, victim, damage) {
       velocity: new Velocity(0, 0, 0),
     });
 
-    return applyDamage(poison, victim, damage);
+    return applyDamage(poison, victim, damage, DamageType.POISON);
   } else {
     addFadingImage(IMAGE_MANAGER.getSpriteBitmap('miss.png'), {
       delaySecs: 0,
@@ -91,17 +108,88 @@ function applyPoisonDamage(poison, victim, damage) {
       position: victim.position,
       velocity: new Velocity(0, 0, 0),
     });
+    displayIfImmune(victim, DamageType.POISON);
     LOG.info(`Poison resisted.`);
   }
 }
+
+/**
+ * Get the text displayed for damage. This includes the damage type and any
+ * resistance or vulnerability of the defender to it.
+ * @param {module:players/actors.Actor} defender
+ * @param {number} damage
+ * @param {module:dnd/damageTypes.DamageType} [damageType]
+ * @returns {string}
+ */
+function getDamageText(defender, damage, damageType) {
+  if (!damageType) {
+    return `-${damage} HP`;
+  }
+  const typeName = MESSAGES.getText(damageType);
+  switch (getDamageResponse(defender.traits, damageType)) {
+    case DamageResponse.RESISTANT:
+      return i18n`DAMAGE RESISTED ${damage} ${typeName}`;
+    case DamageResponse.VULNERABLE:
+      return i18n`DAMAGE VULNERABLE ${damage} ${typeName}`;
+    default:
+      return i18n`DAMAGE TAKEN ${damage} ${typeName}`;
+  }
+}
+
+/**
+ * Display a message if the defender is immune to the damage type.
+ * @param {module:players/actors.Actor} defender
+ * @param {module:dnd/damageTypes.DamageType} damageType
+ * @returns {boolean} true if immune.
+ */
+function displayIfImmune(defender, damageType) {
+  if (
+    !defender.traits ||
+    getDamageResponse(defender.traits, damageType) !== DamageResponse.IMMUNE
+  ) {
+    return false;
+  }
+  displayRisingText(
+    i18n`IMMUNE TO DAMAGE ${MESSAGES.getText(damageType)}`,
+    defender.position
+  );
+  return true;
+}
+
+/**
+ * Get the colour of transient text shown over an actor.
+ * @param {module:players/actors.Actor} actor
+ * @returns {string}
+ */
+function getTransientTextColour(actor) {
+  return actor.isHero()
+    ? Colours.HP_TRANSIENT_TEXT_HERO
+    : Colours.HP_TRANSIENT_TEXT_ENEMY;
+}
+
 /**
- * Apply damage to defender
+ * Apply damage to defender. Defenders that make death saves are downed rather
+ * than killed when their HP reaches 0, unless the damage left over is at least
+ * their HP maximum. Damage to a downed defender counts as failed death saves.
+ * A defender with relentless endurance is left with 1 HP instead, once
+ * between long rests. The attacker is only rewarded if the defender dies.
  * @param {Artefact | Actor} attacker
  * @param {module:players/actors.Actor} defender
  * @param {number} damage
+ * @param {module:dnd/damageTypes.DamageType} [damageType] - shown with the
+ * damage if set.
+ * @param {Object} [options = {}]
+ * @param {boolean} options.critical - true if the damage is from a critical
+ * hit.
  * @returns {number} resulting HP of defender
  */
-function applyDamage(attacker, defender, damage) {
+export function applyDamage(
+  attacker,
+  defender,
+  damage,
+  damageType,
+  options = {}
+) {
   if (
     !damage ||
     !defender.alive ||
@@ -112,39 +200,204 @@ function applyDamage(attacker, defender, damage) {
   }
   const defenderName = defender.traits.get('NAME');
   LOG.info(`Damage ${damage} on ${defenderName}`);
-  let defenderHP = defender.traits.get('HP', 0);
-  defenderHP = Math.max(0, defenderHP - damage);
+  if (defender.isDowned()) {
+    damageDownedActor(defender, attacker, options.critical);
+    return 0;
+  }
+  const oldHp = defender.traits.get('HP', 0);
+  const defenderHP = Math.max(0, oldHp - damage);
   defender.traits.set('HP', defenderHP);
+  defender.conditions?.takeDamage().forEach((type) => {
+    LOG.info(`${defenderName} is no longer ${type}.`);
+  });
+  const lostConcentration = defender.traits.maintainConcentration?.(damage);
+  if (lostConcentration) {
+    displayFallingText(
+      i18n`CONCENTRATION LOST ${lostConcentration.name}`,
+      defender.position,
+      getTransientTextColour(defender)
+    );
+  }
   if (defenderHP === 0) {
-    SOUND_MANAGER.playEffect(defender.traits.get('SOUND', 'DIE'));
-    LOG.info(`Killed ${defenderName}`);
-    defender.interaction = new InteractWithCorpse(defender);
-    defender.alive = false;
-    if (attacker?.isHero?.()) {
-      const change = attacker.traits.adjustForDefeatOfActor(defender.traits);
-      let text;
-      if (change.level.now > change.level.was) {
-        text = i18n`LEVEL UP ${change.level.now}`;
-      } else if (change.exp.now > change.exp.was) {
-        text = `+${change.exp.now - change.exp.was} EXP`;
-      }
-      if (text) {
-        LOG.info(text);
-        displayRisingText(
-          text,
-          attacker.position,
-          Colours.HP_TRANSIENT_TEXT_HERO
-        );
-      }
+    const killedOutright =
+      damage - oldHp >= defender.traits.getInt('HP_MAX', oldHp);
+    if (!killedOutright && races.endureRelentlessly(defender.traits)) {
+      displayRisingText(
+        i18n`RELENTLESS ENDURANCE!`,
+        defender.position,
+        getTransientTextColour(defender)
+      );
+      return 1;
+    }
+    if (usesDeathSaves(defender) && !killedOutright) {
+      knockDown(defender);
+    } else {
+      killActor(defender, attacker);
     }
   } else {
-    const textColor = defender.isHero()
-      ? Colours.HP_TRANSIENT_TEXT_HERO
-      : Colours.HP_TRANSIENT_TEXT_ENEMY;
-    displayRisingText(`-${damage} HP`, defender.position, textColor);
+    displayRisingText(
+      getDamageText(defender, damage, damageType),
+      defender.position,
+      getTransientTextColour(defender)
+    );
   }
   return defenderHP;
 }
+
+/**
+ * Give the hero experience for defeating an actor.
+ * @param {Artefact | Actor} attacker
+ * @param {module:players/actors.Actor} defender
+ */
+function rewardDefeat(attacker, defender) {
+  if (!attacker?.isHero?.() || attacker === defender) {
+    return;
+  }
+  const change = attacker.traits.adjustForDefeatOfActor(defender.traits);
+  let text;
+  if (change.level.now > change.level.was) {
+    text = i18n`LEVEL UP ${change.level.now}`;
+  } else if (change.exp.now > change.exp.was) {
+    text = `+${change.exp.now - change.exp.was} EXP`;
+  }
+  if (text) {
+    LOG.info(text);
+    displayRisingText(text, attacker.position, Colours.HP_TRANSIENT_TEXT_HERO);
+  }
+}
+
+/**
+ * Kill an actor, leaving its corpse.
+ * @param {module:players/actors.Actor} actor
+ * @param {Artefact | Actor} [killer] - rewarded for the kill if the hero.
+ */
+function killActor(actor, killer) {
+  rewardDefeat(killer, actor);
+  SOUND_MANAGER.playEffect(actor.traits.get('SOUND', 'DIE'));
+  LOG.info(`Killed ${actor.traits.get('NAME')}`);
+  actor.interaction = new InteractWithCorpse(actor);
+  actor.alive = false;
+  actor.deathSaves = null;
+  actor.conditions?.remove(ConditionType.UNCONSCIOUS);
+}
+
+/**
+ * Knock an actor down. It falls unconscious and starts making death saves.
+ * @param {module:players/actors.Actor} actor
+ */
+function knockDown(actor) {
+  LOG.info(`${actor.traits.get('NAME')} is down.`);
+  actor.deathSaves = new DeathSaves();
+  actor.conditions?.add(ConditionType.UNCONSCIOUS);
+  displayRisingText(
+    i18n`DOWNED!`,
+    actor.position,
+    getTransientTextColour(actor)
+  );
+}
+
+/**
+ * Damage a downed actor. This counts as a failed death save, or two for a
+ * critical hit.
+ * @param {module:players/actors.Actor} actor
+ * @param {Artefact | Actor} attacker
+ * @param {boolean} [critical = false]
+ */
+function damageDownedActor(actor, attacker, critical = false) {
+  if (actor.deathSaves.takeDamage(critical)) {
+    killActor(actor, attacker);
+  } else {
+    displayRisingText(
+      i18n`DEATH SAVE FAILED`,
+      actor.position,
+      getTransientTextColour(actor)
+    );
+  }
+}
+
+/**
+ * Roll a downed actor's death saving throw for the turn and show the outcome.
+ * An actor that dies becomes a corpse, while one that is revived is left with
+ * 1 HP.
+ * @param {module:players/actors.Actor} actor
+ * @param {module:players/actors.Actor} [victor] - rewarded if the actor dies.
+ * @returns {DeathSaveOutcome} undefined if the actor is not downed.
+ */
+export function rollDeathSave(actor, victor) {
+  if (!actor.isDowned()) {
+    return;
+  }
+  const outcome = actor.deathSaves.rollSave();
+  let text;
+  switch (outcome) {
+    case DeathSaveOutcome.DEAD:
+      killActor(actor, victor);
+      break;
+    case DeathSaveOutcome.REVIVED:
+      actor.traits.set('HP', 1);
+      reviveIfHealed(actor);
+      break;
+    case DeathSaveOutcome.STABILISED:
+      text = i18n`STABILISED!`;
+      break;
+    case DeathSaveOutcome.SUCCESS:
+      text = i18n`DEATH SAVE SUCCEEDED`;
+      break;
+    case DeathSaveOutcome.FAILURE:
+      text = i18n`DEATH SAVE FAILED`;
+      break;
+  }
+  if (text) {
+    displayRisingText(text, actor.position, getTransientTextColour(actor));
+  }
+  return outcome;
+}
+
+/**
+ * Revive a downed actor once healing has taken its HP above 0.
+ * @param {module:players/actors.Actor} actor
+ * @returns {boolean} true if the actor was revived.
+ */
+export function reviveIfHealed(actor) {
+  if (!actor.isDowned() || actor.traits.getInt('HP', 0) <= 0) {
+    return false;
+  }
+  LOG.info(`${actor.traits.get('NAME')} is revived.`);
+  actor.deathSaves = null;
+  actor.conditions?.remove(ConditionType.UNCONSCIOUS);
+  displayRisingText(
+    i18n`REVIVED!`,
+    actor.position,
+    getTransientTextColour(actor)
+  );
+  return true;
+}
+
+/**
+ * Apply any conditions set by the FX_CONDITION trait of the source to the
+ * target.
+ * @param {module:dnd/traits.Traits} sourceTraits
+ * @param {module:players/actors.Actor} target
+ * @param {Object} [options = {}]
+ * @param {boolean} options.allowSave - if true, the target can make a saving
+ * throw against the source's DC.
+ */
+function applyConditions(sourceTraits, target, options = {}) {
+  if (!target.alive || !target.conditions) {
+    return;
+  }
+  const applied = target.conditions.applyFromTraits(
+    sourceTraits,
+    options.allowSave ? target.traits : undefined
+  );
+  applied.forEach((type) => {
+    LOG.info(`${target.traits.get('NAME')} is ${type}.`);
+    displayRisingText(
+      i18n`CONDITION APPLIED ${MESSAGES.getText(type).toUpperCase()}`,
+      target.position
+    );
+  });
+}
 /** Dummy interaction that does nothing
  */
 export class AbstractInteraction {
@@ -276,16 +529,70 @@ export class Fight extends AbstractInteraction {
     });
     return pathModifier.applyAsTransientToSprite(attacker.sprite);
   }
+
+  /**
+   * Display a ranged attack. The thrown weapon or ammunition flies to the
+   * defender.
+   * @param {module:players/actors.Actor} attacker
+   * @param {module:players/actors.Actor} defender
+   * @param {module:dnd/rangedAttacks~RangedWeaponDetails} rangedWeapon
+   * @returns {Promise}
+   */
+  #displayRangedAttack(attacker, defender, rangedWeapon) {
+    const flightSecs = 0.5;
+    const projectile = rangedWeapon.ammunition ?? rangedWeapon.weapon;
+    const image = IMAGE_MANAGER.getSpriteBitmap(projectile.iconImageName, {
+      quiet: true,
+    });
+    SOUND_MANAGER.playEffect('RANGED ATTACK');
+    if (image) {
+      addFadingImage(image, {
+        delaySecs: flightSecs,
+        lifetimeSecs: 0,
+        position: Point.copy(attacker.position),
+        velocity: new Velocity(
+          (defender.position.x - attacker.position.x) / flightSecs,
+          (defender.position.y - attacker.position.y) / flightSecs,
+          0
+        ),
+      });
+    }
+    return pause(flightSecs);
+  }
+
+  /**
+   * Get the ranged weapon to use against the defender. Only the hero makes
+   * ranged attacks and only against defenders that are not close enough to
+   * fight.
+   * @param {module:players/actors.Actor} attacker
+   * @param {module:players/actors.Actor} defender
+   * @returns {module:dnd/rangedAttacks~RangedWeaponDetails} null if the attack
+   * is a melee attack.
+   */
+  #getRangedWeapon(attacker, defender) {
+    if (
+      !attacker.isHero() ||
+      WORLD.getTileMap().getParticipants(attacker).includes(defender)
+    ) {
+      return null;
+    }
+    return rangedAttacks.findRangedWeapon(attacker.storeManager);
+  }
+
   /**
    * Undertake attack. Note that the defender is not removed if its hit points
    * hit zero.
    * @param {module:players/actors.Actor} attacker
    * @param {module:players/actors.Actor} defender
+   * @param {module:dnd/rangedAttacks~RangedWeaponDetails} [rangedWeapon] - set
+   * if the hero is making a ranged attack.
    * @returns {Promise} fulfils to the defender's HP.
    */
-  #undertakeAllAttacks(attacker, defender) {
+  #undertakeAllAttacks(attacker, defender, rangedWeapon) {
     if (attacker.isHero()) {
-      return this.#undertakeAllMeleeAttacks(attacker, defender);
+      return rangedWeapon
+        ? this.#undertakeRangedAttack(attacker, defender, rangedWeapon)
+        : this.#undertakeAllMeleeAttacks(attacker, defender);
     }
     switch (attacker.attackMode) {
       case AttackMode.COMBO:
@@ -355,29 +662,187 @@ export class Fight extends AbstractInteraction {
   #undertakeAllMeleeAttacks(attacker, defender) {
     let totalDamage = 0;
     let successfulAttacks = 0;
+    let critical = false;
+    let fumbledAttack;
+    let damageType;
+    let immuneType;
+    let sneakAttack = false;
+    const rageDamage = classFeatures.getRageDamage(attacker.traits);
     attacker.traits.getAttacks().forEach((attack) => {
-      const damage = dndAction.getMeleeDamage(attack, defender.traits);
-      if (damage > 0) {
+      const result = dndAction.rollMeleeAttack(
+        attack,
+        defender.traits,
+        attacker.traits,
+        this.#getSituationalAdvantage(defender),
+        {
+          bonusDamage: attack.ranged ? 0 : rageDamage,
+          sneakAttackDice: sneakAttack
+            ? undefined
+            : classFeatures.getSneakAttackDice(attacker.traits),
+        }
+      );
+      sneakAttack = sneakAttack || result.sneakAttack;
+      if (result.damage > 0) {
         successfulAttacks++;
-        totalDamage += damage;
+        totalDamage += result.damage;
+        critical = critical || result.critical;
+        damageType = damageType ?? result.damageType;
         this.#handleWeaponBreakage(attacker, attack);
+      } else if (result.hit) {
+        immuneType = result.damageType;
+      } else if (result.fumble && !fumbledAttack) {
+        fumbledAttack = attack;
+      }
+    });
+    return this.#showAttackOutcome(attacker, defender, {
+      totalDamage: totalDamage,
+      successfulAttacks: successfulAttacks,
+      critical: critical,
+      fumbledAttack: fumbledAttack,
+      damageType: damageType,
+      immuneType: immuneType,
+      sneakAttack: sneakAttack,
+    });
+  }
+
+  /**
+   * Undertake a ranged attack with a thrown or fired weapon. Attacks beyond
+   * the weapon's normal range have disadvantage. Ammunition is used up whether
+   * or not it hits, while a thrown weapon lands on the defender's tile where
+   * it can be recovered.
+   * @param {module:players/actors.Actor} attacker
+   * @param {module:players/actors.Actor} defender
+   * @param {module:dnd/rangedAttacks~RangedWeaponDetails} rangedWeapon
+   * @returns {Promise} fulfils to the defender's HP.
+   */
+  #undertakeRangedAttack(attacker, defender, rangedWeapon) {
+    const tileMap = WORLD.getTileMap();
+    const weapon = rangedWeapon.weapon;
+    const attack = attacker.traits.getRangedAttack(weapon.traits);
+    const advantage = this.#getSituationalAdvantage(defender);
+    const rangeDisadvantage = rangedAttacks.getRangeDisadvantage(
+      tileMap
+        .worldPointToGrid(attacker.position)
+        .getSeparation(tileMap.worldPointToGrid(defender.position)),
+      rangedAttacks.getWeaponRange(weapon.traits)
+    );
+    if (rangeDisadvantage) {
+      advantage.addDisadvantage(rangeDisadvantage);
+    }
+    const result = dndAction.rollMeleeAttack(
+      attack,
+      defender.traits,
+      attacker.traits,
+      advantage,
+      { sneakAttackDice: classFeatures.getSneakAttackDice(attacker.traits) }
+    );
+    if (rangedWeapon.ammunition) {
+      rangedAttacks.useAmmunition(
+        attacker.storeManager,
+        rangedWeapon.ammunition
+      );
+    }
+    return this.#showAttackOutcome(attacker, defender, {
+      totalDamage: result.damage,
+      successfulAttacks: result.damage > 0 ? 1 : 0,
+      critical: result.critical,
+      fumbledAttack: result.fumble ? attack : undefined,
+      damageType: result.damageType,
+      immuneType: result.hit && result.damage <= 0 ? result.damageType : null,
+      sneakAttack: result.sneakAttack,
+    }).then((defenderHP) => {
+      if (
+        !rangedWeapon.ammunition &&
+        attacker.storeManager.hasArtefact(weapon)
+      ) {
+        this.#dropThrownWeapon(attacker, weapon, defender);
       }
+      return defenderHP;
     });
+  }
+
+  /**
+   * Drop a thrown weapon on the defender's tile so that it can be recovered.
+   * @param {module:players/actors.Actor} attacker
+   * @param {module:players/artefacts.Artefact} weapon
+   * @param {module:players/actors.Actor} defender
+   */
+  #dropThrownWeapon(attacker, weapon, defender) {
+    const tileMap = WORLD.getTileMap();
+    attacker.storeManager.discard(weapon);
+    const holder = buildArtefactHolder(weapon);
+    holder.position = tileMap.gridPointToWorldPoint(
+      tileMap.worldPointToGrid(defender.position)
+    );
+    WORLD.addActor(holder);
+    LOG.info(`${weapon.traits.get('NAME')} lands by the target.`);
+  }
+
+  /**
+   * @typedef {Object} AttackOutcome
+   * @property {number} totalDamage
+   * @property {number} successfulAttacks
+   * @property {boolean} critical
+   * @property {module:dnd/traits~AttackDetail} [fumbledAttack]
+   * @property {module:dnd/damageTypes.DamageType} [damageType]
+   * @property {module:dnd/damageTypes.DamageType} [immuneType] - set if an
+   * attack hit but the defender was immune to its damage.
+   * @property {boolean} [sneakAttack] - true if sneak attack damage was added.
+   */
+
+  /**
+   * Show the outcome of an attack and apply the damage.
+   * @param {module:players/actors.Actor} attacker
+   * @param {module:players/actors.Actor} defender
+   * @param {AttackOutcome} outcome
+   * @returns {Promise} fulfils to the defender's HP.
+   */
+  #showAttackOutcome(attacker, defender, outcome) {
+    const {
+      totalDamage,
+      successfulAttacks,
+      critical,
+      fumbledAttack,
+      damageType,
+      immuneType,
+      sneakAttack,
+    } = outcome;
     return new Promise((resolve) => {
       if (totalDamage <= 0) {
-        SOUND_MANAGER.playEffect('MISS');
+        SOUND_MANAGER.playEffect(fumbledAttack ? 'FUMBLE' : 'MISS');
         addFadingImage(IMAGE_MANAGER.getSpriteBitmap('miss.png'), {
           delaySecs: 0,
           lifetimeSecs: 1,
           position: defender.position,
           velocity: new Velocity(0, 0, 0),
         });
+        if (immuneType) {
+          displayIfImmune(defender, immuneType);
+        } else if (fumbledAttack) {
+          this.#handleFumble(attacker, fumbledAttack);
+        }
         resolve(defender.traits.getInt('HP', 0));
         return;
       }
       let hitSound = successfulAttacks > 1 ? 'DOUBLE PUNCH' : 'PUNCH';
       let hitImage =
         successfulAttacks > 1 ? 'blood-splat-twice.png' : 'blood-splat.png';
+      if (critical) {
+        hitSound = 'CRITICAL HIT';
+        hitImage = 'blood-splat-twice.png';
+        displayRisingText(
+          i18n`CRITICAL HIT!`,
+          attacker.position,
+          Colours.CRITICAL_HIT_TEXT
+        );
+      }
+      if (sneakAttack) {
+        displayRisingText(
+          i18n`SNEAK ATTACK!`,
+          attacker.position,
+          Colours.HP_TRANSIENT_TEXT_HERO
+        );
+      }
 
       SOUND_MANAGER.playEffect(hitSound);
       addFadingImage(IMAGE_MANAGER.getSpriteBitmap(hitImage), {
@@ -386,22 +851,91 @@ export class Fight extends AbstractInteraction {
         position: defender.position,
         velocity: new Velocity(0, 0, 0),
       });
-      const defenderHP = applyDamage(attacker, defender, totalDamage);
+      const defenderHP = applyDamage(
+        attacker,
+        defender,
+        totalDamage,
+        damageType,
+        { critical: critical }
+      );
+      applyConditions(attacker.traits, defender, { allowSave: true });
       resolve(defenderHP);
     });
   }
 
+  /**
+   * Get the advantage arising from the defender's situation. Sleeping targets
+   * and those unaware of the attacker, such as those just woken by a hero
+   * sneaking up on them, are attacked with advantage.
+   * @param {module:players/actors.Actor} defender
+   * @returns {Advantage}
+   */
+  #getSituationalAdvantage(defender) {
+    const advantage = new Advantage();
+    if (defender.sleeping) {
+      advantage.addAdvantage('sleeping target');
+    }
+    if (defender.surprised) {
+      advantage.addAdvantage('unaware target');
+    }
+    return advantage;
+  }
+
+  /**
+   * Handle a fumbled attack. Unless the fumble table is in use, a fumble is
+   * just a miss.
+   * @param {module:players/actors.Actor} attacker
+   * @param {module:dnd/traits~AttackDetail} attack
+   */
+  #handleFumble(attacker, attack) {
+    const textColour = attacker.isHero()
+      ? Colours.HP_TRANSIENT_TEXT_HERO
+      : Colours.HP_TRANSIENT_TEXT_ENEMY;
+    displayFallingText(i18n`FUMBLE!`, attacker.position, textColour);
+    if (!PERSISTENT_DATA.get('FUMBLE_TABLE', false)) {
+      return;
+    }
+    switch (rollOnFumbleTable()) {
+      case FumbleOutcome.STUMBLE:
+        attacker.conditions?.add(ConditionType.PRONE, { turns: 1 });
+        displayRisingText(
+          i18n`CONDITION APPLIED ${MESSAGES.getText(ConditionType.PRONE).toUpperCase()}`,
+          attacker.position
+        );
+        break;
+      case FumbleOutcome.SELF_INJURY:
+        applyDamage(
+          null,
+          attacker,
+          Math.max(1, Math.floor(attack.rollForDamage() / 2))
+        );
+        break;
+      case FumbleOutcome.WEAPON_BREAKS:
+        this.#handleWeaponBreakage(attacker, attack, { force: true });
+        break;
+      case FumbleOutcome.MISS:
+      default:
+        break;
+    }
+  }
+
   /**
    * Handle weapon breakage.
    * @param {module:players/actors.Actor} attacker
    * @param {module:dnd/traits.Attack} attack
+   * @param {Object} [options = {}]
+   * @param {boolean} options.force - if true, the weapon breaks without
+   * testing.
    */
-  #handleWeaponBreakage(attacker, attack) {
+  #handleWeaponBreakage(attacker, attack, options = {}) {
     if (!attacker.isHero?.()) {
       return;
     }
     const storeManager = attacker.storeManager;
-    if (storeManager && dndAction.doesItemBreak(attack.weaponType)) {
+    if (
+      storeManager &&
+      (options.force || dndAction.doesItemBreak(attack.weaponType))
+    ) {
       LOG.info(`Weapon ${attack.weaponName} breaks.`);
       // need to unequip it.
       const equippedItems = attacker.storeManager.getAllEquippedArtefacts();
@@ -411,6 +945,10 @@ export class Fight extends AbstractInteraction {
         if (name === attack.weaponName && weaponType === attack.weaponType) {
           storeManager.discard(artefact);
           SOUND_MANAGER.playEffect('BREAK_WEAPON');
+          perception.makeNoise(
+            attacker.position,
+            perception.NoiseLevel.BREAKAGE
+          );
           addFadingImage(IMAGE_MANAGER.getSpriteBitmap('break-weapon.png'), {
             delaySecs: 0,
             lifetimeSecs: 6,
@@ -427,7 +965,7 @@ export class Fight extends AbstractInteraction {
     }
   }
   /**
-   * Resolve a fight.
+   * Resolve a fight. The noise of the fight can be heard nearby.
    * @param {module:players/actors.Actor} attacker
    * @param {module:players/actors.Actor} defender
    * @returns {Promise}
@@ -436,8 +974,13 @@ export class Fight extends AbstractInteraction {
     LOG.info(
       `${attacker.traits?.get('NAME')} attacks ${defender.traits.get('NAME')}`
     );
-    return this.#displayAttack(attacker, defender).then(() =>
-      this.#undertakeAllAttacks(attacker, defender)
+    perception.makeNoise(attacker.position, perception.NoiseLevel.COMBAT);
+    const rangedWeapon = this.#getRangedWeapon(attacker, defender);
+    const display = rangedWeapon
+      ? this.#displayRangedAttack(attacker, defender, rangedWeapon)
+      : this.#displayAttack(attacker, defender);
+    return display.then(() =>
+      this.#undertakeAllAttacks(attacker, defender, rangedWeapon)
     );
   }
 }
@@ -702,6 +1245,7 @@ export class Poison extends AbstractInteraction {
       reactor.toxify?.addToxicEffect(this.owner.traits);
     }
     reactor.traits.addTransientFxTraits(this.owner.traits);
+    applyConditions(this.owner.traits, reactor, { allowSave: true });
     return Promise.resolve();
   }
 
@@ -709,7 +1253,7 @@ export class Poison extends AbstractInteraction {
    * @return {boolean} true if immune.
    */
   #isImmune(reactor) {
-    if (this.owner.isOrganic?.() && reactor.traits.transientProperties?.hover) {
+    if (this.owner.isOrganic?.() && reactor.traits.isHovering?.()) {
       LOG.info(
         `${reactor.traits.get('NAME')} hovering so immune from organic attack.`
       );
@@ -828,17 +1372,24 @@ export class CastSpell extends AbstractInteraction {
 
   /**
    * Respond to a spell cast. Note that the magic system does not require an
-   * attack role unless the attack mode is set to ATTACK
+   * attack role unless the attack mode is set to ATTACK. Casting makes a noise.
+   * Spells, other than cantrips, cast by a hero use one of its spell slots.
    * @param {module:players/actors.Actor} enactor
+   * @param {number} [slotLevel] - level of the slot to use. If not set, the
+   * lowest available slot is used.
+   * @param {Point} [targetGridPoint] - tile targeted by spells with a SHAPE.
+   * If not set, the spell's DIRECTION is used instead.
    * @returns {Promise}
    */
-  async react(enactor) {
+  async react(enactor, slotLevel, targetGridPoint) {
     let retValue;
     SOUND_MANAGER.playEffect('SPELL_CHANT');
+    perception.makeNoise(enactor.position, perception.NoiseLevel.CASTING);
 
+    const castLevel = this.#useSpellSlot(enactor, slotLevel);
     switch (this.owner.traits.get('MODE')) {
       case 'BLESS':
-        retValue = this.#enactBless(enactor);
+        retValue = this.#enactBless(enactor, castLevel);
         break;
       case 'CONJURE MEAL':
         retValue = this.#enactConjureMeal(enactor);
@@ -853,24 +1404,54 @@ export class CastSpell extends AbstractInteraction {
         retValue = this.#enactHover(enactor);
         break;
       case 'VAMPIRIC MELEE':
-        retValue = this.#enactVampiricTouch(enactor);
+        retValue = this.#enactVampiricTouch(enactor, castLevel);
         break;
       default:
-        retValue = this.#enactMagic(enactor);
+        retValue = this.#enactMagic(enactor, castLevel, targetGridPoint);
         break;
     }
-    if (artefactTypesEqual(this.owner.artefactType, ArtefactType.SPELL)) {
-      magic.useCastingPower(enactor.traits, this.owner.traits);
-    }
     return retValue;
   }
 
   /**
-   * Cast a standard magic spell
+   * Use the hero's spell slot for casting the spell. Cantrips and spells cast
+   * by monsters do not use slots.
+   * @param {module:players/actors.Actor} enactor
+   * @param {number} [slotLevel] - requested slot level.
+   * @returns {number} the level of the slot used. Undefined if none.
+   */
+  #useSpellSlot(enactor, slotLevel) {
+    if (
+      !enactor.isHero() ||
+      !artefactTypesEqual(this.owner.artefactType, ArtefactType.SPELL)
+    ) {
+      return;
+    }
+    const availableLevels = magic.getAvailableSlotLevels(
+      enactor.traits,
+      this.owner.traits
+    );
+    const castLevel = availableLevels.includes(slotLevel)
+      ? slotLevel
+      : availableLevels[0];
+    if (castLevel) {
+      LOG.info(
+        `Casting ${this.owner.traits.get('NAME')} at level ${castLevel}.`
+      );
+      magic.useSpellSlot(enactor.traits, castLevel);
+    }
+    return castLevel;
+  }
+
+  /**
+   * Cast a standard magic spell. Spells with a SHAPE cast at a target tile
+   * affect everyone in the area, including the caster and any traders.
    * @param {module:players/actors.Actor} caster
+   * @param {number} [castLevel] - level of the slot used.
+   * @param {Point} [targetGridPoint] - tile targeted by spells with a SHAPE.
    * @returns {Promise<number>} total damage inflicted.
    */
-  #enactMagic(enactor) {
+  #enactMagic(enactor, castLevel, targetGridPoint) {
     const tileMap = WORLD.getTileMap();
     const gridPoint = tileMap.worldPointToGrid(enactor.position);
     const range = this.owner.traits.getValueInFeetInTiles('RANGE', 1);
@@ -879,10 +1460,21 @@ export class CastSpell extends AbstractInteraction {
     let hitTargets = 0;
     let validTargets = 0;
     const radial = this.owner.traits.get('DIRECTION') === 'RADIAL';
+    const areaTargeted = !!targetGridPoint;
     const indiscriminate = this.owner.traits.get('INDISCRIMINATE');
-    const affectedTiles = radial
-      ? tileMap.getRadiatingVisibleTiles(range)
-      : tileMap.getRadiatingCross(gridPoint, range);
+    let affectedTiles;
+    if (areaTargeted) {
+      affectedTiles = spellAreas.getAffectedTiles(
+        tileMap,
+        this.owner.traits,
+        gridPoint,
+        targetGridPoint
+      );
+    } else {
+      affectedTiles = radial
+        ? tileMap.getRadiatingVisibleTiles(range)
+        : tileMap.getRadiatingCross(gridPoint, range);
+    }
     for (const tile of affectedTiles) {
       if (hitTargets >= maxTargets) {
         break;
@@ -892,7 +1484,10 @@ export class CastSpell extends AbstractInteraction {
         (a, b) => b.traits.getInt('HP') - a.traits.getInt('HP')
       );
       for (const occupant of descendingHp) {
-        if (this.#IsValidTarget(enactor, occupant, indiscriminate)) {
+        const validTarget = areaTargeted
+          ? this.#isInArea(occupant)
+          : this.#IsValidTarget(enactor, occupant, indiscriminate);
+        if (validTarget) {
           validTargets++;
           const tileSeparation = gridPoint.getSeparation(
             tileMap.worldPointToGrid(occupant.position)
@@ -901,7 +1496,8 @@ export class CastSpell extends AbstractInteraction {
             enactor.traits,
             occupant.traits,
             this.owner.traits,
-            tileSeparation
+            tileSeparation,
+            castLevel
           );
           occupant.sleeping = false;
           dndAction.wakeUpSurrounding(occupant.position, 1);
@@ -909,10 +1505,17 @@ export class CastSpell extends AbstractInteraction {
             totalDamage += damage;
             this.#displaySpell(tile.worldPoint);
             hitTargets++;
-            applyDamage(enactor, occupant, damage);
+            applyDamage(
+              enactor,
+              occupant,
+              damage,
+              getSpellDamageType(this.owner.traits)
+            );
             occupant.traits.addTransientFxTraits(this.owner.traits);
+            applyConditions(this.owner.traits, occupant, { allowSave: true });
           } else {
             this.#displayFailedSpell(tile.worldPoint);
+            displayIfImmune(occupant, getSpellDamageType(this.owner.traits));
           }
         }
       }
@@ -968,9 +1571,10 @@ export class CastSpell extends AbstractInteraction {
    * Cast a spell on oneself. These are only for spells that have
    *  a benefit and only for heroes.
    * @param {module:players/actors.Actor} caster
+   * @param {number} [castLevel] - level of the slot used.
    * @returns {Promise<undefined>}
    */
-  #enactBless(caster) {
+  #enactBless(caster, castLevel) {
     if (!caster.isHero()) {
       return;
     }
@@ -981,11 +1585,13 @@ export class CastSpell extends AbstractInteraction {
     const hpGain = dndAction.getSpellHpGain(
       caster.traits,
       caster.traits,
-      this.owner.traits
+      this.owner.traits,
+      castLevel
     );
     this.#displaySpell(caster.position);
     this.#applyAndShowHpGain(caster, hpGain);
-    caster.traits.addTransientFxTraits(this.owner.traits);
+    this.#addSpellEffect(caster);
+    applyConditions(this.owner.traits, caster);
     return Promise.resolve();
   }
 
@@ -1001,6 +1607,7 @@ export class CastSpell extends AbstractInteraction {
         caster.position,
         Colours.HP_TRANSIENT_TEXT_HERO
       );
+      reviveIfHealed(caster);
     }
   }
 
@@ -1067,10 +1674,11 @@ export class CastSpell extends AbstractInteraction {
    * Enact a vampiric touch.
    * This is a melee attack followed by a self-cure.
    * @param {module:players/actors.Actor} enactor
+   * @param {number} [castLevel] - level of the slot used.
    * @returns {Promise<undefined>}
    */
-  #enactVampiricTouch(enactor) {
-    this.#enactMagic(enactor).then((damage) => {
+  #enactVampiricTouch(enactor, castLevel) {
+    this.#enactMagic(enactor, castLevel).then((damage) => {
       if (damage > 0) {
         const hpGain = Math.round(damage / 2);
         const currentHp = enactor.traits.getInt('HP');
@@ -1085,17 +1693,35 @@ export class CastSpell extends AbstractInteraction {
   }
 
   /**
-   * Apply transient hover
+   * Apply hover as a spell effect.
    * @param {module:players/actors.Actor} enactor
    * @returns {Promise<undefined>}
    */
   #enactHover(enactor) {
-    if (enactor.traits.transientProperties) {
-      enactor.traits.transientProperties.hover = true;
+    if (enactor.traits.addSpellEffect) {
+      this.#addSpellEffect(enactor, { hover: true });
       this.#displaySpell(enactor.position);
     }
   }
 
+  /**
+   * Add the spell's lasting effect to the caster. If this ends another spell
+   * the caster was concentrating on, the ending is shown.
+   * @param {module:players/actors.Actor} caster
+   * @param {Object} [options] - see
+   * {@link module:dnd/traits.CharacterTraits#addSpellEffect}.
+   */
+  #addSpellEffect(caster, options) {
+    const ended = caster.traits.addSpellEffect(this.owner.traits, options);
+    if (ended) {
+      displayFallingText(
+        i18n`SPELL EFFECT ENDED ${ended.name}`,
+        caster.position,
+        Colours.HP_TRANSIENT_TEXT_HERO
+      );
+    }
+  }
+
   /**
    * Test if this is a valid target.
    * @param {module:dnd/players.Actor} caster
@@ -1114,6 +1740,19 @@ export class CastSpell extends AbstractInteraction {
     }
   }
 
+  /**
+   * Test if an occupant of a spell's area is affected. Anyone alive is,
+   * whether friend or foe.
+   * @param {module:dnd/players.Actor} occupant
+   * @returns {boolean}
+   */
+  #isInArea(occupant) {
+    return (
+      (occupant.isHero() || occupant.isEnemy() || occupant.isTrader()) &&
+      occupant.alive
+    );
+  }
+
   /**
    * Display a spell attack at a point.
    * @param {Point} worldPoint
@@ -1177,6 +1816,7 @@ export class ConsumeFood extends AbstractInteraction {
     const foodType = traits.get('TYPE');
     if (foodType === 'POTION') {
       enactor.traits.addTransientFxTraits(this.owner.traits);
+      applyConditions(this.owner.traits, enactor);
       this.#addTransientActions(enactor);
       return UI.showOkDialog(i18n`MESSAGE FX TRAITS APPLIED`);
     }
@@ -1188,8 +1828,13 @@ export class ConsumeFood extends AbstractInteraction {
       if (damage === 0) {
         return UI.showOkDialog(i18n`MESSAGE RESISTED POISON`);
       } else if (applyPoisonDamage(this.owner, enactor, damage) <= 0) {
-        return UI.showOkDialog(i18n`MESSAGE KILLED BY POISON`);
+        return UI.showOkDialog(
+          enactor.alive
+            ? i18n`MESSAGE DOWNED BY POISON`
+            : i18n`MESSAGE KILLED BY POISON`
+        );
       } else {
+        applyConditions(this.owner.traits, enactor, { allowSave: true });
         return UI.showOkDialog(i18n`MESSAGE IT'S POISON ${damage}`);
       }
     } else {
@@ -1219,9 +1864,10 @@ export class ConsumeFood extends AbstractInteraction {
         );
       }
 
-      return UI.showControlsDialog(container).then(() =>
-        enactor.traits.set('HP', gainDetail.newHp)
-      );
+      return UI.showControlsDialog(container).then(() => {
+        enactor.traits.set('HP', gainDetail.newHp);
+        reviveIfHealed(enactor);
+      });
     }
   }
   /**
@@ -1311,8 +1957,19 @@ export class TriggerTrap extends AbstractInteraction {
             ? trapDialogs.showSurvivedTrap
             : trapDialogs.showInjuredByTrap;
         return dialog(enactor, trapDetails, this.owner.description)
-          .then(() => this.#applyAndShowDamage(enactor, damage))
-          .then(() => ({ outcome: action, artefact: foundArtefact }));
+          .then(() =>
+            this.#applyAndShowDamage(
+              enactor,
+              damage,
+              trapDetails.attack.damageType
+            )
+          )
+          .then(() => {
+            if (damage > 0) {
+              applyConditions(this.owner.traits, enactor, { allowSave: true });
+            }
+            return { outcome: action, artefact: foundArtefact };
+          });
       }
       case TrapOutcome.DISABLED:
         LOG.info('Disabled the trap.');
@@ -1330,8 +1987,9 @@ export class TriggerTrap extends AbstractInteraction {
    * Apply and show damage.
    * @param {module:players/actors.Actor} enactor
    * @param {number} damage
+   * @param {module:dnd/damageTypes.DamageType} damageType
    */
-  #applyAndShowDamage(enactor, damage) {
+  #applyAndShowDamage(enactor, damage, damageType) {
     return new Promise((resolve) => {
       SOUND_MANAGER.playEffect('TRIGGER TRAP');
       if (damage <= 0) {
@@ -1348,7 +2006,7 @@ export class TriggerTrap extends AbstractInteraction {
           position: enactor.position,
           velocity: new Velocity(0, 0, 0),
         });
-        applyDamage(this.owner, enactor, damage);
+        applyDamage(this.owner, enactor, damage, damageType);
       }
       resolve();
     });
@@ -1424,3 +2082,247 @@ export class FindPortal extends AbstractInteraction {
     });
   }
 }
+
+/**
+ * Test if any awake enemy is hunting the hero.
+ * @param {module:players/actors.Actor} hero
+ * @returns {boolean}
+ */
+function isHeroHunted(hero) {
+  for (const actor of WORLD.getActors().values()) {
+    if (
+      actor !== hero &&
+      actor.isEnemy() &&
+      actor.alive &&
+      !actor.sleeping &&
+      actor.awareness?.heroInSight
+    ) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Base class for class features, such as a fighter's second wind, that the
+ * hero uses from the HUD. Each use is spent from those available until the
+ * hero next rests.
+ */
+export class UseClassFeature extends AbstractInteraction {
+  /** @type {module:dnd/classFeatures~ClassFeature} */
+  feature;
+
+  /**
+   * Construct the interaction.
+   * @param {module:players/actors.Actor} owner - the hero.
+   * @param {module:dnd/classFeatures~ClassFeature} feature
+   */
+  constructor(owner, feature) {
+    super(owner);
+    this.feature = feature;
+  }
+
+  /**
+   * @override
+   * @returns {boolean}
+   */
+  canEnact() {
+    return classFeatures.getRemainingUses(this.owner.traits, this.feature) > 0;
+  }
+
+  /**
+   * Use the feature. A use is only spent if the feature has an effect.
+   * @param {module:players/actors.Actor} reactorUnused
+   * @returns {Promise<boolean>} fulfils to true if the feature was used.
+   */
+  enact(reactorUnused) {
+    if (!this.canEnact()) {
+      return Promise.resolve(false);
+    }
+    if (this.feature.outOfCombat && isHeroHunted(this.owner)) {
+      return this._refuse(i18n`MESSAGE FEATURE NOT IN COMBAT`);
+    }
+    return this._applyFeature().then((used) => {
+      if (used) {
+        LOG.info(`${this.owner.traits.get('NAME')} uses ${this.feature.id}.`);
+        classFeatures.spendUse(this.owner.traits, this.feature);
+      }
+      return used;
+    });
+  }
+
+  /**
+   * Apply the feature's effect. This should be overridden.
+   * @returns {Promise<boolean>} fulfils to true if the feature had an effect.
+   */
+  _applyFeature() {
+    return Promise.resolve(false);
+  }
+
+  /**
+   * Explain why the feature cannot be used.
+   * @param {string} message
+   * @returns {Promise<boolean>} fulfils to false.
+   */
+  _refuse(message) {
+    return UI.showOkDialog(message).then(() => false);
+  }
+
+  /**
+   * Show text rising from the owner.
+   * @param {string} text
+   */
+  _showText(text) {
+    displayRisingText(
+      text,
+      this.owner.position,
+      Colours.HP_TRANSIENT_TEXT_HERO
+    );
+  }
+}
+
+/**
+ * A fighter's second wind regains hit points.
+ */
+class SecondWind extends UseClassFeature {
+  /**
+   * @override
+   */
+  _applyFeature() {
+    const traits = this.owner.traits;
+    const hp = traits.getInt('HP', 0);
+    const hpMax = traits.getInt('HP_MAX', hp);
+    if (hp >= hpMax) {
+      return this._refuse(i18n`MESSAGE FEATURE NOT HURT`);
+    }
+    const hpGain = Math.min(classFeatures.rollSecondWind(traits), hpMax - hp);
+    traits.set('HP', hp + hpGain);
+    this._showText(`+${hpGain}HP`);
+    return Promise.resolve(true);
+  }
+}
+
+/**
+ * A fighter's action surge gives the hero another turn before the monsters
+ * act.
+ */
+class ActionSurge extends UseClassFeature {
+  /**
+   * @override
+   */
+  _applyFeature() {
+    this.owner.extraTurn = true;
+    this._showText(i18n`ACTION SURGE!`);
+    return Promise.resolve(true);
+  }
+}
+
+/**
+ * A barbarian's rage adds to melee damage, resists weapon damage and gives
+ * advantage on strength saves.
+ */
+class Rage extends UseClassFeature {
+  /**
+   * @override
+   */
+  _applyFeature() {
+    const conditions = this.owner.conditions;
+    if (conditions.has(ConditionType.RAGING)) {
+      return this._refuse(i18n`MESSAGE FEATURE ALREADY RAGING`);
+    }
+    conditions.add(ConditionType.RAGING, { turns: classFeatures.RAGE_TURNS });
+    this._showText(
+      i18n`CONDITION APPLIED ${MESSAGES.getText(ConditionType.RAGING).toUpperCase()}`
+    );
+    return Promise.resolve(true);
+  }
+}
+
+/**
+ * A cleric channels divinity to turn undead. Undead that the hero can see
+ * nearby must make a wisdom save or flee until damaged.
+ */
+class TurnUndead extends UseClassFeature {
+  /**
+   * @override
+   */
+  _applyFeature() {
+    const tileMap = WORLD.getTileMap();
+    const heroGridPoint = tileMap.worldPointToGrid(this.owner.position);
+    const undead = [...WORLD.getActors().values()].filter(
+      (actor) =>
+        actor !== this.owner &&
+        actor.alive &&
+        !actor.isDowned() &&
+        actor.traits?.get('UNDEAD', false) === true &&
+        tileMap.canHeroSeeActor(actor) &&
+        tileMap.worldPointToGrid(actor.position).getSeparation(heroGridPoint) <=
+          classFeatures.TURN_UNDEAD_RANGE_TILES
+    );
+    if (undead.length === 0) {
+      return this._refuse(i18n`MESSAGE FEATURE NO UNDEAD`);
+    }
+    const traits = this.owner.traits;
+    const difficulty =
+      8 + traits.getProficiencyBonus() + traits.getAsModifier('WIS', 0);
+    this._showText(i18n`TURN UNDEAD!`);
+    undead.forEach((actor) => {
+      if (dndAction.rollSavingThrow(actor.traits, 'WIS', difficulty)) {
+        LOG.info(`${actor.traits.get('NAME')} resists being turned.`);
+        return;
+      }
+      actor.conditions?.add(ConditionType.TURNED, {
+        turns: classFeatures.TURNED_TURNS,
+      });
+      displayRisingText(
+        i18n`CONDITION APPLIED ${MESSAGES.getText(ConditionType.TURNED).toUpperCase()}`,
+        actor.position
+      );
+    });
+    return Promise.resolve(true);
+  }
+}
+
+/**
+ * A wizard's arcane recovery restores some spent spell slots.
+ */
+class ArcaneRecovery extends UseClassFeature {
+  /**
+   * @override
+   */
+  _applyFeature() {
+    const traits = this.owner.traits;
+    const recovered = magic.recoverSpellSlots(
+      traits,
+      classFeatures.getArcaneRecoveryLevels(traits)
+    );
+    if (recovered <= 0) {
+      return this._refuse(i18n`MESSAGE FEATURE SLOTS FULL`);
+    }
+    this._showText(i18n`SPELL SLOT LEVELS RECOVERED ${recovered}`);
+    return Promise.resolve(true);
+  }
+}
+
+/**
+ * Create the interaction for using a class feature.
+ * @param {module:players/actors.Actor} owner - the hero.
+ * @param {module:dnd/classFeatures~ClassFeature} feature
+ * @returns {UseClassFeature}
+ */
+export function createClassFeatureInteraction(owner, feature) {
+  switch (feature.id) {
+    case classFeatures.FeatureId.ACTION_SURGE:
+      return new ActionSurge(owner, feature);
+    case classFeatures.FeatureId.ARCANE_RECOVERY:
+      return new ArcaneRecovery(owner, feature);
+    case classFeatures.FeatureId.CHANNEL_DIVINITY:
+      return new TurnUndead(owner, feature);
+    case classFeatures.FeatureId.RAGE:
+      return new Rage(owner, feature);
+    case classFeatures.FeatureId.SECOND_WIND:
+      return new SecondWind(owner, feature);
+    default:
+      return new UseClassFeature(owner, feature);
+  }
+}
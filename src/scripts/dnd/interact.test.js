@@ -0,0 +1,124 @@
+/**
+ * @file Test interactions
+ *
+ * @module dnd/interact.test
+ */
+/**
+ * license {@link https://opensource.org/license/mit/|MIT}
+ * Copyright 2024 Steve Butler (henspace.com).
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the “Software”), to deal in
+ * the Software without restriction, including without limitation the rights to use,
+ * copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the
+ * Software, and to permit persons to whom the Software is furnished to do so,
+ * subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED “AS IS”, WITHOUT WARRANTY OF ANY KIND,
+ * EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES
+ * OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT
+ * HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY,
+ * WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR
+ * OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+import { beforeEach, jest, test, expect } from '@jest/globals';
+import * as mockedDice from '../utils/dice.mockable.js';
+
+jest.unstable_mockModule('../utils/game/screen.js', () => {
+  return {
+    __esModule: true,
+    default: {
+      setOptions: () => null,
+      getContext2D: () => null,
+    },
+  };
+});
+
+jest.unstable_mockModule('../utils/effects/transient.js', () => {
+  return {
+    __esModule: true,
+    addFadingImage: jest.fn(),
+    addFadingAnimatedImage: jest.fn(),
+    addFadingText: jest.fn(),
+    displayRisingText: jest.fn(),
+    displayFallingText: jest.fn(),
+  };
+});
+
+jest.unstable_mockModule('../utils/dice.js', () => {
+  return {
+    __esModule: true,
+    ...mockedDice,
+    rollDice: jest.fn((sides) => mockedDice.rollDice(sides)),
+  };
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+const mockDice = await import('../utils/dice.js');
+const { parseAlmanacLine } = await import('./almanacs/almanacs.js');
+const { buildActor } = await import('./almanacs/actorBuilder.js');
+const { getXpFromCr } = await import('./tables.js');
+const { applyDamage, rollDeathSave } = await import('./interact.js');
+
+test('defeating a downed monster only rewards the hero when it dies', () => {
+  const hero = buildActor(
+    parseAlmanacLine(
+      '0,COMMON,HERO,fighter1 * CLASS:FIGHTER,HIT_DICE:1D12,EXP:0',
+      'HEROES'
+    )
+  );
+  const orc = buildActor(
+    parseAlmanacLine(
+      '1,COMMON,ENEMY,orc * ATTACK:COMBAT,MOVE:HUNT,HP:10,AC:10,CR:1,_DEATH_SAVES:yes',
+      'ENEMIES'
+    )
+  );
+  applyDamage(hero, orc, 12);
+  expect(orc.isDowned()).toBe(true);
+  expect(hero.traits.getInt('EXP')).toBe(0);
+
+  mockDice.rollDice.mockReturnValueOnce(20);
+  rollDeathSave(orc, hero);
+  expect(orc.isDowned()).toBe(false);
+  expect(orc.alive).toBe(true);
+
+  applyDamage(hero, orc, 5);
+  expect(orc.isDowned()).toBe(true);
+  expect(hero.traits.getInt('EXP')).toBe(0);
+
+  mockDice.rollDice.mockReturnValueOnce(1).mockReturnValueOnce(2);
+  rollDeathSave(orc, hero);
+  rollDeathSave(orc, hero);
+  expect(orc.alive).toBe(false);
+  expect(hero.traits.getInt('EXP')).toBe(getXpFromCr(1));
+});
+
+test('damage that kills a downed monster rewards the attacker', () => {
+  const hero = buildActor(
+    parseAlmanacLine(
+      '0,COMMON,HERO,fighter1 * CLASS:FIGHTER,HIT_DICE:1D12,EXP:0',
+      'HEROES'
+    )
+  );
+  const orc = buildActor(
+    parseAlmanacLine(
+      '1,COMMON,ENEMY,orc * ATTACK:COMBAT,MOVE:HUNT,HP:10,AC:10,CR:1,_DEATH_SAVES:yes',
+      'ENEMIES'
+    )
+  );
+  applyDamage(hero, orc, 12);
+  applyDamage(hero, orc, 3, undefined, { critical: true });
+  expect(orc.alive).toBe(true);
+  applyDamage(hero, orc, 3);
+  expect(orc.alive).toBe(false);
+  expect(hero.traits.getInt('EXP')).toBe(getXpFromCr(1));
+});
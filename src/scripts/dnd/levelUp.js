@@ -0,0 +1,109 @@
+/**
+ * @file Advancement of heroes to new levels. When a hero gains a level, the
+ * player chooses ability score improvements and is told of new class features.
+ *
+ * @module dnd/levelUp
+ */
+/**
+ * license {@link https://opensource.org/license/mit/|MIT}
+ * Copyright 2024 Steve Butler (henspace.com).
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the “Software”), to deal in
+ * the Software without restriction, including without limitation the rights to use,
+ * copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the
+ * Software, and to permit persons to whom the Software is furnished to do so,
+ * subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED “AS IS”, WITHOUT WARRANTY OF ANY KIND,
+ * EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES
+ * OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT
+ * HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY,
+ * WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR
+ * OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+import { getTraitAdjustmentDetails } from './abilityGenerator.js';
+import { getNewClassFeatures } from './classFeatures.js';
+import LOG from '../utils/logging.js';
+
+/**
+ * Trait recording the last level for which the hero's advancement was
+ * completed. The leading underscore hides it from the player.
+ */
+const LEVEL_ADVANCED_KEY = '_LEVEL_ADVANCED';
+
+/**
+ * @typedef {Object} Advancement
+ * @property {number} fromLevel - level at which the last advancement was
+ * completed.
+ * @property {number} toLevel - the character's current level.
+ * @property {number} abilityPoints - ability score points to spend.
+ * @property {module:dnd/classFeatures~ClassFeature[]} features - class features
+ * gained.
+ */
+
+/**
+ * Get the advancement waiting to be completed by a character.
+ * @param {module:dnd/traits.CharacterTraits} traits
+ * @returns {Advancement} null if there is no pending advancement.
+ */
+export function getPendingAdvancement(traits) {
+  const toLevel = traits.getCharacterLevel();
+  const fromLevel = traits.getInt(LEVEL_ADVANCED_KEY, 1);
+  if (toLevel <= fromLevel) {
+    return null;
+  }
+  const characterClass = traits.get('CLASS');
+  const details = getTraitAdjustmentDetails(characterClass);
+  const adjustments = details.levels.filter(
+    (level) => level > fromLevel && level <= toLevel
+  );
+  return {
+    fromLevel: fromLevel,
+    toLevel: toLevel,
+    abilityPoints: adjustments.length * details.gainPerAdjustment,
+    features: getNewClassFeatures(characterClass, fromLevel, toLevel),
+  };
+}
+
+/**
+ * Get the abilities that can be improved. These are in the order favoured by
+ * the character's class and exclude any already at the maximum.
+ * @param {module:dnd/traits.CharacterTraits} traits
+ * @returns {string[]}
+ */
+export function getImprovableAbilities(traits) {
+  const details = getTraitAdjustmentDetails(traits.get('CLASS'));
+  return details.traits.filter(
+    (key) => traits.getInt(key, 0) < details.maxAbility
+  );
+}
+
+/**
+ * Improve an ability by one point. The ability cannot exceed the maximum.
+ * @param {module:dnd/traits.CharacterTraits} traits
+ * @param {string} key - the ability; e.g. STR.
+ * @returns {boolean} true if improved.
+ */
+export function improveAbility(traits, key) {
+  if (!getImprovableAbilities(traits).includes(key)) {
+    LOG.error(`Cannot improve ability ${key}.`);
+    return false;
+  }
+  traits.set(key, traits.getInt(key, 0) + 1);
+  return true;
+}
+
+/**
+ * Mark the advancement to the character's current level as complete.
+ * @param {module:dnd/traits.CharacterTraits} traits
+ */
+export function completeAdvancement(traits) {
+  traits.set(LEVEL_ADVANCED_KEY, traits.getCharacterLevel());
+}
@@ -0,0 +1,114 @@
+/**
+ * @file Test level advancement
+ *
+ * @module dnd/levelUp.test
+ */
+/**
+ * license {@link https://opensource.org/license/mit/|MIT}
+ * Copyright 2024 Steve Butler (henspace.com).
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the “Software”), to deal in
+ * the Software without restriction, including without limitation the rights to use,
+ * copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the
+ * Software, and to permit persons to whom the Software is furnished to do so,
+ * subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED “AS IS”, WITHOUT WARRANTY OF ANY KIND,
+ * EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES
+ * OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT
+ * HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY,
+ * WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR
+ * OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+import { test, expect } from '@jest/globals';
+import { CharacterTraits } from './traits.js';
+import * as tables from './tables.js';
+import { FeatureId } from './classFeatures.js';
+import {
+  getPendingAdvancement,
+  getImprovableAbilities,
+  improveAbility,
+  completeAdvancement,
+} from './levelUp.js';
+
+/**
+ * Create rogue traits at a level.
+ * @param {number} level
+ * @param {Object} [abilities = {}] - ability values. Defaults to 10.
+ * @returns {CharacterTraits}
+ */
+function createRogue(level, abilities = {}) {
+  return new CharacterTraits([
+    ['CLASS', 'ROGUE'],
+    ['EXP', tables.getMinExpPointsForLevel(level)],
+    ...['STR', 'DEX', 'CON', 'INT', 'WIS', 'CHA'].map((key) => [
+      key,
+      abilities[key] ?? 10,
+    ]),
+  ]);
+}
+
+test('getPendingAdvancement none at level 1', () => {
+  expect(getPendingAdvancement(createRogue(1))).toBeNull();
+});
+
+test('getPendingAdvancement includes points from adjustment levels', () => {
+  let advancement = getPendingAdvancement(createRogue(3));
+  expect(advancement).toEqual({
+    fromLevel: 1,
+    toLevel: 3,
+    abilityPoints: 0,
+    features: [],
+  });
+  advancement = getPendingAdvancement(createRogue(8));
+  expect(advancement.abilityPoints).toBe(4); // levels 4 and 8
+});
+
+test('getPendingAdvancement includes new class features', () => {
+  const traits = new CharacterTraits([
+    ['CLASS', 'FIGHTER'],
+    ['EXP', tables.getMinExpPointsForLevel(2)],
+  ]);
+  traits.set('_LEVEL_ADVANCED', 1);
+  const advancement = getPendingAdvancement(traits);
+  expect(advancement.features.map((feature) => feature.id)).toEqual([
+    FeatureId.ACTION_SURGE,
+  ]);
+});
+
+test('completeAdvancement clears pending advancement', () => {
+  const traits = createRogue(4);
+  expect(getPendingAdvancement(traits).abilityPoints).toBe(2);
+  completeAdvancement(traits);
+  expect(getPendingAdvancement(traits)).toBeNull();
+  traits.set('EXP', tables.getMinExpPointsForLevel(8));
+  traits._refreshDerivedValues();
+  expect(getPendingAdvancement(traits)).toMatchObject({
+    fromLevel: 4,
+    toLevel: 8,
+    abilityPoints: 2,
+  });
+});
+
+test('getImprovableAbilities in class order excluding maximum', () => {
+  const traits = createRogue(4, { DEX: 20, INT: 19 });
+  expect(getImprovableAbilities(traits)).toEqual([
+    'INT',
+    'CHA',
+    'STR',
+    'CON',
+    'WIS',
+  ]);
+  expect(improveAbility(traits, 'INT')).toBe(true);
+  expect(traits.getInt('INT')).toBe(20);
+  expect(improveAbility(traits, 'INT')).toBe(false);
+  expect(improveAbility(traits, 'DEX')).toBe(false);
+  expect(traits.getInt('DEX')).toBe(20);
+});
@@ -30,49 +30,262 @@
 import LOG from '../utils/logging.js';
 
 /**
- * The 5e edition spell system uses 9 spell slots.
- * This system has been simplified. In the 5e a 20th level wizard has slots
- * for two level 9 spells and 12 level 1 spells (if using other higher level slots).
- * So, we will take a level 9 spell as
- * equivalent to six level 1 spells. Applying this to any spell level
- * and using a level one spell as the base spell power unit, we get:
- * spellPower = 1 + 5 * (level - 1) / 8. This gives the following
- * powers:
+ * Spells, other than cantrips, are cast using spell slots as in 5e. Each
+ * class casts as a full, half or pact caster:
  *
- * - level 1: 1
- * - level 2: 2
- * - level 3: 2
- * - level 4: 3
- * - level 5: 4
- * - level 6: 4
- * - level 7: 5
- * - level 8: 5
- * - level 9: 6
+ * - full casters use the full caster table of slots per spell level.
+ * - half casters use the full caster table at half their character level,
+ * rounded down, so they have no slots at level 1, gain slots more slowly and
+ * never exceed level 5 spells.
+ * - pact casters have a few slots which are all of the same level. They are
+ * restored by a short rest.
  *
- * From 5e, a wizard at level 20 has 22 slots and two at level 1.
- * So the available slots can be approximated as
- *
- * > slots = 2 + 20 * (characterLevel - 1) / 19
- *
- * Then taking the average spell power as four, we can assign
- * a total power availability of
- *
- * > total power = 4 * (2 + 20 * (characterLevel - 1) / 19)
- *
- * This results in the following values as examples.
- *
- * Level 1 character: power = 4; equivalent to 4 level 1 spells.
- * Level 20 character: power = 22; equivalent to 22 level 1 spell.
+ * Other slots are only restored by a long rest. A spell can be cast using a
+ * slot of a higher level than the spell, in which case its DICE_PER_LEVEL
+ * applies for each level above the spell's level.
+ */
+
+/**
+ * How a class casts spells.
+ * @enum {string}
+ */
+export const CasterType = {
+  FULL: 'FULL',
+  HALF: 'HALF',
+  PACT: 'PACT',
+  NONE: 'NONE',
+};
+
+/**
+ * Caster types of the spell casting classes. Classes not listed cannot cast
+ * spells other than cantrips.
+ * @type {Map<string, CasterType>}
+ */
+const CLASS_CASTER_TYPES = new Map([
+  ['BARD', CasterType.FULL],
+  ['CLERIC', CasterType.FULL],
+  ['DRUID', CasterType.FULL],
+  ['PALADIN', CasterType.HALF],
+  ['RANGER', CasterType.HALF],
+  ['SORCERER', CasterType.FULL],
+  ['WARLOCK', CasterType.PACT],
+  ['WIZARD', CasterType.FULL],
+]);
+
+/**
+ * Spell slots of a full caster for each character level from 1 to 20. Each
+ * entry holds the number of slots for spell levels 1 upwards.
+ * @type {number[][]}
+ */
+const FULL_CASTER_SLOTS = [
+  [2],
+  [3],
+  [4, 2],
+  [4, 3],
+  [4, 3, 2],
+  [4, 3, 3],
+  [4, 3, 3, 1],
+  [4, 3, 3, 2],
+  [4, 3, 3, 3, 1],
+  [4, 3, 3, 3, 2],
+  [4, 3, 3, 3, 2, 1],
+  [4, 3, 3, 3, 2, 1],
+  [4, 3, 3, 3, 2, 1, 1],
+  [4, 3, 3, 3, 2, 1, 1],
+  [4, 3, 3, 3, 2, 1, 1, 1],
+  [4, 3, 3, 3, 2, 1, 1, 1],
+  [4, 3, 3, 3, 2, 1, 1, 1, 1],
+  [4, 3, 3, 3, 3, 1, 1, 1, 1],
+  [4, 3, 3, 3, 3, 2, 1, 1, 1],
+  [4, 3, 3, 3, 3, 2, 2, 1, 1],
+];
+
+/** Highest level of slot that a pact caster gains. */
+const MAX_PACT_SLOT_LEVEL = 5;
+
+/** Highest level of slot that can be recovered by arcane recovery. */
+const MAX_RECOVERABLE_SLOT_LEVEL = 5;
+
+/**
+ * Get the key of the trait used to record spent slots of a spell level. The
+ * key starts with an underscore so it is not shown to the player.
+ * @param {number} slotLevel
+ * @returns {string}
+ */
+function getSpentSlotsKey(slotLevel) {
+  return `_SPENT_SLOTS_${slotLevel}`;
+}
+
+/**
+ * Get how a caster casts spells.
+ * @param {module:dnd/traits.Traits} casterTraits
+ * @returns {CasterType}
+ */
+export function getCasterType(casterTraits) {
+  return CLASS_CASTER_TYPES.get(casterTraits.get('CLASS')) ?? CasterType.NONE;
+}
+
+/**
+ * Get the pact magic slots of a warlock.
+ * @param {number} characterLevel
+ * @returns {number[]} slots for spell levels 1 upwards.
+ */
+function getPactSlots(characterLevel) {
+  const slotLevel = Math.min(
+    Math.ceil(characterLevel / 2),
+    MAX_PACT_SLOT_LEVEL
+  );
+  let count;
+  if (characterLevel < 2) {
+    count = 1;
+  } else if (characterLevel < 11) {
+    count = 2;
+  } else if (characterLevel < 17) {
+    count = 3;
+  } else {
+    count = 4;
+  }
+  const slots = new Array(slotLevel).fill(0);
+  slots[slotLevel - 1] = count;
+  return slots;
+}
+
+/**
+ * Get the maximum number of spell slots of a caster. Half casters have the
+ * slots of a full caster of half their level, rounded down, so have none at
+ * level 1.
+ * @param {module:dnd/traits.CharacterTraits} casterTraits
+ * @returns {number[]} slots for spell levels 1 upwards. Empty if the caster
+ * has no slots.
+ */
+export function getMaxSpellSlots(casterTraits) {
+  const characterLevel = Math.min(casterTraits.getCharacterLevel(), 20);
+  switch (getCasterType(casterTraits)) {
+    case CasterType.FULL:
+      return [...FULL_CASTER_SLOTS[characterLevel - 1]];
+    case CasterType.HALF:
+      return characterLevel < 2
+        ? []
+        : [...FULL_CASTER_SLOTS[Math.floor(characterLevel / 2) - 1]];
+    case CasterType.PACT:
+      return getPactSlots(characterLevel);
+    default:
+      return [];
+  }
+}
+
+/**
+ * Get the spell slots a caster has left.
+ * @param {module:dnd/traits.CharacterTraits} casterTraits
+ * @returns {number[]} remaining slots for spell levels 1 upwards.
+ */
+export function getSpellSlots(casterTraits) {
+  return getMaxSpellSlots(casterTraits).map((maxSlots, index) =>
+    Math.max(0, maxSlots - casterTraits.getInt(getSpentSlotsKey(index + 1), 0))
+  );
+}
+
+/**
+ * Get the highest level of spell slot a caster has, whether spent or not.
+ * Characters that do not cast as one of the caster types gain spell levels
+ * in line with full casters.
+ * @param {module:dnd/traits.CharacterTraits} casterTraits
+ * @returns {number}
+ */
+export function getMaxSpellLevel(casterTraits) {
+  if (getCasterType(casterTraits) === CasterType.NONE) {
+    return characterLevelToSpellLevel(casterTraits.getCharacterLevel());
+  }
+  return getMaxSpellSlots(casterTraits).length;
+}
+
+/**
+ * Get the levels of the slots that can be used to cast a spell. These are
+ * the slots left at or above the spell's level.
+ * @param {module:dnd/traits.CharacterTraits} casterTraits
+ * @param {module:dnd/traits.Traits} spellTraits
+ * @returns {number[]} slot levels in ascending order.
+ */
+export function getAvailableSlotLevels(casterTraits, spellTraits) {
+  const spellLevel = spellTraits.getInt('LEVEL', 1);
+  const levels = [];
+  getSpellSlots(casterTraits).forEach((slots, index) => {
+    const slotLevel = index + 1;
+    if (slots > 0 && slotLevel >= spellLevel) {
+      levels.push(slotLevel);
+    }
+  });
+  return levels;
+}
+
+/**
+ * Use one of the caster's spell slots.
+ * @param {module:dnd/traits.CharacterTraits} casterTraits
+ * @param {number} slotLevel
  */
+export function useSpellSlot(casterTraits, slotLevel) {
+  const key = getSpentSlotsKey(slotLevel);
+  casterTraits.set(key, casterTraits.getInt(key, 0) + 1);
+}
 
 /**
- * Get the power of a spell in equivalent level 1 spells.
- * @param {Traits} spellTraits
- * @returns {number} equivalent number of level one spells.
+ * Test if actor can cast a spell. Cantrips can always be cast; other spells
+ * need a slot of at least the spell's level.
+ * @param {module:dnd/traits.CharacterTraits} casterTraits
+ * @param {module:dnd/traits.Traits} spellTraits
+ * @returns {boolean}
  */
-export function getSpellPower(spellTraits) {
-  const level = spellTraits.getInt('LEVEL', 1);
-  return Math.round(1 + (5 * (level - 1)) / 8);
+export function canCastSpell(casterTraits, spellTraits) {
+  if (spellTraits.getInt('LEVEL', 1) === 0) {
+    return true;
+  }
+  return getAvailableSlotLevels(casterTraits, spellTraits).length > 0;
+}
+
+/**
+ * Restore spell slots after a rest. A long rest restores all slots but a
+ * short rest only restores the slots of pact casters.
+ * @param {module:dnd/traits.CharacterTraits} casterTraits
+ * @param {string} length - LONG or SHORT
+ */
+export function restoreSpellSlots(casterTraits, length) {
+  if (length !== 'LONG' && getCasterType(casterTraits) !== CasterType.PACT) {
+    return;
+  }
+  for (let slotLevel = 1; slotLevel <= 9; slotLevel++) {
+    casterTraits.delete(getSpentSlotsKey(slotLevel));
+  }
+}
+
+/**
+ * Recover spent spell slots with a combined level no greater than a limit.
+ * The highest level slots are recovered first. Slots above level 5 cannot be
+ * recovered.
+ * @param {module:dnd/traits.CharacterTraits} casterTraits
+ * @param {number} maxTotalLevels - limit on the combined level of the slots.
+ * @returns {number} the combined level of the slots actually recovered.
+ */
+export function recoverSpellSlots(casterTraits, maxTotalLevels) {
+  const maxSlots = getMaxSpellSlots(casterTraits);
+  let levelsLeft = maxTotalLevels;
+  for (
+    let slotLevel = Math.min(MAX_RECOVERABLE_SLOT_LEVEL, maxSlots.length);
+    slotLevel > 0;
+    slotLevel--
+  ) {
+    const key = getSpentSlotsKey(slotLevel);
+    let spent = casterTraits.getInt(key, 0);
+    while (spent > 0 && slotLevel <= levelsLeft) {
+      spent--;
+      levelsLeft -= slotLevel;
+    }
+    if (spent > 0) {
+      casterTraits.set(key, spent);
+    } else {
+      casterTraits.delete(key);
+    }
+  }
+  return maxTotalLevels - levelsLeft;
 }
 
 /**
@@ -87,18 +300,17 @@ export function characterLevelToSpellLevel(characterLevel) {
   return Math.min(Math.round(1 + (8 * (characterLevel - 1)) / 16), 9);
 }
 /**
- * This is a simplified magic system. From 5e, magic users hit spell level 9
- * by character level 17. Available spell levels are interpolated from 1 to 9
- * across character levels 1 to 17.
+ * Test if an actor can learn a spell. The spell's level cannot be higher
+ * than the highest level of spell slot the actor has and the actor's class
+ * must be one of the spell's casters.
  * @param {module:dnd/traits.CharacterTraits} actorTraits
  * @param {module:dnd/traits.Traits} magicTraits
  * @returns {boolean}
  */
 export function canActorLearnMagic(actorTraits, magicTraits) {
   // check level
-  const actorLevel = actorTraits.getCharacterLevel();
   const spellLevel = magicTraits.getInt('LEVEL', 0);
-  const maxSpellLevel = characterLevelToSpellLevel(actorLevel);
+  const maxSpellLevel = getMaxSpellLevel(actorTraits);
 
   if (spellLevel > maxSpellLevel) {
     LOG.info(
@@ -131,56 +343,6 @@ export function canActorLearnMagic(actorTraits, magicTraits) {
   return true;
 }
 
-/**
- * Get the actor's available casting power.
- * If the trait does not exist, it is recreated at the max level.
- * @param {module:dnd/Traits.CharacterTraits} casterTraits
- * @return {number}
- */
-export function getCastingPower(casterTraits) {
-  const availablePower = casterTraits.getInt('CASTING_POWER');
-  if (casterTraits.has('CASTING_POWER')) {
-    return availablePower;
-  } else {
-    return restoreCastingPower(casterTraits);
-  }
-}
-/**
- * Use some of the actor's casting power.
- * @param {module:dnd/Traits.CharacterTraits} casterTraits
- * @param {module:dnd/Traits.Traits} spellTraits
- */
-export function useCastingPower(casterTraits, spellTraits) {
-  const spellPower = getSpellPower(spellTraits);
-  const availablePower = getCastingPower(casterTraits);
-  const remaining = Math.max(0, availablePower - spellPower);
-  casterTraits.set('CASTING_POWER', remaining);
-}
-
-/**
- * Test if actor has enough power to cast a spell.
- * @param {module:dnd/Traits.Traits} casterTraits
- * @param {module:dnd/Traits.Traits} spellTraits
- * @returns {boolean}
- */
-export function canCastSpell(casterTraits, spellTraits) {
-  const spellPower = getSpellPower(spellTraits);
-  const availablePower = getCastingPower(casterTraits);
-  return availablePower >= spellPower;
-}
-
-/**
- * Restore casting power to max.
- * @param {module:dnd/Traits.CharacterTraits} casterTraits
- * @returns {number}
- */
-export function restoreCastingPower(casterTraits) {
-  const characterLevel = casterTraits.getCharacterLevel();
-  const maxPower = Math.round(4 * (2 + (20 * (characterLevel - 1)) / 19));
-  casterTraits.set('CASTING_POWER', maxPower);
-  return maxPower;
-}
-
 /**
  * Test if bless spell can be used. Bless spells can only be used
  * when the target's HP are <= spellTraits MAX_TARGET_HP value.
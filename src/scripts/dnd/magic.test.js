@@ -63,12 +63,6 @@ test('canActorLearnMagic - checks level', () => {
   expect(magic.canActorLearnMagic(actorTraits, magicTraits)).toBe(true);
 });
 
-test('getSpellPower', () => {
-  expect(magic.getSpellPower(new Traits(''))).toBe(1);
-  expect(magic.getSpellPower(new Traits('LEVEL:1'))).toBe(1);
-  expect(magic.getSpellPower(new Traits('LEVEL:9'))).toBe(6);
-});
-
 test('characterLevelToSpellLevel', () => {
   expect(magic.characterLevelToSpellLevel(1)).toEqual(1);
   expect(magic.characterLevelToSpellLevel(5)).toEqual(3);
@@ -76,117 +70,129 @@ test('characterLevelToSpellLevel', () => {
   expect(magic.characterLevelToSpellLevel(20)).toEqual(9);
 });
 
-test('useCastingPower', () => {
-  for (let level = 1; level <= 9; level++) {
-    const spellTraits = new Traits(`LEVEL:${level}`);
-    const power = magic.getSpellPower(spellTraits);
-    expect(power).toBeGreaterThanOrEqual(1);
-    const castingPower = 100;
-    const casterTraits = new Traits(`CASTING_POWER:${castingPower}`);
-    magic.useCastingPower(casterTraits, spellTraits);
-    expect(casterTraits.getInt('CASTING_POWER')).toBe(castingPower - power);
-  }
-  const spellTraits = new Traits(`LEVEL:9`);
-  const power = magic.getSpellPower(spellTraits);
-  const castingPower = 1;
-  const casterTraits = new Traits(`CASTING_POWER:${castingPower}`);
-  magic.useCastingPower(casterTraits, spellTraits);
-  expect(power).toBeGreaterThanOrEqual(1);
-  expect(casterTraits.getInt('CASTING_POWER')).toBe(0);
-});
-
-test('canCasterCastSpell', () => {
-  for (let level = 1; level <= 9; level++) {
-    const spellTraits = new Traits(`LEVEL:${level}`);
-    const power = magic.getSpellPower(spellTraits);
-    expect(power).toBeGreaterThanOrEqual(1);
-    // not enough power
-    let castingPower = power - 1;
-    let casterTraits = new Traits(`CASTING_POWER:${castingPower}`);
-    expect(magic.canCastSpell(casterTraits, spellTraits)).toBe(false);
-
-    // exactly enough power
-    castingPower = power;
-    casterTraits = new Traits(`CASTING_POWER:${castingPower}`);
-    expect(magic.canCastSpell(casterTraits, spellTraits)).toBe(true);
-
-    // more than enough power
-    castingPower = power + 1;
-    casterTraits = new Traits(`CASTING_POWER:${castingPower}`);
-    expect(magic.canCastSpell(casterTraits, spellTraits)).toBe(true);
-  }
-});
-
-test('restoreCastingPower', () => {
-  for (let characterLevel = 1; characterLevel <= 20; characterLevel++) {
-    let casterTraits = new CharacterTraits(
-      `EXP:${getMinExpPointsForLevel(characterLevel)}, CASTING_POWER:0`
-    );
-    expect(casterTraits.getCharacterLevel()).toBe(characterLevel);
-    const expectedPower = Math.round(
-      4 * (2 + (20 * (characterLevel - 1)) / 19)
-    );
-    expect(magic.restoreCastingPower(casterTraits)).toBe(expectedPower);
-    expect(casterTraits.getInt('CASTING_POWER')).toBe(expectedPower);
-  }
-});
-
-test('getCasting power creates power if non existent', () => {
-  for (let characterLevel = 1; characterLevel <= 20; characterLevel++) {
-    let casterTraits = new CharacterTraits(
-      `EXP:${getMinExpPointsForLevel(characterLevel)}`
-    );
-    expect(casterTraits.getCharacterLevel()).toBe(characterLevel);
-    const expectedPower = Math.round(
-      4 * (2 + (20 * (characterLevel - 1)) / 19)
-    );
-    const result = magic.getCastingPower(casterTraits);
-    expect(result).toBe(expectedPower);
-    expect(casterTraits.getInt('CASTING_POWER')).toBe(expectedPower);
-  }
-});
-
-test('getCasting power leaves if exists', () => {
-  const expectedPower = 3;
-  let casterTraits = new CharacterTraits(
-    `EXP:10000, CASTING_POWER:${expectedPower}}`
+/**
+ * Create traits for a caster.
+ * @param {string} characterClass
+ * @param {number} level
+ * @returns {CharacterTraits}
+ */
+function createCaster(characterClass, level) {
+  return new CharacterTraits(
+    `EXP:${getMinExpPointsForLevel(level)}, CLASS:${characterClass}`
   );
-  const result = magic.getCastingPower(casterTraits);
-  expect(result).toBe(expectedPower);
-  expect(casterTraits.getInt('CASTING_POWER')).toBe(expectedPower);
-});
+}
 
-test('useCastingPower creates casting power if non-existent', () => {
-  const characterLevel = 6;
-  const expectedFullPower = Math.round(
-    4 * (2 + (20 * (characterLevel - 1)) / 19)
+test('getCasterType', () => {
+  expect(magic.getCasterType(new Traits('CLASS:WIZARD'))).toBe(
+    magic.CasterType.FULL
   );
-  let casterTraits = new CharacterTraits(
-    `EXP:${getMinExpPointsForLevel(characterLevel)}`
+  expect(magic.getCasterType(new Traits('CLASS:RANGER'))).toBe(
+    magic.CasterType.HALF
   );
-  expect(casterTraits.has('CASTING_POWER')).toBe(false);
-  const spellTraits = new Traits(`LEVEL:6`);
-  const spellPower = magic.getSpellPower(spellTraits);
-  magic.useCastingPower(casterTraits, spellTraits);
-  const remainingPower = casterTraits.getInt('CASTING_POWER');
-  expect(remainingPower).toBe(expectedFullPower - spellPower);
-});
-
-test('canCastingSpell creates casting power if non-existent', () => {
-  const characterLevel = 6;
-  const expectedFullPower = Math.round(
-    4 * (2 + (20 * (characterLevel - 1)) / 19)
+  expect(magic.getCasterType(new Traits('CLASS:WARLOCK'))).toBe(
+    magic.CasterType.PACT
   );
-  let casterTraits = new CharacterTraits(
-    `EXP:${getMinExpPointsForLevel(characterLevel)}`
+  expect(magic.getCasterType(new Traits('CLASS:FIGHTER'))).toBe(
+    magic.CasterType.NONE
   );
-  expect(casterTraits.has('CASTING_POWER')).toBe(false);
-  const spellTraits = new Traits(`LEVEL:1`);
-  const spellPower = magic.getSpellPower(spellTraits);
-  expect(spellPower).toBeLessThan(expectedFullPower);
-  magic.canCastSpell(casterTraits, spellTraits);
-  const remainingPower = casterTraits.getInt('CASTING_POWER');
-  expect(remainingPower).toBe(expectedFullPower);
+});
+
+test('getMaxSpellSlots full casters', () => {
+  expect(magic.getMaxSpellSlots(createCaster('WIZARD', 1))).toEqual([2]);
+  expect(magic.getMaxSpellSlots(createCaster('CLERIC', 5))).toEqual([4, 3, 2]);
+  expect(magic.getMaxSpellSlots(createCaster('WIZARD', 20))).toEqual([
+    4, 3, 3, 3, 3, 2, 2, 1, 1,
+  ]);
+});
+
+test('getMaxSpellSlots half casters', () => {
+  expect(magic.getMaxSpellSlots(createCaster('RANGER', 1))).toEqual([]);
+  expect(magic.getMaxSpellSlots(createCaster('RANGER', 2))).toEqual([2]);
+  expect(magic.getMaxSpellSlots(createCaster('PALADIN', 3))).toEqual([2]);
+  expect(magic.getMaxSpellSlots(createCaster('RANGER', 5))).toEqual([3]);
+  expect(magic.getMaxSpellSlots(createCaster('RANGER', 20))).toEqual([
+    4, 3, 3, 3, 2,
+  ]);
+});
+
+test('getMaxSpellSlots pact casters', () => {
+  expect(magic.getMaxSpellSlots(createCaster('WARLOCK', 1))).toEqual([1]);
+  expect(magic.getMaxSpellSlots(createCaster('WARLOCK', 5))).toEqual([0, 0, 2]);
+  expect(magic.getMaxSpellSlots(createCaster('WARLOCK', 20))).toEqual([
+    0, 0, 0, 0, 4,
+  ]);
+});
+
+test('getMaxSpellSlots non casters', () => {
+  expect(magic.getMaxSpellSlots(createCaster('FIGHTER', 10))).toEqual([]);
+});
+
+test('useSpellSlot and getSpellSlots', () => {
+  const casterTraits = createCaster('WIZARD', 3);
+  magic.useSpellSlot(casterTraits, 2);
+  expect(magic.getSpellSlots(casterTraits)).toEqual([4, 1]);
+  magic.useSpellSlot(casterTraits, 2);
+  magic.useSpellSlot(casterTraits, 2);
+  expect(magic.getSpellSlots(casterTraits)).toEqual([4, 0]);
+});
+
+test('getAvailableSlotLevels only includes slots at or above spell level', () => {
+  const casterTraits = createCaster('WIZARD', 5);
+  const spellTraits = new Traits('LEVEL:2');
+  expect(magic.getAvailableSlotLevels(casterTraits, spellTraits)).toEqual([
+    2, 3,
+  ]);
+  magic.useSpellSlot(casterTraits, 2);
+  magic.useSpellSlot(casterTraits, 2);
+  magic.useSpellSlot(casterTraits, 2);
+  expect(magic.getAvailableSlotLevels(casterTraits, spellTraits)).toEqual([3]);
+});
+
+test('canCastSpell', () => {
+  const casterTraits = createCaster('WARLOCK', 1);
+  const cantripTraits = new Traits('LEVEL:0');
+  const spellTraits = new Traits('LEVEL:1');
+  expect(magic.canCastSpell(casterTraits, spellTraits)).toBe(true);
+  magic.useSpellSlot(casterTraits, 1);
+  expect(magic.canCastSpell(casterTraits, spellTraits)).toBe(false);
+  expect(magic.canCastSpell(casterTraits, cantripTraits)).toBe(true);
+  expect(
+    magic.canCastSpell(createCaster('FIGHTER', 5), new Traits('LEVEL:1'))
+  ).toBe(false);
+});
+
+test('restoreSpellSlots long rest restores all casters', () => {
+  const casterTraits = createCaster('WIZARD', 5);
+  magic.useSpellSlot(casterTraits, 1);
+  magic.useSpellSlot(casterTraits, 3);
+  magic.restoreSpellSlots(casterTraits, 'SHORT');
+  expect(magic.getSpellSlots(casterTraits)).toEqual([3, 3, 1]);
+  magic.restoreSpellSlots(casterTraits, 'LONG');
+  expect(magic.getSpellSlots(casterTraits)).toEqual([4, 3, 2]);
+});
+
+test('restoreSpellSlots short rest restores pact casters', () => {
+  const casterTraits = createCaster('WARLOCK', 5);
+  magic.useSpellSlot(casterTraits, 3);
+  magic.useSpellSlot(casterTraits, 3);
+  expect(magic.getSpellSlots(casterTraits)).toEqual([0, 0, 0]);
+  magic.restoreSpellSlots(casterTraits, 'SHORT');
+  expect(magic.getSpellSlots(casterTraits)).toEqual([0, 0, 2]);
+});
+
+test('recoverSpellSlots recovers highest slots within limit', () => {
+  const casterTraits = createCaster('WIZARD', 5);
+  magic.useSpellSlot(casterTraits, 1);
+  magic.useSpellSlot(casterTraits, 1);
+  magic.useSpellSlot(casterTraits, 2);
+  magic.useSpellSlot(casterTraits, 3);
+  expect(magic.recoverSpellSlots(casterTraits, 3)).toBe(3);
+  expect(magic.getSpellSlots(casterTraits)).toEqual([2, 2, 2]);
+  expect(magic.recoverSpellSlots(casterTraits, 3)).toBe(3);
+  expect(magic.getSpellSlots(casterTraits)).toEqual([3, 3, 2]);
+  expect(magic.recoverSpellSlots(casterTraits, 3)).toBe(1);
+  expect(magic.getSpellSlots(casterTraits)).toEqual([4, 3, 2]);
+  expect(magic.recoverSpellSlots(casterTraits, 3)).toBe(0);
 });
 
 test('canBless: default maxTargetHp', () => {
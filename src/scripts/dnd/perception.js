@@ -0,0 +1,204 @@
+/**
+ * @file Perception. Monsters notice the hero by sight, using passive Perception
+ * against the hero's Stealth, and by hearing noises that spread through the
+ * tile map.
+ *
+ * @module dnd/perception
+ */
+/**
+ * license {@link https://opensource.org/license/mit/|MIT}
+ * Copyright 2024 Steve Butler (henspace.com).
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the “Software”), to deal in
+ * the Software without restriction, including without limitation the rights to use,
+ * copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the
+ * Software, and to permit persons to whom the Software is furnished to do so,
+ * subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED “AS IS”, WITHOUT WARRANTY OF ANY KIND,
+ * EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES
+ * OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT
+ * HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY,
+ * WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR
+ * OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+import LOG from '../utils/logging.js';
+import WORLD from '../utils/game/world.js';
+import { Advantage } from './advantage.js';
+import { characteristicToModifier } from './traits.js';
+import { addLuck } from './races.js';
+
+/**
+ * Loudness of noises. This is the number of tiles a noise travels, losing
+ * one for each tile crossed, so quiet noises are only heard close by.
+ * @enum {number}
+ */
+export const NoiseLevel = {
+  FOOTSTEPS: 1,
+  HANDLING: 2,
+  CASTING: 3,
+  COMBAT: 4,
+  DOOR: 4,
+  BREAKAGE: 6,
+};
+
+/**
+ * What an actor knows about the hero's whereabouts.
+ */
+export class Awareness {
+  /** @type {boolean} */
+  #heroInSight;
+  /** @type {Point} */
+  #lastKnownGridPoint;
+
+  /**
+   * Create awareness of an actor that has yet to notice the hero.
+   */
+  constructor() {
+    this.#heroInSight = false;
+    this.#lastKnownGridPoint = null;
+  }
+
+  /**
+   * Test if the hero has been noticed and is still in sight.
+   * @returns {boolean}
+   */
+  get heroInSight() {
+    return this.#heroInSight;
+  }
+
+  /**
+   * Get where the hero was last seen or heard.
+   * @returns {Point} null if unknown.
+   */
+  get lastKnownGridPoint() {
+    return this.#lastKnownGridPoint;
+  }
+
+  /**
+   * Record that the hero is in sight.
+   * @param {Point} heroGridPoint
+   */
+  see(heroGridPoint) {
+    this.#heroInSight = true;
+    this.#lastKnownGridPoint = heroGridPoint;
+  }
+
+  /**
+   * Record that the hero is no longer in sight. The last known position is
+   * kept so it can be searched.
+   */
+  loseSight() {
+    this.#heroInSight = false;
+  }
+
+  /**
+   * Record a noise. This is only of interest if the hero is not in sight.
+   * @param {Point} gridPoint - source of the noise.
+   */
+  hear(gridPoint) {
+    if (!this.#heroInSight) {
+      this.#lastKnownGridPoint = gridPoint;
+    }
+  }
+
+  /**
+   * Forget the last known position, normally once it has been searched.
+   */
+  forget() {
+    this.#lastKnownGridPoint = null;
+  }
+}
+
+/**
+ * Get passive Perception. This is 10 plus the WIS modifier and any
+ * proficiency bonus for PERCEPTION.
+ * @param {module:dnd/traits.CharacterTraits} traits
+ * @returns {number}
+ */
+export function getPassivePerception(traits) {
+  const modifier = characteristicToModifier(traits.getEffectiveInt('WIS', 10));
+  return 10 + modifier + traits.getCharacterPb('PERCEPTION');
+}
+
+/**
+ * Roll a Stealth check. This is a d20 roll plus the DEX modifier and any
+ * proficiency bonus for STEALTH. Conditions can impose disadvantage and a
+ * lucky character rerolls a natural 1.
+ * @param {module:dnd/traits.CharacterTraits} traits
+ * @returns {number}
+ */
+export function rollStealth(traits) {
+  const modifier = characteristicToModifier(traits.getEffectiveInt('DEX', 10));
+  const profBonus = traits.getCharacterPb('STEALTH');
+  const advantage = new Advantage();
+  traits.conditions?.addCheckAdvantage(advantage);
+  addLuck(advantage, traits);
+  const roll = advantage.rollD20() + modifier + profBonus;
+  LOG.info(
+    `Stealth: D20 + ability(${modifier}) + proficiency(${profBonus}): ${roll}`
+  );
+  return roll;
+}
+
+/**
+ * Update what an observer knows about the hero. Observers engaging the hero
+ * always know where it is. Otherwise the hero must be in the observer's line
+ * of sight. An observer that already has the hero in sight keeps track of it
+ * while a new sighting needs the observer's passive Perception to beat the
+ * hero's Stealth.
+ * @param {module:dnd/traits.CharacterTraits} observerTraits
+ * @param {Awareness} awareness - the observer's awareness which is updated.
+ * @param {Object} sighting
+ * @param {Point} sighting.heroGridPoint
+ * @param {boolean} sighting.inLineOfSight
+ * @param {boolean} sighting.engaged
+ * @param {number} sighting.stealth - the hero's Stealth roll.
+ * @returns {boolean} true if the hero is in sight.
+ */
+export function perceiveHero(observerTraits, awareness, sighting) {
+  const noticed =
+    sighting.engaged ||
+    (sighting.inLineOfSight &&
+      (awareness.heroInSight ||
+        getPassivePerception(observerTraits) >= sighting.stealth));
+  if (noticed) {
+    if (!awareness.heroInSight) {
+      LOG.info(`${observerTraits.get('NAME')} notices the hero.`);
+    }
+    awareness.see(sighting.heroGridPoint);
+  } else {
+    awareness.loseSight();
+  }
+  return noticed;
+}
+
+/**
+ * Make a noise. The noise spreads out through the tile map, but not through
+ * walls, and is heard by anything it reaches. Sleeping actors wake up and
+ * those that cannot see the hero will come to investigate.
+ * @param {Point} point - position in world.
+ * @param {NoiseLevel} loudness
+ */
+export function makeNoise(point, loudness) {
+  const tileMap = WORLD.getTileMap();
+  const gridPoint = tileMap.worldPointToGrid(point);
+  for (const tile of tileMap.getSpreading(gridPoint, loudness).keys()) {
+    for (const listener of tile.getOccupants().values()) {
+      if (listener.isHero()) {
+        continue;
+      }
+      listener.sleeping = false;
+      if (listener.alive) {
+        listener.awareness?.hear(gridPoint);
+      }
+    }
+  }
+}
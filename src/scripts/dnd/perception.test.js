@@ -0,0 +1,143 @@
+/**
+ * @file Test perception
+ *
+ * @module dnd/perception.test
+ */
+/**
+ * license {@link https://opensource.org/license/mit/|MIT}
+ * Copyright 2024 Steve Butler (henspace.com).
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the “Software”), to deal in
+ * the Software without restriction, including without limitation the rights to use,
+ * copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the
+ * Software, and to permit persons to whom the Software is furnished to do so,
+ * subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED “AS IS”, WITHOUT WARRANTY OF ANY KIND,
+ * EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES
+ * OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT
+ * HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY,
+ * WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR
+ * OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+import { beforeEach, jest, test, expect } from '@jest/globals';
+import * as mockedDice from '../utils/dice.mockable.js';
+
+jest.unstable_mockModule('../utils/dice.js', () => {
+  return {
+    __esModule: true,
+    ...mockedDice,
+    rollDice: jest.fn((sides) => mockedDice.rollDice(sides)),
+  };
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+const mockDice = await import('../utils/dice.js');
+const { Awareness, getPassivePerception, perceiveHero, rollStealth } =
+  await import('./perception.js');
+const { CharacterTraits } = await import('./traits.js');
+const { ConditionType } = await import('./conditions.js');
+const { Point } = await import('../utils/geometry.js');
+
+test('getPassivePerception uses WIS and PERCEPTION proficiency', () => {
+  expect(getPassivePerception(new CharacterTraits('EXP:0, WIS:10'))).toBe(10);
+  expect(getPassivePerception(new CharacterTraits('EXP:0, WIS:14'))).toBe(12);
+  expect(getPassivePerception(new CharacterTraits('EXP:0, WIS:6'))).toBe(8);
+  const proficient = new CharacterTraits('EXP:0, WIS:14, PROF:PERCEPTION');
+  const pb = proficient.getCharacterPb('PERCEPTION');
+  expect(pb).toBeGreaterThan(0);
+  expect(getPassivePerception(proficient)).toBe(12 + pb);
+});
+
+test('rollStealth adds DEX and STEALTH proficiency to d20', () => {
+  mockDice.rollDice.mockReturnValue(11);
+  expect(rollStealth(new CharacterTraits('EXP:0, DEX:16'))).toBe(14);
+  const proficient = new CharacterTraits('EXP:0, DEX:16, PROF:STEALTH');
+  const pb = proficient.getCharacterPb('STEALTH');
+  expect(pb).toBeGreaterThan(0);
+  expect(rollStealth(proficient)).toBe(14 + pb);
+  expect(mockDice.rollDice).toHaveBeenCalledWith(20);
+});
+
+test('rollStealth has disadvantage from conditions', () => {
+  mockDice.rollDice.mockReturnValueOnce(15).mockReturnValueOnce(4);
+  const traits = new CharacterTraits('EXP:0, DEX:10');
+  traits.conditions.add(ConditionType.POISONED, { turns: 2 });
+  expect(rollStealth(traits)).toBe(4);
+  expect(mockDice.rollDice).toHaveBeenCalledTimes(2);
+});
+
+test('perceiveHero needs line of sight and Perception to beat Stealth', () => {
+  const traits = new CharacterTraits('NAME:goblin, EXP:0, WIS:10');
+  const heroGridPoint = new Point(3, 4);
+  const sighting = {
+    heroGridPoint: heroGridPoint,
+    inLineOfSight: true,
+    engaged: false,
+    stealth: 11,
+  };
+  const awareness = new Awareness();
+  expect(perceiveHero(traits, awareness, sighting)).toBe(false);
+  expect(awareness.heroInSight).toBe(false);
+  expect(awareness.lastKnownGridPoint).toBeNull();
+  expect(
+    perceiveHero(traits, awareness, {
+      ...sighting,
+      inLineOfSight: false,
+      stealth: 1,
+    })
+  ).toBe(false);
+  expect(perceiveHero(traits, awareness, { ...sighting, stealth: 10 })).toBe(
+    true
+  );
+  expect(awareness.heroInSight).toBe(true);
+  expect(awareness.lastKnownGridPoint).toEqual(heroGridPoint);
+});
+
+test('perceiveHero keeps track of a hero in sight', () => {
+  const traits = new CharacterTraits('NAME:goblin, EXP:0, WIS:10');
+  const awareness = new Awareness();
+  awareness.see(new Point(1, 1));
+  const sighting = {
+    heroGridPoint: new Point(2, 1),
+    inLineOfSight: true,
+    engaged: false,
+    stealth: 30,
+  };
+  expect(perceiveHero(traits, awareness, sighting)).toBe(true);
+  expect(awareness.lastKnownGridPoint).toEqual(new Point(2, 1));
+  sighting.heroGridPoint = new Point(5, 1);
+  sighting.inLineOfSight = false;
+  expect(perceiveHero(traits, awareness, sighting)).toBe(false);
+  expect(awareness.heroInSight).toBe(false);
+  expect(awareness.lastKnownGridPoint).toEqual(new Point(2, 1));
+  sighting.inLineOfSight = true;
+  expect(perceiveHero(traits, awareness, sighting)).toBe(false);
+  sighting.engaged = true;
+  expect(perceiveHero(traits, awareness, sighting)).toBe(true);
+  expect(awareness.lastKnownGridPoint).toEqual(new Point(5, 1));
+});
+
+test('Awareness only records noises while the hero is out of sight', () => {
+  const awareness = new Awareness();
+  awareness.hear(new Point(6, 7));
+  expect(awareness.lastKnownGridPoint).toEqual(new Point(6, 7));
+  awareness.see(new Point(1, 2));
+  awareness.hear(new Point(6, 7));
+  expect(awareness.lastKnownGridPoint).toEqual(new Point(1, 2));
+  awareness.loseSight();
+  awareness.hear(new Point(3, 3));
+  expect(awareness.lastKnownGridPoint).toEqual(new Point(3, 3));
+  awareness.forget();
+  expect(awareness.lastKnownGridPoint).toBeNull();
+});
@@ -0,0 +1,131 @@
+/**
+ * @file Playable races. A race adds bonuses to a hero's abilities and gives
+ * it traits such as darkvision, resistances and small racial abilities.
+ *
+ * @module dnd/races
+ */
+/**
+ * license {@link https://opensource.org/license/mit/|MIT}
+ * Copyright 2024 Steve Butler (henspace.com).
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the “Software”), to deal in
+ * the Software without restriction, including without limitation the rights to use,
+ * copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the
+ * Software, and to permit persons to whom the Software is furnished to do so,
+ * subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED “AS IS”, WITHOUT WARRANTY OF ANY KIND,
+ * EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES
+ * OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT
+ * HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY,
+ * WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR
+ * OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+import { Traits } from './traits.js';
+
+/**
+ * Racial abilities given by traits of the race.
+ * - LUCKY: natural 1s on attack rolls, ability checks and saving throws are
+ * rerolled.
+ * - RELENTLESS_ENDURANCE: once between long rests, the character drops to 1 HP
+ * instead of 0 unless killed outright.
+ * @enum {string}
+ */
+export const RacialAbility = {
+  LUCKY: 'LUCKY',
+  RELENTLESS_ENDURANCE: 'RELENTLESS_ENDURANCE',
+};
+
+/** Abilities to which the race's bonuses are added. */
+const ABILITY_KEYS = ['STR', 'DEX', 'CON', 'INT', 'WIS', 'CHA'];
+
+/** Traits of a race entry that are not given to the hero. */
+const EXCLUDED_KEYS = ['_TYPE_ID'];
+
+/**
+ * Get the key of the trait used to record that a racial ability has been
+ * used. The key starts with an underscore so it is not shown to the player.
+ * @param {RacialAbility} ability
+ * @returns {string}
+ */
+function getSpentKey(ability) {
+  return `_SPENT_${ability}`;
+}
+
+/**
+ * Test if a character has a racial ability.
+ * @param {module:dnd/traits.Traits} traits
+ * @param {RacialAbility} ability
+ * @returns {boolean}
+ */
+function hasRacialAbility(traits, ability) {
+  return traits?.get(ability, false) === true;
+}
+
+/**
+ * Apply a race to the traits of a new hero. The race's ability traits are
+ * added to the hero's abilities and its other traits replace the hero's.
+ * @param {Map<string, *>} heroTraits - traits of the hero before it is built.
+ * @param {module:dnd/almanacs/almanacs~AlmanacEntry} raceEntry
+ */
+export function applyRace(heroTraits, raceEntry) {
+  const raceTraits = new Traits(raceEntry.traitsString);
+  raceTraits.getAllTraits().forEach((value, key) => {
+    if (ABILITY_KEYS.includes(key)) {
+      heroTraits.set(key, (heroTraits.get(key) ?? 0) + raceTraits.getInt(key));
+    } else if (!EXCLUDED_KEYS.includes(key)) {
+      heroTraits.set(key, value);
+    }
+  });
+  heroTraits.set('RACE', raceEntry.id.toUpperCase());
+}
+
+/**
+ * Make a roll lucky if the character has the LUCKY racial ability.
+ * @param {module:dnd/advantage.Advantage} advantage
+ * @param {module:dnd/traits.Traits} traits - traits of the roller.
+ */
+export function addLuck(advantage, traits) {
+  if (hasRacialAbility(traits, RacialAbility.LUCKY)) {
+    advantage.addLuck('lucky');
+  }
+}
+
+/**
+ * Use a character's relentless endurance, if it has it and has not used it
+ * since its last long rest, to stay on its feet with 1 HP. This should only
+ * be called once the character's HP has fallen to 0 and if it has not been
+ * killed outright.
+ * @param {module:dnd/traits.Traits} traits
+ * @returns {boolean} true if the character endured.
+ */
+export function endureRelentlessly(traits) {
+  const spentKey = getSpentKey(RacialAbility.RELENTLESS_ENDURANCE);
+  if (
+    !hasRacialAbility(traits, RacialAbility.RELENTLESS_ENDURANCE) ||
+    traits.get(spentKey, false) === true
+  ) {
+    return false;
+  }
+  traits.set('HP', 1);
+  traits.set(spentKey, true);
+  return true;
+}
+
+/**
+ * Restore racial abilities after a rest. Only a long rest restores them.
+ * @param {module:dnd/traits.Traits} traits
+ * @param {string} length - LONG or SHORT
+ */
+export function restoreRacialAbilities(traits, length) {
+  if (length === 'LONG') {
+    traits.delete(getSpentKey(RacialAbility.RELENTLESS_ENDURANCE));
+  }
+}
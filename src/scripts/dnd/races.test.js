@@ -0,0 +1,77 @@
+/**
+ * @file Test racial traits and abilities
+ *
+ * @module dnd/races.test
+ */
+/**
+ * license {@link https://opensource.org/license/mit/|MIT}
+ * Copyright 2024 Steve Butler (henspace.com).
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the “Software”), to deal in
+ * the Software without restriction, including without limitation the rights to use,
+ * copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the
+ * Software, and to permit persons to whom the Software is furnished to do so,
+ * subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED “AS IS”, WITHOUT WARRANTY OF ANY KIND,
+ * EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES
+ * OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT
+ * HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY,
+ * WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR
+ * OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+import { test, expect } from '@jest/globals';
+import {
+  applyRace,
+  endureRelentlessly,
+  restoreRacialAbilities,
+} from './races.js';
+import { Traits } from './traits.js';
+
+const DWARF_ENTRY = {
+  id: 'dwarf',
+  traitsString:
+    '_TYPE_ID:RACE,CON:2,WIS:1,_SPEED:25 FEET,DARKVISION:60 FEET,RESIST:POISON',
+};
+
+test('applyRace adds ability bonuses and racial traits', () => {
+  const heroTraits = new Map([
+    ['CON', 14],
+    ['STR', 15],
+    ['_SPEED', '30 FEET'],
+  ]);
+  applyRace(heroTraits, DWARF_ENTRY);
+  expect(heroTraits.get('CON')).toBe(16);
+  expect(heroTraits.get('WIS')).toBe(1);
+  expect(heroTraits.get('STR')).toBe(15);
+  expect(heroTraits.get('_SPEED')).toBe('25 FEET');
+  expect(heroTraits.get('DARKVISION')).toBe('60 FEET');
+  expect(heroTraits.get('RESIST')).toEqual(['POISON']);
+  expect(heroTraits.get('RACE')).toBe('DWARF');
+  expect(heroTraits.has('_TYPE_ID')).toBe(false);
+});
+
+test('endureRelentlessly only once between long rests', () => {
+  const traits = new Traits('HP:0,RELENTLESS_ENDURANCE:yes');
+  expect(endureRelentlessly(traits)).toBe(true);
+  expect(traits.getInt('HP')).toBe(1);
+  traits.set('HP', 0);
+  expect(endureRelentlessly(traits)).toBe(false);
+  restoreRacialAbilities(traits, 'SHORT');
+  expect(endureRelentlessly(traits)).toBe(false);
+  restoreRacialAbilities(traits, 'LONG');
+  expect(endureRelentlessly(traits)).toBe(true);
+});
+
+test('endureRelentlessly fails without the racial ability', () => {
+  const traits = new Traits('HP:0');
+  expect(endureRelentlessly(traits)).toBe(false);
+  expect(traits.getInt('HP')).toBe(0);
+});
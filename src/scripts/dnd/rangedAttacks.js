@@ -0,0 +1,157 @@
+/**
+ * @file Ranged and thrown weapon attacks.
+ *
+ * @module dnd/rangedAttacks
+ */
+/**
+ * license {@link https://opensource.org/license/mit/|MIT}
+ * Copyright 2024 Steve Butler (henspace.com).
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the “Software”), to deal in
+ * the Software without restriction, including without limitation the rights to use,
+ * copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the
+ * Software, and to permit persons to whom the Software is furnished to do so,
+ * subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED “AS IS”, WITHOUT WARRANTY OF ANY KIND,
+ * EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES
+ * OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT
+ * HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY,
+ * WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR
+ * OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+import { StoreType } from '../players/artefacts.js';
+import { Traits } from './traits.js';
+import * as maths from '../utils/maths.js';
+
+/**
+ * @typedef {Object} WeaponRange
+ * @property {number} normal - normal range in tiles.
+ * @property {number} long - long range in tiles. Attacks beyond the normal
+ * range have disadvantage and attacks beyond the long range are not possible.
+ */
+
+/**
+ * @typedef {Object} RangedWeaponDetails
+ * @property {module:players/artefacts.Artefact} weapon
+ * @property {module:players/artefacts.Artefact} [ammunition] - undefined for
+ * thrown weapons.
+ */
+
+/**
+ * Test if the weapon is thrown, such as a dagger.
+ * @param {module:dnd/traits.Traits} weaponTraits
+ * @returns {boolean}
+ */
+export function isThrownWeapon(weaponTraits) {
+  return weaponTraits.get('TYPE', '').includes('THROWN');
+}
+
+/**
+ * Test if the weapon fires ammunition, such as a bow.
+ * @param {module:dnd/traits.Traits} weaponTraits
+ * @returns {boolean}
+ */
+export function isRangedWeapon(weaponTraits) {
+  return weaponTraits.get('TYPE', '').includes('RANGED');
+}
+
+/**
+ * Get the range of a weapon. This is set by the RANGE trait which holds the
+ * normal and long ranges in feet separated by a slash; e.g. 20/60.
+ * @param {module:dnd/traits.Traits} weaponTraits
+ * @returns {WeaponRange} ranges are 0 if the weapon has no range.
+ */
+export function getWeaponRange(weaponTraits) {
+  const [normalFeet, longFeet] = `${weaponTraits.get('RANGE', '')}`.split('/');
+  const normal = maths.safeParseInt(normalFeet, 0);
+  const long = maths.safeParseInt(longFeet, normal);
+  return {
+    normal: Traits.feetToTiles(normal),
+    long: Traits.feetToTiles(Math.max(normal, long)),
+  };
+}
+
+/**
+ * Get the reason for any disadvantage due to the distance to the target.
+ * @param {number} separation - distance to the target in tiles.
+ * @param {WeaponRange} range
+ * @returns {string} undefined if there is no disadvantage.
+ */
+export function getRangeDisadvantage(separation, range) {
+  if (Math.round(separation) <= 1) {
+    return 'ranged attack at close range';
+  } else if (separation > range.normal) {
+    return 'long range';
+  }
+  return undefined;
+}
+
+/**
+ * Find ammunition in the quiver suitable for the weapon. The AMMO traits of
+ * the weapon and the ammunition must match.
+ * @param {module:players/artefacts.ArtefactStoreManager} storeManager
+ * @param {module:dnd/traits.Traits} weaponTraits
+ * @returns {module:players/artefacts.Artefact} null if none available.
+ */
+export function findAmmunition(storeManager, weaponTraits) {
+  const ammoType = weaponTraits.get('AMMO');
+  const contents = storeManager.getStoreContents(StoreType.QUIVER) ?? [];
+  for (const ammunition of contents) {
+    if (
+      ammunition.traits.get('AMMO') === ammoType &&
+      ammunition.traits.getInt('QTY', 0) > 0
+    ) {
+      return ammunition;
+    }
+  }
+  return null;
+}
+
+/**
+ * Find an equipped weapon that can be used for a ranged attack. Thrown weapons
+ * can always be used but ranged weapons need suitable ammunition in the
+ * quiver.
+ * @param {module:players/artefacts.ArtefactStoreManager} storeManager
+ * @returns {RangedWeaponDetails} null if there is no usable weapon.
+ */
+export function findRangedWeapon(storeManager) {
+  const contents = storeManager?.getStoreContents(StoreType.HANDS) ?? [];
+  for (const weapon of contents) {
+    if (getWeaponRange(weapon.traits).long < 1) {
+      continue;
+    }
+    if (isRangedWeapon(weapon.traits)) {
+      const ammunition = findAmmunition(storeManager, weapon.traits);
+      if (ammunition) {
+        return { weapon: weapon, ammunition: ammunition };
+      }
+    } else if (isThrownWeapon(weapon.traits)) {
+      return { weapon: weapon };
+    }
+  }
+  return null;
+}
+
+/**
+ * Use one piece of ammunition. The ammunition is discarded once the last piece
+ * has been used.
+ * @param {module:players/artefacts.ArtefactStoreManager} storeManager
+ * @param {module:players/artefacts.Artefact} ammunition
+ * @returns {number} quantity remaining.
+ */
+export function useAmmunition(storeManager, ammunition) {
+  const remaining = Math.max(0, ammunition.traits.getInt('QTY', 0) - 1);
+  ammunition.traits.set('QTY', remaining);
+  if (remaining === 0) {
+    storeManager.discard(ammunition);
+  }
+  return remaining;
+}
@@ -0,0 +1,139 @@
+/**
+ * @file Test ranged attacks
+ *
+ * @module dnd/rangedAttacks.test
+ */
+/**
+ * license {@link https://opensource.org/license/mit/|MIT}
+ * Copyright 2024 Steve Butler (henspace.com).
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the “Software”), to deal in
+ * the Software without restriction, including without limitation the rights to use,
+ * copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the
+ * Software, and to permit persons to whom the Software is furnished to do so,
+ * subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED “AS IS”, WITHOUT WARRANTY OF ANY KIND,
+ * EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES
+ * OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT
+ * HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY,
+ * WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR
+ * OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+import { test, expect } from '@jest/globals';
+import * as rangedAttacks from './rangedAttacks.js';
+import { Traits } from './traits.js';
+import { ArtefactStoreManager, StoreType } from '../players/artefacts.js';
+import { buildArtefact } from './almanacs/artefactBuilder.js';
+import { parseAlmanacLine } from './almanacs/almanacs.js';
+
+const DAGGER =
+  '0,COMMON,WEAPON,dagger * DMG:1d4, RANGE:20/60, TYPE: simple melee finesse light thrown weapon piercing';
+const CLUB = '0,COMMON,WEAPON,club * DMG:1d4, TYPE: simple melee light weapon';
+const SHORTBOW =
+  '0,COMMON,TWO_HANDED_WEAPON,shortbow * DMG:1D6, RANGE:80/320, AMMO:ARROW, TYPE:simple ranged weapon piercing';
+const ARROWS = '0,COMMON,AMMUNITION,arrows * AMMO:ARROW, QTY:2';
+const BOLTS = '0,COMMON,AMMUNITION,crossbow_bolts * AMMO:BOLT, QTY:20';
+
+/**
+ * Create an artefact from an almanac line.
+ * @param {string} line
+ * @returns {module:players/artefacts.Artefact}
+ */
+function createArtefact(line) {
+  return buildArtefact(parseAlmanacLine(line, 'WEAPONS'));
+}
+
+/**
+ * Create a store manager with the artefacts equipped.
+ * @param {string[]} lines - almanac lines for the artefacts.
+ * @returns {ArtefactStoreManager}
+ */
+function createEquippedStoreManager(lines) {
+  const storeManager = new ArtefactStoreManager(false);
+  for (const line of lines) {
+    storeManager.equip(createArtefact(line), { direct: true });
+  }
+  return storeManager;
+}
+
+test('isThrownWeapon and isRangedWeapon', () => {
+  const thrown = new Traits('TYPE:SIMPLE MELEE THROWN WEAPON');
+  const ranged = new Traits('TYPE:SIMPLE RANGED WEAPON');
+  expect(rangedAttacks.isThrownWeapon(thrown)).toBe(true);
+  expect(rangedAttacks.isRangedWeapon(thrown)).toBe(false);
+  expect(rangedAttacks.isThrownWeapon(ranged)).toBe(false);
+  expect(rangedAttacks.isRangedWeapon(ranged)).toBe(true);
+});
+
+test('getWeaponRange converts feet to tiles', () => {
+  expect(rangedAttacks.getWeaponRange(new Traits('RANGE:20/60'))).toEqual({
+    normal: Traits.feetToTiles(20),
+    long: Traits.feetToTiles(60),
+  });
+  expect(rangedAttacks.getWeaponRange(new Traits('RANGE:30'))).toEqual({
+    normal: Traits.feetToTiles(30),
+    long: Traits.feetToTiles(30),
+  });
+  expect(rangedAttacks.getWeaponRange(new Traits('DMG:1D4'))).toEqual({
+    normal: 0,
+    long: 0,
+  });
+});
+
+test('getRangeDisadvantage', () => {
+  const range = { normal: 3, long: 8 };
+  expect(rangedAttacks.getRangeDisadvantage(1, range)).toEqual(
+    'ranged attack at close range'
+  );
+  expect(rangedAttacks.getRangeDisadvantage(1.4, range)).toEqual(
+    'ranged attack at close range'
+  );
+  expect(rangedAttacks.getRangeDisadvantage(3, range)).toBeUndefined();
+  expect(rangedAttacks.getRangeDisadvantage(4, range)).toEqual('long range');
+});
+
+test('findRangedWeapon ignores weapons that cannot be thrown', () => {
+  const storeManager = createEquippedStoreManager([CLUB]);
+  expect(rangedAttacks.findRangedWeapon(storeManager)).toBeNull();
+});
+
+test('findRangedWeapon finds thrown weapons', () => {
+  const storeManager = createEquippedStoreManager([CLUB, DAGGER]);
+  const details = rangedAttacks.findRangedWeapon(storeManager);
+  expect(details.weapon.id).toEqual('dagger');
+  expect(details.ammunition).toBeUndefined();
+});
+
+test('findRangedWeapon needs matching ammunition for ranged weapons', () => {
+  let storeManager = createEquippedStoreManager([SHORTBOW]);
+  expect(rangedAttacks.findRangedWeapon(storeManager)).toBeNull();
+
+  storeManager = createEquippedStoreManager([SHORTBOW, BOLTS]);
+  expect(rangedAttacks.findRangedWeapon(storeManager)).toBeNull();
+
+  storeManager = createEquippedStoreManager([SHORTBOW, ARROWS]);
+  const details = rangedAttacks.findRangedWeapon(storeManager);
+  expect(details.weapon.id).toEqual('shortbow');
+  expect(details.ammunition.id).toEqual('arrows');
+});
+
+test('useAmmunition discards ammunition once used up', () => {
+  const storeManager = createEquippedStoreManager([SHORTBOW, ARROWS]);
+  const ammunition = rangedAttacks.findAmmunition(
+    storeManager,
+    new Traits('AMMO:ARROW')
+  );
+  expect(rangedAttacks.useAmmunition(storeManager, ammunition)).toEqual(1);
+  expect([...storeManager.getStoreContents(StoreType.QUIVER)]).toHaveLength(1);
+  expect(rangedAttacks.useAmmunition(storeManager, ammunition)).toEqual(0);
+  expect(storeManager.getStoreContents(StoreType.QUIVER)).toBeNull();
+  expect(rangedAttacks.findRangedWeapon(storeManager)).toBeNull();
+});
@@ -0,0 +1,220 @@
+/**
+ * @file Areas of effect, such as cones and spheres, for spells cast at a
+ * target tile.
+ *
+ * @module dnd/spellAreas
+ */
+/**
+ * license {@link https://opensource.org/license/mit/|MIT}
+ * Copyright 2024 Steve Butler (henspace.com).
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the “Software”), to deal in
+ * the Software without restriction, including without limitation the rights to use,
+ * copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the
+ * Software, and to permit persons to whom the Software is furnished to do so,
+ * subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED “AS IS”, WITHOUT WARRANTY OF ANY KIND,
+ * EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES
+ * OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT
+ * HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY,
+ * WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR
+ * OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+import LOG from '../utils/logging.js';
+import { Point } from '../utils/geometry.js';
+
+/**
+ * Available shapes.
+ * @enum {string}
+ */
+export const SpellShape = {
+  CONE: 'CONE',
+  CUBE: 'CUBE',
+  LINE: 'LINE',
+  SPHERE: 'SPHERE',
+};
+
+/**
+ * Half angle of a cone. A cone's width at any point equals its distance from
+ * the origin.
+ */
+const CONE_HALF_ANGLE = Math.atan(0.5);
+
+/** Tolerance used when comparing angles. */
+const ANGLE_TOLERANCE = 1e-6;
+
+/**
+ * Get the shape of a spell's area of effect.
+ * @param {module:dnd/traits.Traits} spellTraits
+ * @returns {SpellShape} undefined if the spell has no valid SHAPE.
+ */
+export function getSpellShape(spellTraits) {
+  const shape = spellTraits.get('SHAPE');
+  if (!shape || typeof shape !== 'string') {
+    return undefined;
+  }
+  const upperShape = shape.toUpperCase();
+  if (!SpellShape[upperShape]) {
+    LOG.error(`Ignoring unknown spell shape ${shape}.`);
+    return undefined;
+  }
+  return SpellShape[upperShape];
+}
+
+/**
+ * Get the size of a spell's area of effect. This is set by AREA and is the
+ * length of a cone or line, the radius of a sphere, or the side of a cube. If
+ * not set, the spell's RANGE is used.
+ * @param {module:dnd/traits.Traits} spellTraits
+ * @returns {number} size in tiles. This is at least 1.
+ */
+export function getAreaSizeInTiles(spellTraits) {
+  const key = spellTraits.has('AREA') ? 'AREA' : 'RANGE';
+  return Math.max(1, spellTraits.getValueInFeetInTiles(key, 1));
+}
+
+/**
+ * Get the grid points covered by an area of effect. Cones and lines start at
+ * the origin and point towards the target but do not include the origin.
+ * Spheres and cubes are centred on the target. Cubes always cover an odd
+ * number of tiles along each side so that they can be centred.
+ * @param {SpellShape} shape
+ * @param {Point} origin - grid point of the caster.
+ * @param {Point} target - grid point of the chosen tile.
+ * @param {number} size - see {@link getAreaSizeInTiles}.
+ * @returns {Point[]}
+ */
+export function getAreaGridPoints(shape, origin, target, size) {
+  switch (shape) {
+    case SpellShape.CONE:
+      return getConeGridPoints(origin, target, size);
+    case SpellShape.CUBE:
+      return getCubeGridPoints(target, size);
+    case SpellShape.LINE:
+      return getLineGridPoints(origin, target, size);
+    case SpellShape.SPHERE:
+      return getSphereGridPoints(target, size);
+    default:
+      LOG.error(`Cannot get area for unknown shape ${shape}.`);
+      return [];
+  }
+}
+
+/**
+ * Get the grid points in a cone.
+ * @param {Point} origin
+ * @param {Point} target - sets the direction of the cone.
+ * @param {number} length
+ * @returns {Point[]}
+ */
+function getConeGridPoints(origin, target, length) {
+  if (origin.coincident(target)) {
+    return [];
+  }
+  const direction = origin.getCartesianAngleTo(target);
+  const points = [];
+  for (let dy = -length; dy <= length; dy++) {
+    for (let dx = -length; dx <= length; dx++) {
+      const distance = Math.hypot(dx, dy);
+      if (distance === 0 || distance > length + 0.5) {
+        continue;
+      }
+      let offAxis = Math.abs(Math.atan2(dy, dx) - direction);
+      offAxis = Math.min(offAxis, 2 * Math.PI - offAxis);
+      if (offAxis <= CONE_HALF_ANGLE + ANGLE_TOLERANCE) {
+        points.push(new Point(origin.x + dx, origin.y + dy));
+      }
+    }
+  }
+  return points;
+}
+
+/**
+ * Get the grid points in a cube.
+ * @param {Point} centre
+ * @param {number} side
+ * @returns {Point[]}
+ */
+function getCubeGridPoints(centre, side) {
+  const halfSide = Math.floor(side / 2);
+  const points = [];
+  for (let dy = -halfSide; dy <= halfSide; dy++) {
+    for (let dx = -halfSide; dx <= halfSide; dx++) {
+      points.push(new Point(centre.x + dx, centre.y + dy));
+    }
+  }
+  return points;
+}
+
+/**
+ * Get the grid points in a line one tile wide. As with movement, diagonal
+ * steps count as one tile, so the line always covers length tiles.
+ * @param {Point} origin
+ * @param {Point} target - sets the direction of the line.
+ * @param {number} length
+ * @returns {Point[]}
+ */
+function getLineGridPoints(origin, target, length) {
+  const dx = target.x - origin.x;
+  const dy = target.y - origin.y;
+  const majorSteps = Math.max(Math.abs(dx), Math.abs(dy));
+  if (majorSteps === 0) {
+    return [];
+  }
+  const points = [];
+  for (let step = 1; step <= length; step++) {
+    points.push(
+      new Point(
+        origin.x + Math.round((step * dx) / majorSteps),
+        origin.y + Math.round((step * dy) / majorSteps)
+      )
+    );
+  }
+  return points;
+}
+
+/**
+ * Get the grid points in a sphere.
+ * @param {Point} centre
+ * @param {number} radius
+ * @returns {Point[]}
+ */
+function getSphereGridPoints(centre, radius) {
+  const points = [];
+  for (let dy = -radius; dy <= radius; dy++) {
+    for (let dx = -radius; dx <= radius; dx++) {
+      if (Math.hypot(dx, dy) <= radius + 0.5) {
+        points.push(new Point(centre.x + dx, centre.y + dy));
+      }
+    }
+  }
+  return points;
+}
+
+/**
+ * Get the tiles affected by a spell cast at a target. Only tiles that the
+ * hero can see are affected.
+ * @param {module:utils/tileMaps/tileMap~TileMap} tileMap
+ * @param {module:dnd/traits.Traits} spellTraits
+ * @param {Point} origin - grid point of the caster.
+ * @param {Point} target - grid point of the chosen tile.
+ * @returns {module:utils/tileMaps/tileMap~Tile[]} empty if the spell has no
+ * shape.
+ */
+export function getAffectedTiles(tileMap, spellTraits, origin, target) {
+  const shape = getSpellShape(spellTraits);
+  if (!shape) {
+    return [];
+  }
+  return tileMap.getVisibleTiles(
+    getAreaGridPoints(shape, origin, target, getAreaSizeInTiles(spellTraits))
+  );
+}
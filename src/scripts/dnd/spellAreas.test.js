@@ -0,0 +1,131 @@
+/**
+ * @file Test spell areas of effect
+ *
+ * @module dnd/spellAreas.test
+ */
+/**
+ * license {@link https://opensource.org/license/mit/|MIT}
+ * Copyright 2024 Steve Butler (henspace.com).
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the “Software”), to deal in
+ * the Software without restriction, including without limitation the rights to use,
+ * copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the
+ * Software, and to permit persons to whom the Software is furnished to do so,
+ * subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED “AS IS”, WITHOUT WARRANTY OF ANY KIND,
+ * EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES
+ * OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT
+ * HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY,
+ * WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR
+ * OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+import { test, expect } from '@jest/globals';
+import {
+  SpellShape,
+  getAreaGridPoints,
+  getAreaSizeInTiles,
+  getSpellShape,
+} from './spellAreas.js';
+import { Traits } from './traits.js';
+import { Point } from '../utils/geometry.js';
+
+/**
+ * Convert grid points to sorted strings for comparison.
+ * @param {Point[]} points
+ * @returns {string[]}
+ */
+function toSortedStrings(points) {
+  return points.map((point) => `${point.x},${point.y}`).sort();
+}
+
+test('getSpellShape', () => {
+  expect(getSpellShape(new Traits('SHAPE:cone'))).toBe(SpellShape.CONE);
+  expect(getSpellShape(new Traits('SHAPE:SPHERE'))).toBe(SpellShape.SPHERE);
+  expect(getSpellShape(new Traits('SHAPE:PYRAMID'))).toBeUndefined();
+  expect(getSpellShape(new Traits('RANGE:10 FEET'))).toBeUndefined();
+});
+
+test('getAreaSizeInTiles defaults to range', () => {
+  expect(getAreaSizeInTiles(new Traits('RANGE:30 FEET,AREA:15 FEET'))).toBe(2);
+  expect(getAreaSizeInTiles(new Traits('RANGE:30 FEET'))).toBe(4);
+  expect(getAreaSizeInTiles(new Traits('RANGE:0'))).toBe(1);
+});
+
+test('getAreaGridPoints sphere', () => {
+  const points = getAreaGridPoints(
+    SpellShape.SPHERE,
+    new Point(0, 0),
+    new Point(5, 5),
+    1
+  );
+  expect(points).toHaveLength(9);
+  const larger = getAreaGridPoints(
+    SpellShape.SPHERE,
+    new Point(0, 0),
+    new Point(5, 5),
+    2
+  );
+  expect(larger).toHaveLength(21);
+  expect(toSortedStrings(larger)).toContain('7,6');
+  expect(toSortedStrings(larger)).not.toContain('7,7');
+});
+
+test('getAreaGridPoints cube is centred with odd sides', () => {
+  const points = getAreaGridPoints(
+    SpellShape.CUBE,
+    new Point(0, 0),
+    new Point(5, 5),
+    2
+  );
+  expect(toSortedStrings(points)).toEqual(
+    toSortedStrings([
+      new Point(4, 4),
+      new Point(5, 4),
+      new Point(6, 4),
+      new Point(4, 5),
+      new Point(5, 5),
+      new Point(6, 5),
+      new Point(4, 6),
+      new Point(5, 6),
+      new Point(6, 6),
+    ])
+  );
+  expect(
+    getAreaGridPoints(SpellShape.CUBE, new Point(0, 0), new Point(5, 5), 1)
+  ).toHaveLength(1);
+});
+
+test('getAreaGridPoints line', () => {
+  expect(
+    toSortedStrings(
+      getAreaGridPoints(SpellShape.LINE, new Point(2, 2), new Point(3, 2), 3)
+    )
+  ).toEqual(['3,2', '4,2', '5,2']);
+  expect(
+    toSortedStrings(
+      getAreaGridPoints(SpellShape.LINE, new Point(2, 2), new Point(1, 1), 2)
+    )
+  ).toEqual(['0,0', '1,1']);
+  expect(
+    getAreaGridPoints(SpellShape.LINE, new Point(2, 2), new Point(2, 2), 2)
+  ).toEqual([]);
+});
+
+test('getAreaGridPoints cone widens with distance', () => {
+  const points = getAreaGridPoints(
+    SpellShape.CONE,
+    new Point(0, 0),
+    new Point(0, 5),
+    2
+  );
+  expect(toSortedStrings(points)).toEqual(['-1,2', '0,1', '0,2', '1,2']);
+  expect(toSortedStrings(points)).not.toContain('0,0');
+});
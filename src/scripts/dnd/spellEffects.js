@@ -0,0 +1,245 @@
+/**
+ * @file Lasting effects of spells, such as enhanced abilities or hovering,
+ * which can last for a number of turns and may need concentration.
+ *
+ * @module dnd/spellEffects
+ */
+/**
+ * license {@link https://opensource.org/license/mit/|MIT}
+ * Copyright 2024 Steve Butler (henspace.com).
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the “Software”), to deal in
+ * the Software without restriction, including without limitation the rights to use,
+ * copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the
+ * Software, and to permit persons to whom the Software is furnished to do so,
+ * subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED “AS IS”, WITHOUT WARRANTY OF ANY KIND,
+ * EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES
+ * OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT
+ * HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY,
+ * WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR
+ * OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+import LOG from '../utils/logging.js';
+import { rollSavingThrow } from './dndAction.js';
+
+/** Minimum difficulty of the save to keep concentration. */
+const MIN_CONCENTRATION_DC = 10;
+
+/**
+ * A single lasting effect of a spell.
+ */
+export class SpellEffect {
+  /** Name of the spell. @type {string} */
+  name;
+  /** Remaining turns. Undefined if the effect is untimed. @type {number} */
+  turnsLeft;
+  /** True if the caster must concentrate on the spell. @type {boolean} */
+  concentration;
+  /** FX_ traits which adjust the affected actor's stats. @type {module:dnd/traits.Traits} */
+  fxTraits;
+  /** True if the affected actor hovers. @type {boolean} */
+  hover;
+
+  /**
+   * Create the effect.
+   * @param {string} name - name of the spell.
+   * @param {Object} [options = {}]
+   * @param {number} [options.turns] - number of turns the effect lasts. If
+   * not set, the effect lasts until cleared.
+   * @param {boolean} [options.concentration = false]
+   * @param {module:dnd/traits.Traits} [options.fxTraits]
+   * @param {boolean} [options.hover = false]
+   */
+  constructor(name, options = {}) {
+    this.name = name;
+    this.turnsLeft = options.turns;
+    this.concentration = options.concentration ?? false;
+    this.fxTraits = options.fxTraits;
+    this.hover = options.hover ?? false;
+  }
+
+  /**
+   * Test if the effect wears off after a number of turns.
+   * @returns {boolean}
+   */
+  isTimed() {
+    return this.turnsLeft !== undefined;
+  }
+
+  /**
+   * Clone
+   * @returns {SpellEffect}
+   */
+  clone() {
+    return new SpellEffect(this.name, {
+      turns: this.turnsLeft,
+      concentration: this.concentration,
+      fxTraits: this.fxTraits?.clone(),
+      hover: this.hover,
+    });
+  }
+}
+
+/**
+ * Collection of the spell effects affecting an actor. Only one effect of each
+ * spell can be present and only one concentration spell can be maintained;
+ * casting another ends the first.
+ */
+export class SpellEffects {
+  /** @type {Map<string, SpellEffect>} */
+  #effects;
+
+  /**
+   * Create an empty collection.
+   */
+  constructor() {
+    this.#effects = new Map();
+  }
+
+  /**
+   * Add an effect, replacing any existing effect from the same spell.
+   * @param {SpellEffect} effect
+   * @returns {SpellEffect} the concentration effect that has ended as a
+   * result. Undefined if none.
+   */
+  add(effect) {
+    let ended;
+    if (effect.concentration) {
+      ended = this.getConcentration();
+      if (ended) {
+        this.#effects.delete(ended.name);
+        if (ended.name === effect.name) {
+          ended = undefined;
+        } else {
+          LOG.info(`Concentration on ${ended.name} ends.`);
+        }
+      }
+    }
+    this.#effects.set(effect.name, effect);
+    return ended;
+  }
+
+  /**
+   * Test if an effect is present.
+   * @param {string} name - name of the spell.
+   * @returns {boolean}
+   */
+  has(name) {
+    return this.#effects.has(name);
+  }
+
+  /**
+   * Remove all effects.
+   */
+  clear() {
+    this.#effects.clear();
+  }
+
+  /**
+   * Get all of the effects sorted by name.
+   * @returns {SpellEffect[]}
+   */
+  getAll() {
+    return [...this.#effects.values()].sort((a, b) =>
+      a.name < b.name ? -1 : 1
+    );
+  }
+
+  /**
+   * Get the FX traits of all the effects.
+   * @returns {module:dnd/traits.Traits[]}
+   */
+  getFxTraits() {
+    return this.getAll()
+      .map((effect) => effect.fxTraits)
+      .filter((traits) => traits);
+  }
+
+  /**
+   * Get the effect being maintained by concentration.
+   * @returns {SpellEffect} undefined if none.
+   */
+  getConcentration() {
+    for (const effect of this.#effects.values()) {
+      if (effect.concentration) {
+        return effect;
+      }
+    }
+    return undefined;
+  }
+
+  /**
+   * Test if any effect makes the actor hover.
+   * @returns {boolean}
+   */
+  isHovering() {
+    for (const effect of this.#effects.values()) {
+      if (effect.hover) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Process the end of the affected actor's turn. Timed effects lose a turn.
+   * @returns {SpellEffect[]} effects that have ended.
+   */
+  endTurn() {
+    const ended = [];
+    for (const effect of this.getAll()) {
+      if (!effect.isTimed()) {
+        continue;
+      }
+      effect.turnsLeft--;
+      if (effect.turnsLeft <= 0) {
+        this.#effects.delete(effect.name);
+        ended.push(effect);
+      }
+    }
+    return ended;
+  }
+
+  /**
+   * Process damage taken by the affected actor. A constitution saving throw
+   * is made to keep concentration. The DC is half the damage taken, with a
+   * minimum of 10.
+   * @param {module:dnd/traits.CharacterTraits} traits - the affected actor's
+   * traits.
+   * @param {number} damage
+   * @returns {SpellEffect} the concentration effect that has ended. Undefined
+   * if none.
+   */
+  takeDamage(traits, damage) {
+    const effect = this.getConcentration();
+    if (!effect || damage <= 0) {
+      return undefined;
+    }
+    const difficulty = Math.max(MIN_CONCENTRATION_DC, Math.floor(damage / 2));
+    if (rollSavingThrow(traits, 'CON', difficulty)) {
+      return undefined;
+    }
+    LOG.info(`Concentration on ${effect.name} lost.`);
+    this.#effects.delete(effect.name);
+    return effect;
+  }
+
+  /**
+   * Clone
+   * @returns {SpellEffects}
+   */
+  clone() {
+    const effects = new SpellEffects();
+    this.#effects.forEach((effect) => effects.add(effect.clone()));
+    return effects;
+  }
+}
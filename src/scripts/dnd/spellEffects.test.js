@@ -0,0 +1,117 @@
+/**
+ * @file Test spell effects
+ *
+ * @module dnd/spellEffects.test
+ */
+/**
+ * license {@link https://opensource.org/license/mit/|MIT}
+ * Copyright 2024 Steve Butler (henspace.com).
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the “Software”), to deal in
+ * the Software without restriction, including without limitation the rights to use,
+ * copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the
+ * Software, and to permit persons to whom the Software is furnished to do so,
+ * subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED “AS IS”, WITHOUT WARRANTY OF ANY KIND,
+ * EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES
+ * OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT
+ * HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY,
+ * WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR
+ * OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+import { beforeEach, jest, test, expect } from '@jest/globals';
+import * as mockedDice from '../utils/dice.mockable.js';
+
+jest.unstable_mockModule('../utils/dice.js', () => {
+  return {
+    __esModule: true,
+    ...mockedDice,
+    rollDice: jest.fn((sides) => mockedDice.rollDice(sides)),
+  };
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+const mockDice = await import('../utils/dice.js');
+const { SpellEffect, SpellEffects } = await import('./spellEffects.js');
+const { CharacterTraits, Traits } = await import('./traits.js');
+
+test('endTurn ends timed effects but not untimed ones', () => {
+  const effects = new SpellEffects();
+  effects.add(new SpellEffect('bull', { turns: 2 }));
+  effects.add(new SpellEffect('hover', { hover: true }));
+  expect(effects.isHovering()).toBe(true);
+  expect(effects.endTurn()).toEqual([]);
+  expect(effects.getAll()[0].turnsLeft).toBe(1);
+  const ended = effects.endTurn();
+  expect(ended.map((effect) => effect.name)).toEqual(['bull']);
+  expect(effects.has('bull')).toBe(false);
+  expect(effects.has('hover')).toBe(true);
+});
+
+test('add concentration spell ends previous concentration', () => {
+  const effects = new SpellEffects();
+  effects.add(new SpellEffect('bull', { turns: 5, concentration: true }));
+  effects.add(new SpellEffect('hover', { turns: 5 }));
+  expect(
+    effects.add(new SpellEffect('bull', { turns: 5, concentration: true }))
+  ).toBeUndefined();
+  const ended = effects.add(
+    new SpellEffect('cat', { turns: 3, concentration: true })
+  );
+  expect(ended.name).toBe('bull');
+  expect(effects.getAll().map((effect) => effect.name)).toEqual([
+    'cat',
+    'hover',
+  ]);
+  expect(effects.getConcentration().name).toBe('cat');
+});
+
+test('takeDamage makes CON save against half damage with minimum of 10', () => {
+  const traits = new CharacterTraits(new Map([['CON', 10]]));
+  const effects = new SpellEffects();
+  effects.add(new SpellEffect('bull', { turns: 5, concentration: true }));
+  mockDice.rollDice.mockReturnValueOnce(10);
+  expect(effects.takeDamage(traits, 4)).toBeUndefined();
+  mockDice.rollDice.mockReturnValueOnce(11);
+  expect(effects.takeDamage(traits, 22)).toBeUndefined();
+  mockDice.rollDice.mockReturnValueOnce(11);
+  expect(effects.takeDamage(traits, 25).name).toBe('bull');
+  expect(effects.has('bull')).toBe(false);
+  expect(effects.takeDamage(traits, 25)).toBeUndefined();
+  expect(mockDice.rollDice).toHaveBeenCalledTimes(3);
+});
+
+test('takeDamage does not need a save without concentration', () => {
+  const traits = new CharacterTraits(new Map([['CON', 10]]));
+  const effects = new SpellEffects();
+  effects.add(new SpellEffect('hover', { turns: 5, hover: true }));
+  expect(effects.takeDamage(traits, 30)).toBeUndefined();
+  expect(mockDice.rollDice).not.toHaveBeenCalled();
+});
+
+test('clone copies effects', () => {
+  const effects = new SpellEffects();
+  effects.add(
+    new SpellEffect('bull', {
+      turns: 3,
+      concentration: true,
+      fxTraits: new Traits('FX_STR:6'),
+    })
+  );
+  const clone = effects.clone();
+  clone.endTurn();
+  expect(clone.getAll()[0].turnsLeft).toBe(2);
+  expect(effects.getAll()[0].turnsLeft).toBe(3);
+  expect(clone.getFxTraits()[0].getInt('FX_STR')).toBe(6);
+});
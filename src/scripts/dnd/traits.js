@@ -31,13 +31,12 @@
 import * as maths from '../utils/maths.js';
 import * as dice from '../utils/dice.js';
 import * as tables from './tables.js';
-import {
-  getTraitAdjustmentDetails,
-  getClassAbilities,
-  getAttackModifiers,
-} from './abilityGenerator.js';
+import { getClassAbilities, getAttackModifiers } from './abilityGenerator.js';
 import { Difficulty } from './dndAction.js';
-import * as magic from './magic.js';
+import { Conditions } from './conditions.js';
+import { SpellEffect, SpellEffects } from './spellEffects.js';
+import { Advantage } from './advantage.js';
+import { getWeaponDamageType } from './damageTypes.js';
 
 import LOG from '../utils/logging.js';
 
@@ -47,6 +46,9 @@ const CHAR_STATS_KEYS = ['STR', 'DEX', 'CON', 'INT', 'WIS', 'CHA', 'AC'];
 /** @type{number} */
 const FEET_PER_TILE = 7.5;
 
+/** Distance lit by the light every character carries. */
+const LIGHT_RANGE_FEET = 40;
+
 /**
  * Convert a value to a modifier.
  * @param {number} value
@@ -70,12 +72,16 @@ export class AttackDetail {
   #twoWeaponFighting;
   /** @type {boolean} */
   unarmed;
-  /** @type {boolean} */
+  /** Reason for any disadvantage inherent in the attack. @type {string} */
   disadvantage;
   /** @type {module:players/artefacts.Artefact} */
   weaponName;
   /** @type {string} */
   weaponType;
+  /** @type {module:dnd/damageTypes.DamageType} */
+  damageType;
+  /** True if the attack is thrown or fired at the target. @type {boolean} */
+  ranged;
 
   /**
    *
@@ -85,6 +91,11 @@ export class AttackDetail {
    * @param {string} options.weaponType - UNARMED makes this an unarmed strike.
    * @param {number} options.proficiencyBonus
    * @param {number} options.abilityModifier
+   * @param {string} [options.disadvantage] - reason for any disadvantage
+   * inherent in the attack; e.g. 'heavy weapon'.
+   * @param {module:dnd/damageTypes.DamageType} [options.damageType] - if not
+   * set, this is derived from the weapon type.
+   * @param {boolean} [options.ranged = false] - true for ranged attacks.
    * @param {module:players/artefacts.Artefact} weaponName - just used for breakages.
    */
   constructor(options) {
@@ -107,6 +118,9 @@ export class AttackDetail {
     this.abilityModifier = options?.abilityModifier ?? 0;
     this.disadvantage = options.disadvantage;
     this.weaponName = options.weaponName;
+    this.damageType =
+      options.damageType ?? getWeaponDamageType(this.weaponType);
+    this.ranged = !!options.ranged;
   }
 
   /**
@@ -138,17 +152,17 @@ export class AttackDetail {
   }
 
   /**
-   * Roll for attack.
+   * Roll for attack. Any disadvantage of the attack itself is added to the
+   * advantage before rolling.
+   * @param {module:dnd/advantage.Advantage} [advantage] - other sources of
+   * advantage and disadvantage.
    * @returns {{roll:number, value: number}}
    */
-  rollForAttack() {
-    let roll;
+  rollForAttack(advantage = new Advantage()) {
     if (this.disadvantage) {
-      LOG.info('Disadvantage on attack roll!');
-      roll = Math.min(dice.rollDice(20), dice.rollDice(20));
-    } else {
-      roll = dice.rollDice(20);
+      advantage.addDisadvantage(this.disadvantage);
     }
+    const roll = advantage.rollD20();
     LOG.info(
       `Attack roll ${roll} + ability(${this.abilityModifier})+ proficiency(${this.proficiencyBonus})`
     );
@@ -159,19 +173,27 @@ export class AttackDetail {
   }
 
   /**
-   * Roll for damage.
+   * Roll for damage. For a critical hit the damage dice are rolled twice but
+   * modifiers are only added once.
+   * @param {boolean} [critical = false]
    * @returns {number}
    */
-  rollForDamage() {
+  rollForDamage(critical = false) {
     if (this.unarmed) {
-      return this.#getUnarmedDamage();
+      return critical ? 2 + this.abilityModifier : this.#getUnarmedDamage();
+    }
+    let damageDice = this.damageDice;
+    if (critical && dice.isMultiDice(damageDice)) {
+      damageDice = dice.changeQtyOfDice(
+        damageDice,
+        dice.getDiceDetails(damageDice).qty
+      );
     }
-
     const damage = Math.max(
-      dice.rollMultiDice(this.damageDice) + this.abilityModifier
+      dice.rollMultiDice(damageDice) + this.abilityModifier
     );
     LOG.debug(
-      `Damage: ${this.damageDice} + ability(${this.abilityModifier}) = ${damage}`
+      `Damage: ${damageDice} + ability(${this.abilityModifier}) = ${damage}`
     );
     return damage;
   }
@@ -190,6 +212,8 @@ export class AttackDetail {
     attackDetail.disadvantage = this.disadvantage;
     attackDetail.weaponName = this.weaponName;
     attackDetail.weaponType = this.weaponType;
+    attackDetail.damageType = this.damageType;
+    attackDetail.ranged = this.ranged;
     return attackDetail;
   }
 }
@@ -390,7 +414,13 @@ export class Traits {
     switch (key) {
       case 'PROF':
       case '_PROF':
-        return this.#setProficienciesFromString(key, value);
+      case 'IMMUNE':
+      case '_IMMUNE':
+      case 'RESIST':
+      case '_RESIST':
+      case 'VULNERABLE':
+      case '_VULNERABLE':
+        return this.#setListFromString(key, value);
       case 'VALUE':
       case '_VALUE':
         return this.#setCostValueFromString(key, value);
@@ -519,16 +549,16 @@ export class Traits {
   }
 
   /**
-   * Set proficiencies.
+   * Set a list such as proficiencies or damage types.
    * @param {string} key
-   * @param {string} value - ids of items in which the user is proficient. Items
-   * are separated by &.
+   * @param {string} value - items separated by &. For proficiencies, these are
+   * the ids of items in which the user is proficient.
    */
-  #setProficienciesFromString(key, value) {
+  #setListFromString(key, value) {
     const items = value.split(/\s*&\s*/);
-    const proficiencies = [];
-    items.forEach((item) => proficiencies.push(item.toUpperCase()));
-    this._traits.set(key, proficiencies);
+    const list = [];
+    items.forEach((item) => list.push(item.toUpperCase()));
+    this._traits.set(key, list);
   }
 
   /**
@@ -603,37 +633,43 @@ export class MagicTraits extends Traits {
   /**
    * Get the damage dice when cast by an actor.
    * @param {Traits} actorTraits
+   * @param {number} [slotLevel] - level of the slot used to cast the spell.
+   * Defaults to the spell's level.
    * @returns {string}
    */
-  getDamageDiceWhenCastBy(actorTraits) {
+  getDamageDiceWhenCastBy(actorTraits, slotLevel) {
     const damageDice = this.get('DMG');
-    return this.#getAdjustedDiceWhenCastBy(damageDice, actorTraits);
+    return this.#getAdjustedDiceWhenCastBy(damageDice, actorTraits, slotLevel);
   }
 
   /**
    * Get the damage dice when cast by an actor.
    * @param {Traits} actorTraits
+   * @param {number} [slotLevel] - level of the slot used to cast the spell.
+   * Defaults to the spell's level.
    * @returns {string}
    */
-  getHpGainDiceWhenCastBy(actorTraits) {
+  getHpGainDiceWhenCastBy(actorTraits, slotLevel) {
     const hpDice = this.get('HP_GAIN');
-    return this.#getAdjustedDiceWhenCastBy(hpDice, actorTraits);
+    return this.#getAdjustedDiceWhenCastBy(hpDice, actorTraits, slotLevel);
   }
   /**
-   * Get the health or damage dice when cast by an actor.
+   * Get the health or damage dice when cast by an actor. Cantrips improve
+   * with the character's level; other spells improve when cast using a
+   * higher level slot.
    * @param {string} baseDice
    * @param {Traits} actorTraits
+   * @param {number} [slotLevel]
    * @returns {string}
    */
-  #getAdjustedDiceWhenCastBy(baseDice, actorTraits) {
+  #getAdjustedDiceWhenCastBy(baseDice, actorTraits, slotLevel) {
     const extraDicePerLevel = this.getFloat('DICE_PER_LEVEL', 0);
     const baseLevel = this.getInt('LEVEL', 0);
-    const characterLevel = actorTraits.getCharacterLevel();
     let currentLevel;
     if (baseLevel === 0) {
-      currentLevel = Math.min(17, characterLevel);
+      currentLevel = Math.min(17, actorTraits.getCharacterLevel());
     } else {
-      currentLevel = magic.characterLevelToSpellLevel(characterLevel);
+      currentLevel = slotLevel ?? baseLevel;
     }
 
     const levelChange = Math.max(currentLevel - baseLevel, 0);
@@ -694,6 +730,12 @@ export class CharacterTraits extends Traits {
   /** @type {Object} */
   transientProperties;
 
+  /** Conditions such as poisoned or paralysed. @type {module:dnd/conditions.Conditions} */
+  conditions;
+
+  /** Lasting effects of spells. @type {module:dnd/spellEffects.SpellEffects} */
+  spellEffects;
+
   /** Amount movement is reduced in tiles */
   _maxTileMovePerTurn;
 
@@ -709,6 +751,8 @@ export class CharacterTraits extends Traits {
     this.#setInitialAbilityScores();
     this._transientFxTraits = [];
     this.transientProperties = {};
+    this.conditions = new Conditions();
+    this.spellEffects = new SpellEffects();
     this._allowRefreshDerived = true;
     this._refreshDerivedValues();
   }
@@ -720,6 +764,18 @@ export class CharacterTraits extends Traits {
   getMaxTilesPerMove() {
     return this._maxTileMovePerTurn;
   }
+
+  /**
+   * Get how far the character can see. This is the range of the light it
+   * carries unless its darkvision reaches further.
+   * @returns {number} range in tiles.
+   */
+  getSightRangeInTiles() {
+    return Math.max(
+      Traits.feetToTiles(LIGHT_RANGE_FEET),
+      this.getValueInFeetInTiles('DARKVISION', 0)
+    );
+  }
   /**
    * Clone traits.
    * @return {Traits}
@@ -737,6 +793,8 @@ export class CharacterTraits extends Traits {
       actorTraits._transientFxTraits.push(traits.clone())
     );
     actorTraits._maxTileMovePerTurn = this._maxTileMovePerTurn;
+    actorTraits.conditions = this.conditions.clone();
+    actorTraits.spellEffects = this.spellEffects.clone();
     return actorTraits;
   }
 
@@ -763,6 +821,19 @@ export class CharacterTraits extends Traits {
    * @param {Traits}
    */
   addTransientFxTraits(traits) {
+    const traitsSubset = this.#getFxTraitsSubset(traits);
+    if (traitsSubset) {
+      this._transientFxTraits.push(traitsSubset);
+      this._refreshDerivedValues();
+    }
+  }
+
+  /**
+   * Get the FX_ traits which affect CHAR_STATS_KEYS.
+   * @param {Traits} traits
+   * @returns {Traits} undefined if there are none.
+   */
+  #getFxTraitsSubset(traits) {
     const traitsSubset = new Traits();
     let hasEffect = false;
     CHAR_STATS_KEYS.forEach((key) => {
@@ -773,18 +844,84 @@ export class CharacterTraits extends Traits {
         traitsSubset.set(fxKey, value);
       }
     });
-    if (hasEffect) {
-      this._transientFxTraits.push(traitsSubset);
+    return hasEffect ? traitsSubset : undefined;
+  }
+
+  /**
+   * Add the lasting effect of a spell. As with transient traits, only FX_
+   * traits affecting CHAR_STATS_KEYS are used. The effect lasts for DURATION
+   * turns, or until cleared if no duration is set. If CONCENTRATION is set,
+   * any other spell being concentrated on ends.
+   * @param {Traits} spellTraits
+   * @param {Object} [options = {}]
+   * @param {boolean} [options.hover = false] - the spell makes the character
+   * hover.
+   * @returns {module:dnd/spellEffects.SpellEffect} the concentration effect
+   * that ended. Undefined if none.
+   */
+  addSpellEffect(spellTraits, options = {}) {
+    const fxTraits = this.#getFxTraitsSubset(spellTraits);
+    if (!fxTraits && !options.hover) {
+      return undefined;
+    }
+    const turns = spellTraits.getInt('DURATION', 0);
+    const ended = this.spellEffects.add(
+      new SpellEffect(spellTraits.get('NAME'), {
+        turns: turns > 0 ? turns : undefined,
+        concentration: spellTraits.get('CONCENTRATION', false) === true,
+        fxTraits: fxTraits,
+        hover: options.hover,
+      })
+    );
+    this._refreshDerivedValues();
+    return ended;
+  }
+
+  /**
+   * End the turn for any spell effects.
+   * @returns {module:dnd/spellEffects.SpellEffect[]} effects that have ended.
+   */
+  endSpellEffectsTurn() {
+    const ended = this.spellEffects.endTurn();
+    if (ended.length > 0) {
+      this._refreshDerivedValues();
+    }
+    return ended;
+  }
+
+  /**
+   * Try to maintain concentration after taking damage.
+   * @param {number} damage
+   * @returns {module:dnd/spellEffects.SpellEffect} the concentration effect
+   * that was lost. Undefined if none.
+   */
+  maintainConcentration(damage) {
+    const lost = this.spellEffects.takeDamage(this, damage);
+    if (lost) {
       this._refreshDerivedValues();
     }
+    return lost;
   }
 
   /**
-   * Clear transient traits.
+   * Test if the character is hovering, either from a spell or a transient
+   * property.
+   * @returns {boolean}
+   */
+  isHovering() {
+    return (
+      this.transientProperties?.hover === true || this.spellEffects.isHovering()
+    );
+  }
+
+  /**
+   * Clear transient traits, spell effects and any conditions.
    */
   clearTransientFxTraitsAndProperties() {
     this._transientFxTraits = [];
     this.transientProperties = {};
+    this.conditions.clear();
+    this.spellEffects.clear();
     this._refreshDerivedValues();
   }
 
@@ -885,6 +1022,15 @@ export class CharacterTraits extends Traits {
     return this._level;
   }
 
+  /**
+   * Get the proficiency bonus for the character's level, regardless of any
+   * proficiencies.
+   * @returns {number}
+   */
+  getProficiencyBonus() {
+    return this._proficiencyBonus;
+  }
+
   /** Get the save ability modifier for an attack by the attacker.
    * This is not applicable to melee attacks. Defaults to 'DEX'
    * @param {Traits} attackerTraits
@@ -963,6 +1109,7 @@ export class CharacterTraits extends Traits {
     const attack = new AttackDetail({
       damageDice: this._traits.get('DMG'),
       weaponType: 'ALMANAC',
+      damageType: this.get('DMG_TYPE'),
       proficiencyBonus: this.getInt('PB', 0),
       abilityModifier: 0,
       secondAttack: false,
@@ -991,6 +1138,10 @@ export class CharacterTraits extends Traits {
       LOG.debug(`Transient traits: ${traits.valuesToString()}`);
       this._addFxTraitsToEffectiveTraits(traits);
     });
+    this.spellEffects?.getFxTraits().forEach((traits) => {
+      LOG.debug(`Spell effect traits: ${traits.valuesToString()}`);
+      this._addFxTraitsToEffectiveTraits(traits);
+    });
   }
 
   /**
@@ -1079,14 +1230,18 @@ export class CharacterTraits extends Traits {
   /**
    * Utilise weapons traits. The best option for equipped weapons is automatically selected
    * to give the maximum chance of damage. Up to two weapons are supported.
+   * Ranged weapons, such as bows, cannot be used for melee attacks.
    * Note that magical items must be utilised first as these might affect the
    * character's strength.
    */
   _utiliseWeaponsTraits() {
     this._attacks = [];
-    const weaponsTraits = this?._availableArtefactTraits?.weapons ?? [];
+    const equippedTraits = this?._availableArtefactTraits?.weapons ?? [];
     const shieldTraits = this?._availableArtefactTraits?.shields ?? [];
-    const freeHands = 2 - weaponsTraits.length - shieldTraits.length;
+    const freeHands = 2 - equippedTraits.length - shieldTraits.length;
+    const weaponsTraits = equippedTraits.filter(
+      (traits) => !traits.get('TYPE', '').includes('RANGED')
+    );
 
     const strength = this.getEffectiveInt('STR', 1);
     const abilityModifier = characteristicToModifier(strength);
@@ -1129,6 +1284,7 @@ export class CharacterTraits extends Traits {
       weaponType: weaponType,
       proficiencyBonus: proficient ? effectivePb : 0,
       abilityModifier: abilityModifier + attackBonus,
+      disadvantage: this._getWeaponSizeDisadvantage(weaponType),
       weaponName: weaponName,
     });
 
@@ -1140,6 +1296,9 @@ export class CharacterTraits extends Traits {
         weaponType: weaponsTraits[1].get('TYPE') ?? '',
         proficiencyBonus: this.isProficient(weaponsTraits[1]) ? effectivePb : 0,
         abilityModifier: abilityModifier + attackBonus,
+        disadvantage: this._getWeaponSizeDisadvantage(
+          weaponsTraits[1].get('TYPE')
+        ),
         weaponName: weaponsTraits[1].get('NAME'),
       });
     }
@@ -1159,6 +1318,57 @@ export class CharacterTraits extends Traits {
     }
   }
 
+  /**
+   * Get the attack made by throwing or firing a weapon. Ranged weapons use
+   * the dexterity modifier. Thrown weapons use strength unless they are finesse
+   * weapons, in which case the better of strength and dexterity is used.
+   * @param {Traits} weaponTraits
+   * @returns {AttackDetail}
+   */
+  getRangedAttack(weaponTraits) {
+    const weaponType = weaponTraits.get('TYPE', '');
+    const strModifier = characteristicToModifier(
+      this.getEffectiveInt('STR', 1)
+    );
+    const dexModifier = characteristicToModifier(
+      this.getEffectiveInt('DEX', 1)
+    );
+    let abilityModifier;
+    if (weaponType.includes('RANGED')) {
+      abilityModifier = dexModifier;
+    } else if (weaponType.includes('FINESSE')) {
+      abilityModifier = Math.max(strModifier, dexModifier);
+    } else {
+      abilityModifier = strModifier;
+    }
+    const attackModifiers = getAttackModifiers(this.get('CLASS'));
+    const effectivePb = this._proficiencyBonus * attackModifiers.pbMultiplier;
+    return new AttackDetail({
+      damageDice: weaponTraits.get('DMG', '1D1') ?? '1D1',
+      weaponType: weaponType,
+      proficiencyBonus: this.isProficient(weaponTraits) ? effectivePb : 0,
+      abilityModifier: abilityModifier + weaponTraits.getInt('ATTACK_BONUS', 0),
+      disadvantage: this._getWeaponSizeDisadvantage(weaponType),
+      ranged: true,
+      weaponName: weaponTraits.get('NAME'),
+    });
+  }
+
+  /**
+   * Small creatures have disadvantage when attacking with heavy weapons.
+   * @param {string} weaponType
+   * @returns {string} reason for the disadvantage or undefined if none.
+   */
+  _getWeaponSizeDisadvantage(weaponType) {
+    if (
+      this.get('SIZE', 'MEDIUM').toUpperCase() === 'SMALL' &&
+      weaponType?.toUpperCase().includes('HEAVY')
+    ) {
+      return 'heavy weapon';
+    }
+    return undefined;
+  }
+
   /**
    * Apply dexterity modifier to an item to get its AC value.
    * @param {Traits} traits
@@ -1186,43 +1396,9 @@ export class CharacterTraits extends Traits {
    * Set the level and prof bonus. These are calculated from the experience.
    */
   _adjustForExperience() {
-    const currentLevel = this._level ?? 1;
     const values = tables.getLevelAndProfBonusFromExp(this._traits.get('EXP'));
     this._level = values.level;
     this._proficiencyBonus = values.profBonus;
-    this._adjustTraitsForLevelChange(currentLevel, this._level);
-  }
-
-  /**
-   * Adjust traits for a level change.
-   * @param {number} oldLevel
-   * @param {number} newLevel
-   */
-  _adjustTraitsForLevelChange(oldLevel, nextLevel) {
-    const details = getTraitAdjustmentDetails(this.get('CLASS'));
-    if (details.levels.length === 0) {
-      return;
-    }
-    let availableGain = 0;
-    for (const level of details.levels) {
-      if (level > nextLevel) {
-        break;
-      }
-      if (level > oldLevel) {
-        availableGain += details.gainPerAdjustment;
-      }
-    }
-    let traitIndex = 0;
-    while (availableGain > 0 && traitIndex < details.traits.length) {
-      const key = details.traits[traitIndex];
-      let value = this.get(key);
-      if (value < details.maxAbility) {
-        this.set(key, value + 1);
-        availableGain--;
-      } else {
-        traitIndex++;
-      }
-    }
   }
 
   /**
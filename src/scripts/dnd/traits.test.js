@@ -172,6 +172,22 @@ test('AttackDetails.rollForDamage', () => {
   }
 });
 
+test('AttackDetails.rollForDamage: critical hit doubles dice but not modifier', () => {
+  const abilityModifier = 4;
+  const diceN = 3;
+  const diceSides = 6;
+  const attack = new traits.AttackDetail({
+    damageDice: `${diceN}D${diceSides}`,
+    weaponType: 'MARTIAL',
+    abilityModifier: abilityModifier,
+  });
+  for (let roll = 0; roll < 20; roll++) {
+    const damage = attack.rollForDamage(true);
+    expect(damage).toBeGreaterThanOrEqual(2 * diceN + abilityModifier);
+    expect(damage).toBeLessThanOrEqual(2 * diceN * diceSides + abilityModifier);
+  }
+});
+
 test('AttackDetail.clone', () => {
   let attack = new traits.AttackDetail({
     damageDice: `4D8}`,
@@ -551,9 +567,9 @@ test('MagicTraits.getDamageDiceWhenCastBy', () => {
     `LEVEL:${spellLevel}, DMG:${baseDiceCount}D${diceSides}, DICE_PER_LEVEL:${dicePerLevel}`
   );
 
-  expect(magicTraits.getDamageDiceWhenCastBy(actorTraits)).toEqual(
-    `${expectedDiceCount}D${diceSides}`
-  );
+  expect(
+    magicTraits.getDamageDiceWhenCastBy(actorTraits, characterSpellLevel)
+  ).toEqual(`${expectedDiceCount}D${diceSides}`);
 });
 
 /**
@@ -737,6 +753,33 @@ test('CharacterTraits.clearTransientFxTraitsAndProperties', () => {
   expect(characterTraits.transientProperties).toStrictEqual({});
 });
 
+test('CharacterTraits.addSpellEffect: lasts for duration', () => {
+  const characterTraits = new traits.CharacterTraits(new Map([['STR', 10]]));
+  const spell = new traits.Traits(
+    'NAME:bull,FX_STR:6,DURATION:2,CONCENTRATION:YES'
+  );
+  expect(characterTraits.addSpellEffect(spell)).toBeUndefined();
+  expect(characterTraits.getEffectiveInt('STR')).toBe(16);
+  expect(characterTraits.spellEffects.getConcentration().name).toBe('bull');
+  expect(characterTraits.endSpellEffectsTurn()).toEqual([]);
+  expect(characterTraits.getEffectiveInt('STR')).toBe(16);
+  const ended = characterTraits.endSpellEffectsTurn();
+  expect(ended.map((effect) => effect.name)).toEqual(['bull']);
+  expect(characterTraits.getEffectiveInt('STR')).toBe(10);
+});
+
+test('CharacterTraits.addSpellEffect: ignores spells without effects', () => {
+  const characterTraits = new traits.CharacterTraits(new Map([['STR', 10]]));
+  characterTraits.addSpellEffect(new traits.Traits('NAME:cure,HP_GAIN:1D8'));
+  expect(characterTraits.spellEffects.getAll()).toEqual([]);
+  characterTraits.addSpellEffect(new traits.Traits('NAME:walk,DURATION:3'), {
+    hover: true,
+  });
+  expect(characterTraits.isHovering()).toBe(true);
+  characterTraits.clearTransientFxTraitsAndProperties();
+  expect(characterTraits.isHovering()).toBe(false);
+});
+
 test('CharacterTraits.toFxKey', () => {
   expect(traits.CharacterTraits.toFxKey('CHA')).toEqual('FX_CHA');
 });
@@ -1075,6 +1118,63 @@ test('CharacterTraits.getAttacks versatile falls back to standard damage.', () =
   expect(attacks[0].weaponName).toEqual('WEAPON_1');
 });
 
+test('CharacterTraits.getAttacks small characters have disadvantage with heavy weapons', () => {
+  const weapons = [
+    new traits.Traits('NAME:WEAPON_1, TYPE:MARTIAL MELEE HEAVY, DMG:1D12'),
+  ];
+  let chrTraits = new traits.CharacterTraits('EXP:0, STR:14, SIZE:SMALL');
+  chrTraits.utiliseAdditionalTraits({ weapons: weapons });
+  expect(chrTraits.getAttacks()[0].disadvantage).toEqual('heavy weapon');
+
+  chrTraits = new traits.CharacterTraits('EXP:0, STR:14');
+  chrTraits.utiliseAdditionalTraits({ weapons: weapons });
+  expect(chrTraits.getAttacks()[0].disadvantage).toBeUndefined();
+});
+
+test('CharacterTraits.getAttacks ignores ranged weapons', () => {
+  const chrTraits = new traits.CharacterTraits('EXP:0, STR:14');
+  chrTraits.utiliseAdditionalTraits({
+    weapons: [
+      new traits.Traits('NAME:SHORTBOW, TYPE:SIMPLE RANGED WEAPON, DMG:1D6'),
+    ],
+  });
+  const attacks = chrTraits.getAttacks();
+  expect(attacks).toHaveLength(1);
+  expect(attacks[0].unarmed).toBe(true);
+});
+
+test('CharacterTraits.getRangedAttack uses DEX for ranged weapons', () => {
+  const chrTraits = new traits.CharacterTraits(
+    'EXP:100000, STR:8, DEX:16, PROF:SIMPLE'
+  );
+  const expectProfBonus = 4; // from page 56 of 5e
+  const attack = chrTraits.getRangedAttack(
+    new traits.Traits(
+      'NAME:SHORTBOW, TYPE:SIMPLE RANGED WEAPON, DMG:1D6, ATTACK_BONUS:1'
+    )
+  );
+  expect(attack.ranged).toBe(true);
+  expect(attack.damageDice).toEqual('1D6');
+  expect(attack.proficiencyBonus).toEqual(expectProfBonus);
+  expect(attack.abilityModifier).toEqual(abilityToModifier(16) + 1);
+  expect(attack.weaponName).toEqual('SHORTBOW');
+});
+
+test('CharacterTraits.getRangedAttack thrown weapons', () => {
+  const chrTraits = new traits.CharacterTraits('EXP:0, STR:14, DEX:18');
+  let attack = chrTraits.getRangedAttack(
+    new traits.Traits('TYPE:SIMPLE MELEE THROWN WEAPON, DMG:1D6')
+  );
+  expect(attack.ranged).toBe(true);
+  expect(attack.proficiencyBonus).toEqual(0);
+  expect(attack.abilityModifier).toEqual(abilityToModifier(14));
+
+  attack = chrTraits.getRangedAttack(
+    new traits.Traits('TYPE:SIMPLE MELEE FINESSE THROWN WEAPON, DMG:1D4')
+  );
+  expect(attack.abilityModifier).toEqual(abilityToModifier(18));
+});
+
 test('CharacterTraits: Rogue gets double proficiency bonus in attacks', () => {
   const strength = 14;
   const chrTraits = new traits.CharacterTraits(
@@ -1324,7 +1424,10 @@ test('getDamageDiceWhenCastBy: extra dice per level', () => {
     `LEVEL:${spellLevel},DMG:${diceCount}D${diceSides}, DICE_PER_LEVEL:${extraDicePerLevel}`
   );
   let actorTraits = new traits.CharacterTraits(`DMG:3D8, EXP:${exp}`);
-  const result = magicTraits.getDamageDiceWhenCastBy(actorTraits);
+  const result = magicTraits.getDamageDiceWhenCastBy(
+    actorTraits,
+    characterSpellLevel
+  );
   const diceDetails = dice.getDiceDetails(result);
   expect(diceDetails).toStrictEqual({
     offset: 0,
@@ -1334,6 +1437,17 @@ test('getDamageDiceWhenCastBy: extra dice per level', () => {
   expect(diceDetails.qty).toBeGreaterThan(diceCount);
 });
 
+test('getDamageDiceWhenCastBy: no extra dice without higher slot', () => {
+  const exp = tables.getMinExpPointsForLevel(8);
+  const magicTraits = new traits.MagicTraits(
+    'LEVEL:2,DMG:4D8, DICE_PER_LEVEL:3'
+  );
+  const actorTraits = new traits.CharacterTraits(`EXP:${exp}`);
+  expect(magicTraits.getDamageDiceWhenCastBy(actorTraits)).toBe('4D8');
+  expect(magicTraits.getDamageDiceWhenCastBy(actorTraits, 2)).toBe('4D8');
+  expect(magicTraits.getDamageDiceWhenCastBy(actorTraits, 3)).toBe('7D8');
+});
+
 test('getDamageDiceWhenCastBy: extra dice per level for cantrip', () => {
   const diceCount = 4;
   const diceSides = 8;
@@ -1396,7 +1510,10 @@ test('getDamageDiceWhenCastBy: fractional extra dice per level', () => {
     `LEVEL:${spellLevel},DMG:${diceCount}D${diceSides}, DICE_PER_LEVEL:${extraDicePerLevel}`
   );
   let actorTraits = new traits.CharacterTraits(`DMG:3D8, EXP:${exp}`);
-  const result = magicTraits.getDamageDiceWhenCastBy(actorTraits);
+  const result = magicTraits.getDamageDiceWhenCastBy(
+    actorTraits,
+    characterSpellLevel
+  );
   const diceDetails = dice.getDiceDetails(result);
   expect(diceDetails).toStrictEqual({
     offset: 0,
@@ -1421,7 +1538,10 @@ test('getHpGainDiceWhenCastBy: extra dice per level', () => {
     `LEVEL:${spellLevel},HP_GAIN:${diceCount}D${diceSides}, DICE_PER_LEVEL:${extraDicePerLevel}`
   );
   let actorTraits = new traits.CharacterTraits(`DMG:3D8, EXP:${exp}`);
-  const result = magicTraits.getHpGainDiceWhenCastBy(actorTraits);
+  const result = magicTraits.getHpGainDiceWhenCastBy(
+    actorTraits,
+    characterSpellLevel
+  );
   const diceDetails = dice.getDiceDetails(result);
   expect(diceDetails).toStrictEqual({
     offset: 0,
@@ -1643,32 +1763,7 @@ test('Abilities no adjustment if below level', () => {
   expect(myTraits.getInt('WIS')).toBe(myBase);
 });
 
-test('Abilities adjustment if equals first adj level', () => {
-  const myBase = 10;
-  const chrClass = 'ROGUE';
-  const adjDetails = abilityGenerator.getTraitAdjustmentDetails(chrClass);
-  const level = adjDetails.levels[0];
-  const exp = tables.getMinExpPointsForLevel(level);
-  let myTraits = new traits.CharacterTraits([
-    ['CLASS', chrClass],
-    ['EXP', exp],
-    ['STR', myBase],
-    ['DEX', myBase],
-    ['CON', myBase],
-    ['INT', myBase],
-    ['WIS', myBase],
-    ['CHA', myBase],
-  ]);
-  // in order of ROGUE traits
-  expect(myTraits.getInt('DEX')).toBe(myBase + 2);
-  expect(myTraits.getInt('STR')).toBe(myBase);
-  expect(myTraits.getInt('INT')).toBe(myBase);
-  expect(myTraits.getInt('CHA')).toBe(myBase);
-  expect(myTraits.getInt('CON')).toBe(myBase);
-  expect(myTraits.getInt('WIS')).toBe(myBase);
-});
-
-test('Abilities adjustment if above first and second adj levels', () => {
+test('Abilities not adjusted automatically on reaching adj levels', () => {
   const myBase = 10;
   const chrClass = 'ROGUE';
   const adjDetails = abilityGenerator.getTraitAdjustmentDetails(chrClass);
@@ -1684,8 +1779,9 @@ test('Abilities adjustment if above first and second adj levels', () => {
     ['WIS', myBase],
     ['CHA', myBase],
   ]);
-  // in order of ROGUE traits
-  expect(myTraits.getInt('DEX')).toBe(myBase + 4);
+  // improvements are chosen by the player on levelling up.
+  expect(myTraits.getCharacterLevel()).toBe(level);
+  expect(myTraits.getInt('DEX')).toBe(myBase);
   expect(myTraits.getInt('STR')).toBe(myBase);
   expect(myTraits.getInt('INT')).toBe(myBase);
   expect(myTraits.getInt('CHA')).toBe(myBase);
@@ -1693,29 +1789,11 @@ test('Abilities adjustment if above first and second adj levels', () => {
   expect(myTraits.getInt('WIS')).toBe(myBase);
 });
 
-test('Abilities adjustments shared to ensure not max not exceeded', () => {
-  const chrClass = 'ROGUE';
-  const adjDetails = abilityGenerator.getTraitAdjustmentDetails(chrClass);
-  const level = adjDetails.levels[adjDetails.levels.length - 1];
-  const exp = tables.getMinExpPointsForLevel(level);
-  let myTraits = new traits.CharacterTraits([
-    ['CLASS', chrClass],
-    ['EXP', exp],
-    ['STR', 16],
-    ['DEX', 17],
-    ['CON', 18],
-    ['INT', 19],
-    ['WIS', 10],
-    ['CHA', 19],
-  ]);
-  // in order of ROGUE traits
-  expect(adjDetails.levels).toHaveLength(6);
-  expect(adjDetails.gainPerAdjustment).toEqual(2);
-  // so we have 12 points to share
-  expect(myTraits.getInt('DEX')).toBe(20); // +3
-  expect(myTraits.getInt('STR')).toBe(20); // +4
-  expect(myTraits.getInt('INT')).toBe(20); // +1
-  expect(myTraits.getInt('CHA')).toBe(20); // +1
-  expect(myTraits.getInt('CON')).toBe(20); // +2
-  expect(myTraits.getInt('WIS')).toBe(11); // +1 to bring total gain to 2 * 6
+test('CharacterTraits.getSightRangeInTiles uses light unless darkvision further', () => {
+  expect(new traits.CharacterTraits(new Map()).getSightRangeInTiles()).toBe(5);
+  expect(
+    new traits.CharacterTraits(
+      new Map([['DARKVISION', '60 FEET']])
+    ).getSightRangeInTiles()
+  ).toBe(8);
 });
@@ -66,6 +66,7 @@ export function getCharacteristics(characterLevel, trapTraits) {
     attack: new AttackDetail({
       damageDice: damage,
       weaponType: 'TRAP',
+      damageType: trapTraits.get('DMG_TYPE'),
       proficiencyBonus: 0,
       abilityModifier: details.bonus,
     }),
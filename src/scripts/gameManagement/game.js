@@ -35,7 +35,7 @@ import GAME_CLOCK from '../utils/time/clock.js';
 import * as debug from '../utils/debug.js';
 import * as text from '../utils/text/text.js';
 import * as assetLoaders from '../utils/assetLoaders.js';
-import { createAutoSceneList } from '../scriptReaders/autoSceneList.js';
+import { createSceneList } from '../scriptReaders/scriptedSceneList.js';
 import SCENE_MANAGER from './sceneManager.js';
 import UI from '../utils/dom/ui.js';
 import LOG from '../utils/logging.js';
@@ -88,7 +88,7 @@ async function initialise(screenOptions) {
       IMAGE_MANAGER.loadSpriteMap(SpriteSheet.data, SpriteSheet.textureUrl)
     )
     .then(() => assetLoaders.loadTextFromUrl(AssetUrls.DUNGEON_SCRIPT))
-    .then((script) => SCENE_MANAGER.setSceneList(createAutoSceneList(script)))
+    .then((script) => SCENE_MANAGER.setSceneList(createSceneList(script)))
     .then(() => loadAlmanacs(AssetUrls.ALMANAC_MAP))
     .then(() => {
       LOG.debug('All assets loaded. Trigger main menu.');
@@ -30,14 +30,23 @@
 import SCENE_MANAGER from './sceneManager.js';
 import PERSISTENT_DATA from '../utils/persistentData.js';
 import LOG from '../utils/logging.js';
+import RANDOM from '../utils/random.js';
 import { buildActor } from '../dnd/almanacs/actorBuilder.js';
 import { buildArtefact } from '../dnd/almanacs/artefactBuilder.js';
 import { Actor } from '../players/actors.js';
 import { Artefact } from '../players/artefacts.js';
 import { Traits, CharacterTraits, MagicTraits } from '../dnd/traits.js';
 import { Toxin } from '../dnd/toxins.js';
+import { Conditions } from '../dnd/conditions.js';
+import { DeathSaves } from '../dnd/deathSaves.js';
+import { InteractWithCorpse } from '../dnd/interact.js';
 import { sceneToFloor, floorToScene } from '../dnd/floorNumbering.js';
 import { Leaderboard } from '../utils/leaderBoard.js';
+import { FloorState } from './floorState.js';
+import { Point } from '../utils/geometry.js';
+import { createMapThumbnail } from '../utils/tileMaps/mapThumbnail.js';
+import { VERSION } from '../generatedFiles/version.js';
+import { SAVE_FORMAT_VERSION, upgradeSave } from './saveMigrations.js';
 
 /** @type {number} */
 const DEFAULT_LEADERBOARD_LEN = 10;
@@ -45,6 +54,30 @@ const DEFAULT_LEADERBOARD_LEN = 10;
 /** @type {string} */
 const LEADERBOARD_DATA_KEY = 'LEADERBOARD_DATA';
 
+/** @type {string} */
+const SAVE_SLOTS_DATA_KEY = 'SAVE_SLOTS';
+
+/**
+ * Key used for saved games before save slots were introduced.
+ * @type {string}
+ */
+const LEGACY_GAME_STATE_KEY = 'GAME_STATE';
+
+/** @type {number} */
+export const MAX_SAVE_SLOTS = 4;
+
+/**
+ * Identifier written to exported adventure files.
+ * @type {string}
+ */
+const ADVENTURE_EXPORT_FORMAT = 'ClickAndCrawl adventure';
+
+/**
+ * Slot used for saving and restoring games.
+ * @type {number}
+ */
+let activeSlotId = 0;
+
 /** @typedef {Object} AdventureResult
  * @property {number} adventureStartTime
  * @property {string} name
@@ -136,8 +169,192 @@ function saveToLeaderboard(adventureResult) {
 }
 
 /**
- * Save the current game. The adventure is also added to the leaderboard if good
- * enough.
+ * Summary of the game held in a save slot.
+ * @typedef {Object} SaveSlotInfo
+ * @property {number} id - slot id.
+ * @property {string} name - hero's name.
+ * @property {string} class - hero's class.
+ * @property {number} dungeonFloor
+ * @property {number} characterLevel
+ * @property {number} goldSent
+ * @property {number} lastPlayed - time in ms when last saved.
+ * @property {string} thumbnail - data URL of the floor image. May be null.
+ * @property {boolean} canContinue - true if the game can be continued.
+ * @property {string} error - reason the saved game cannot be recovered. Null if
+ * there is no known problem.
+ */
+
+/**
+ * Get the storage key for a slot's game state.
+ * @param {number} slotId
+ * @returns {string}
+ */
+function getGameStateKey(slotId) {
+  return `GAME_STATE_${slotId}`;
+}
+
+/**
+ * Create the summary information for a save slot.
+ * @param {number} slotId
+ * @param {Object} gameState - state being saved.
+ * @param {string} thumbnail - image of floor. May be null.
+ * @returns {SaveSlotInfo}
+ */
+function createSaveSlotInfo(slotId, gameState, thumbnail) {
+  const hero = gameState.hero;
+  return {
+    id: slotId,
+    name: hero.traits.get('NAME'),
+    class: hero.traits.get('CLASS'),
+    dungeonFloor: sceneToFloor(gameState.sceneLevel),
+    characterLevel: hero.traits.getCharacterLevel(),
+    goldSent: hero.traits.getInt('GOLD_SENT', 0),
+    lastPlayed: Date.now(),
+    thumbnail: thumbnail,
+    canContinue: hero.alive && !gameState.completed,
+    error: null,
+  };
+}
+
+/**
+ * Upgrade saved game state to the current format and revive its objects.
+ * @param {Object} data - raw game state.
+ * @returns {Object} revived game state.
+ * @throws {Error} if the game state cannot be recovered.
+ */
+function upgradeAndReviveGameState(data) {
+  const gameState = reviveData(upgradeSave(data));
+  if (!(gameState.hero instanceof Actor)) {
+    throw new Error('Saved hero could not be revived.');
+  }
+  return gameState;
+}
+
+/**
+ * Load the game state held in a save slot.
+ * @param {number} slotId
+ * @returns {Object} revived game state or null if the slot is empty.
+ * @throws {Error} if the game state cannot be recovered.
+ */
+function loadGameState(slotId) {
+  const data = PERSISTENT_DATA.get(getGameStateKey(slotId), null);
+  return data ? upgradeAndReviveGameState(data) : null;
+}
+
+/**
+ * Record that a save slot holds a game that cannot be recovered.
+ * @param {SaveSlotInfo[]} slots - modified in place.
+ * @param {number} slotId
+ * @param {Error} error
+ */
+function markSlotUnrecoverable(slots, slotId, error) {
+  LOG.error(
+    `Saved game in slot ${slotId} cannot be recovered. ${error.message}`
+  );
+  slots[slotId] = {
+    id: slotId,
+    name: 'unknown',
+    class: 'unknown',
+    dungeonFloor: 0,
+    characterLevel: 0,
+    goldSent: 0,
+    lastPlayed: 0,
+    thumbnail: null,
+    ...slots[slotId],
+    canContinue: false,
+    error: error.message,
+  };
+}
+
+/**
+ * Move a game saved before the introduction of save slots into the first slot.
+ * @param {SaveSlotInfo[]} slots - modified in place.
+ */
+function migrateLegacyGameState(slots) {
+  const data = PERSISTENT_DATA.get(LEGACY_GAME_STATE_KEY, null);
+  if (!data) {
+    return;
+  }
+  LOG.info('Moving saved game into first save slot.');
+  PERSISTENT_DATA.set(getGameStateKey(0), data);
+  PERSISTENT_DATA.remove(LEGACY_GAME_STATE_KEY);
+  try {
+    const gameState = upgradeAndReviveGameState(data);
+    slots[0] = {
+      ...createSaveSlotInfo(0, gameState, null),
+      lastPlayed: gameState.hero.adventureStartTime ?? 0,
+    };
+  } catch (error) {
+    markSlotUnrecoverable(slots, 0, error);
+  }
+}
+
+/**
+ * Get information about all the save slots.
+ * @returns {SaveSlotInfo[]} array of MAX_SAVE_SLOTS entries. Empty slots are
+ * null.
+ */
+export function getSaveSlots() {
+  let slots = PERSISTENT_DATA.get(SAVE_SLOTS_DATA_KEY, null);
+  if (!Array.isArray(slots)) {
+    slots = new Array(MAX_SAVE_SLOTS).fill(null);
+    migrateLegacyGameState(slots);
+    PERSISTENT_DATA.set(SAVE_SLOTS_DATA_KEY, slots);
+  }
+  return slots;
+}
+
+/**
+ * Set the slot used by subsequent saves and restores.
+ * @param {number} slotId
+ */
+export function setActiveSaveSlot(slotId) {
+  if (slotId < 0 || slotId >= MAX_SAVE_SLOTS) {
+    throw new Error(`Invalid save slot ${slotId}.`);
+  }
+  activeSlotId = slotId;
+}
+
+/**
+ * Get the slot used for saves and restores.
+ * @returns {number}
+ */
+export function getActiveSaveSlot() {
+  return activeSlotId;
+}
+
+/**
+ * Delete the game held in a save slot. The leaderboard is not affected.
+ * @param {number} slotId
+ */
+export function deleteSaveSlot(slotId) {
+  const slots = getSaveSlots();
+  slots[slotId] = null;
+  PERSISTENT_DATA.set(SAVE_SLOTS_DATA_KEY, slots);
+  PERSISTENT_DATA.remove(getGameStateKey(slotId));
+  LOG.info(`Save slot ${slotId} deleted.`);
+}
+
+/**
+ * Store the game state in the active slot and update the slot's summary. If a
+ * thumbnail cannot be created, the slot's previous thumbnail is kept.
+ * @param {Object} gameState
+ * @param {string[]} mapDesign - design of the current floor. May be null.
+ */
+function storeGameState(gameState, mapDesign) {
+  const slots = getSaveSlots();
+  slots[activeSlotId] = createSaveSlotInfo(
+    activeSlotId,
+    gameState,
+    createMapThumbnail(mapDesign) ?? slots[activeSlotId]?.thumbnail ?? null
+  );
+  PERSISTENT_DATA.set(SAVE_SLOTS_DATA_KEY, slots);
+  PERSISTENT_DATA.set(getGameStateKey(activeSlotId), gameState);
+}
+
+/**
+ * Save the current game in the active slot. The adventure is also added to the
+ * leaderboard if good enough.
  * @param {module:players/actors.Actor} hero
  * @param {boolean} [completed = false]
  * @returns {number} position in leaderboard. 0 is top. -1 is unplaced.
@@ -145,22 +362,244 @@ function saveToLeaderboard(adventureResult) {
 export function saveGameState(hero, completed = false) {
   const adventureResult = createAdventureResult(hero, completed);
   const leaderboardIndex = saveToLeaderboard(adventureResult);
+  const sceneLevel = SCENE_MANAGER.getCurrentSceneLevel();
+  const floorState = SCENE_MANAGER.getCurrentFloorState();
+  const floorsLeft = new Map(SCENE_MANAGER.getVisitedFloors());
+  if (floorState) {
+    floorsLeft.set(sceneLevel, floorState); // the hero is leaving this floor.
+  }
   const gameState = {
-    sceneLevel: SCENE_MANAGER.getCurrentSceneLevel(),
+    formatVersion: SAVE_FORMAT_VERSION,
+    build: VERSION.build,
+    sceneLevel: sceneLevel,
     hero: hero,
     completed: completed,
+    seed: RANDOM.getSeed(),
+    visitedFloors: visitedFloorsToStorable(floorsLeft, hero),
+    snapshot: null,
   };
-  PERSISTENT_DATA.set('GAME_STATE', gameState);
+  storeGameState(gameState, floorState?.mapDesign);
   return leaderboardIndex;
 }
 
-/** Restore the game state.
- * The state is only restored if the hero is alive.
+/**
+ * @typedef {Object} TurnState
+ * @property {boolean} interacting - true if the hero is engaged with enemies.
+ * @property {boolean} disengaging - true if the hero is running away.
+ */
+
+/**
+ * Location of an artefact within the stores of one of a list of actors.
+ * @typedef {Object} ArtefactLocation
+ * @property {number} holder - index of the holding actor.
+ * @property {number} item - index into the holder's storage details.
+ */
+
+/**
+ * Find where an artefact is held.
+ * @param {module:players/artefacts.Artefact} artefact
+ * @param {module:players/actors.Actor[]} holders
+ * @returns {ArtefactLocation} null if not found.
+ */
+function locateArtefact(artefact, holders) {
+  if (!artefact) {
+    return null;
+  }
+  for (let holder = 0; holder < holders.length; holder++) {
+    const details = holders[holder].storeManager?.getAllStorageDetails() ?? [];
+    const item = details.findIndex((detail) => detail.artefact === artefact);
+    if (item >= 0) {
+      return { holder: holder, item: item };
+    }
+  }
+  LOG.debug('Artefact not held by any actor.');
+  return null;
+}
+
+/**
+ * Get an artefact from its location.
+ * @param {ArtefactLocation} location
+ * @param {module:players/actors.Actor[]} holders
+ * @returns {module:players/artefacts.Artefact} null if not found.
+ */
+function findArtefactAtLocation(location, holders) {
+  if (!location) {
+    return null;
+  }
+  const details =
+    holders[location.holder]?.storeManager?.getAllStorageDetails() ?? [];
+  return details[location.item]?.artefact ?? null;
+}
+
+/**
+ * Convert a floor state into an object suitable for JSON. The exit key is
+ * stored as a location as it is the identity of the artefact that matters.
+ * @param {FloorState} floorState
+ * @param {module:players/actors.Actor} hero
+ * @returns {Object}
+ */
+function floorStateToStorable(floorState, hero) {
+  const holders = [
+    hero,
+    ...floorState.actors.map((placement) => placement.actor),
+    ...floorState.artefacts.map((placement) => placement.actor),
+  ];
+  return {
+    mapDesign: floorState.mapDesign,
+    actors: floorState.actors,
+    artefacts: floorState.artefacts,
+    exitKeyLocation: locateArtefact(floorState.exitKeyArtefact, holders),
+  };
+}
+
+/**
+ * Recreate a floor state from a previous call to floorStateToStorable.
+ * @param {Object} storable - revived data.
+ * @param {module:players/actors.Actor} hero
+ * @returns {FloorState}
+ */
+function storableToFloorState(storable, hero) {
+  const toPlacement = (placement) => {
+    const actor = placement.actor;
+    if (!actor.alive && actor.isEnemy()) {
+      actor.interaction = new InteractWithCorpse(actor);
+    }
+    return {
+      actor: actor,
+      position: new Point(placement.position.x, placement.position.y),
+    };
+  };
+  const holders = [
+    hero,
+    ...storable.actors.map((placement) => placement.actor),
+    ...storable.artefacts.map((placement) => placement.actor),
+  ];
+  const floorState = new FloorState();
+  floorState.mapDesign = storable.mapDesign;
+  // actors that could not be revived are dropped.
+  floorState.actors = storable.actors
+    .filter((placement) => placement.actor)
+    .map(toPlacement);
+  floorState.artefacts = storable.artefacts
+    .filter((placement) => placement.actor)
+    .map(toPlacement);
+  floorState.exitKeyArtefact = findArtefactAtLocation(
+    storable.exitKeyLocation,
+    holders
+  );
+  return floorState;
+}
+
+/**
+ * Convert the floors the hero has left into an array suitable for JSON.
+ * @param {Map<number, FloorState>} visitedFloors - floors keyed by scene level.
+ * @param {module:players/actors.Actor} hero
+ * @returns {Array.Array<number, Object>} array of scene levels and storable
+ * floors.
+ */
+function visitedFloorsToStorable(visitedFloors, hero) {
+  const storables = [];
+  visitedFloors.forEach((visitedFloor, sceneLevel) =>
+    storables.push([sceneLevel, floorStateToStorable(visitedFloor, hero)])
+  );
+  return storables;
+}
+
+/**
+ * Recreate the floors the hero has left from a previous call to
+ * visitedFloorsToStorable.
+ * @param {Array.Array<number, Object>} storables
+ * @param {module:players/actors.Actor} hero
+ * @returns {Map<number, FloorState>} floors keyed by scene level.
+ */
+function storableToVisitedFloors(storables, hero) {
+  const visitedFloors = new Map();
+  storables.forEach(([sceneLevel, storable]) =>
+    visitedFloors.set(sceneLevel, storableToFloorState(storable, hero))
+  );
+  return visitedFloors;
+}
+
+/**
+ * Save a snapshot of the current floor so that the game can be continued
+ * exactly where it was left. This is called after each hero turn. The
+ * leaderboard is not updated.
+ * @param {module:players/actors.Actor} hero
+ * @param {TurnState} turnState
+ */
+export function saveSceneSnapshot(hero, turnState) {
+  const floorState = SCENE_MANAGER.getCurrentFloorState();
+  if (!floorState) {
+    LOG.error('No current floor so snapshot not saved.');
+    return;
+  }
+  const gameState = {
+    formatVersion: SAVE_FORMAT_VERSION,
+    build: VERSION.build,
+    sceneLevel: SCENE_MANAGER.getCurrentSceneLevel(),
+    hero: hero,
+    completed: false,
+    seed: RANDOM.getSeed(),
+    visitedFloors: visitedFloorsToStorable(
+      SCENE_MANAGER.getVisitedFloors(),
+      hero
+    ),
+    snapshot: {
+      floorState: floorStateToStorable(floorState, hero),
+      heroPosition: hero.position,
+      turnState: turnState,
+      randomStream: RANDOM.getStreamPosition(),
+    },
+  };
+  storeGameState(gameState, floorState.mapDesign);
+}
+
+/**
+ * Saved snapshot of a floor in progress.
+ * @typedef {Object} SavedSnapshot
+ * @property {FloorState} floorState
+ * @property {Point} heroPosition
+ * @property {TurnState} turnState
+ * @property {module:utils/random~StreamPosition} randomStream
+ */
+
+/**
+ * Recreate the snapshot from revived data.
+ * @param {Object} storedSnapshot
+ * @param {module:players/actors.Actor} hero
+ * @returns {SavedSnapshot}
+ */
+function reviveSnapshot(storedSnapshot, hero) {
+  return {
+    floorState: storableToFloorState(storedSnapshot.floorState, hero),
+    heroPosition: new Point(
+      storedSnapshot.heroPosition.x,
+      storedSnapshot.heroPosition.y
+    ),
+    turnState: storedSnapshot.turnState,
+    randomStream: storedSnapshot.randomStream,
+  };
+}
+
+/** Restore the game state from the active save slot.
+ * The state is only restored if the hero is alive. The floors the hero has
+ * left are always included. If the game was saved part way through a floor,
+ * the snapshot is included; otherwise it is null.
+ * Older saves are upgraded to the current format. If that is not possible, the
+ * slot is marked with the error so that it can be reported.
  *
- * @returns {{hero: Actor, sceneLevel: number}} - undefined if failure
+ * @returns {{hero: Actor, sceneLevel: number, seed: string, visitedFloors: Map<number, FloorState>, snapshot: SavedSnapshot}} - undefined if failure
  */
 export function restoreGameState() {
-  const gameState = PERSISTENT_DATA.get('GAME_STATE', null, revive);
+  const slots = getSaveSlots(); // ensures any legacy game has been migrated.
+  let gameState;
+  try {
+    gameState = loadGameState(activeSlotId);
+  } catch (error) {
+    markSlotUnrecoverable(slots, activeSlotId, error);
+    PERSISTENT_DATA.set(SAVE_SLOTS_DATA_KEY, slots);
+    return;
+  }
 
   if (!gameState) {
     LOG.debug('No saved game state to restore.');
@@ -174,7 +613,130 @@ export function restoreGameState() {
     LOG.debug('Last game was completed, so not restoring.');
     return;
   }
-  return { hero: gameState.hero, sceneLevel: gameState.sceneLevel };
+  return {
+    hero: gameState.hero,
+    sceneLevel: gameState.sceneLevel,
+    seed: gameState.seed,
+    visitedFloors: storableToVisitedFloors(
+      gameState.visitedFloors,
+      gameState.hero
+    ),
+    snapshot: gameState.snapshot
+      ? reviveSnapshot(gameState.snapshot, gameState.hero)
+      : null,
+  };
+}
+
+/**
+ * Adventure exported to a file.
+ * @typedef {Object} ExportedAdventure
+ * @property {Object} gameState - saved game, as held in a save slot.
+ * @property {SaveSlotInfo} slot - summary of the saved game.
+ * @property {AdventureResult[]} leaderboard
+ * @property {Object<string, *>} settings - persistent settings keyed by id.
+ */
+
+/**
+ * Export the game in a save slot along with the leaderboard and settings. The
+ * content is protected by the same checksum used for persistent data.
+ * @param {number} slotId
+ * @param {string[]} settingIds - ids of the persistent settings to include.
+ * @returns {string} JSON suitable for saving to a file.
+ * @throws {Error} if the slot is empty.
+ */
+export function exportAdventure(slotId, settingIds) {
+  const gameState = PERSISTENT_DATA.get(getGameStateKey(slotId), null);
+  if (!gameState) {
+    throw new Error(`No saved game in slot ${slotId} to export.`);
+  }
+  const settings = {};
+  settingIds.forEach((id) => {
+    const value = PERSISTENT_DATA.get(id);
+    if (value !== undefined) {
+      settings[id] = value;
+    }
+  });
+  /** @type {ExportedAdventure} */
+  const adventure = {
+    gameState: gameState,
+    slot: getSaveSlots()[slotId],
+    leaderboard: getLeaderboard().getCurrentData(),
+    settings: settings,
+  };
+  return JSON.stringify({
+    format: ADVENTURE_EXPORT_FORMAT,
+    build: VERSION.build,
+    data: PERSISTENT_DATA.toChecksummed(JSON.stringify(adventure)),
+  });
+}
+
+/**
+ * Parse and validate an exported adventure.
+ * @param {string} text - contents of the exported file.
+ * @returns {ExportedAdventure}
+ * @throws {Error} if the file is not a valid adventure.
+ */
+export function parseAdventureExport(text) {
+  let exported;
+  try {
+    exported = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Adventure file is not valid JSON. ${error.message}`);
+  }
+  if (exported?.format !== ADVENTURE_EXPORT_FORMAT) {
+    throw new Error('File is not an exported adventure.');
+  }
+  const adventure = JSON.parse(PERSISTENT_DATA.fromChecksummed(exported.data));
+  if (!adventure?.gameState) {
+    throw new Error('Exported adventure does not contain a saved game.');
+  }
+  adventure.gameState = upgradeAndReviveGameState(adventure.gameState);
+  LOG.info(`Parsed adventure exported from build ${exported.build}.`);
+  return adventure;
+}
+
+/**
+ * Import an adventure into a save slot. Any game already in the slot is
+ * replaced. The exported leaderboard is merged into the current one and the
+ * settings are stored, but not applied.
+ * @param {ExportedAdventure} adventure - adventure from parseAdventureExport.
+ * @param {number} slotId
+ */
+export function importAdventure(adventure, slotId) {
+  const slots = getSaveSlots();
+  slots[slotId] = adventure.slot
+    ? { ...adventure.slot, id: slotId, error: null }
+    : createSaveSlotInfo(slotId, adventure.gameState, null);
+  PERSISTENT_DATA.set(SAVE_SLOTS_DATA_KEY, slots);
+  PERSISTENT_DATA.set(getGameStateKey(slotId), adventure.gameState);
+  const leaderboard = getLeaderboard();
+  adventure.leaderboard?.forEach((result) => leaderboard.add(result));
+  PERSISTENT_DATA.set(LEADERBOARD_DATA_KEY, leaderboard.getCurrentData());
+  for (const [id, value] of Object.entries(adventure.settings ?? {})) {
+    PERSISTENT_DATA.set(id, value);
+  }
+  LOG.info(`Adventure imported into save slot ${slotId}.`);
+}
+
+/**
+ * Revive objects within data that has been parsed without a reviver. Objects
+ * are revived from the bottom up, as JSON.parse would, and existing class
+ * instances are left untouched. Containers are copied rather than modified.
+ * @param {*} data
+ * @returns {*}
+ */
+function reviveData(data) {
+  if (Array.isArray(data)) {
+    return data.map((item) => reviveData(item));
+  }
+  if (data?.constructor === Object) {
+    const result = {};
+    for (const [key, value] of Object.entries(data)) {
+      result[key] = reviveData(value);
+    }
+    return revive(undefined, result);
+  }
+  return data;
 }
 
 /**
@@ -188,6 +750,10 @@ function revive(keyUnused, value) {
       return Actor.revive(value.data, buildActor);
     case 'Toxin':
       return Toxin.revive(value.data);
+    case 'Conditions':
+      return Conditions.revive(value.data);
+    case 'DeathSaves':
+      return DeathSaves.revive(value.data);
     case 'Artefact':
       return Artefact.revive(value.data, buildArtefact);
     case 'Traits':
@@ -48,6 +48,8 @@ jest.unstable_mockModule('./sceneManager.js', () => {
     __esModule: true,
     default: {
       getCurrentSceneLevel: jest.fn(() => 1),
+      getCurrentFloorState: jest.fn(() => null),
+      getVisitedFloors: jest.fn(() => new Map()),
     },
   };
 });
@@ -56,15 +58,23 @@ await import('../utils/game/screen.js');
 const SCENE_MANAGER = (await import('./sceneManager.js')).default;
 const { parseAlmanacLine } = await import('../dnd/almanacs/almanacs.js');
 const { buildActor } = await import('../dnd/almanacs/actorBuilder.js');
+const { buildArtefact } = await import('../dnd/almanacs/artefactBuilder.js');
+const { InteractWithCorpse } = await import('../dnd/interact.js');
+const { FloorState } = await import('./floorState.js');
+const { Point } = await import('../utils/geometry.js');
 const { getMinExpPointsForLevel } = await import('../dnd/tables.js');
 const PERSISTENT_DATA = (await import('../utils/persistentData.js')).default;
+const RANDOM = (await import('../utils/random.js')).default;
 const gameSaver = await import('./gameSaver.js');
+const { SAVE_FORMAT_VERSION } = await import('./saveMigrations.js');
+const { VERSION } = await import('../generatedFiles/version.js');
 
 const mockedStorage = (() => {
   const map = new Map();
   return {
     getItem: jest.fn((key) => map.get(key)),
     setItem: jest.fn((key, value) => map.set(key, value)),
+    removeItem: jest.fn((key) => map.delete(key)),
     clear: jest.fn(() => map.clear()),
   };
 })();
@@ -443,7 +453,7 @@ test('saveGameState inserts if better: more gold sent', () => {
   });
 });
 
-test('restoreGameState retrieves actor and scene level', () => {
+test('restoreGameState retrieves actor, scene level and seed', () => {
   const sceneLevel = 12;
   const characterLevel = 6;
   const exp = getMinExpPointsForLevel(characterLevel);
@@ -456,6 +466,7 @@ test('restoreGameState retrieves actor and scene level', () => {
   hero.storeManager.addToPurse(gold);
 
   SCENE_MANAGER.getCurrentSceneLevel.mockReturnValue(sceneLevel);
+  RANDOM.setSeed('SAVED SEED');
   gameSaver.saveGameState(hero);
   const restored = gameSaver.restoreGameState();
 
@@ -468,9 +479,114 @@ test('restoreGameState retrieves actor and scene level', () => {
   expect(restored).toEqual({
     hero: hero,
     sceneLevel: sceneLevel,
+    seed: 'SAVEDSEED',
+    visitedFloors: new Map(),
+    snapshot: null,
   });
 });
 
+test('restoreGameState retrieves floors the hero has left', () => {
+  const hero = buildActor(
+    parseAlmanacLine(
+      '0,COMMON,HERO,fighter1 * CLASS:FIGHTER,HIT_DICE:1D12,EXP:0',
+      'HEROES'
+    )
+  );
+  const enemy = buildActor(
+    parseAlmanacLine(
+      '1,COMMON,ENEMY,rat_pv * ATTACK:COMBAT,MOVE:HUNT,HP:3,AC:10',
+      'ENEMIES'
+    )
+  );
+  const earlierFloor = new FloorState();
+  earlierFloor.mapDesign = ['#-#', '#.#', '#=#'];
+  earlierFloor.actors.push({ actor: enemy, position: new Point(48, 48) });
+  const currentFloor = new FloorState();
+  currentFloor.mapDesign = ['#-#', '#.#', '#.#', '#=#'];
+
+  SCENE_MANAGER.getCurrentSceneLevel.mockReturnValue(4);
+  SCENE_MANAGER.getCurrentFloorState.mockReturnValueOnce(currentFloor);
+  SCENE_MANAGER.getVisitedFloors.mockReturnValueOnce(
+    new Map([[3, earlierFloor]])
+  );
+  gameSaver.saveGameState(hero);
+
+  // simulate reloading the page.
+  const stored = mockedStorage.getItem('ClickAndCrawl_GAME_STATE_0');
+  PERSISTENT_DATA.clearAll();
+  mockedStorage.setItem('ClickAndCrawl_GAME_STATE_0', stored);
+
+  const restored = gameSaver.restoreGameState();
+  expect(restored.snapshot).toBeNull();
+  expect([...restored.visitedFloors.keys()]).toEqual([3, 4]);
+  const restoredEarlier = restored.visitedFloors.get(3);
+  expect(restoredEarlier.mapDesign).toEqual(earlierFloor.mapDesign);
+  expect(restoredEarlier.actors).toHaveLength(1);
+  expect(restoredEarlier.actors[0].actor).not.toBe(enemy);
+  expect(restoredEarlier.actors[0].actor.almanacEntry.id).toBe('rat_pv');
+  expect(restoredEarlier.actors[0].position).toEqual(new Point(48, 48));
+  expect(restored.visitedFloors.get(4).mapDesign).toEqual(
+    currentFloor.mapDesign
+  );
+});
+
+test('restoreGameState retrieves snapshot after reload', () => {
+  const sceneLevel = 3;
+  const hero = buildActor(
+    parseAlmanacLine(
+      '0,COMMON,HERO,fighter1 * CLASS:FIGHTER,HIT_DICE:1D12,EXP:0',
+      'HEROES'
+    )
+  );
+  hero.position = new Point(48, 48);
+  const enemy = buildActor(
+    parseAlmanacLine(
+      '1,COMMON,ENEMY,rat_pv * ATTACK:COMBAT,MOVE:HUNT,HP:3,AC:10',
+      'ENEMIES'
+    )
+  );
+  enemy.alive = false;
+  const key = buildArtefact(
+    parseAlmanacLine('0,COMMON,KEY,rusty_key * VALUE: 3SP', 'KEYS')
+  );
+  enemy.storeManager.stash(key, { direct: true });
+  const floorState = new FloorState();
+  floorState.mapDesign = ['#-#', '#.#', '#.#', '#=#'];
+  floorState.actors.push({ actor: enemy, position: new Point(48, 80) });
+  floorState.exitKeyArtefact = key;
+
+  SCENE_MANAGER.getCurrentSceneLevel.mockReturnValue(sceneLevel);
+  SCENE_MANAGER.getCurrentFloorState.mockReturnValueOnce(floorState);
+  RANDOM.setSeed('SNAPSHOT');
+  RANDOM.restartStream('SCENE 3');
+  RANDOM.next();
+  gameSaver.saveSceneSnapshot(hero, { interacting: true, disengaging: false });
+
+  // simulate reloading the page.
+  const stored = mockedStorage.getItem('ClickAndCrawl_GAME_STATE_0');
+  PERSISTENT_DATA.clearAll();
+  mockedStorage.setItem('ClickAndCrawl_GAME_STATE_0', stored);
+
+  const restored = gameSaver.restoreGameState();
+  expect(restored.sceneLevel).toBe(sceneLevel);
+  expect(restored.hero.traits.get('CLASS')).toBe('FIGHTER');
+  const snapshot = restored.snapshot;
+  expect(snapshot.floorState.mapDesign).toEqual(floorState.mapDesign);
+  expect(snapshot.floorState.actors).toHaveLength(1);
+  const restoredEnemy = snapshot.floorState.actors[0].actor;
+  expect(restoredEnemy).not.toBe(enemy);
+  expect(restoredEnemy.alive).toBe(false);
+  expect(restoredEnemy.interaction).toBeInstanceOf(InteractWithCorpse);
+  expect(snapshot.floorState.actors[0].position).toEqual(new Point(48, 80));
+  const restoredKey =
+    restoredEnemy.storeManager.getAllStorageDetails()[0].artefact;
+  expect(snapshot.floorState.exitKeyArtefact).toBe(restoredKey);
+  expect(restored.visitedFloors.size).toBe(0);
+  expect(snapshot.heroPosition).toEqual(new Point(48, 48));
+  expect(snapshot.turnState).toEqual({ interacting: true, disengaging: false });
+  expect(snapshot.randomStream).toEqual({ key: 'SCENE 3', count: 1 });
+});
+
 test('restoreGameState returns undefined if actor not alive', () => {
   const sceneLevel = 12;
   const characterLevel = 6;
@@ -525,3 +641,165 @@ test('restoreGameState returns undefined if completed', () => {
   const restored = gameSaver.restoreGameState();
   expect(restored).toBeUndefined();
 });
+
+test('saveGameState updates summary of active save slot', () => {
+  const hero = buildActor(
+    parseAlmanacLine(
+      '0,COMMON,HERO,fighter1 * CLASS:FIGHTER,HIT_DICE:1D12,EXP:0',
+      'HEROES'
+    )
+  );
+  hero.traits.set('NAME', 'Slotted');
+  SCENE_MANAGER.getCurrentSceneLevel.mockReturnValue(5);
+  gameSaver.setActiveSaveSlot(2);
+  gameSaver.saveGameState(hero);
+  gameSaver.setActiveSaveSlot(0);
+  const slots = gameSaver.getSaveSlots();
+  expect(slots).toHaveLength(gameSaver.MAX_SAVE_SLOTS);
+  expect(slots[0]).toBeNull();
+  expect(slots[2]).toEqual(
+    expect.objectContaining({
+      id: 2,
+      name: 'Slotted',
+      class: 'FIGHTER',
+      dungeonFloor: sceneToFloor(5),
+      characterLevel: 1,
+      goldSent: 0,
+      thumbnail: null,
+      canContinue: true,
+    })
+  );
+  expect(gameSaver.restoreGameState()).toBeUndefined();
+  gameSaver.setActiveSaveSlot(2);
+  expect(gameSaver.restoreGameState().hero.traits.get('NAME')).toBe('Slotted');
+  gameSaver.setActiveSaveSlot(0);
+});
+
+test('deleteSaveSlot only removes the one slot', () => {
+  const hero = buildActor(
+    parseAlmanacLine(
+      '0,COMMON,HERO,fighter1 * CLASS:FIGHTER,HIT_DICE:1D12,EXP:0',
+      'HEROES'
+    )
+  );
+  gameSaver.setActiveSaveSlot(1);
+  gameSaver.saveGameState(hero);
+  gameSaver.setActiveSaveSlot(0);
+  gameSaver.saveGameState(hero);
+  gameSaver.deleteSaveSlot(1);
+  expect(mockedStorage.getItem('ClickAndCrawl_GAME_STATE_1')).toBeUndefined();
+  const slots = gameSaver.getSaveSlots();
+  expect(slots[1]).toBeNull();
+  expect(slots[0].canContinue).toBe(true);
+  expect(gameSaver.restoreGameState()).toBeDefined();
+  expect(gameSaver.getLeaderboard().getCurrentData()).toHaveLength(1);
+});
+
+test('getSaveSlots moves legacy saved game into first slot', () => {
+  const hero = buildActor(
+    parseAlmanacLine(
+      '0,COMMON,HERO,fighter1 * CLASS:FIGHTER,HIT_DICE:1D12,EXP:0',
+      'HEROES'
+    )
+  );
+  hero.traits.set('NAME', 'Legacy');
+  mockedStorage.setItem(
+    'ClickAndCrawl_GAME_STATE',
+    PERSISTENT_DATA.toChecksummed(
+      JSON.stringify({
+        sceneLevel: 2,
+        hero: hero,
+        completed: false,
+        seed: 'OLD',
+      })
+    )
+  );
+  const slots = gameSaver.getSaveSlots();
+  expect(slots[0].name).toBe('Legacy');
+  expect(slots[0].dungeonFloor).toBe(sceneToFloor(2));
+  expect(mockedStorage.getItem('ClickAndCrawl_GAME_STATE')).toBeUndefined();
+  const restored = gameSaver.restoreGameState();
+  expect(restored.hero.traits.get('NAME')).toBe('Legacy');
+  expect(restored.seed).toBe('OLD');
+});
+
+test('exportAdventure and importAdventure move game between slots', () => {
+  const hero = buildActor(
+    parseAlmanacLine(
+      '0,COMMON,HERO,fighter1 * CLASS:FIGHTER,HIT_DICE:1D12,EXP:0',
+      'HEROES'
+    )
+  );
+  hero.traits.set('NAME', 'Traveller');
+  SCENE_MANAGER.getCurrentSceneLevel.mockReturnValue(4);
+  gameSaver.saveGameState(hero);
+  PERSISTENT_DATA.set('MUSIC_VOLUME', 20);
+  const exported = gameSaver.exportAdventure(0, ['MUSIC_VOLUME', 'NOT_SET']);
+
+  // simulate another browser.
+  PERSISTENT_DATA.clearAll();
+  mockedStorage.clear();
+  const adventure = gameSaver.parseAdventureExport(exported);
+  gameSaver.importAdventure(adventure, 3);
+  expect(gameSaver.getSaveSlots()[3]).toEqual(
+    expect.objectContaining({ id: 3, name: 'Traveller', canContinue: true })
+  );
+  expect(gameSaver.getLeaderboard().getCurrentData()).toHaveLength(1);
+  expect(PERSISTENT_DATA.get('MUSIC_VOLUME')).toBe(20);
+  expect(adventure.settings).not.toHaveProperty('NOT_SET');
+  gameSaver.setActiveSaveSlot(3);
+  const restored = gameSaver.restoreGameState();
+  gameSaver.setActiveSaveSlot(0);
+  expect(restored.hero.traits.get('NAME')).toBe('Traveller');
+  expect(restored.sceneLevel).toBe(4);
+});
+
+test('parseAdventureExport rejects damaged files', () => {
+  const hero = buildActor(
+    parseAlmanacLine(
+      '0,COMMON,HERO,fighter1 * CLASS:FIGHTER,HIT_DICE:1D12,EXP:0',
+      'HEROES'
+    )
+  );
+  gameSaver.saveGameState(hero);
+  const exported = JSON.parse(gameSaver.exportAdventure(0, []));
+  exported.data = exported.data.replace('FIGHTER', 'WIZARD');
+  expect(() =>
+    gameSaver.parseAdventureExport(JSON.stringify(exported))
+  ).toThrow('Invalid checksum');
+  expect(() => gameSaver.parseAdventureExport('{"format":"other"}')).toThrow();
+  expect(() => gameSaver.parseAdventureExport('not json')).toThrow();
+});
+
+test('saveGameState stamps the save format', () => {
+  const hero = buildActor(
+    parseAlmanacLine(
+      '0,COMMON,HERO,fighter1 * CLASS:FIGHTER,HIT_DICE:1D12,EXP:0',
+      'HEROES'
+    )
+  );
+  gameSaver.saveGameState(hero);
+  const stored = JSON.parse(
+    PERSISTENT_DATA.fromChecksummed(
+      mockedStorage.getItem('ClickAndCrawl_GAME_STATE_0')
+    )
+  );
+  expect(stored.formatVersion).toBe(SAVE_FORMAT_VERSION);
+  expect(stored.build).toBe(VERSION.build);
+});
+
+test('restoreGameState marks unrecoverable saves', () => {
+  mockedStorage.setItem(
+    'ClickAndCrawl_GAME_STATE_1',
+    PERSISTENT_DATA.toChecksummed(
+      JSON.stringify({ formatVersion: SAVE_FORMAT_VERSION + 1, hero: null })
+    )
+  );
+  gameSaver.setActiveSaveSlot(1);
+  const restored = gameSaver.restoreGameState();
+  gameSaver.setActiveSaveSlot(0);
+  expect(restored).toBeUndefined();
+  const slot = gameSaver.getSaveSlots()[1];
+  expect(slot.canContinue).toBe(false);
+  expect(slot.error).toMatch('newer than the supported format');
+});
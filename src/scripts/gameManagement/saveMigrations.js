@@ -0,0 +1,210 @@
+/**
+ * @file Versioning and migration of saved games.
+ *
+ * @module gameManagement/saveMigrations
+ */
+/**
+ * license {@link https://opensource.org/license/mit/|MIT}
+ * Copyright 2024 Steve Butler (henspace.com).
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the “Software”), to deal in
+ * the Software without restriction, including without limitation the rights to use,
+ * copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the
+ * Software, and to permit persons to whom the Software is furnished to do so,
+ * subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED “AS IS”, WITHOUT WARRANTY OF ANY KIND,
+ * EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES
+ * OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT
+ * HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY,
+ * WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR
+ * OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+import LOG from '../utils/logging.js';
+import { ALMANAC_LIBRARY } from '../dnd/almanacs/almanacs.js';
+import { getLevelAndProfBonusFromExp } from '../dnd/tables.js';
+
+/**
+ * Version of the save format written by this build. Whenever the format, trait
+ * keys or almanac ids change in a way that affects existing saves, increase
+ * this and register a migration from the previous version. Saves also record
+ * the build that wrote them.
+ * @type {number}
+ */
+export const SAVE_FORMAT_VERSION = 2;
+
+/**
+ * Version assumed for saves written before versioning was introduced.
+ * @type {number}
+ */
+const UNVERSIONED_FORMAT = 1;
+
+/**
+ * @typedef {Object} SaveMigration
+ * @property {string} description
+ * @property {function(Object):Object} migrate - function that takes the raw
+ * save data and returns data in the next version of the format. It should
+ * throw an Error if the save cannot be recovered.
+ */
+
+/**
+ * Registered migrations keyed by the version they upgrade from.
+ * @type {Map<number, SaveMigration>}
+ */
+const MIGRATIONS = new Map();
+
+/**
+ * Register a migration.
+ * @param {number} fromVersion - version upgraded from. The result is
+ * fromVersion + 1.
+ * @param {string} description - used for logging.
+ * @param {function(Object):Object} migrate
+ */
+export function registerSaveMigration(fromVersion, description, migrate) {
+  if (MIGRATIONS.has(fromVersion)) {
+    throw new Error(
+      `Migration from save format ${fromVersion} already exists.`
+    );
+  }
+  MIGRATIONS.set(fromVersion, { description: description, migrate: migrate });
+}
+
+/**
+ * Upgrade raw save data to the target version, one version at a time.
+ * @param {Object} data - raw data as parsed from JSON without reviving.
+ * @param {number} [targetVersion = SAVE_FORMAT_VERSION]
+ * @returns {Object} upgraded data. This is a copy if any migration was needed.
+ * @throws {Error} if the save cannot be upgraded.
+ */
+export function upgradeSave(data, targetVersion = SAVE_FORMAT_VERSION) {
+  let version = data.formatVersion ?? UNVERSIONED_FORMAT;
+  if (version > targetVersion) {
+    throw new Error(
+      `Save format ${version} from build ${data.build} is newer than the supported format ${targetVersion}.`
+    );
+  }
+  if (version < targetVersion) {
+    data = JSON.parse(JSON.stringify(data));
+  }
+  while (version < targetVersion) {
+    const migration = MIGRATIONS.get(version);
+    if (!migration) {
+      throw new Error(`No migration available from save format ${version}.`);
+    }
+    LOG.info(`Upgrading save from format ${version}. ${migration.description}`);
+    data = migration.migrate(data);
+    version++;
+    data.formatVersion = version;
+  }
+  return data;
+}
+
+/**
+ * Call a function for every object in the raw data that has a reviver. Children
+ * are visited before their parents.
+ * @param {*} data
+ * @param {function(Object)} fn - called with the object containing the
+ * reviver and its data.
+ */
+function forEachRevivable(data, fn) {
+  if (Array.isArray(data)) {
+    data.forEach((item) => forEachRevivable(item, fn));
+  } else if (data && typeof data === 'object') {
+    Object.values(data).forEach((item) => forEachRevivable(item, fn));
+    if (data.reviver) {
+      fn(data);
+    }
+  }
+}
+
+/**
+ * Rename trait keys throughout raw save data.
+ * @param {Object} data - raw save data. This is modified.
+ * @param {Object<string, string>} renames - new keys keyed by the old key.
+ * @returns {Object} the data.
+ */
+export function renameTraitKeys(data, renames) {
+  forEachRevivable(data, (revivable) => {
+    if (
+      !['Traits', 'CharacterTraits', 'MagicTraits'].includes(revivable.reviver)
+    ) {
+      return;
+    }
+    revivable.data.forEach((entry) => {
+      if (Object.hasOwn(renames, entry[0])) {
+        entry[0] = renames[entry[0]];
+      }
+    });
+  });
+  return data;
+}
+
+/**
+ * Remove trait keys throughout raw save data.
+ * @param {Object} data - raw save data. This is modified.
+ * @param {string[]} keys - keys to remove.
+ * @returns {Object} the data.
+ */
+export function deleteTraitKeys(data, keys) {
+  forEachRevivable(data, (revivable) => {
+    if (
+      !['Traits', 'CharacterTraits', 'MagicTraits'].includes(revivable.reviver)
+    ) {
+      return;
+    }
+    revivable.data = revivable.data.filter((entry) => !keys.includes(entry[0]));
+  });
+  return data;
+}
+
+/**
+ * Replace the almanac entries of actors and artefacts whose ids have been
+ * removed from the almanacs with fallback entries. The fallbacks must exist in
+ * the currently loaded almanacs.
+ * @param {Object} data - raw save data. This is modified.
+ * @param {Object<string, string>} fallbacks - fallback ids keyed by the
+ * removed id.
+ * @returns {Object} the data.
+ * @throws {Error} if a fallback cannot be found.
+ */
+export function replaceAlmanacIds(data, fallbacks) {
+  forEachRevivable(data, (revivable) => {
+    if (!['Actor', 'Artefact'].includes(revivable.reviver)) {
+      return;
+    }
+    const removedId = revivable.data.almanacEntry?.id;
+    if (!Object.hasOwn(fallbacks, removedId)) {
+      return;
+    }
+    const entry = ALMANAC_LIBRARY.findById(fallbacks[removedId]);
+    if (!entry) {
+      throw new Error(
+        `Fallback ${fallbacks[removedId]} for almanac id ${removedId} does not exist.`
+      );
+    }
+    revivable.data.almanacEntry = JSON.parse(JSON.stringify(entry));
+  });
+  return data;
+}
+
+registerSaveMigration(
+  UNVERSIONED_FORMAT,
+  'Unversioned saves predate floor snapshots, floors the hero has left, level-up choices and spell slots.',
+  (data) => {
+    data.snapshot = data.snapshot ?? null;
+    data.visitedFloors = data.visitedFloors ?? [];
+    const entries = data.hero?.data?.traits?.data;
+    if (entries) {
+      const exp = entries.find((entry) => entry[0] === 'EXP')?.[1];
+      entries.push(['_LEVEL_ADVANCED', getLevelAndProfBonusFromExp(exp).level]);
+    }
+    return deleteTraitKeys(data, ['CASTING_POWER']);
+  }
+);
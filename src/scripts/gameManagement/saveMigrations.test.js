@@ -0,0 +1,220 @@
+/**
+ * @file Test save migrations
+ *
+ * @module gameManagement/saveMigrations.test
+ */
+/**
+ * license {@link https://opensource.org/license/mit/|MIT}
+ * Copyright 2024 Steve Butler (henspace.com).
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the “Software”), to deal in
+ * the Software without restriction, including without limitation the rights to use,
+ * copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the
+ * Software, and to permit persons to whom the Software is furnished to do so,
+ * subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED “AS IS”, WITHOUT WARRANTY OF ANY KIND,
+ * EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES
+ * OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT
+ * HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY,
+ * WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR
+ * OTHER DEALINGS IN THE SOFTWARE.
+ */
+import { test, expect } from '@jest/globals';
+import {
+  SAVE_FORMAT_VERSION,
+  deleteTraitKeys,
+  registerSaveMigration,
+  renameTraitKeys,
+  replaceAlmanacIds,
+  upgradeSave,
+} from './saveMigrations.js';
+import {
+  ALMANAC_LIBRARY,
+  Almanac,
+  parseAlmanacLine,
+} from '../dnd/almanacs/almanacs.js';
+
+test('upgradeSave leaves current saves unchanged', () => {
+  const data = { formatVersion: SAVE_FORMAT_VERSION, snapshot: null };
+  expect(upgradeSave(data)).toBe(data);
+});
+
+test('upgradeSave upgrades unversioned saves without modifying original', () => {
+  const data = { sceneLevel: 3 };
+  const upgraded = upgradeSave(data);
+  expect(upgraded).toEqual({
+    sceneLevel: 3,
+    snapshot: null,
+    visitedFloors: [],
+    formatVersion: SAVE_FORMAT_VERSION,
+  });
+  expect(data).toEqual({ sceneLevel: 3 });
+});
+
+test('upgradeSave applies migrations in order', () => {
+  const applied = [];
+  registerSaveMigration(SAVE_FORMAT_VERSION, 'first test step', (data) => {
+    applied.push(data.formatVersion);
+    return { ...data, first: true };
+  });
+  registerSaveMigration(SAVE_FORMAT_VERSION + 1, 'second test step', (data) => {
+    applied.push(data.formatVersion);
+    return { ...data, second: true };
+  });
+  const upgraded = upgradeSave(
+    { formatVersion: SAVE_FORMAT_VERSION },
+    SAVE_FORMAT_VERSION + 2
+  );
+  expect(applied).toEqual([SAVE_FORMAT_VERSION, SAVE_FORMAT_VERSION + 1]);
+  expect(upgraded).toEqual({
+    formatVersion: SAVE_FORMAT_VERSION + 2,
+    first: true,
+    second: true,
+  });
+});
+
+test('upgradeSave rejects unrecoverable saves', () => {
+  expect(() =>
+    upgradeSave({ formatVersion: SAVE_FORMAT_VERSION + 1, build: 'future' })
+  ).toThrow('newer than the supported format');
+  expect(() =>
+    upgradeSave(
+      { formatVersion: SAVE_FORMAT_VERSION + 10 },
+      SAVE_FORMAT_VERSION + 11
+    )
+  ).toThrow('No migration available');
+});
+
+test('renameTraitKeys renames keys of all traits', () => {
+  const data = {
+    hero: {
+      reviver: 'Actor',
+      data: {
+        traits: {
+          reviver: 'CharacterTraits',
+          data: [
+            ['OLD_KEY', 'a'],
+            ['OTHER', 'b'],
+          ],
+        },
+        inventory: [
+          {
+            artefact: {
+              reviver: 'Artefact',
+              data: { traits: { reviver: 'Traits', data: [['OLD_KEY', 'c']] } },
+            },
+          },
+        ],
+      },
+    },
+  };
+  renameTraitKeys(data, { OLD_KEY: 'NEW_KEY' });
+  expect(data.hero.data.traits.data).toEqual([
+    ['NEW_KEY', 'a'],
+    ['OTHER', 'b'],
+  ]);
+  expect(data.hero.data.inventory[0].artefact.data.traits.data).toEqual([
+    ['NEW_KEY', 'c'],
+  ]);
+});
+
+test('replaceAlmanacIds uses fallback entries', () => {
+  const almanac = new Almanac();
+  almanac.common.push(
+    parseAlmanacLine('0,COMMON,KEY,new_key * VALUE: 3SP', 'TEST_KEYS')
+  );
+  ALMANAC_LIBRARY.addAlmanac('TEST_KEYS', almanac);
+  const data = {
+    item: {
+      reviver: 'Artefact',
+      data: { almanacEntry: { id: 'removed_key' }, traits: null },
+    },
+    other: {
+      reviver: 'Artefact',
+      data: { almanacEntry: { id: 'kept_key' }, traits: null },
+    },
+  };
+  replaceAlmanacIds(data, { removed_key: 'new_key' });
+  expect(data.item.data.almanacEntry.id).toBe('new_key');
+  expect(data.item.data.almanacEntry.type.id).toBe('key');
+  expect(data.other.data.almanacEntry.id).toBe('kept_key');
+  expect(() => replaceAlmanacIds(data, { kept_key: 'does_not_exist' })).toThrow(
+    'does not exist'
+  );
+});
+
+test('upgradeSave marks existing heroes as advanced to their level', () => {
+  const data = {
+    hero: {
+      reviver: 'Actor',
+      data: {
+        traits: {
+          reviver: 'CharacterTraits',
+          data: [
+            ['NAME', 'Hero'],
+            ['EXP', 2700],
+          ],
+        },
+      },
+    },
+  };
+  const upgraded = upgradeSave(data);
+  expect(upgraded.hero.data.traits.data).toContainEqual(['_LEVEL_ADVANCED', 4]);
+});
+
+test('deleteTraitKeys removes keys of all traits', () => {
+  const data = {
+    hero: {
+      reviver: 'Actor',
+      data: {
+        traits: {
+          reviver: 'CharacterTraits',
+          data: [
+            ['OLD_KEY', 'a'],
+            ['OTHER', 'b'],
+          ],
+        },
+        inventory: [
+          {
+            artefact: {
+              reviver: 'Artefact',
+              data: { traits: { reviver: 'Traits', data: [['OLD_KEY', 'c']] } },
+            },
+          },
+        ],
+      },
+    },
+  };
+  deleteTraitKeys(data, ['OLD_KEY']);
+  expect(data.hero.data.traits.data).toEqual([['OTHER', 'b']]);
+  expect(data.hero.data.inventory[0].artefact.data.traits.data).toEqual([]);
+});
+
+test('upgradeSave removes casting power', () => {
+  const upgraded = upgradeSave({
+    hero: {
+      reviver: 'Actor',
+      data: {
+        traits: {
+          reviver: 'CharacterTraits',
+          data: [
+            ['CASTING_POWER', 12],
+            ['CLASS', 'WIZARD'],
+          ],
+        },
+      },
+    },
+  });
+  expect(upgraded.hero.data.traits.data).not.toContainEqual([
+    'CASTING_POWER',
+    12,
+  ]);
+  expect(upgraded.hero.data.traits.data).toContainEqual(['CLASS', 'WIZARD']);
+});
@@ -28,12 +28,19 @@
  * OTHER DEALINGS IN THE SOFTWARE.
  */
 
-import { parseSceneDefinition } from '../scriptReaders/sceneDefinitionParser.js';
+import {
+  createSceneFromFloorState,
+  parseSceneDefinition,
+} from '../scriptReaders/sceneDefinitionParser.js';
 import HUD from '../hud/hud.js';
 import { NavigationButtons, NavigationLocation } from '../hud/hudNavSet.js';
+import { TurnOrderDisplay } from '../hud/hudTurnOrder.js';
+import { ClassFeaturesButton } from '../hud/hudClassFeatures.js';
+import { SpellEffectsDisplay } from '../hud/hudSpellEffects.js';
 import WORLD from '../utils/game/world.js';
 import { CameraDolly, CameraTracking } from '../utils/game/camera.js';
 import LOG from '../utils/logging.js';
+import { SpecialSymbols, replaceSymbols } from '../utils/tileMaps/tilePlan.js';
 
 /**
  * @interface SceneList
@@ -42,7 +49,7 @@ import LOG from '../utils/logging.js';
  * Get the next scene.
  * @function SceneList.getNext
  * @param{number} index
- * @returns {SceneDefinition}
+ * @returns {SceneDefinition} null if there are no more scenes.
  *
  */
 /**
@@ -54,6 +61,15 @@ import LOG from '../utils/logging.js';
 /**
  * Reset to the first scene.
  * @function SceneList.reset
+ * @param {module:players/actors.Actor} [hero] - hero for a new adventure. If
+ * not set, the list provides the hero.
+ */
+
+/**
+ * Test if the list defines the hero for a new adventure, in which case the
+ * player does not create one.
+ * @function SceneList.definesHero
+ * @returns {boolean}
  */
 
 /**
@@ -70,6 +86,8 @@ import LOG from '../utils/logging.js';
  * @param {module:players/actors.Actor} hero
  */
 
+/** @typedef {module:gameManagement/floorState.FloorState} FloorState */
+
 /** @type {module:utils/sprites/sprite~Sprite}  */
 let cameraDolly;
 
@@ -80,6 +98,21 @@ let currentScene;
 
 let navigationButtons;
 
+/** @type {TurnOrderDisplay} */
+let turnOrderDisplay;
+
+/** @type {ClassFeaturesButton} */
+let classFeaturesButton;
+
+/** @type {SpellEffectsDisplay} */
+let spellEffectsDisplay;
+
+/**
+ * Cache of the floors the hero has left, keyed by scene level.
+ * @type {Map<number, FloorState>}
+ */
+const floorCache = new Map();
+
 /**
  * Definition of a scene
  */
@@ -127,6 +160,9 @@ function createHud() {
     NavigationLocation.BR,
     NavigationLocation.BL
   );
+  turnOrderDisplay = new TurnOrderDisplay(48);
+  classFeaturesButton = new ClassFeaturesButton(48);
+  spellEffectsDisplay = new SpellEffectsDisplay(48);
   HUD.setVisible(true);
 }
 
@@ -135,9 +171,50 @@ function createHud() {
  */
 function clearHud() {
   navigationButtons = null;
+  turnOrderDisplay = null;
+  classFeaturesButton = null;
+  spellEffectsDisplay = null;
   HUD.clear();
   HUD.setVisible(false);
 }
+/**
+ * Show the combat turn order on the HUD.
+ * @param {module:dnd/initiative~InitiativeEntry[]} entries - entries in turn
+ * order. If empty, the turn order is hidden.
+ * @param {module:players/actors.Actor} [activeActor] - actor whose turn it is.
+ */
+function showTurnOrder(entries, activeActor) {
+  turnOrderDisplay?.show(entries, activeActor);
+}
+
+/**
+ * Hide the combat turn order.
+ */
+function hideTurnOrder() {
+  turnOrderDisplay?.hide();
+}
+
+/**
+ * Show or hide the class features button.
+ * @param {boolean} show - true to show the button.
+ */
+function showClassFeaturesButton(show) {
+  if (show) {
+    classFeaturesButton?.show();
+  } else {
+    classFeaturesButton?.hide();
+  }
+}
+
+/**
+ * Show the hero's active spell effects on the HUD.
+ * @param {module:dnd/spellEffects.SpellEffect[]} effects - if empty, the
+ * display is hidden.
+ */
+function showSpellEffects(effects) {
+  spellEffectsDisplay?.show(effects);
+}
+
 /** Set the current scene, unloading any existing scene
  * @param {module:game/scene~Scene} scene
  * @returns {Promise} fulfils to undefined.
@@ -178,6 +255,9 @@ function loadScene(scene) {
  */
 function unloadScene(scene) {
   if (scene) {
+    if (scene.getFloorState) {
+      floorCache.set(getCurrentSceneLevel(), scene.getFloorState());
+    }
     return scene.unload().then(() => {
       WORLD.clearAll();
       currentScene = null;
@@ -214,24 +294,63 @@ function areThereMoreScenes() {
 }
 
 /**
- * Continue from a saved scene.
+ * @typedef {Object} SceneSnapshot
+ * @property {FloorState} floorState - state of the floor the hero is on.
+ */
+
+/**
+ * Continue from a saved scene. Without a snapshot, the game continues from
+ * the scene after the saved level. With a snapshot, the saved level is
+ * recreated as it was.
  * @param {number} savedSceneLevel
  * @param {module:players/actors.Actor} savedHero
+ * @param {Map<number, FloorState>} visitedFloors - floors, keyed by scene
+ * level, that the hero has left and can return to.
+ * @param {SceneSnapshot} [snapshot]
  * @returns {Promise} fulfils to the loaded scene.
  * Rejects if no scenes.
  */
-function continueFromSavedScene(savedSceneLevel, savedHero) {
-  sceneDefnList.restore(savedSceneLevel, savedHero);
-  return setScene(getNextSceneFromList());
+function continueFromSavedScene(
+  savedSceneLevel,
+  savedHero,
+  visitedFloors,
+  snapshot
+) {
+  return unloadCurrentScene().then(() => {
+    floorCache.clear();
+    visitedFloors.forEach((floorState, sceneLevel) =>
+      floorCache.set(sceneLevel, floorState)
+    );
+    sceneDefnList.restore(savedSceneLevel, savedHero);
+    if (snapshot) {
+      return setScene(
+        createSceneFromFloorState(snapshot.floorState, savedHero)
+      );
+    }
+    return setScene(getNextSceneFromList());
+  });
 }
+/**
+ * Test if the scene list defines the hero for a new adventure.
+ * @returns {boolean}
+ */
+function doScenesDefineHero() {
+  return sceneDefnList.definesHero();
+}
+
 /**
  * Switch to the first scene.
+ * @param {module:players/actors.Actor} [hero] - hero created for the new
+ * adventure. If not set, the scene list provides the hero.
  * @returns {Promise} fulfils to the loaded scene.
  * Rejects if no scenes.
  */
-function switchToFirstScene() {
-  sceneDefnList.reset();
-  return setScene(getNextSceneFromList());
+function switchToFirstScene(hero) {
+  return unloadCurrentScene().then(() => {
+    floorCache.clear();
+    sceneDefnList.reset(hero);
+    return setScene(getNextSceneFromList());
+  });
 }
 
 /**
@@ -243,12 +362,94 @@ function switchToNextScene() {
   return setScene(getNextSceneFromList());
 }
 
+/**
+ * Get the state of the current floor.
+ * @returns {FloorState} null if there is no current floor.
+ */
+function getCurrentFloorState() {
+  return currentScene?.getFloorState?.() ?? null;
+}
+
+/**
+ * Get the floors the hero has left and can return to.
+ * @returns {Map<number, FloorState>} floor states keyed by scene level.
+ */
+function getVisitedFloors() {
+  return floorCache;
+}
+
+/**
+ * Test if the floor at a scene level has been visited and cached.
+ * @param {number} sceneLevel
+ * @returns {boolean}
+ */
+function hasVisitedScene(sceneLevel) {
+  return floorCache.has(sceneLevel);
+}
+
+/**
+ * Switch to a previously visited scene. The current scene is cached before
+ * switching.
+ * @param {number} levelChange - change in scene level. -1 to climb up a floor
+ * and +1 to go back down.
+ * @returns {Promise} fulfils to the loaded scene.
+ * Rejects if the floor has not been visited.
+ */
+function switchToVisitedScene(levelChange) {
+  const sceneLevel = getCurrentSceneLevel() + levelChange;
+  const hero = currentScene?.heroActor;
+  return unloadCurrentScene().then(() => {
+    const floorState = floorCache.get(sceneLevel);
+    if (!floorState) {
+      LOG.error(`Attempt to switch to unvisited scene level ${sceneLevel}.`);
+      return Promise.reject();
+    }
+    sceneDefnList.restore(sceneLevel, hero);
+    floorState.mapDesign = addStairsToDesign(floorState.mapDesign, sceneLevel);
+    return setScene(createSceneFromFloorState(floorState));
+  });
+}
+
+/**
+ * Replace the doors of a design with stairs if the floors they lead to have
+ * been visited.
+ * @param {string[]} mapDesign
+ * @param {number} sceneLevel - level of the floor using the design.
+ * @returns {string[]} new design.
+ */
+function addStairsToDesign(mapDesign, sceneLevel) {
+  let design = mapDesign;
+  if (hasVisitedScene(sceneLevel - 1)) {
+    design = replaceSymbols(
+      design,
+      SpecialSymbols.DOOR_IN,
+      SpecialSymbols.STAIRS_UP[0]
+    );
+  }
+  if (hasVisitedScene(sceneLevel + 1)) {
+    design = replaceSymbols(
+      design,
+      SpecialSymbols.DOOR_OUT,
+      SpecialSymbols.STAIRS_DOWN[0]
+    );
+  }
+  return design;
+}
+
 /**
  * Gets the next scene from the scene definition list.
- * @returns {Scene}
+ * @returns {Scene} null if there are no more scenes.
  */
 function getNextSceneFromList() {
-  return parseSceneDefinition(sceneDefnList.getNext());
+  const sceneDefn = sceneDefnList.getNext();
+  if (!sceneDefn) {
+    return null;
+  }
+  sceneDefn.mapDesign = addStairsToDesign(
+    sceneDefn.mapDesign,
+    getCurrentSceneLevel()
+  );
+  return parseSceneDefinition(sceneDefn);
 }
 
 /**
@@ -309,14 +510,23 @@ function setDungeonChallenge(challenge) {
 const SCENE_MANAGER = {
   areThereMoreScenes: areThereMoreScenes,
   continueFromSavedScene: continueFromSavedScene,
+  doScenesDefineHero: doScenesDefineHero,
+  getCurrentFloorState: getCurrentFloorState,
   getCurrentSceneLevel: getCurrentSceneLevel,
   getCurrentSceneIntro: getCurrentSceneIntro,
+  getVisitedFloors: getVisitedFloors,
+  hasVisitedScene: hasVisitedScene,
+  hideTurnOrder: hideTurnOrder,
   panCameraBy: panCameraBy,
   setCameraToTrack: setCameraToTrack,
   setDungeonChallenge: setDungeonChallenge,
   setSceneList: setSceneList,
+  showClassFeaturesButton: showClassFeaturesButton,
+  showSpellEffects: showSpellEffects,
+  showTurnOrder: showTurnOrder,
   switchToFirstScene: switchToFirstScene,
   switchToNextScene: switchToNextScene,
+  switchToVisitedScene: switchToVisitedScene,
   unloadCurrentScene: unloadCurrentScene,
   update: update,
 };
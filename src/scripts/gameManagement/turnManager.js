@@ -38,18 +38,27 @@ import UI from '../utils/dom/ui.js';
 
 import SCENE_MANAGER from './sceneManager.js';
 
-import { addFadingText } from '../utils/effects/transient.js';
+import {
+  addFadingText,
+  displayRisingText,
+} from '../utils/effects/transient.js';
 import { pause } from '../utils/timers.js';
 import { Point, Position, Velocity } from '../utils/geometry.js';
 import LOG from '../utils/logging.js';
 import * as maths from '../utils/maths.js';
+import RANDOM from '../utils/random.js';
 import { showMainMenu } from '../dialogs/mainMenu.js';
-import { MoveType } from '../players/actors.js';
+import { AttackMode, MoveType } from '../players/actors.js';
 import * as actorDialogs from '../dialogs/actorDialogs.js';
-import { i18n } from '../utils/messageManager.js';
+import { i18n, MESSAGES } from '../utils/messageManager.js';
 import * as dice from '../utils/dice.js';
 import { buildActor } from '../dnd/almanacs/actorBuilder.js';
-import { restoreGameState, saveGameState } from './gameSaver.js';
+import {
+  getSaveSlots,
+  restoreGameState,
+  saveGameState,
+  saveSceneSnapshot,
+} from './gameSaver.js';
 import { showMarkdownDialog } from '../dialogs/guideDialogs.js';
 import { AssetUrls } from '../../assets/assets.js';
 import PERSISTENT_DATA from '../utils/persistentData.js';
@@ -57,9 +66,25 @@ import { TextButtonControl } from '../utils/dom/components.js';
 import { showUnpickExitDialog } from '../dialogs/openExitDialogs.js';
 import { showRunePuzzle } from '../dialogs/runeQuestionDialog.js';
 import { DungeonChallenge } from '../scriptReaders/autoSceneList.js';
+import { createDebugHero } from '../dnd/almanacs/debugBuilder.js';
 import SOUND_MANAGER from '../utils/soundManager.js';
 import * as idLimiter from './identifyLimiter.js';
 import * as dndAction from '../dnd/dndAction.js';
+import { InitiativeOrder } from '../dnd/initiative.js';
+import * as rangedAttacks from '../dnd/rangedAttacks.js';
+import * as perception from '../dnd/perception.js';
+import * as spellAreas from '../dnd/spellAreas.js';
+import {
+  createClassFeatureInteraction,
+  rollDeathSave,
+} from '../dnd/interact.js';
+import { showDownedHeroDialog } from '../dialogs/downedDialogs.js';
+import {
+  showClassFeaturesDialog,
+  showLevelUpDialog,
+} from '../dialogs/classFeatureDialogs.js';
+import { getUsableFeatures } from '../dnd/classFeatures.js';
+import { showHeroCreationDialog } from '../dialogs/heroCreationDialogs.js';
 
 /**
  * Factor that is multiplied by the maxMovesPerTurn property of an actor to determine
@@ -71,9 +96,6 @@ const TOO_MANY_TURNS_TO_REACH = 1.5;
  */
 const MAX_TILES_FOR_DISENGAGEMENT = 2;
 
-/** Wake up distance when interacting */
-const TILES_WOKEN_UP = 2;
-
 /**
  * Enumeration of supported events
  * @enum {number}
@@ -83,6 +105,9 @@ const EventId = {
   CLICKED_FREE_GROUND: 1,
   CLICKED_ENTRANCE: 2,
   CLICKED_EXIT: 3,
+  CLICKED_STAIRS_UP: 4,
+  CLICKED_STAIRS_DOWN: 5,
+  USE_CLASS_FEATURE: 6,
 };
 
 /** Should the game be saved and restored @type {boolean} */
@@ -124,24 +149,56 @@ class ReplayableActorMover {
   }
 
   /**
-   * Get a target grid position based on actor type
+   * Get the hero's grid position if the actor is hunting the hero. Hunters
+   * only pursue heroes that they can see and that are close enough and not
+   * disengaging. Hunters that have lost sight of the hero search where it was
+   * last seen or heard instead.
+   * @param {Point} actorGridPos
+   * @returns {Point} null if not hunting.
+   */
+  #getHuntedGridPoint(actorGridPos) {
+    if (this.#actor.moveType !== MoveType.HUNT || this.#heroDisengaging) {
+      return null;
+    }
+    if (!this.#actor.awareness.heroInSight) {
+      return this.#getSearchedGridPoint(actorGridPos);
+    }
+    const heroGridPos = this.#tileMap.worldPointToGrid(heroActor.position);
+    const orthoSeparation = actorGridPos.getOrthoSeparation(heroGridPos) - 1;
+    const maxHuntSeparation =
+      this.#actor.getMaxTilesPerMove() * TOO_MANY_TURNS_TO_REACH;
+    return orthoSeparation <= maxHuntSeparation ? heroGridPos : null;
+  }
+
+  /**
+   * Get the hero's last known position for an actor searching for it. The
+   * position is forgotten once the actor arrives, leaving the actor to walk
+   * randomly.
+   * @param {Point} actorGridPos
+   * @returns {Point} null if there is nowhere to search.
+   */
+  #getSearchedGridPoint(actorGridPos) {
+    const awareness = this.#actor.awareness;
+    const lastKnownGridPos = awareness.lastKnownGridPoint;
+    if (
+      lastKnownGridPos &&
+      actorGridPos.getOrthoSeparation(lastKnownGridPos) <= 1
+    ) {
+      LOG.info(`${this.#actor.traits.get('NAME')} finds no sign of the hero.`);
+      awareness.forget();
+      return null;
+    }
+    return lastKnownGridPos;
+  }
+
+  /**
+   * Get a target grid position for an actor that is not hunting.
    * @param {Point} actorGridPos
    * @returns {Point}
    */
   #getTargetGridPoint(actorGridPos) {
-    if (this.#actor.moveType === MoveType.HUNT) {
-      if (this.#heroDisengaging) {
-        return actorGridPos; // frozen
-      } else {
-        const heroGridPos = this.#tileMap.worldPointToGrid(heroActor.position);
-        const orthoSeparation =
-          actorGridPos.getOrthoSeparation(heroGridPos) - 1;
-        const maxHuntSeparation =
-          this.#actor.getMaxTilesPerMove() * TOO_MANY_TURNS_TO_REACH;
-        if (orthoSeparation <= maxHuntSeparation) {
-          return this.#tileMap.worldPointToGrid(heroActor.position);
-        }
-      }
+    if (this.#actor.moveType === MoveType.HUNT && this.#heroDisengaging) {
+      return actorGridPos; // frozen
     }
     // everything else falls back to random walk.
     return this.#getRandomGridPosition(
@@ -149,6 +206,71 @@ class ReplayableActorMover {
       this.#actor.getMaxTilesPerMove()
     );
   }
+  /**
+   * Get the waypoints to the destination chosen by the actor's behaviour. The
+   * best scoring tile that can be reached this turn is chosen, with the actor
+   * staying put unless a tile scores higher than its current one.
+   * @param {Point} actorGridPos
+   * @param {number} tilesToMove
+   * @returns {Point[]} world points of the waypoints. Null if the behaviour
+   * leaves movement to the actor's move type, as it always does for actors
+   * that have not seen the hero.
+   */
+  #getSteeredWaypoints(actorGridPos, tilesToMove) {
+    const situation = getTurnSituation(this.#actor);
+    if (!situation.engaged && !situation.heroInSight) {
+      return null;
+    }
+    const scorer = this.#actor.behaviour.getDestinationScorer(situation);
+    if (!scorer) {
+      return null;
+    }
+    const routes = this.#routeFinder.getAllRoutesFrom(
+      actorGridPos,
+      tilesToMove
+    );
+    let bestGridPos = actorGridPos;
+    let bestScore = scorer(actorGridPos);
+    routes.forEach((routeUnused, key) => {
+      const gridPos = routes.keyToGridPoint(key);
+      const score = scorer(gridPos);
+      if (score > bestScore) {
+        bestGridPos = gridPos;
+        bestScore = score;
+      }
+    });
+    return routes.getWaypointsAsWorldPoints(bestGridPos) ?? [];
+  }
+
+  /**
+   * Get the waypoints for the actor's move type. Hunters close in on the hero
+   * while everything else walks randomly.
+   * @param {Point} actorGridPos
+   * @param {number} tilesToMove
+   * @returns {Point[]} world points of the waypoints.
+   */
+  #getMoveTypeWaypoints(actorGridPos, tilesToMove) {
+    const huntedGridPos = this.#getHuntedGridPoint(actorGridPos);
+    const targetGridPos =
+      huntedGridPos ?? this.#getTargetGridPoint(actorGridPos);
+    if (
+      targetGridPos.coincident(actorGridPos) // && this.#tileMap.canHeroSeeGridPoint(actorGridPos)
+    ) {
+      return [];
+    }
+    return huntedGridPos
+      ? this.#routeFinder.getRouteNextTo(
+          actorGridPos,
+          targetGridPos,
+          tilesToMove
+        )
+      : this.#routeFinder.getDumbRouteNextTo(
+          actorGridPos,
+          targetGridPos,
+          tilesToMove
+        );
+  }
+
   /**
    * Move actor to new position using the route finder. The move takes place instantly
    * but can be replayed using the replay method.
@@ -160,24 +282,16 @@ class ReplayableActorMover {
       return;
     }
     const actorGridPos = this.#tileMap.worldPointToGrid(this.#actor.position);
-    const targetGridPos = this.#getTargetGridPoint(actorGridPos);
-
-    if (
-      !targetGridPos.coincident(actorGridPos) // && this.#tileMap.canHeroSeeGridPoint(actorGridPos)
-    ) {
-      this.#routeFinder.actor = this.#actor;
-      let waypoints = this.#routeFinder.getDumbRouteNextTo(
-        actorGridPos,
-        targetGridPos,
-        tilesToMove
+    this.#routeFinder.actor = this.#actor;
+    const waypoints =
+      this.#getSteeredWaypoints(actorGridPos, tilesToMove) ??
+      this.#getMoveTypeWaypoints(actorGridPos, tilesToMove);
+    if (waypoints.length > 0) {
+      this.#modifier = new PathFollower(
+        { path: waypoints, speed: 100 },
+        this.#actor.sprite.modifier
       );
-      if (waypoints.length > 0) {
-        this.#modifier = new PathFollower(
-          { path: waypoints, speed: 100 },
-          this.#actor.sprite.modifier
-        );
-        this.#setActorsPosition(waypoints[waypoints.length - 1]);
-      }
+      this.#setActorsPosition(waypoints[waypoints.length - 1]);
     }
   }
 
@@ -375,7 +489,7 @@ class WaitingToStart extends State {
  */
 class AtMainMenu extends State {
   async onEntry() {
-    const continuation = !!restoreGameState();
+    const continuation = getSaveSlots().some((slot) => slot?.canContinue);
     let action = await this.#waitForSelectedGame(continuation);
     persistentGame = action !== 'PLAY CASUAL';
     await this.transitionTo(new AtStart());
@@ -421,8 +535,15 @@ class AtMainMenu extends State {
  * At start state
  */
 class AtStart extends State {
+  /**
+   * Snapshot if continuing part way through a floor.
+   * @type {module:gameManagement/gameSaver~SavedSnapshot}
+   */
+  #snapshot;
+
   onEntry() {
     LOG.debug('Enter AtStart');
+    endCombat();
 
     return this.#showQuickTips()
       .then(() => this.#loadFirstOrContinuationScene())
@@ -433,7 +554,9 @@ class AtStart extends State {
             okButtonLabel: i18n`BUTTON ENTER DUNGEON`,
             className: 'wall',
           })
-            .then(() => actorDialogs.showRestDialog(heroActor))
+            .then(() =>
+              this.#snapshot ? null : actorDialogs.showRestDialog(heroActor)
+            )
             .then((response) => {
               if (response === 'MAIN MENU') {
                 return Promise.reject('MAIN_MENU');
@@ -452,11 +575,13 @@ class AtStart extends State {
         }
       })
       .then(() => {
+        if (this.#snapshot) {
+          heroActor.sprite.position = this.#snapshot.heroPosition;
+          heroActor.disengaging = this.#snapshot.turnState.disengaging;
+          return;
+        }
         heroActor.sprite.position =
           WORLD.getTileMap().getWorldPositionOfTileByEntry();
-        return;
-      })
-      .then(() => {
         const intro = SCENE_MANAGER.getCurrentSceneIntro();
         if (intro) {
           return UI.showOkDialog(intro, { className: 'mask' });
@@ -465,7 +590,18 @@ class AtStart extends State {
         }
       })
       .then(() => SOUND_MANAGER.playEffect('DOOR_ENTER'))
-      .then(() => currentState.transitionTo(new HeroTurnIdle()))
+      .then(() => {
+        if (!this.#snapshot) {
+          return currentState.transitionTo(new HeroTurnIdle());
+        }
+        // snapshots are saved after the hero's turn, so the computer is next.
+        RANDOM.setStreamPosition(this.#snapshot.randomStream);
+        return currentState.transitionTo(
+          this.#snapshot.turnState.interacting
+            ? new ComputerTurnInteracting()
+            : new ComputerTurnIdle()
+        );
+      })
       .catch((rejection) => {
         if (rejection === 'DEAD') {
           LOG.info('Hero died during rest.');
@@ -478,21 +614,47 @@ class AtStart extends State {
 
   /**
    * Load the first scene or if using saved games and there
-   * is one in progress, load that.
+   * is one in progress, load that. Games saved part way through a floor are
+   * recreated from their snapshot. New games start with the player creating
+   * the hero and use the seed requested from the main menu if set.
    * @returns {Promise<boolean>} fulfils to true if continuation
    */
   #loadFirstOrContinuationScene() {
     const savedGame = persistentGame ? restoreGameState() : null;
     if (savedGame) {
+      RANDOM.setSeed(savedGame.seed);
+      this.#snapshot = savedGame.snapshot;
       return SCENE_MANAGER.continueFromSavedScene(
         savedGame.sceneLevel,
-        savedGame.hero
+        savedGame.hero,
+        savedGame.visitedFloors,
+        savedGame.snapshot
       ).then(() => true);
     } else {
-      return SCENE_MANAGER.switchToFirstScene().then(() => false);
+      return this.#createHero().then((hero) => {
+        LOG.info(`Starting new run with seed ${RANDOM.startNewRun()}`);
+        return SCENE_MANAGER.switchToFirstScene(hero).then(() => false);
+      });
     }
   }
 
+  /**
+   * Let the player create the hero for a new game, unless the scenes define
+   * the hero or a debug hero has been requested in the URL.
+   * @returns {Promise<module:players/actors.Actor>} fulfils to the hero or
+   * undefined if the scenes provide it.
+   */
+  #createHero() {
+    if (SCENE_MANAGER.doScenesDefineHero()) {
+      return Promise.resolve();
+    }
+    const debugHero = createDebugHero();
+    if (debugHero) {
+      return Promise.resolve(debugHero);
+    }
+    return showHeroCreationDialog();
+  }
+
   /** Show quick tips if required.
    * @returns {Promise}
    */
@@ -575,10 +737,14 @@ class HeroTurnIdle extends State {
   async onEntry() {
     await super.onEntry();
     LOG.debug('Enter HeroTurnIdle');
+    endCombat();
     await prepareHeroTurn();
-    const dead = await doToxicEffectsKillHero();
+    const dead =
+      (await doToxicEffectsKillHero()) || (await doDeathSavesKillHero());
     if (dead) {
       await this.transitionTo(new AtGameOver());
+    } else if (await doConditionsStopHero()) {
+      await this.transitionTo(new ComputerTurnIdle());
     }
   }
   /**
@@ -596,17 +762,24 @@ class HeroTurnIdle extends State {
             detail.filter,
             detail.occupant
           );
-          if (filter === ClickEventFilter.INTERACT_TILE) {
+          if (
+            filter === ClickEventFilter.INTERACT_TILE ||
+            filter === ClickEventFilter.RANGED_TARGET_TILE
+          ) {
             await interact(point);
           } else if (filter === ClickEventFilter.OCCUPIED_TILE) {
-            await showOccupantDetails(detail.occupant);
+            const areaSpellAction = await showOccupantDetails(detail.occupant);
+            if (areaSpellAction) {
+              await this.transitionTo(new HeroTurnTargeting(areaSpellAction));
+              break;
+            }
           } else {
             await moveHeroToPoint(point, {
               usePathFinder:
                 detail.filter !== ClickEventFilter.MOVE_OR_INTERACT_TILE,
             });
           }
-          if (heroActor.traits.get('HP', 0) === 0) {
+          if (!heroActor.alive) {
             await this.transitionTo(new AtGameOver());
           } else {
             await this.transitionTo(new ComputerTurnIdle());
@@ -630,6 +803,17 @@ class HeroTurnIdle extends State {
         }
         break;
       }
+      case EventId.CLICKED_STAIRS_UP:
+      case EventId.CLICKED_STAIRS_DOWN:
+        await moveHeroToPoint(point, { usePathFinder: false }).then(() =>
+          changeFloor(this, eventId === EventId.CLICKED_STAIRS_UP ? -1 : 1)
+        );
+        break;
+      case EventId.USE_CLASS_FEATURE:
+        if (await useClassFeature()) {
+          await this.transitionTo(new ComputerTurnIdle());
+        }
+        break;
     }
     return Promise.resolve(null);
   }
@@ -649,10 +833,17 @@ class HeroTurnInteracting extends State {
   async onEntry() {
     await super.onEntry();
     LOG.debug('Enter HeroTurnInteracting');
+    joinCombat(WORLD.getTileMap().getParticipants(heroActor));
+    if (initiativeOrder.isActive()) {
+      showTurnOrder(heroActor);
+    }
     await prepareHeroTurn();
-    const dead = await doToxicEffectsKillHero();
+    const dead =
+      (await doToxicEffectsKillHero()) || (await doDeathSavesKillHero());
     if (dead) {
       await this.transitionTo(new AtGameOver());
+    } else if (await doConditionsStopHero()) {
+      await this.#transitionToComputerTurn();
     }
   }
   /**
@@ -671,10 +862,17 @@ class HeroTurnInteracting extends State {
             detail.occupant
           );
 
-          if (filter === ClickEventFilter.INTERACT_TILE) {
+          if (
+            filter === ClickEventFilter.INTERACT_TILE ||
+            filter === ClickEventFilter.RANGED_TARGET_TILE
+          ) {
             await interact(point);
           } else if (filter === ClickEventFilter.OCCUPIED_TILE) {
-            await showOccupantDetails(detail.occupant);
+            const areaSpellAction = await showOccupantDetails(detail.occupant);
+            if (areaSpellAction) {
+              await this.transitionTo(new HeroTurnTargeting(areaSpellAction));
+              break;
+            }
           } else {
             await this.#tryToDisengage(point, {
               usePathFinder:
@@ -682,7 +880,7 @@ class HeroTurnInteracting extends State {
             });
           }
 
-          if (heroActor.traits.get('HP', 0) === 0) {
+          if (!heroActor.alive) {
             await this.transitionTo(new AtGameOver());
           } else {
             await this.#transitionToComputerTurn();
@@ -705,6 +903,17 @@ class HeroTurnInteracting extends State {
         }
         break;
       }
+      case EventId.CLICKED_STAIRS_UP:
+      case EventId.CLICKED_STAIRS_DOWN:
+        await this.#tryToDisengage(point, { usePathFinder: false }).then(() =>
+          changeFloor(this, eventId === EventId.CLICKED_STAIRS_UP ? -1 : 1)
+        );
+        break;
+      case EventId.USE_CLASS_FEATURE:
+        if (await useClassFeature()) {
+          await this.#transitionToComputerTurn();
+        }
+        break;
     }
     return Promise.resolve(null);
   }
@@ -748,6 +957,124 @@ class HeroTurnInteracting extends State {
   }
 }
 
+/**
+ * State where the hero picks the tile targeted by an area spell. Tapping a
+ * highlighted tile shows the area affected and tapping it again casts the
+ * spell. Tapping anywhere else cancels it. Either way, the hero's turn then
+ * ends.
+ */
+class HeroTurnTargeting extends State {
+  /** @type {module:dialogs/actorDialogs~DelayedAction} */
+  #delayedAction;
+  /** Tile whose area is currently shown. @type {Point} */
+  #aimedGridPoint;
+
+  /**
+   * Create the state.
+   * @param {module:dialogs/actorDialogs~DelayedAction} delayedAction - action
+   * for an area spell.
+   */
+  constructor(delayedAction) {
+    super();
+    this.#delayedAction = delayedAction;
+  }
+
+  /**
+   * @override
+   */
+  async onEntry() {
+    await super.onEntry();
+    LOG.debug('Enter HeroTurnTargeting');
+    const tileMap = WORLD.getTileMap();
+    const range = this.#delayedAction.areaSpell.traits.getValueInFeetInTiles(
+      'RANGE',
+      1
+    );
+    const targets = tileMap
+      .getRadiatingVisibleTiles(range)
+      .map((tile) => tile.gridPoint);
+    if (targets.length === 0) {
+      LOG.info('No tiles can be targeted.');
+      await this.#cancelTargeting();
+      return;
+    }
+    tileMap.setMovementRoutes(null);
+    tileMap.setInteractActors([]);
+    tileMap.setRangedTargets([]);
+    tileMap.setSpellTargets(targets);
+    tileMap.highlightsOn = true;
+    displayRisingText(i18n`PICK SPELL TARGET`, heroActor.position);
+  }
+
+  /**
+   * @override
+   * @param {number} eventId
+   * @param  {module:utils/sprites/sprite~Sprite} point - the point initiating the event
+   * @param {Object} [detail = {}] - object will depend on the eventId
+   */
+  async onEvent(eventIdUnused, point, detail = {}) {
+    if (detail.filter !== ClickEventFilter.SPELL_TARGET_TILE) {
+      LOG.info('Spell targeting cancelled.');
+      await this.#cancelTargeting();
+      return;
+    }
+    const tileMap = WORLD.getTileMap();
+    const gridPoint = tileMap.worldPointToGrid(point);
+    if (!this.#aimedGridPoint?.coincident(gridPoint)) {
+      this.#aimedGridPoint = gridPoint;
+      const affectedTiles = spellAreas.getAffectedTiles(
+        tileMap,
+        this.#delayedAction.areaSpell.traits,
+        tileMap.worldPointToGrid(heroActor.position),
+        gridPoint
+      );
+      tileMap.setSpellArea(affectedTiles.map((tile) => tile.gridPoint));
+      displayRisingText(i18n`TAP AGAIN TO CAST`, heroActor.position);
+      return;
+    }
+    tileMap.highlightsOn = false;
+    await this.#delayedAction.invoke(gridPoint);
+    await this.#endTargeting();
+  }
+
+  /**
+   * Clear the highlighted tiles.
+   */
+  #clearTargets() {
+    const tileMap = WORLD.getTileMap();
+    tileMap.setSpellTargets(null);
+    tileMap.setSpellArea(null);
+  }
+
+  /**
+   * Clear the highlighted tiles and give the hero back its turn. Nothing has
+   * been cast, so the hero can still choose another action.
+   */
+  async #cancelTargeting() {
+    this.#clearTargets();
+    if (WORLD.getTileMap().getParticipants(heroActor).length === 0) {
+      await this.transitionTo(new HeroTurnIdle());
+    } else {
+      await this.transitionTo(new HeroTurnInteracting());
+    }
+  }
+
+  /**
+   * Clear the highlighted tiles and end the hero's turn.
+   */
+  async #endTargeting() {
+    this.#clearTargets();
+    const tileMap = WORLD.getTileMap();
+    if (!heroActor.alive) {
+      await this.transitionTo(new AtGameOver());
+    } else if (tileMap.getParticipants(heroActor).length === 0) {
+      await this.transitionTo(new ComputerTurnIdle());
+    } else {
+      await this.transitionTo(new ComputerTurnInteracting());
+    }
+  }
+}
+
 class ComputerTurnIdle extends State {
   constructor() {
     super();
@@ -755,6 +1082,13 @@ class ComputerTurnIdle extends State {
   async onEntry() {
     await super.onEntry();
     LOG.debug('Enter ComputerTurnIdle');
+    if (await takeExtraHeroTurn(this)) {
+      return;
+    }
+    saveSnapshot(false);
+    endConditionTurns([heroActor]);
+    const losingTurn = takeActorsLosingTurn();
+    updateAwareness();
     await applyOrganicToActors();
     const tileMap = WORLD.getTileMap();
 
@@ -765,10 +1099,15 @@ class ComputerTurnIdle extends State {
       heroActor.disengaging
     );
     for (const actor of WORLD.getActors().values()) {
-      if (actor !== heroActor && actor.alive && !actor.sleeping) {
-        if (!actor.isWandering() || dice.rollDice(6) > 3) {
-          replayer.addAndMoveActor(actor);
-        }
+      if (
+        actor !== heroActor &&
+        actor.alive &&
+        !actor.sleeping &&
+        !losingTurn.has(actor)
+      ) {
+        const moving = !actor.isWandering() || dice.rollDice(6) > 3;
+        // combat has not started, so only attacks from a distance are made.
+        await takeActorTurn(actor, [], moving ? replayer : null);
       }
     }
     for (const actor of WORLD.getOrganicActors().values()) {
@@ -781,11 +1120,25 @@ class ComputerTurnIdle extends State {
     const participants = tileMap.getParticipants(heroActor);
     for (const actor of participants) {
       if (actor.isEnemy()) {
-        await this.transitionTo(new HeroTurnInteracting());
+        if (joinCombat(participants)) {
+          // combat has just started so faster enemies act before the hero.
+          await takeCombatantTurns(
+            initiativeOrder.getActorsBefore(heroActor),
+            participants,
+            losingTurn
+          );
+        }
+        endConditionTurns(getComputerActors());
+        if (!heroActor.alive) {
+          await this.transitionTo(new AtGameOver());
+        } else {
+          await this.transitionTo(new HeroTurnInteracting());
+        }
         return Promise.resolve(null);
       }
     }
 
+    endConditionTurns(getComputerActors());
     await this.transitionTo(new HeroTurnIdle());
   }
 }
@@ -796,6 +1149,13 @@ class ComputerTurnInteracting extends State {
   }
   async onEntry() {
     await super.onEntry();
+    if (await takeExtraHeroTurn(this)) {
+      return;
+    }
+    saveSnapshot(true);
+    endConditionTurns([heroActor]);
+    const losingTurn = takeActorsLosingTurn();
+    updateAwareness();
     await applyOrganicToActors();
     const tileMap = WORLD.getTileMap();
 
@@ -806,18 +1166,23 @@ class ComputerTurnInteracting extends State {
       heroActor.disengaging
     );
     const participants = tileMap.getParticipants(heroActor);
+    joinCombat(participants);
+    await takeCombatantTurns(
+      initiativeOrder.getActorsFollowing(heroActor),
+      participants,
+      losingTurn,
+      replayer
+    );
     for (const actor of WORLD.getActors().values()) {
       if (
         actor !== heroActor &&
         actor.alive &&
         actor.interaction &&
-        !actor.sleeping
+        !actor.sleeping &&
+        !losingTurn.has(actor) &&
+        !initiativeOrder.includes(actor)
       ) {
-        if (participants.includes(actor) && actor.willInteract()) {
-          await actor.interaction.enact(heroActor);
-        } else {
-          replayer.addAndMoveActor(actor);
-        }
+        await takeActorTurn(actor, participants, replayer);
       }
     }
     for (const actor of WORLD.getOrganicActors().values()) {
@@ -826,8 +1191,9 @@ class ComputerTurnInteracting extends State {
       }
     }
     await replayer.replay();
+    endConditionTurns(getComputerActors());
 
-    if (heroActor.traits.get('HP', 0) === 0) {
+    if (!heroActor.alive) {
       await this.transitionTo(new AtGameOver());
     } else if (participants.length === 0) {
       await this.transitionTo(new HeroTurnIdle());
@@ -840,10 +1206,355 @@ class ComputerTurnInteracting extends State {
 }
 
 /**
- * Prepare hero turn
+ * Give the hero another turn in place of the computer's if it has used an
+ * action surge.
+ * @param {State} state - the computer turn state.
+ * @returns {Promise<boolean>} fulfils to true if the hero takes another turn.
+ */
+async function takeExtraHeroTurn(state) {
+  if (!heroActor.extraTurn || !heroActor.alive) {
+    return false;
+  }
+  heroActor.extraTurn = false;
+  if (WORLD.getTileMap().getParticipants(heroActor).length === 0) {
+    await state.transitionTo(new HeroTurnIdle());
+  } else {
+    await state.transitionTo(new HeroTurnInteracting());
+  }
+  return true;
+}
+
+/**
+ * Let the hero use one of its class features. Features that are bonus
+ * actions leave the hero free to act, so the highlights are restored.
+ * @returns {Promise<boolean>} fulfils to true if the hero's turn has ended.
+ */
+async function useClassFeature() {
+  const feature = await showClassFeaturesDialog(heroActor);
+  const used =
+    !!feature &&
+    (await createClassFeatureInteraction(heroActor, feature).enact());
+  if (used && !feature.bonusAction) {
+    return true;
+  }
+  WORLD.getTileMap().highlightsOn = true;
+  return false;
+}
+
+/**
+ * Save a snapshot of the floor at the end of the hero's turn.
+ * @param {boolean} interacting - true if the hero is engaged with enemies.
+ */
+function saveSnapshot(interacting) {
+  if (persistentGame) {
+    saveSceneSnapshot(heroActor, {
+      interacting: interacting,
+      disengaging: heroActor.disengaging,
+    });
+  }
+}
+
+/**
+ * Bring the hero and any awake enemies engaging it into combat. Combat starts
+ * when the first enemy engages the hero, at which point the hero rolls
+ * initiative. Enemies roll initiative as they join. Combat ends once there are
+ * no enemies left in it.
+ * @param {module:players/actors.Actor[]} participants - actors engaging the
+ * hero.
+ * @returns {boolean} true if this call started combat.
+ */
+function joinCombat(participants) {
+  const enemies = participants.filter(
+    (actor) => actor.isEnemy() && actor.alive && !actor.sleeping
+  );
+  const starting = !initiativeOrder.isActive() && enemies.length > 0;
+  if (starting) {
+    LOG.info('Combat starts.');
+    initiativeOrder.add(heroActor);
+  }
+  if (initiativeOrder.isActive()) {
+    enemies.forEach((enemy) => initiativeOrder.add(enemy));
+  }
+  initiativeOrder.removeDefeated();
+  if (initiativeOrder.getEntries().length < 2) {
+    endCombat();
+    return false;
+  }
+  showTurnOrder();
+  return starting;
+}
+
+/**
+ * End any combat in progress.
+ */
+function endCombat() {
+  if (initiativeOrder.isActive()) {
+    LOG.info('Combat ends.');
+    initiativeOrder.clear();
+  }
+  SCENE_MANAGER.hideTurnOrder();
+}
+
+/**
+ * Show the turn order on the HUD.
+ * @param {module:players/actors.Actor} [activeActor] - actor whose turn it is.
+ */
+function showTurnOrder(activeActor) {
+  SCENE_MANAGER.showTurnOrder(initiativeOrder.getEntries(), activeActor);
+}
+
+/**
+ * Let combatants take their turns in order. Those still engaging the hero
+ * interact with it, while the rest are added to the replayer so they can move.
+ * @param {module:players/actors.Actor[]} combatants - in turn order.
+ * @param {module:players/actors.Actor[]} participants - actors engaging the
+ * hero.
+ * @param {Set<module:players/actors.Actor>} losingTurn - actors that lose
+ * this turn.
+ * @param {MovementReplayer} [replayer] - if not set, combatants that do not
+ * interact do nothing.
+ * @returns {Promise} fulfils to undefined when all turns are complete.
+ */
+async function takeCombatantTurns(
+  combatants,
+  participants,
+  losingTurn,
+  replayer
+) {
+  for (const actor of combatants) {
+    if (!actor.alive || actor.sleeping || losingTurn.has(actor)) {
+      continue;
+    }
+    showTurnOrder(actor);
+    await takeActorTurn(actor, participants, replayer);
+  }
+}
+
+/**
+ * Let an actor take its turn. The actor's behaviour decides whether it
+ * interacts with the hero and where it moves. Actors only interact with a hero
+ * that they are engaging or can see.
+ * @param {module:players/actors.Actor} actor
+ * @param {module:players/actors.Actor[]} participants - actors engaging the
+ * hero.
+ * @param {MovementReplayer} [replayer] - if not set, the actor does not move.
+ * @returns {Promise} fulfils to undefined once any interaction is complete.
+ */
+async function takeActorTurn(actor, participants, replayer) {
+  const situation = getTurnSituation(actor, participants);
+  if (
+    (situation.engaged || situation.heroInSight) &&
+    actor.behaviour.willInteract(situation) &&
+    actor.willInteract()
+  ) {
+    await actor.interaction.enact(heroActor);
+    if (!actor.behaviour.afterInteracting()) {
+      return;
+    }
+  }
+  replayer?.addAndMoveActor(actor);
+}
+
+/**
+ * Get the situation used by an actor's behaviour to plan its turn.
+ * @param {module:players/actors.Actor} actor
+ * @param {module:players/actors.Actor[]} [participants] - actors engaging the
+ * hero. If not set, they are found from the current positions.
+ * @returns {module:dnd/aiProfiles~TurnSituation}
+ */
+function getTurnSituation(actor, participants) {
+  const tileMap = WORLD.getTileMap();
+  const gridPoint = tileMap.worldPointToGrid(actor.position);
+  const hp = actor.traits.getInt('HP', 0);
+  participants ??= tileMap.getParticipants(heroActor);
+  return {
+    gridPoint: gridPoint,
+    heroGridPoint: tileMap.worldPointToGrid(heroActor.position),
+    engaged: participants.includes(actor),
+    heroInSight: actor.awareness.heroInSight,
+    heroDisengaging: heroActor.disengaging,
+    hpFraction: hp / Math.max(1, actor.traits.getInt('HP_MAX', hp)),
+    maxTilesPerMove: actor.getMaxTilesPerMove(),
+    allyGridPoints: getComputerActors()
+      .filter(
+        (other) =>
+          other !== actor && other.isEnemy() && other.alive && !other.sleeping
+      )
+      .map((other) => tileMap.worldPointToGrid(other.position)),
+    canReachHeroFrom: (fromGridPoint) =>
+      canActorReachHeroFrom(actor, fromGridPoint),
+    getPostGridPoint: () => getGuardPost(gridPoint),
+  };
+}
+
+/**
+ * Test if an actor's attack can reach the hero from a grid point. Magic and
+ * ranged attacks reach along the rows and columns up to the actor's RANGE
+ * while other attacks need the actor to be next to the hero.
+ * @param {module:players/actors.Actor} actor
+ * @param {Point} gridPoint
+ * @returns {boolean}
+ */
+function canActorReachHeroFrom(actor, gridPoint) {
+  const tileMap = WORLD.getTileMap();
+  const heroGridPoint = tileMap.worldPointToGrid(heroActor.position);
+  if (
+    actor.attackMode !== AttackMode.MAGIC &&
+    actor.attackMode !== AttackMode.RANGED
+  ) {
+    return gridPoint.getOrthoSeparation(heroGridPoint) === 1;
+  }
+  const heroTile = tileMap.getTileAtGridPoint(heroGridPoint);
+  return tileMap
+    .getRadiatingCross(
+      gridPoint,
+      actor.traits.getValueInFeetInTiles('RANGE', 1)
+    )
+    .includes(heroTile);
+}
+
+/**
+ * Get the post for a guard. This is whichever of the exit and any hidden
+ * treasure is closest.
+ * @param {Point} gridPoint - the guard's position.
+ * @returns {Point}
+ */
+function getGuardPost(gridPoint) {
+  const tileMap = WORLD.getTileMap();
+  const posts = [
+    tileMap.worldPointToGrid(tileMap.getWorldPositionOfTileByExit()),
+    ...getComputerActors()
+      .filter((actor) => actor.isHiddenArtefact())
+      .map((actor) => tileMap.worldPointToGrid(actor.position)),
+  ];
+  return posts.reduce((closest, post) =>
+    gridPoint.getOrthoSeparation(post) < gridPoint.getOrthoSeparation(closest)
+      ? post
+      : closest
+  );
+}
+
+/**
+ * Get the actors that lose this computer turn. These are actors that have
+ * been surprised since the last computer turn, whose surprise now ends, and
+ * those incapacitated by conditions such as paralysed. Downed computer actors
+ * roll their death saves at this point.
+ * @returns {Set<module:players/actors.Actor>}
+ */
+function takeActorsLosingTurn() {
+  const losingTurn = new Set();
+  for (const actor of WORLD.getActors().values()) {
+    if (actor.surprised) {
+      actor.surprised = false;
+      if (actor.alive) {
+        LOG.info(`${actor.traits.get('NAME')} is surprised.`);
+        displayRisingText(i18n`SURPRISED!`, actor.position);
+        losingTurn.add(actor);
+      }
+    }
+    if (actor !== heroActor && actor.isDowned()) {
+      rollDeathSave(actor, heroActor);
+    }
+    if (actor.alive && actor.conditions?.isIncapacitated()) {
+      LOG.info(`${actor.traits.get('NAME')} is incapacitated.`);
+      losingTurn.add(actor);
+    }
+  }
+  return losingTurn;
+}
+
+/**
+ * Update what the awake computer actors know of the hero's whereabouts. The
+ * hero makes one Stealth roll against which each actor that has the hero in
+ * its line of sight tests its passive Perception.
+ */
+function updateAwareness() {
+  const tileMap = WORLD.getTileMap();
+  const heroGridPoint = tileMap.worldPointToGrid(heroActor.position);
+  const participants = tileMap.getParticipants(heroActor);
+  const stealth = perception.rollStealth(heroActor.traits);
+  for (const actor of getComputerActors()) {
+    if (actor.alive && !actor.sleeping && actor.isEnemy()) {
+      perception.perceiveHero(actor.traits, actor.awareness, {
+        heroGridPoint: heroGridPoint,
+        inLineOfSight: tileMap.isActorInHeroLineOfSight(actor),
+        engaged: participants.includes(actor),
+        stealth: stealth,
+      });
+    }
+  }
+}
+
+/**
+ * Get all of the actors controlled by the computer.
+ * @returns {module:players/actors.Actor[]}
+ */
+function getComputerActors() {
+  return [...WORLD.getActors().values()].filter((actor) => actor !== heroActor);
+}
+
+/**
+ * End the turn for any conditions and spell effects affecting the actors.
+ * Saves are rolled and durations reduced, with any conditions or effects that
+ * end being shown.
+ * @param {module:players/actors.Actor[]} actors - actors whose turn has
+ * ended.
+ */
+function endConditionTurns(actors) {
+  for (const actor of actors) {
+    if (!actor.alive || !actor.conditions) {
+      continue;
+    }
+    actor.conditions.endTurn(actor.traits).forEach((type) => {
+      LOG.info(`${actor.traits.get('NAME')} is no longer ${type}.`);
+      displayRisingText(
+        i18n`CONDITION ENDED ${MESSAGES.getText(type)}`,
+        actor.position
+      );
+    });
+    actor.traits.endSpellEffectsTurn?.().forEach((effect) => {
+      LOG.info(`${effect.name} on ${actor.traits.get('NAME')} has ended.`);
+      displayRisingText(
+        i18n`SPELL EFFECT ENDED ${effect.name}`,
+        actor.position
+      );
+    });
+  }
+}
+
+/**
+ * Check if a condition, such as paralysed, stops the hero taking its turn. A
+ * downed hero always loses its turn, although it may first drink a healing
+ * potion or cast a healing spell with a last effort.
+ * @returns {Promise<boolean>} fulfils to true if the hero loses the turn.
+ */
+async function doConditionsStopHero() {
+  if (heroActor.isDowned()) {
+    LOG.info('Hero is downed.');
+    WORLD.getTileMap().highlightsOn = false;
+    await showDownedHeroDialog(heroActor);
+    return true;
+  }
+  if (!heroActor.conditions?.isIncapacitated()) {
+    return false;
+  }
+  LOG.info('Hero is incapacitated.');
+  WORLD.getTileMap().highlightsOn = false;
+  displayRisingText(i18n`INCAPACITATED!`, heroActor.position);
+  await pause(1);
+  return true;
+}
+
+/**
+ * Prepare hero turn. Any advancement to a new level is completed first.
  * @returns {Promise}
  */
 async function prepareHeroTurn() {
+  await showLevelUpDialog(heroActor);
+  SCENE_MANAGER.showClassFeaturesButton(
+    getUsableFeatures(heroActor.traits).length > 0
+  );
+  SCENE_MANAGER.showSpellEffects(heroActor.traits.spellEffects?.getAll());
   idLimiter.allowIdCheck();
   heroActor.disengaging = false;
   const tileMap = WORLD.getTileMap();
@@ -853,11 +1564,38 @@ async function prepareHeroTurn() {
   );
   tileMap.setMovementRoutes(routes, heroActor.position);
   tileMap.setInteractActors(tileMap.getParticipants(heroActor));
+  tileMap.setRangedTargets(getRangedTargets());
   tileMap.calcReachableDoors(heroActor.position);
   tileMap.highlightsOn = true;
   return Promise.resolve(null);
 }
 
+/**
+ * Get the enemies that the hero can attack with a thrown or ranged weapon.
+ * These are enemies within the weapon's long range that are not close enough
+ * to fight. The tile map ignores any that the hero cannot see.
+ * @returns {module:players/actors.Actor[]}
+ */
+function getRangedTargets() {
+  const rangedWeapon = rangedAttacks.findRangedWeapon(heroActor.storeManager);
+  if (!rangedWeapon) {
+    return [];
+  }
+  const tileMap = WORLD.getTileMap();
+  const range = rangedAttacks.getWeaponRange(rangedWeapon.weapon.traits);
+  const heroGridPoint = tileMap.worldPointToGrid(heroActor.position);
+  const participants = tileMap.getParticipants(heroActor);
+  return getComputerActors().filter(
+    (actor) =>
+      actor.alive &&
+      actor.isEnemy() &&
+      actor.interaction?.canReact() &&
+      !participants.includes(actor) &&
+      heroGridPoint.getSeparation(tileMap.worldPointToGrid(actor.position)) <=
+        range.long
+  );
+}
+
 /**
  * Apply any toxic effects to the hero.
  * @returns {boolean} true if dead.
@@ -865,11 +1603,26 @@ async function prepareHeroTurn() {
 function doToxicEffectsKillHero() {
   if (heroActor.toxify?.isActive) {
     heroActor.toxify.enact(heroActor);
-    return heroActor.traits.getInt('HP', 0) <= 0;
+    return !heroActor.alive;
   }
   return false;
 }
 
+/**
+ * Roll the death save of a downed hero.
+ * @returns {Promise<boolean>} fulfils to true if dead.
+ */
+async function doDeathSavesKillHero() {
+  if (!heroActor.isDowned()) {
+    return false;
+  }
+  WORLD.getTileMap().highlightsOn = false;
+  LOG.info('Hero makes a death save.');
+  rollDeathSave(heroActor);
+  await pause(1);
+  return !heroActor.alive;
+}
+
 /**
  * Move to point
  * @param {Point} point
@@ -887,8 +1640,9 @@ function moveHeroToPoint(point, options = { usePathFinder: true }) {
   }
   tileMap.setMovementRoutes(null);
   tileMap.setInteractActors(null);
+  tileMap.setRangedTargets(null);
   if (waypoints) {
-    wakeUpAlongWaypoints(waypoints);
+    makeFootstepNoises(waypoints);
     const modifier = new PathFollower(
       { path: waypoints, speed: 100 },
       heroActor.sprite.modifier
@@ -919,10 +1673,11 @@ function applyOrganicToActors() {
 }
 
 /**
- * Wake up actors along path.
+ * Make the noise of the hero's footsteps along the path, unless the hero
+ * manages to creep along it.
  * @param {Point[]} waypoints
  */
-function wakeUpAlongWaypoints(waypoints) {
+function makeFootstepNoises(waypoints) {
   if (waypoints.length === 0) {
     return;
   }
@@ -938,32 +1693,43 @@ function wakeUpAlongWaypoints(waypoints) {
     return;
   }
   for (const point of waypoints) {
-    dndAction.wakeUpSurrounding(point, 1);
+    perception.makeNoise(point, perception.NoiseLevel.FOOTSTEPS);
   }
 }
 
 /**
- * Interact with point
+ * Interact with point. A thrown weapon can lie on the same tile as an enemy or
+ * corpse. It is ignored while the enemy is alive and otherwise found after the
+ * corpse has been searched.
  * @param {Point} point - position in world.
  * @returns {Promise}
  */
-function interact(point) {
+async function interact(point) {
   /** @type {module:utils/tileMaps/tileMap~TileMap} */
   const tileMap = WORLD.getTileMap();
   const tile = tileMap.getTileAtWorldPoint(point);
-  const targets = tile.getOccupants();
-  const promises = [];
-  for (const target of targets.values()) {
-    if (target.interaction) {
-      promises.push(target.interaction.react(heroActor));
-    }
+  const occupants = [...tile.getOccupants().values()].filter(
+    (occupant) => occupant.interaction
+  );
+  const livingOccupants = occupants.filter(
+    (occupant) => occupant.alive && !occupant.isHiddenArtefact()
+  );
+  const targets = (livingOccupants.length > 0 ? livingOccupants : occupants)
+    .slice()
+    .sort(
+      (a, b) => (a.isHiddenArtefact() ? 1 : 0) - (b.isHiddenArtefact() ? 1 : 0)
+    );
+  if (targets.length === 0) {
+    return;
   }
-  if (promises.length > 0) {
-    // it would be more logical to use the interaction point, but using the
-    // hero's position gives the player more control.
-    dndAction.wakeUpSurrounding(heroActor.position, TILES_WOKEN_UP);
+  const firstReaction = targets[0].interaction.react(heroActor);
+  // it would be more logical to use the interaction point, but using the
+  // hero's position gives the player more control.
+  perception.makeNoise(heroActor.position, perception.NoiseLevel.HANDLING);
+  await firstReaction;
+  for (const target of targets.slice(1)) {
+    await target.interaction.react(heroActor);
   }
-  return Promise.all(promises);
 }
 
 /**
@@ -973,10 +1739,11 @@ function interact(point) {
  */
 function startNextScene(currentState) {
   heroActor.traits.clearTransientFxTraitsAndProperties();
+  const moreScenes = SCENE_MANAGER.areThereMoreScenes();
   if (persistentGame) {
-    saveGameState(heroActor);
+    saveGameState(heroActor, !moreScenes);
   }
-  if (!SCENE_MANAGER.areThereMoreScenes()) {
+  if (!moreScenes) {
     return currentState.transitionTo(new AtGameCompleted());
   }
   return SCENE_MANAGER.unloadCurrentScene()
@@ -1015,6 +1782,31 @@ function startNextScene(currentState) {
     });
 }
 
+/**
+ * Take the stairs to a floor that has already been visited. Unlike
+ * startNextScene, there is no save, rest or change of difficulty.
+ * @param {State} currentState
+ * @param {number} levelChange - -1 to climb up a floor and +1 to go down.
+ * @returns {Promise} fulfils to undefined.
+ */
+function changeFloor(currentState, levelChange) {
+  heroActor.traits.clearTransientFxTraitsAndProperties();
+  return SCENE_MANAGER.switchToVisitedScene(levelChange)
+    .then(() => {
+      const tileMap = WORLD.getTileMap();
+      heroActor.sprite.position =
+        levelChange < 0
+          ? tileMap.getWorldPositionOfTileByExit()
+          : tileMap.getWorldPositionOfTileByEntry();
+    })
+    .then(() => SOUND_MANAGER.playEffect('DOOR_ENTER'))
+    .then(() => currentState.transitionTo(new HeroTurnIdle()))
+    .catch((error) => {
+      LOG.error(`Unable to change floor: ${error}`);
+      currentState.transitionTo(new AtMainMenu());
+    });
+}
+
 /**
  * Occasionally show a rune puzzle to set the next scene's difficulty.
  * @returns {Promise} fulfils to undefined.
@@ -1036,9 +1828,11 @@ function randomlySelectDifficulty() {
   });
 }
 /**
- * Show occupant details.
+ * Show occupant details. Any action picked is invoked unless it is an area
+ * spell, which needs a target first.
  * @param {module:players/actors.Actor} occupant
- * @returns {Promise} fulfils to undefined.
+ * @returns {Promise<module:dialogs/actorDialogs~DelayedAction>} fulfils to the
+ * action for an area spell, otherwise undefined.
  */
 function showOccupantDetails(occupant) {
   if (!occupant) {
@@ -1055,6 +1849,9 @@ function showOccupantDetails(occupant) {
       allowMagicUse: occupant.isHero(),
     })
     .then((delayedAction) => {
+      if (delayedAction?.areaSpell) {
+        return delayedAction;
+      }
       if (delayedAction?.invoke) {
         LOG.info('Invoke action.');
         return delayedAction.invoke();
@@ -1133,11 +1930,12 @@ function getHeroActor() {
   return heroActor;
 }
 
-/** Unlock the exit if necessary.
+/** Unlock the exit if necessary. Working the lock makes a noise.
  * @returns {Promise} fulfils to true if exit can be unlocked.
  */
 function tryToUnlockExit() {
   if (exitKeyArtefact) {
+    perception.makeNoise(heroActor.position, perception.NoiseLevel.DOOR);
     if (heroActor.storeManager.hasArtefact(exitKeyArtefact)) {
       heroActor.storeManager.discard(exitKeyArtefact);
       return UI.showOkDialog(i18n`MESSAGE KEY UNLOCKS EXIT`).then(() => {
@@ -1185,6 +1983,12 @@ let heroActor;
  */
 let currentState = new WaitingToStart();
 
+/**
+ * Order of turns for the current combat.
+ * @type {InitiativeOrder}
+ */
+const initiativeOrder = new InitiativeOrder();
+
 /**
  * Flag to determine whether events are accepted.
  */
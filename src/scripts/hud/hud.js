@@ -41,6 +41,12 @@ import { Rectangle } from '../utils/geometry.js';
  */
 const actors = new Map();
 
+/**
+ * Sprites that are displayed but do not respond to the pointer.
+ * @type {Set<Sprite>}
+ */
+const displays = new Set();
+
 /** @type {boolean} */
 let visible = false;
 
@@ -102,6 +108,20 @@ function addMomentaryButton(image, callbackOn, callbackOff) {
   return actor;
 }
 
+/**
+ * Add a button drawn by a sprite, such as one showing text, to the hud. The
+ * button ignores clicks while the sprite is hidden.
+ * @param {module:utils/sprites/sprite~Sprite} sprite
+ * @param {module:ui/interactions~UiClickCallback} callback
+ * @returns {module:players/actors.Actor}
+ */
+function addSpriteButton(sprite, callback) {
+  const actor = new Actor(sprite);
+  actors.set(actor, actor);
+  actor.setOnClick(() => callback());
+  return actor;
+}
+
 /**
  * Remove sprite from the hud.
  * @param {module:utils/sprites/sprite~Sprite}
@@ -110,11 +130,31 @@ function removeButton(target) {
   actors.delete(target);
 }
 
+/**
+ * Add a sprite that is displayed on the hud but does not respond to the
+ * pointer. The sprite's position is in glass coordinates.
+ * @param {module:utils/sprites/sprite~Sprite} sprite
+ * @returns {module:utils/sprites/sprite~Sprite}
+ */
+function addDisplay(sprite) {
+  displays.add(sprite);
+  return sprite;
+}
+
+/**
+ * Remove a display from the hud.
+ * @param {module:utils/sprites/sprite~Sprite} sprite
+ */
+function removeDisplay(sprite) {
+  displays.delete(sprite);
+}
+
 /**
  * Clear the HUD
  */
 function clear() {
   actors.clear();
+  displays.clear();
 }
 
 /**
@@ -125,12 +165,14 @@ function update(deltaSeconds) {
   if (!visible) {
     return;
   }
-  actors.forEach((sprite) => {
+  const updateAtGlassPosition = (sprite) => {
     const uiPos = Position.copy(sprite.position);
     sprite.position = SCREEN.glassPositionToWorld(sprite.position);
     sprite.update(deltaSeconds);
     sprite.position = uiPos;
-  });
+  };
+  actors.forEach(updateAtGlassPosition);
+  displays.forEach(updateAtGlassPosition);
 }
 
 /**
@@ -161,7 +203,7 @@ function resolveClick(positions) {
     return false;
   }
   for (const [keyUnused, actor] of actors) {
-    if (isHittingActor(positions, actor)) {
+    if (actor.sprite.visible !== false && isHittingActor(positions, actor)) {
       actor.actionClick(actor, positions.canvas);
       return true;
     }
@@ -182,7 +224,7 @@ function resolvePointerDown(positions) {
     return false;
   }
   for (const [keyUnused, actor] of actors) {
-    if (isHittingActor(positions, actor)) {
+    if (actor.sprite.visible !== false && isHittingActor(positions, actor)) {
       actor.actionPointerDown(actor, positions.canvas);
       return true;
     }
@@ -203,7 +245,7 @@ function resolvePointerUp(positions) {
     return false;
   }
   for (const [keyUnused, actor] of actors) {
-    if (isHittingActor(positions, actor)) {
+    if (actor.sprite.visible !== false && isHittingActor(positions, actor)) {
       actor.actionPointerUp(actor, positions.canvas);
       return true;
     }
@@ -243,9 +285,12 @@ function setVisible(visibility) {
  */
 const HUD = {
   addButton: addButton,
+  addDisplay: addDisplay,
   addMomentaryButton: addMomentaryButton,
+  addSpriteButton: addSpriteButton,
   clear: clear,
   removeButton: removeButton,
+  removeDisplay: removeDisplay,
   update: update,
   resolvePointerCancel: resolvePointerCancel,
   resolveClick: resolveClick,
@@ -0,0 +1,90 @@
+/**
+ * @file Button on the HUD for using the hero's class features.
+ *
+ * @module hud/hudClassFeatures
+ */
+/**
+ * License {@link https://opensource.org/license/mit/|MIT}
+ *
+ * Copyright 2024 Steve Butler (henspace.com).
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the “Software”), to deal in
+ * the Software without restriction, including without limitation the rights to use,
+ * copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the
+ * Software, and to permit persons to whom the Software is furnished to do so,
+ * subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED “AS IS”, WITHOUT WARRANTY OF ANY KIND,
+ * EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES
+ * OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT
+ * HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY,
+ * WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR
+ * OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+import HUD from './hud.js';
+import SCREEN from '../utils/game/screen.js';
+import { Sprite } from '../utils/sprites/sprite.js';
+import { TextSpriteCanvasRenderer } from '../utils/sprites/spriteRenderers.js';
+import { Position } from '../utils/geometry.js';
+import { Colours } from '../constants/canvasStyles.js';
+import { i18n } from '../utils/messageManager.js';
+import TURN_MANAGER from '../gameManagement/turnManager.js';
+
+/** Encapsulation of the class features button. */
+export class ClassFeaturesButton {
+  /** @type {module:players/actors.Actor} */
+  #button;
+  /** @type {TextSpriteCanvasRenderer} */
+  #renderer;
+  /** Margin from the top right of the glass. @type {number} */
+  #margin;
+
+  /**
+   * Create the button. It is hidden until shown for a hero with class
+   * features.
+   * @param {number} gridSize
+   */
+  constructor(gridSize) {
+    this.#margin = gridSize / 4;
+    this.#renderer = new TextSpriteCanvasRenderer(
+      SCREEN.getContext2D(),
+      i18n`BUTTON CLASS FEATURES`,
+      {
+        color: Colours.TURN_ORDER_TEXT,
+        background: Colours.TURN_ORDER_BACKGROUND,
+      }
+    );
+    this.#button = HUD.addSpriteButton(
+      new Sprite({ renderer: this.#renderer }),
+      () => TURN_MANAGER.triggerEvent(TURN_MANAGER.EventId.USE_CLASS_FEATURE)
+    );
+    this.#button.sprite.visible = false;
+  }
+
+  /**
+   * Show the button in the top right of the glass.
+   */
+  show() {
+    const dims = this.#renderer.calculateRenderGeometry(this.#renderer.text);
+    this.#button.position = new Position(
+      -(this.#margin + dims.width / 2),
+      this.#margin + dims.height / 2,
+      0
+    );
+    this.#button.sprite.visible = true;
+  }
+
+  /**
+   * Hide the button.
+   */
+  hide() {
+    this.#button.sprite.visible = false;
+  }
+}
@@ -0,0 +1,101 @@
+/**
+ * @file Display of the hero's active spell effects on the HUD
+ *
+ * @module hud/hudSpellEffects
+ */
+/**
+ * License {@link https://opensource.org/license/mit/|MIT}
+ *
+ * Copyright 2024 Steve Butler (henspace.com).
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the “Software”), to deal in
+ * the Software without restriction, including without limitation the rights to use,
+ * copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the
+ * Software, and to permit persons to whom the Software is furnished to do so,
+ * subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED “AS IS”, WITHOUT WARRANTY OF ANY KIND,
+ * EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES
+ * OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT
+ * HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY,
+ * WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR
+ * OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+import HUD from './hud.js';
+import SCREEN from '../utils/game/screen.js';
+import { Sprite } from '../utils/sprites/sprite.js';
+import { TextSpriteCanvasRenderer } from '../utils/sprites/spriteRenderers.js';
+import { Position } from '../utils/geometry.js';
+import { Colours } from '../constants/canvasStyles.js';
+import { i18n } from '../utils/messageManager.js';
+
+/** Separator between effects. */
+const SEPARATOR = ', ';
+
+/** Encapsulation of the spell effects display. */
+export class SpellEffectsDisplay {
+  /** @type {module:utils/sprites/sprite~Sprite} */
+  #sprite;
+  /** @type {TextSpriteCanvasRenderer} */
+  #renderer;
+  /** Margin from the top left of the glass. @type {number} */
+  #margin;
+
+  /**
+   * Create the display. It is hidden until there are effects to show.
+   * @param {number} gridSize
+   */
+  constructor(gridSize) {
+    this.#margin = gridSize / 4;
+    this.#renderer = new TextSpriteCanvasRenderer(SCREEN.getContext2D(), '', {
+      color: Colours.TURN_ORDER_TEXT,
+      background: Colours.TURN_ORDER_BACKGROUND,
+    });
+    this.#sprite = HUD.addDisplay(new Sprite({ renderer: this.#renderer }));
+    this.#sprite.visible = false;
+  }
+
+  /**
+   * Show the active effects with their remaining turns. The display sits
+   * below the turn order. Concentration spells are marked with an asterisk.
+   * @param {module:dnd/spellEffects.SpellEffect[]} effects - if empty, the
+   * display is hidden.
+   */
+  show(effects) {
+    if (!effects?.length) {
+      this.hide();
+      return;
+    }
+    const labels = effects
+      .map((effect) => {
+        const name = effect.concentration ? `${effect.name}*` : effect.name;
+        return effect.isTimed()
+          ? i18n`SPELL EFFECT TURNS LEFT ${name} ${effect.turnsLeft}`
+          : name;
+      })
+      .join(SEPARATOR);
+    const text = i18n`SPELL EFFECTS ${labels}`;
+    const dims = this.#renderer.calculateRenderGeometry(text);
+    this.#renderer.text = text;
+    this.#sprite.position = new Position(
+      this.#margin + dims.width / 2,
+      2 * this.#margin + (3 * dims.height) / 2,
+      0
+    );
+    this.#sprite.visible = true;
+  }
+
+  /**
+   * Hide the display.
+   */
+  hide() {
+    this.#sprite.visible = false;
+  }
+}
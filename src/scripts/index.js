@@ -109,16 +109,16 @@ window.addEventListener('load', () => {
   const DESIGN_WIDTH = 800;
   const DESIGN_HEIGHT = 600;
 
-  try {
-    GAME.initialise({
-      width: DESIGN_WIDTH,
-      height: DESIGN_HEIGHT,
-      maxScale: getMaxScale(),
-      minScale: 1,
-      sizingMethod: 'COVER',
-      alpha: false,
-    });
-  } catch (error) {
-    LOG.fatal(error);
-  }
+  PERSISTENT_DATA.initialise()
+    .then(() =>
+      GAME.initialise({
+        width: DESIGN_WIDTH,
+        height: DESIGN_HEIGHT,
+        maxScale: getMaxScale(),
+        minScale: 1,
+        sizingMethod: 'COVER',
+        alpha: false,
+      })
+    )
+    .catch((error) => LOG.fatal(error));
 });
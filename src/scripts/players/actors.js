@@ -36,6 +36,8 @@ import {
   ArtefactType,
   artefactTypesEqual,
 } from './artefacts.js';
+import { createBehaviour, FLEEING_BEHAVIOUR } from '../dnd/aiProfiles.js';
+import { Awareness } from '../dnd/perception.js';
 import * as dice from '../utils/dice.js';
 import LOG from '../utils/logging.js';
 
@@ -121,7 +123,17 @@ export class Actor extends UiClickHandler {
   /** @type {boolean} */
   alive;
   /** @type {boolean} */
-  sleeping;
+  #sleeping;
+  /** @type {module:dnd/aiProfiles.Behaviour} */
+  #behaviour;
+  /** True if the actor has been woken and has yet to lose a turn. @type {boolean} */
+  surprised;
+  /** True if the actor takes another turn straight after this one, as after a fighter's action surge. Not saved. @type {boolean} */
+  extraTurn;
+  /** What the actor knows of the hero's whereabouts. Not saved. @type {module:dnd/perception.Awareness} */
+  awareness;
+  /** Death saves of an actor downed at 0 HP. Null unless downed. @type {module:dnd/deathSaves.DeathSaves} */
+  deathSaves;
   /** Flag used for actors that have a hidden artefact to be discovered. @type {boolean} */
   discovered;
   /** True if actor is disengaging from a fight. @type {boolean} */
@@ -149,7 +161,11 @@ export class Actor extends UiClickHandler {
     this.sprite.obstacle = true;
     this.#frozen = false;
     this.alive = true;
-    this.sleeping = false;
+    this.#sleeping = false;
+    this.surprised = false;
+    this.extraTurn = false;
+    this.awareness = new Awareness();
+    this.deathSaves = null;
     this.discovered = false;
     this.disengaging = false;
     this.type = type;
@@ -197,6 +213,59 @@ export class Actor extends UiClickHandler {
     });
   }
 
+  /**
+   * Test if the actor is asleep.
+   * @returns {boolean}
+   */
+  get sleeping() {
+    return this.#sleeping;
+  }
+
+  /**
+   * Put the actor to sleep or wake it up. An actor woken from sleep is
+   * surprised and will lose its next turn.
+   * @param {boolean} value
+   */
+  set sleeping(value) {
+    if (this.#sleeping && !value) {
+      this.surprised = true;
+    }
+    this.#sleeping = value;
+  }
+
+  /**
+   * Get the conditions, such as poisoned or paralysed, affecting the actor.
+   * @returns {module:dnd/conditions.Conditions} undefined if the actor's
+   * traits do not support conditions.
+   */
+  get conditions() {
+    return this.traits?.conditions;
+  }
+
+  /**
+   * Test if the actor has been downed. Downed actors are still alive, but at
+   * 0 HP and making death saving throws.
+   * @returns {boolean}
+   */
+  isDowned() {
+    return this.alive && !!this.deathSaves;
+  }
+
+  /**
+   * Get the behaviour that decides how the actor moves and when it interacts.
+   * This is created from the AI trait when first needed and is not saved, so
+   * any state, such as a guard's post, is recreated on restoring a game.
+   * Conditions that make the actor flee, such as being turned, override it.
+   * @returns {module:dnd/aiProfiles.Behaviour}
+   */
+  get behaviour() {
+    if (this.conditions?.isFleeing()) {
+      return FLEEING_BEHAVIOUR;
+    }
+    this.#behaviour ??= createBehaviour(this.traits?.get('AI'));
+    return this.#behaviour;
+  }
+
   /**
    * Freeze any movement.
    */
@@ -204,10 +273,15 @@ export class Actor extends UiClickHandler {
     this.#frozen = true;
   }
   /**
-   * Get max tiles per move
+   * Get max tiles per move. This is reduced by conditions such as prone or
+   * restrained.
    */
   getMaxTilesPerMove() {
-    return this.#frozen ? 0 : this.traits.getMaxTilesPerMove();
+    if (this.#frozen) {
+      return 0;
+    }
+    const factor = this.conditions?.getMovementFactor() ?? 1;
+    return Math.floor(this.traits.getMaxTilesPerMove() * factor);
   }
   /**
    * Test if this actor is the hero.
@@ -459,11 +533,14 @@ export class Actor extends UiClickHandler {
         adventureStartTime: this.adventureStartTime,
         alive: this.alive,
         sleeping: this.sleeping,
+        surprised: this.surprised,
         discovered: this.discovered,
         almanacEntry: this.almanacEntry,
         traits: this.traits,
+        conditions: this.conditions,
+        deathSaves: this.deathSaves,
         inventory: inventory,
-        toxin: this?.toxify.getToxin(),
+        toxin: this.toxify?.getToxin(),
       },
     };
   }
@@ -480,8 +557,15 @@ export class Actor extends UiClickHandler {
     actor.adventureStartTime = data.adventureStartTime;
     actor.alive = data.alive;
     actor.sleeping = data.sleeping;
+    actor.surprised = data.surprised ?? false;
+    if (data.conditions && actor.traits.conditions) {
+      actor.traits.conditions = data.conditions;
+    }
+    actor.deathSaves = data.deathSaves ?? null;
     actor.discovered = data.discovered;
-    actor.toxify = new Toxify(data.toxin);
+    if (actor.toxify) {
+      actor.toxify = new Toxify(data.toxin);
+    }
     for (const item of data.inventory) {
       const store = actor.storeManager.getStoreByTypeId(item.storeTypeId);
       if (!store) {
@@ -52,6 +52,7 @@ const { Traits, MagicTraits, CharacterTraits } = await import(
 );
 const { buildActor } = await import('../dnd/almanacs/actorBuilder.js');
 const { Toxin } = await import('../dnd/toxins.js');
+const { ConditionType, Conditions } = await import('../dnd/conditions.js');
 
 test('Actor toJson and revive', () => {
   const almanacEntry = parseAlmanacLine(
@@ -67,6 +68,8 @@ test('Actor toJson and revive', () => {
         return Actor.revive(value.data, buildActor);
       case 'Toxin':
         return Toxin.revive(value.data);
+      case 'Conditions':
+        return Conditions.revive(value.data);
       case 'Artefact':
         return Artefact.revive(value.data, buildArtefact);
       case 'Traits':
@@ -112,6 +115,8 @@ test('Actor toJson and revive with equipment', () => {
         return Actor.revive(value.data, buildActor);
       case 'Toxin':
         return Toxin.revive(value.data);
+      case 'Conditions':
+        return Conditions.revive(value.data);
       case 'Artefact':
         return Artefact.revive(value.data, buildArtefact);
       case 'Traits':
@@ -160,3 +165,46 @@ test('constructor for enemy does not set adventureStartTime', () => {
   const original = buildActor(almanacEntry);
   expect(original.adventureStartTime).toBeUndefined();
 });
+
+test('waking a sleeping actor surprises it', () => {
+  const almanacEntry = parseAlmanacLine(
+    '0,COMMON,ENEMY,fighter1 [shortsword] * CLASS:FIGHTER, HIT_DICE:1D12,EXP:0, AC:10,_SPEED:30 FEET',
+    'HEROES'
+  );
+  const actor = buildActor(almanacEntry);
+  actor.sleeping = false;
+  expect(actor.surprised).toBe(false);
+  actor.sleeping = true;
+  expect(actor.surprised).toBe(false);
+  actor.sleeping = false;
+  expect(actor.sleeping).toBe(false);
+  expect(actor.surprised).toBe(true);
+});
+
+test('conditions reduce movement and are saved with the actor', () => {
+  const almanacEntry = parseAlmanacLine(
+    '0,COMMON,ENEMY,fighter1 [shortsword] * CLASS:FIGHTER, HIT_DICE:1D12,EXP:0, AC:10,_SPEED:30 FEET',
+    'HEROES'
+  );
+  const actor = buildActor(almanacEntry);
+  const tiles = actor.getMaxTilesPerMove();
+  expect(tiles).toBeGreaterThan(1);
+  actor.conditions.add(ConditionType.PRONE, { turns: 3 });
+  expect(actor.getMaxTilesPerMove()).toBe(Math.floor(tiles / 2));
+  actor.conditions.add(ConditionType.RESTRAINED);
+  expect(actor.getMaxTilesPerMove()).toBe(0);
+
+  const revived = JSON.parse(JSON.stringify(actor), (key, value) => {
+    switch (value?.reviver) {
+      case 'Actor':
+        return Actor.revive(value.data, buildActor);
+      case 'CharacterTraits':
+        return CharacterTraits.revive(value.data);
+      case 'Conditions':
+        return Conditions.revive(value.data);
+      default:
+        return value;
+    }
+  });
+  expect(revived.conditions.getAll()).toEqual(actor.conditions.getAll());
+});
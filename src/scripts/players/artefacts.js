@@ -53,6 +53,7 @@ export const StoreType = {
   WAIST: { id: 'WAIST', space: 1, money: false, spacesExpand: false },
   HANDS: { id: 'HANDS', space: 2, money: false, spacesExpand: false },
   FEET: { id: 'FEET', space: 2, money: false, spacesExpand: false },
+  QUIVER: { id: 'QUIVER', space: 1, money: false, spacesExpand: false },
   BACKPACK: { id: 'BACKPACK', space: 8, money: false, spacesExpand: true },
   WAGON: { id: 'WAGON', space: 8, money: false, spacesExpand: true },
   CANTRIPS: { id: 'CANTRIPS', space: 999, money: false, spacesExpand: true },
@@ -92,6 +93,11 @@ export const StoreType = {
  * @enum {ArtefactTypeValue}
  */
 export const ArtefactType = {
+  AMMUNITION: {
+    id: 'ammunition',
+    storageSpace: 1,
+    storeType: { stash: StoreType.BACKPACK, equip: StoreType.QUIVER },
+  },
   ARMOUR: {
     id: 'armour',
     storageSpace: 1,
@@ -948,6 +954,7 @@ export class ArtefactStoreManager {
       this.#stores.get(StoreType.HANDS),
       this.#stores.get(StoreType.RING_FINGERS),
       this.#stores.get(StoreType.FEET),
+      this.#stores.get(StoreType.QUIVER),
       this.#stores.get(StoreType.CANTRIPS),
       this.#stores.get(StoreType.PREPARED_SPELLS),
     ];
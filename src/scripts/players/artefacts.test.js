@@ -39,7 +39,7 @@ import { parseAlmanacLine } from '../dnd/almanacs/almanacs.js';
 import { Traits, MagicTraits, CharacterTraits } from '../dnd/traits.js';
 
 test('createArtefactType', () => {
-  expect.assertions(14 * 2);
+  expect.assertions(15 * 2);
   for (const key in ArtefactType) {
     console.log(`Test ArtefactType ${key}`);
     const artefactType = ArtefactType[key];
@@ -28,13 +28,12 @@
  */
 
 import { ALMANAC_LIBRARY } from '../dnd/almanacs/almanacs.js';
-import {
-  SceneDefinition,
-  default as SCENE_MANAGER,
-} from '../gameManagement/sceneManager.js';
+import { SceneDefinition } from '../gameManagement/sceneManager.js';
 import * as maths from '../utils/maths.js';
+import RANDOM from '../utils/random.js';
 import LOG from '../utils/logging.js';
 import { RoomCreator } from '../utils/tileMaps/roomGenerator.js';
+import { BspRoomCreator } from '../utils/tileMaps/bspRoomGenerator.js';
 import { i18n } from '../utils/messageManager.js';
 import { buildActor } from '../dnd/almanacs/actorBuilder.js';
 import { sceneToFloor } from '../dnd/floorNumbering.js';
@@ -69,12 +68,26 @@ export const DungeonChallenge = {
   MEDIUM: 1 / 4,
 };
 
+/**
+ * Map generators.
+ * - STACKED: rectangular rooms stacked vertically.
+ * - CORRIDORS: rooms connected by corridors with loops and dead ends.
+ * - RANDOM: either of the above, selected at random.
+ * @enum {string}
+ */
+export const MapGenerator = {
+  STACKED: 'STACKED',
+  CORRIDORS: 'CORRIDORS',
+  RANDOM: 'RANDOM',
+};
+
 /**
  * Get the maximum challenge rating for an enemy encountered in the scene
  * @param {DungeonChallengeValue} challenge
+ * @param {module:players/actors~Actor} hero
  */
-function getMaxEnemyCr(challenge) {
-  const level = heroActor?.traits.getCharacterLevel() ?? 1;
+function getMaxEnemyCr(challenge, hero) {
+  const level = hero?.traits.getCharacterLevel() ?? 1;
   return challenge * level + 0.001; // prevent float issues.
 }
 
@@ -83,25 +96,177 @@ function getMaxEnemyCr(challenge) {
  * This works out as though the character is expected to have advanced 1 character
  * level every 15 dungeon levels.
  * @param {DungeonChallengeValue} challenge
+ * @param {number} sceneIndex
  * @returns {number}
  */
-function getSceneProgressionCr(challenge) {
-  const level = SCENE_MANAGER.getCurrentSceneLevel() / 15;
+function getSceneProgressionCr(challenge, sceneIndex) {
+  const level = sceneIndex / 15;
   return challenge * level + 0.001; // prevent float issues.
 }
 /**
  * Create a pool of enemies based on the dungeon rating.
  * @param {DungeonChallengeValue} dungeonRating
  * @param {number} minLevel
+ * @param {module:players/actors~Actor} hero
  * @returns {module:almanacs/almanacs~Almanac}
  */
-function createEnemyPoolAlmanac(dungeonRating, minLevel) {
-  const maxMonsterChallenge = getMaxEnemyCr(dungeonRating);
+function createEnemyPoolAlmanac(dungeonRating, minLevel, hero) {
+  const maxMonsterChallenge = getMaxEnemyCr(dungeonRating, hero);
   return ALMANAC_LIBRARY.getAlmanac('ENEMIES').filter(
     (entry) =>
       entry.challengeRating <= maxMonsterChallenge && entry.minLevel <= minLevel
   );
 }
+
+/**
+ * Create a hero. The debug hero is used if set, otherwise a random hero is
+ * selected from the almanac.
+ * @returns {module:players/actors~Actor}
+ */
+export function generateHero() {
+  let hero = createDebugHero();
+  if (!hero) {
+    const almanacEntry = ALMANAC_LIBRARY.getRandomEntry('HEROES');
+    if (!almanacEntry) {
+      LOG.fatal(new Error(`Could not find hero in almanacs.`));
+    }
+    hero = buildActor(almanacEntry);
+  }
+  return hero;
+}
+
+/**
+ * Generate enemies for a scene.
+ * @param {DungeonChallengeValue} challenge
+ * @param {number} sceneIndex
+ * @param {module:players/actors~Actor} hero
+ * @returns {module:dnd/almanacs/almanacs~AlmanacEntry[]}
+ */
+export function generateEnemies(challenge, sceneIndex, hero) {
+  const debugEnemy = createDebugEnemyEntry();
+  if (debugEnemy) {
+    return [debugEnemy];
+  }
+  const enemies = [];
+  const maxEnemyCr = getMaxEnemyCr(challenge, hero);
+  const sceneProgressionCr = getSceneProgressionCr(challenge, sceneIndex);
+  let maxEnemies;
+  let maxTotalChallenge;
+  switch (challenge) {
+    case DungeonChallenge.EASY:
+      maxEnemies = 6;
+      maxTotalChallenge = maxEnemyCr + sceneProgressionCr;
+      break;
+    case DungeonChallenge.MEDIUM:
+    default:
+      maxEnemies = 8;
+      maxTotalChallenge = (maxEnemyCr + sceneProgressionCr) * 1.25;
+      break;
+  }
+
+  const enemyPoolAlmanac = createEnemyPoolAlmanac(challenge, sceneIndex, hero);
+  let totalChallenge = 0;
+  let totalEnemies = 0;
+  while (totalChallenge < maxTotalChallenge && totalEnemies < maxEnemies) {
+    const enemy = enemyPoolAlmanac.getRandomEntry();
+    totalChallenge += Math.max(
+      enemy.challengeRating,
+      DungeonChallenge.INSIGNIFICANT
+    );
+    totalEnemies++;
+    enemies.push(enemy);
+  }
+  LOG.info(
+    `Scene challenge rating ${totalChallenge.toFixed(
+      3
+    )} from ${totalEnemies} enemies.`
+  );
+  return enemies;
+}
+
+/**
+ * Generate traders for a scene.
+ * @param {number} sceneIndex
+ * @returns {module:dnd/almanacs/almanacs~AlmanacEntry[]}
+ */
+export function generateTraders(sceneIndex) {
+  const traders = [];
+  const totalTraders = 1;
+  for (let traderIndex = 0; traderIndex < totalTraders; traderIndex++) {
+    const almanacEntry = ALMANAC_LIBRARY.getRandomEntry(
+      'TRADERS',
+      (entry) => entry.minLevel <= sceneIndex
+    );
+    traders.push(almanacEntry);
+  }
+  return traders;
+}
+
+/**
+ * Generate artefacts for a scene.
+ * @param {number} sceneIndex
+ * @returns {module:dnd/almanacs/almanacs~AlmanacEntry[]}
+ */
+export function generateArtefacts(sceneIndex) {
+  const artefacts = [];
+  const debugArtefactEntry = createDebugArtefactEntry();
+  if (debugArtefactEntry) {
+    artefacts.push(debugArtefactEntry);
+  }
+  const pooledAlmanac = ALMANAC_LIBRARY.getPooledAlmanac(
+    ['ARTEFACTS', 'MAGIC', 'MONEY', 'WEAPONS', 'TRAPS', 'PLANTS'],
+    (entry) => entry.minLevel <= sceneIndex
+  );
+  let totalArtefacts = maths.getRandomIntInclusive(4, 12);
+  while (totalArtefacts-- > 0) {
+    const almanacEntry = pooledAlmanac.getRandomEntry();
+    if (almanacEntry) {
+      artefacts.push(almanacEntry);
+    }
+  }
+  return artefacts;
+}
+
+/**
+ * Generate a portal for the scene.
+ * @param {number} sceneIndex
+ * @returns {module:dnd/almanacs/almanacs~AlmanacEntry} undefined if none available.
+ */
+export function generatePortal(sceneIndex) {
+  return ALMANAC_LIBRARY.getRandomEntry(
+    'PORTALS',
+    (entry) => entry.minLevel <= sceneIndex
+  );
+}
+
+/**
+ * Generate a random map design.
+ * @param {MapGenerator} [generator = MapGenerator.RANDOM]
+ * @returns {module:utils/tileMaps/tilePlan~TileMapDesign}
+ */
+export function generateMapDesign(generator = MapGenerator.RANDOM) {
+  if (generator === MapGenerator.RANDOM) {
+    generator = maths.getRandomMember([
+      MapGenerator.STACKED,
+      MapGenerator.CORRIDORS,
+    ]);
+  }
+  const options = {
+    minCols: 12,
+    maxCols: 40,
+    maxRoomCols: 10,
+    minRows: 12,
+    maxRows: 40,
+    maxRoomRows: 6,
+  };
+  LOG.debug(`Generating map using ${generator} generator.`);
+  const creator =
+    generator === MapGenerator.CORRIDORS
+      ? new BspRoomCreator(options)
+      : new RoomCreator(options);
+  return creator.generate();
+}
+
 /**
  * @implements {module:gameManagement/sceneManager~SceneList}
  */
@@ -114,9 +279,20 @@ class AutoSceneList {
   /** @type {DungeonChallenge} */
   #dungeonChallenge;
 
+  /** @type {MapGenerator} */
+  #mapGenerator;
+
+  /** Hero created by the player for a new adventure. @type {module:players/actors~Actor} */
+  #newHero;
+
   /**
+   * Create the list.
+   * @param {Object} [options = {}]
+   * @param {MapGenerator} [options.mapGenerator = MapGenerator.RANDOM] - generator
+   * used for every floor. If RANDOM, the generator is chosen for each floor.
    */
-  constructor() {
+  constructor(options = {}) {
+    this.#mapGenerator = options.mapGenerator ?? MapGenerator.RANDOM;
     this.reset();
   }
 
@@ -135,14 +311,17 @@ class AutoSceneList {
   }
 
   /**
-   * Get the next scene.
+   * Get the next scene. The random sequence is restarted for each scene so that
+   * a seeded run generates the same floor irrespective of how many random
+   * numbers were consumed on previous floors.
    * @returns {SceneDefinition}
    */
   getNext() {
     this.#index++;
     if (this.#index === 0) {
-      heroActor = null; // always a new actor at level 0
+      heroActor = this.#newHero ?? null; // always a new actor at level 0
     }
+    RANDOM.restartStream(`SCENE ${this.#index}`);
     this.#buildScene();
     return this.#sceneDefn;
   }
@@ -156,10 +335,21 @@ class AutoSceneList {
 
   /**
    * Reset
+   * @param {module:players/actors~Actor} [hero] - hero for the new adventure.
+   * If not set, a hero is generated.
    */
-  reset() {
+  reset(hero) {
     this.#dungeonChallenge = DungeonChallenge.MEDIUM;
     this.#index = -1;
+    this.#newHero = hero;
+  }
+
+  /**
+   * Test if the list defines the hero for a new adventure.
+   * @returns {boolean} always false.
+   */
+  definesHero() {
+    return false;
   }
 
   /**
@@ -203,14 +393,7 @@ class AutoSceneList {
    */
   #setHero() {
     if (!heroActor) {
-      heroActor = createDebugHero();
-    }
-    if (!heroActor) {
-      const almanacEntry = ALMANAC_LIBRARY.getRandomEntry('HEROES');
-      if (!almanacEntry) {
-        LOG.fatal(new Error(`Could not find hero in almanacs.`));
-      }
-      heroActor = buildActor(almanacEntry);
+      heroActor = generateHero();
     }
     this.#sceneDefn.hero = heroActor;
   }
@@ -220,43 +403,8 @@ class AutoSceneList {
    * @param {DungeonChallengeValue} [challenge = DungeonChallenge.MEDIUM]
    */
   #addEnemies(challenge = DungeonChallenge.MEDIUM) {
-    const debugEnemy = createDebugEnemyEntry();
-    if (debugEnemy) {
-      this.#sceneDefn.enemies.push(debugEnemy);
-      return;
-    }
-    const maxEnemyCr = getMaxEnemyCr(challenge);
-    const sceneProgressionCr = getSceneProgressionCr(challenge);
-    let maxEnemies;
-    let maxTotalChallenge;
-    switch (challenge) {
-      case DungeonChallenge.EASY:
-        maxEnemies = 6;
-        maxTotalChallenge = maxEnemyCr + sceneProgressionCr;
-        break;
-      case DungeonChallenge.MEDIUM:
-      default:
-        maxEnemies = 8;
-        maxTotalChallenge = (maxEnemyCr + sceneProgressionCr) * 1.25;
-        break;
-    }
-
-    const enemyPoolAlmanac = createEnemyPoolAlmanac(challenge, this.#index);
-    let totalChallenge = 0;
-    let totalEnemies = 0;
-    while (totalChallenge < maxTotalChallenge && totalEnemies < maxEnemies) {
-      const enemy = enemyPoolAlmanac.getRandomEntry();
-      totalChallenge += Math.max(
-        enemy.challengeRating,
-        DungeonChallenge.INSIGNIFICANT
-      );
-      totalEnemies++;
-      this.#sceneDefn.enemies.push(enemy);
-    }
-    LOG.info(
-      `Scene challenge rating ${totalChallenge.toFixed(
-        3
-      )} from ${totalEnemies} enemies.`
+    this.#sceneDefn.enemies.push(
+      ...generateEnemies(challenge, this.#index, heroActor)
     );
   }
 
@@ -264,45 +412,21 @@ class AutoSceneList {
    * Add enemies to scene.
    */
   #addTraders() {
-    const totalTraders = 1;
-    for (let traderIndex = 0; traderIndex < totalTraders; traderIndex++) {
-      const almanacEntry = ALMANAC_LIBRARY.getRandomEntry(
-        'TRADERS',
-        (entry) => entry.minLevel <= this.#index
-      );
-      this.#sceneDefn.enemies.push(almanacEntry);
-    }
+    this.#sceneDefn.enemies.push(...generateTraders(this.#index));
   }
 
   /**
    * Add artefacts to scene.
    */
   #addArtefacts() {
-    const debugArtefactEntry = createDebugArtefactEntry();
-    if (debugArtefactEntry) {
-      this.#sceneDefn.artefacts.push(debugArtefactEntry);
-    }
-    const pooledAlmanac = ALMANAC_LIBRARY.getPooledAlmanac(
-      ['ARTEFACTS', 'MAGIC', 'MONEY', 'WEAPONS', 'TRAPS', 'PLANTS'],
-      (entry) => entry.minLevel <= this.#index
-    );
-    let totalArtefacts = maths.getRandomIntInclusive(4, 12);
-    while (totalArtefacts-- > 0) {
-      const almanacEntry = pooledAlmanac.getRandomEntry();
-      if (almanacEntry) {
-        this.#sceneDefn.artefacts.push(almanacEntry);
-      }
-    }
+    this.#sceneDefn.artefacts.push(...generateArtefacts(this.#index));
   }
 
   /**
    * Add an portal to the scene
    */
   #addPortal() {
-    const almanacEntry = ALMANAC_LIBRARY.getRandomEntry(
-      'PORTALS',
-      (entry) => entry.minLevel <= this.#index
-    );
+    const almanacEntry = generatePortal(this.#index);
     if (almanacEntry) {
       this.#sceneDefn.portal = almanacEntry;
     }
@@ -310,24 +434,16 @@ class AutoSceneList {
 
   /** Add a random map */
   #addMap() {
-    const creator = new RoomCreator({
-      minCols: 12,
-      maxCols: 40,
-      maxRoomCols: 10,
-      minRows: 12,
-      maxRows: 40,
-      maxRoomRows: 6,
-    });
-    this.#sceneDefn.mapDesign = creator.generate();
+    this.#sceneDefn.mapDesign = generateMapDesign(this.#mapGenerator);
   }
 }
 
 /**
  * Create a new auto scene list
- * @param {string} script
+ * @param {Object} [options] - see {@link AutoSceneList} constructor.
  * @returns {module:gameManagement/sceneManager~SceneList}
  */
-export function createAutoSceneList(scriptUnused) {
+export function createAutoSceneList(options) {
   LOG.debug(`Creating automatic scene list.`);
-  return new AutoSceneList();
+  return new AutoSceneList(options);
 }
@@ -0,0 +1,268 @@
+/**
+ * @file Parser for dungeon scripts
+ *
+ * @module scriptReaders/dungeonScriptParser
+ */
+/**
+ * license {@link https://opensource.org/license/mit/|MIT}
+ * Copyright 2024 Steve Butler (henspace.com).
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the “Software”), to deal in
+ * the Software without restriction, including without limitation the rights to use,
+ * copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the
+ * Software, and to permit persons to whom the Software is furnished to do so,
+ * subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED “AS IS”, WITHOUT WARRANTY OF ANY KIND,
+ * EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES
+ * OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT
+ * HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY,
+ * WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR
+ * OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+import { SpecialSymbols } from '../utils/tileMaps/tilePlan.js';
+
+/**
+ * Keyword used to request automatically generated content.
+ * @type {string}
+ */
+export const AUTO = 'AUTO';
+
+/**
+ * Keyword used to explicitly request no content.
+ * @type {string}
+ */
+export const NONE = 'NONE';
+
+/**
+ * Keyword that terminates a map design.
+ * @type {string}
+ */
+const END_MAP = 'END MAP';
+
+/**
+ * Challenges that can be set for a floor.
+ * @type {string[]}
+ */
+const CHALLENGES = ['INSIGNIFICANT', 'EASY', 'MEDIUM'];
+
+/**
+ * Generators that can be used for automatically generated maps.
+ * @type {string[]}
+ */
+const GENERATORS = ['STACKED', 'CORRIDORS', 'RANDOM'];
+
+/**
+ * Definition of a floor read from a dungeon script.
+ * @typedef {Object} ScriptedFloor
+ * @property {string} title - optional title. Only used for logging.
+ * @property {string} intro - text shown on entry. Undefined for default.
+ * @property {string} heroId - almanac id of the hero. Undefined to keep the
+ * current hero or create a random one.
+ * @property {string} challenge - one of the CHALLENGES.
+ * @property {string[]} enemyIds - almanac ids of enemies and traders.
+ * @property {boolean} autoEnemies - add automatically generated enemies.
+ * @property {string[]} artefactIds - almanac ids of artefacts.
+ * @property {boolean} autoArtefacts - add automatically generated artefacts.
+ * @property {string} portal - almanac id of portal, AUTO or NONE.
+ * @property {string[]} mapDesign - empty if the map is generated automatically.
+ * @property {string} generator - one of the GENERATORS. Used if the map is
+ * generated automatically.
+ */
+
+/**
+ * Create a floor with default values.
+ * @param {string} title
+ * @returns {ScriptedFloor}
+ */
+function createFloor(title) {
+  return {
+    title: title,
+    intro: undefined,
+    heroId: undefined,
+    challenge: 'MEDIUM',
+    enemyIds: [],
+    autoEnemies: false,
+    artefactIds: [],
+    autoArtefacts: false,
+    portal: NONE,
+    mapDesign: [],
+    generator: 'RANDOM',
+  };
+}
+
+/**
+ * Split a comma separated list of ids. The AUTO keyword is removed from the
+ * list.
+ * @param {string} value
+ * @returns {{ids: string[], auto: boolean}}
+ */
+function parseIdList(value) {
+  const ids = [];
+  let auto = false;
+  value.split(',').forEach((item) => {
+    item = item.trim();
+    if (item.toUpperCase() === AUTO) {
+      auto = true;
+    } else if (item) {
+      ids.push(item);
+    }
+  });
+  return { ids: ids, auto: auto };
+}
+
+/**
+ * Check that the map design is usable. All characters must be special
+ * symbols or exist in the symbol map and there must be exactly one entrance
+ * and one exit.
+ * @param {string[]} mapDesign
+ * @param {Map<string, *>} symbolMap
+ * @param {number} lineNumber - line number of the end of the map.
+ */
+function validateMapDesign(mapDesign, symbolMap, lineNumber) {
+  let entrances = 0;
+  let exits = 0;
+  mapDesign.forEach((row, rowIndex) => {
+    for (const symbol of row) {
+      if (SpecialSymbols.DOOR_IN.includes(symbol)) {
+        entrances++;
+      } else if (SpecialSymbols.DOOR_OUT.includes(symbol)) {
+        exits++;
+      } else if (
+        !Object.values(SpecialSymbols).some((symbols) =>
+          symbols.includes(symbol)
+        ) &&
+        !symbolMap?.has(symbol)
+      ) {
+        throw new Error(
+          `Dungeon script line ${
+            lineNumber - mapDesign.length + rowIndex
+          }: unknown map symbol '${symbol}'.`
+        );
+      }
+    }
+  });
+  if (entrances !== 1 || exits !== 1) {
+    throw new Error(
+      `Dungeon script line ${lineNumber}: map must have one entrance and one exit.`
+    );
+  }
+}
+
+/**
+ * Parse a dungeon script. The format is described in the
+ * assets/stories/dungeon_script.txt file.
+ * @param {string} script
+ * @param {Map<string, *>} [symbolMap] - additional symbols that are valid in
+ * map designs.
+ * @returns {ScriptedFloor[]} empty if the script contains no floors.
+ * @throws {Error} if the script is invalid.
+ */
+export function parseDungeonScript(script, symbolMap) {
+  const floors = [];
+  let floor;
+  let mapDesign;
+  const lines = (script ?? '').split(/\r?\n/);
+  lines.forEach((line, index) => {
+    const lineNumber = index + 1;
+    if (mapDesign) {
+      if (line.trim().toUpperCase() === END_MAP) {
+        validateMapDesign(mapDesign, symbolMap, lineNumber);
+        floor.mapDesign = mapDesign;
+        mapDesign = null;
+      } else {
+        mapDesign.push(line.trimEnd());
+      }
+      return;
+    }
+    line = line.trim();
+    if (!line || line.startsWith('#')) {
+      return;
+    }
+    const match = line.match(/^([A-Z]+) *:(.*)$/i);
+    if (!match) {
+      throw new Error(`Dungeon script line ${lineNumber}: cannot parse.`);
+    }
+    const key = match[1].toUpperCase();
+    const value = match[2].trim();
+    if (key === 'FLOOR') {
+      floor = createFloor(value);
+      floors.push(floor);
+      return;
+    }
+    if (!floor) {
+      throw new Error(
+        `Dungeon script line ${lineNumber}: ${key} found before first FLOOR.`
+      );
+    }
+    switch (key) {
+      case 'INTRO':
+        floor.intro = floor.intro ? `${floor.intro} ${value}` : value;
+        break;
+      case 'HERO':
+        floor.heroId = value;
+        break;
+      case 'CHALLENGE':
+        if (!CHALLENGES.includes(value.toUpperCase())) {
+          throw new Error(
+            `Dungeon script line ${lineNumber}: unknown challenge ${value}.`
+          );
+        }
+        floor.challenge = value.toUpperCase();
+        break;
+      case 'ENEMIES':
+        {
+          const list = parseIdList(value);
+          floor.enemyIds.push(...list.ids);
+          floor.autoEnemies = floor.autoEnemies || list.auto;
+        }
+        break;
+      case 'ARTEFACTS':
+        {
+          const list = parseIdList(value);
+          floor.artefactIds.push(...list.ids);
+          floor.autoArtefacts = floor.autoArtefacts || list.auto;
+        }
+        break;
+      case 'PORTAL':
+        floor.portal = [AUTO, NONE].includes(value.toUpperCase())
+          ? value.toUpperCase()
+          : value;
+        break;
+      case 'GENERATOR':
+        if (!GENERATORS.includes(value.toUpperCase())) {
+          throw new Error(
+            `Dungeon script line ${lineNumber}: unknown generator ${value}.`
+          );
+        }
+        floor.generator = value.toUpperCase();
+        break;
+      case 'MAP':
+        if (value.toUpperCase() === AUTO) {
+          floor.mapDesign = [];
+        } else if (value) {
+          throw new Error(
+            `Dungeon script line ${lineNumber}: map design must start on the line after MAP.`
+          );
+        } else {
+          mapDesign = [];
+        }
+        break;
+      default:
+        throw new Error(
+          `Dungeon script line ${lineNumber}: unknown keyword ${key}.`
+        );
+    }
+  });
+  if (mapDesign) {
+    throw new Error(`Dungeon script: missing ${END_MAP}.`);
+  }
+  return floors;
+}
@@ -0,0 +1,119 @@
+/**
+ * @file Test dungeon script parser
+ *
+ * @module scriptReaders/dungeonScriptParser.test
+ */
+/**
+ * license {@link https://opensource.org/license/mit/|MIT}
+ * Copyright 2024 Steve Butler (henspace.com).
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the “Software”), to deal in
+ * the Software without restriction, including without limitation the rights to use,
+ * copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the
+ * Software, and to permit persons to whom the Software is furnished to do so,
+ * subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED “AS IS”, WITHOUT WARRANTY OF ANY KIND,
+ * EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES
+ * OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT
+ * HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY,
+ * WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR
+ * OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+import { test, expect } from '@jest/globals';
+import { parseDungeonScript, AUTO, NONE } from './dungeonScriptParser.js';
+
+const SCRIPT = `
+# A comment
+FLOOR: First
+INTRO: Welcome.
+intro: More text.
+HERO: fighter1
+CHALLENGE: easy
+ENEMIES: rat_pv, rat_pv, AUTO
+ARTEFACTS: potion_of_healing
+PORTAL: portal_id
+MAP:
+###-###
+#..x..#
+###=###
+END MAP
+
+FLOOR: Second
+PORTAL: auto
+MAP: AUTO
+GENERATOR: corridors
+`;
+
+test('parseDungeonScript: parses floors', () => {
+  const floors = parseDungeonScript(SCRIPT, new Map([['x', {}]]));
+  expect(floors.length).toBe(2);
+  expect(floors[0]).toEqual({
+    title: 'First',
+    intro: 'Welcome. More text.',
+    heroId: 'fighter1',
+    challenge: 'EASY',
+    enemyIds: ['rat_pv', 'rat_pv'],
+    autoEnemies: true,
+    artefactIds: ['potion_of_healing'],
+    autoArtefacts: false,
+    portal: 'portal_id',
+    mapDesign: ['###-###', '#..x..#', '###=###'],
+    generator: 'RANDOM',
+  });
+  expect(floors[1]).toEqual({
+    title: 'Second',
+    intro: undefined,
+    heroId: undefined,
+    challenge: 'MEDIUM',
+    enemyIds: [],
+    autoEnemies: false,
+    artefactIds: [],
+    autoArtefacts: false,
+    portal: AUTO,
+    mapDesign: [],
+    generator: 'CORRIDORS',
+  });
+});
+
+test('parseDungeonScript: no floors', () => {
+  expect(parseDungeonScript('# Nothing here\n')).toEqual([]);
+  expect(parseDungeonScript(undefined)).toEqual([]);
+});
+
+test('parseDungeonScript: defaults to no portal', () => {
+  const floors = parseDungeonScript('FLOOR:\nENEMIES: AUTO');
+  expect(floors[0].portal).toBe(NONE);
+  expect(floors[0].autoEnemies).toBe(true);
+  expect(floors[0].enemyIds).toEqual([]);
+});
+
+test('parseDungeonScript: invalid scripts throw', () => {
+  expect(() => parseDungeonScript('ENEMIES: rat_pv')).toThrow(/line 1/);
+  expect(() => parseDungeonScript('FLOOR:\nBAD: value')).toThrow(
+    /unknown keyword BAD/
+  );
+  expect(() => parseDungeonScript('FLOOR:\nCHALLENGE: DEADLY')).toThrow(
+    /unknown challenge/
+  );
+  expect(() => parseDungeonScript('FLOOR:\nGENERATOR: MAZE')).toThrow(
+    /unknown generator/
+  );
+  expect(() => parseDungeonScript('FLOOR:\nnonsense')).toThrow(/cannot parse/);
+  expect(() => parseDungeonScript('FLOOR:\nMAP:\n#-=#\n')).toThrow(
+    /missing END MAP/
+  );
+  expect(() => parseDungeonScript('FLOOR:\nMAP:\n#-.#\nEND MAP')).toThrow(
+    /one entrance and one exit/
+  );
+  expect(() => parseDungeonScript('FLOOR:\nMAP:\n#-=#\n#.x#\nEND MAP')).toThrow(
+    /line 4: unknown map symbol 'x'/
+  );
+});
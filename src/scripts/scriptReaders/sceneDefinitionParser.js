@@ -36,6 +36,7 @@ import SCREEN from '../utils/game/screen.js';
 import { TILE_MAP_KEYS } from './symbolMapping.js';
 import { AbstractScene } from '../utils/game/scene.js';
 import SCENE_MANAGER from '../gameManagement/sceneManager.js';
+import { FloorState } from '../gameManagement/floorState.js';
 import GameConstants from '../utils/game/gameConstants.js';
 import { Actor, ActorType } from '../players/actors.js';
 
@@ -47,6 +48,7 @@ import { ArtefactType, artefactTypesEqual } from '../players/artefacts.js';
 import * as almanacUtils from '../dnd/almanacs/almanacUtils.js';
 import LOG from '../utils/logging.js';
 import * as maths from '../utils/maths.js';
+import { Point } from '../utils/geometry.js';
 
 const GRID_SIZE = GameConstants.TILE_SIZE;
 
@@ -94,7 +96,7 @@ function createEnemies(sceneDefn) {
       !actor.traits.get('UNDEAD', false) &&
       actor.traits.get('MOVE', '') !== 'ORGANIC'
     ) {
-      actor.sleeping = Math.random() <= likelihoodSleeping;
+      actor.sleeping = maths.getRandom() <= likelihoodSleeping;
     }
     enemies.push(actor);
   });
@@ -210,12 +212,43 @@ function addRandomArtefactsToActor(actor, almanac, options) {
   }
 }
 
+/**
+ * Capture the current state of the WORLD so that the floor can be recreated.
+ * @param {string[]} mapDesign
+ * @param {module:players/actors.Actor} hero - excluded from the captured actors.
+ * @param {module:players/artefacts.Artefact} exitKeyArtefact
+ * @returns {FloorState}
+ */
+function captureFloorState(mapDesign, hero, exitKeyArtefact) {
+  const floorState = new FloorState();
+  floorState.mapDesign = mapDesign;
+  floorState.exitKeyArtefact = exitKeyArtefact;
+  const createPlacement = (actor) => ({
+    actor: actor,
+    position: new Point(actor.position.x, actor.position.y),
+  });
+  WORLD.getOrganicActors().forEach((actor) =>
+    floorState.actors.push(createPlacement(actor))
+  );
+  WORLD.getActors().forEach((actor) => {
+    if (actor !== hero) {
+      floorState.actors.push(createPlacement(actor));
+    }
+  });
+  WORLD.getArtefacts().forEach((artefact) =>
+    floorState.artefacts.push(createPlacement(artefact))
+  );
+  return floorState;
+}
+
 /**
  * Scene created from a scene definition.
  */
 class ParsedScene extends AbstractScene {
   /** @type {SceneDefinition} */
   #sceneDefn;
+  /** @type {module:players/artefacts.Artefact} */
+  #exitKeyArtefact;
 
   /** Construct the scene from a definition. */
   constructor(sceneDefn) {
@@ -334,11 +367,8 @@ class ParsedScene extends AbstractScene {
     WORLD.addActor(this.heroActor);
     TURN_MANAGER.setHero(this.heroActor);
     // if keysToAdd > 0 we couldn't find a free tile for it, son don't use.
-    if (keysToAdd > 0) {
-      TURN_MANAGER.setExitKeyArtefact(null);
-    } else {
-      TURN_MANAGER.setExitKeyArtefact(exitKeyArtefact);
-    }
+    this.#exitKeyArtefact = keysToAdd > 0 ? null : exitKeyArtefact;
+    TURN_MANAGER.setExitKeyArtefact(this.#exitKeyArtefact);
 
     return Promise.resolve();
   }
@@ -356,6 +386,110 @@ class ParsedScene extends AbstractScene {
   doUnload() {
     return Promise.resolve(null);
   }
+
+  /**
+   * Get the state of the floor so that it can be revisited.
+   * @returns {FloorState}
+   */
+  getFloorState() {
+    return captureFloorState(
+      this.#sceneDefn.mapDesign,
+      this.heroActor,
+      this.#exitKeyArtefact
+    );
+  }
+}
+
+/**
+ * Scene recreated from the cached state of a floor the hero has already visited.
+ */
+class RevisitedScene extends AbstractScene {
+  /** @type {FloorState} */
+  #floorState;
+
+  /** Construct the scene from a cached floor.
+   * @param {FloorState} floorState
+   * @param {module:players/actors.Actor} [hero] - if not provided, the last
+   * hero is used.
+   */
+  constructor(floorState, hero) {
+    super();
+    this.#floorState = floorState;
+    if (hero) {
+      lastHero = hero;
+    }
+  }
+
+  /** @override */
+  doLoad() {
+    return Promise.resolve();
+  }
+
+  /** @override */
+  doInitialise() {
+    if (!lastHero) {
+      throw new Error('No hero has been defined.');
+    }
+    const tilePlan = TilePlan.generateTileMapPlan(
+      this.#floorState.mapDesign,
+      TILE_MAP_KEYS
+    );
+    this.heroActor = lastHero;
+    const tileMap = new TileMap(
+      SCREEN.getContext2D(),
+      tilePlan,
+      GRID_SIZE,
+      this.heroActor
+    );
+    WORLD.setTileMap(tileMap);
+
+    const arrivalPoints = [
+      tileMap.getWorldPositionOfTileByEntry(),
+      tileMap.getWorldPositionOfTileByExit(),
+    ];
+    this.#floorState.actors.forEach((placement) => {
+      placement.actor.position = placement.position;
+      if (arrivalPoints.some((point) => point.coincident(placement.position))) {
+        const freeTile = tileMap.getRandomFreeGroundTile();
+        if (freeTile) {
+          placement.actor.position = freeTile.worldPoint;
+        }
+      }
+      WORLD.addActor(placement.actor);
+    });
+    this.#floorState.artefacts.forEach((placement) => {
+      placement.actor.position = placement.position;
+      WORLD.addArtefact(placement.actor);
+    });
+
+    SCENE_MANAGER.setCameraToTrack(this.heroActor.sprite, 200, 0);
+    WORLD.addActor(this.heroActor);
+    TURN_MANAGER.setHero(this.heroActor);
+    TURN_MANAGER.setExitKeyArtefact(this.#floorState.exitKeyArtefact);
+    return Promise.resolve();
+  }
+
+  /** @override */
+  doUpdate(deltaSecondsUnused) {
+    return;
+  }
+
+  /** @override */
+  doUnload() {
+    return Promise.resolve(null);
+  }
+
+  /**
+   * Get the state of the floor so that it can be revisited again.
+   * @returns {FloorState}
+   */
+  getFloorState() {
+    return captureFloorState(
+      this.#floorState.mapDesign,
+      this.heroActor,
+      this.#floorState.exitKeyArtefact
+    );
+  }
 }
 
 /**
@@ -366,3 +500,14 @@ class ParsedScene extends AbstractScene {
 export function parseSceneDefinition(sceneDefn) {
   return new ParsedScene(sceneDefn);
 }
+
+/**
+ * Recreate a scene from the cached state of a floor.
+ * @param {FloorState} floorState
+ * @param {module:players/actors.Actor} [hero] - if not provided, the last hero
+ * is used.
+ * @returns {Scene}
+ */
+export function createSceneFromFloorState(floorState, hero) {
+  return new RevisitedScene(floorState, hero);
+}
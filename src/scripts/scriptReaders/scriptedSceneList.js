@@ -0,0 +1,280 @@
+/**
+ * @file Scene list created from a dungeon script
+ *
+ * @module scriptReaders/scriptedSceneList
+ */
+/**
+ * license {@link https://opensource.org/license/mit/|MIT}
+ * Copyright 2024 Steve Butler (henspace.com).
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the “Software”), to deal in
+ * the Software without restriction, including without limitation the rights to use,
+ * copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the
+ * Software, and to permit persons to whom the Software is furnished to do so,
+ * subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED “AS IS”, WITHOUT WARRANTY OF ANY KIND,
+ * EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES
+ * OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT
+ * HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY,
+ * WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR
+ * OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+import { ALMANAC_LIBRARY } from '../dnd/almanacs/almanacs.js';
+import { SceneDefinition } from '../gameManagement/sceneManager.js';
+import LOG from '../utils/logging.js';
+import RANDOM from '../utils/random.js';
+import { i18n } from '../utils/messageManager.js';
+import { buildActor } from '../dnd/almanacs/actorBuilder.js';
+import { sceneToFloor } from '../dnd/floorNumbering.js';
+import * as dice from '../utils/dice.js';
+import { TILE_MAP_KEYS } from './symbolMapping.js';
+import { parseDungeonScript, AUTO, NONE } from './dungeonScriptParser.js';
+import {
+  DungeonChallenge,
+  MapGenerator,
+  createAutoSceneList,
+  generateArtefacts,
+  generateEnemies,
+  generateHero,
+  generateMapDesign,
+  generatePortal,
+  generateTraders,
+} from './autoSceneList.js';
+
+/**
+ * Almanacs searched for enemies named in scripts.
+ * @type {string[]}
+ */
+const ENEMY_ALMANACS = ['ENEMIES', 'TRADERS'];
+
+/**
+ * Almanacs searched for artefacts named in scripts.
+ * @type {string[]}
+ */
+const ARTEFACT_ALMANACS = [
+  'ARTEFACTS',
+  'ARMOUR',
+  'MAGIC',
+  'MONEY',
+  'WEAPONS',
+  'TRAPS',
+  'PLANTS',
+];
+
+/**
+ * Look up almanac entries by id. Unknown ids are logged and skipped.
+ * @param {string[]} ids
+ * @param {string[]} almanacKeys
+ * @returns {module:dnd/almanacs/almanacs~AlmanacEntry[]}
+ */
+function findEntries(ids, almanacKeys) {
+  const entries = [];
+  ids.forEach((id) => {
+    const entry = ALMANAC_LIBRARY.findById(id, almanacKeys);
+    if (entry) {
+      entries.push(entry);
+    } else {
+      LOG.info(`Skipping unknown id ${id} in dungeon script.`);
+    }
+  });
+  return entries;
+}
+
+/**
+ * Scene list built from a handcrafted dungeon script. Unlike the automatic
+ * list, this has a finite number of floors.
+ * @implements {module:gameManagement/sceneManager~SceneList}
+ */
+export class ScriptedSceneList {
+  /** @type {module:scriptReaders/dungeonScriptParser~ScriptedFloor[]} */
+  #floors;
+  /** @type {number} */
+  #index;
+  /** @type {module:players/actors~Actor} */
+  #heroActor;
+  /** Hero created by the player for a new adventure. @type {module:players/actors~Actor} */
+  #newHero;
+  /**
+   * Challenge overriding the script for the next floor.
+   * @type {module:scriptReaders/autoSceneList~DungeonChallengeValue}
+   */
+  #challengeOverride;
+
+  /**
+   * Create the list.
+   * @param {module:scriptReaders/dungeonScriptParser~ScriptedFloor[]} floors
+   */
+  constructor(floors) {
+    this.#floors = floors;
+    this.reset();
+  }
+
+  /**
+   * Override the script's challenge for the next floor. This only affects
+   * automatically generated enemies.
+   * @param {module:scriptReaders/autoSceneList~DungeonChallengeValue} dungeonChallenge
+   */
+  setChallenge(dungeonChallenge) {
+    this.#challengeOverride = dungeonChallenge;
+    LOG.info(
+      `Dungeon challenge rating for next floor set to ${dungeonChallenge}`
+    );
+  }
+
+  /**
+   * @returns {number}
+   */
+  getIndex() {
+    return this.#index;
+  }
+
+  /**
+   * Get the next scene.
+   * @returns {SceneDefinition} null if there are no more floors.
+   */
+  getNext() {
+    if (!this.hasNext()) {
+      LOG.error('Attempt to get floor beyond the end of the dungeon script.');
+      return null;
+    }
+    this.#index++;
+    if (this.#index === 0) {
+      this.#heroActor = this.#newHero ?? null; // always a new actor at level 0
+    }
+    RANDOM.restartStream(`SCENE ${this.#index}`);
+    return this.#buildScene(this.#floors[this.#index]);
+  }
+
+  /**
+   * Test to see if there is another scene.
+   * @returns {boolean}
+   */
+  hasNext() {
+    return this.#index < this.#floors.length - 1;
+  }
+
+  /**
+   * Reset
+   * @param {module:players/actors~Actor} [hero] - hero for the new adventure.
+   * If not set, the hero defined by the first floor is used or one is
+   * generated.
+   */
+  reset(hero) {
+    this.#challengeOverride = undefined;
+    this.#index = -1;
+    this.#newHero = hero;
+  }
+
+  /**
+   * Test if the list defines the hero for a new adventure. This is the case if
+   * the first floor names the hero.
+   * @returns {boolean}
+   */
+  definesHero() {
+    return !!this.#floors[0]?.heroId;
+  }
+
+  /**
+   * Restore a saved game. Games are saved when a floor is exited so the call
+   * should be to the next scene.
+   * @param {number} index
+   * @param {module:players/actors.Actor} hero
+   */
+  restore(index, hero) {
+    this.#heroActor = hero;
+    this.#index = index;
+  }
+
+  /**
+   * Build the scene for a floor.
+   * @param {module:scriptReaders/dungeonScriptParser~ScriptedFloor} floor
+   * @returns {SceneDefinition}
+   */
+  #buildScene(floor) {
+    LOG.info(`Building scripted floor ${floor.title ?? this.#index}.`);
+    const sceneDefn = new SceneDefinition();
+    sceneDefn.hero = this.#getHero(floor);
+    sceneDefn.intro =
+      floor.intro ?? i18n`MESSAGE ENTER FLOOR ${sceneToFloor(this.#index)}`;
+
+    sceneDefn.enemies.push(...findEntries(floor.enemyIds, ENEMY_ALMANACS));
+    if (floor.autoEnemies) {
+      const challenge =
+        this.#challengeOverride ?? DungeonChallenge[floor.challenge];
+      sceneDefn.enemies.push(
+        ...generateEnemies(challenge, this.#index, this.#heroActor),
+        ...generateTraders(this.#index)
+      );
+    }
+    this.#challengeOverride = undefined;
+
+    sceneDefn.artefacts.push(
+      ...findEntries(floor.artefactIds, ARTEFACT_ALMANACS)
+    );
+    if (floor.autoArtefacts) {
+      sceneDefn.artefacts.push(...generateArtefacts(this.#index));
+    }
+
+    if (floor.portal === AUTO) {
+      if (dice.rollDice(20) > 13) {
+        sceneDefn.portal = generatePortal(this.#index);
+      }
+    } else if (floor.portal !== NONE) {
+      sceneDefn.portal = ALMANAC_LIBRARY.findById(floor.portal, ['PORTALS']);
+    }
+
+    sceneDefn.mapDesign =
+      floor.mapDesign.length > 0
+        ? [...floor.mapDesign]
+        : generateMapDesign(MapGenerator[floor.generator]);
+    return sceneDefn;
+  }
+
+  /**
+   * Get the hero for the floor. The hero defined by the floor is only used if
+   * there is not already a hero.
+   * @param {module:scriptReaders/dungeonScriptParser~ScriptedFloor} floor
+   * @returns {module:players/actors~Actor}
+   */
+  #getHero(floor) {
+    if (!this.#heroActor && floor.heroId) {
+      const almanacEntry = ALMANAC_LIBRARY.findById(floor.heroId, ['HEROES']);
+      if (almanacEntry) {
+        this.#heroActor = buildActor(almanacEntry);
+      }
+    }
+    if (!this.#heroActor) {
+      this.#heroActor = generateHero();
+    }
+    return this.#heroActor;
+  }
+}
+
+/**
+ * Create the scene list for a dungeon script. If the script does not define
+ * any floors, or is invalid, the automatic scene list is used.
+ * @param {string} script
+ * @returns {module:gameManagement/sceneManager~SceneList}
+ */
+export function createSceneList(script) {
+  let floors;
+  try {
+    floors = parseDungeonScript(script, TILE_MAP_KEYS);
+  } catch (error) {
+    LOG.error(error);
+    floors = [];
+  }
+  if (floors.length === 0) {
+    return createAutoSceneList();
+  }
+  LOG.debug(`Creating scripted scene list with ${floors.length} floors.`);
+  return new ScriptedSceneList(floors);
+}
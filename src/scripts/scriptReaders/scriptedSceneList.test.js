@@ -0,0 +1,104 @@
+/**
+ * @file Test scripted scene list
+ *
+ * @module scriptReaders/scriptedSceneList.test
+ */
+/**
+ * license {@link https://opensource.org/license/mit/|MIT}
+ * Copyright 2024 Steve Butler (henspace.com).
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the “Software”), to deal in
+ * the Software without restriction, including without limitation the rights to use,
+ * copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the
+ * Software, and to permit persons to whom the Software is furnished to do so,
+ * subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED “AS IS”, WITHOUT WARRANTY OF ANY KIND,
+ * EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES
+ * OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT
+ * HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY,
+ * WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR
+ * OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+import { jest, test, expect } from '@jest/globals';
+
+jest.unstable_mockModule('../utils/game/screen.js', () => {
+  return {
+    __esModule: true,
+    default: {
+      setOptions: () => null,
+      getContext2D: () => null,
+    },
+  };
+});
+
+const { ALMANAC_LIBRARY, Almanac, parseAlmanacLine } =
+  await import('../dnd/almanacs/almanacs.js');
+const { SceneDefinition } = await import('../gameManagement/sceneManager.js');
+const { createSceneList } = await import('./scriptedSceneList.js');
+
+/**
+ * Add an almanac holding a single entry to the library.
+ * @param {string} key
+ * @param {string} line
+ */
+function addAlmanac(key, line) {
+  const almanac = new Almanac();
+  almanac.common.push(parseAlmanacLine(line, key));
+  ALMANAC_LIBRARY.addAlmanac(key, almanac);
+}
+
+addAlmanac(
+  'HEROES',
+  '0,COMMON,HERO,fighter1 * CLASS:FIGHTER,HIT_DICE:1D12,EXP:0'
+);
+addAlmanac(
+  'ENEMIES',
+  '1,COMMON,ENEMY,rat_pv * ATTACK:COMBAT,MOVE:HUNT,HP:3,AC:10'
+);
+addAlmanac('ARTEFACTS', '0,COMMON,KEY,rusty_key * VALUE: 3SP');
+
+const SCRIPT = `
+FLOOR: First
+INTRO: Welcome.
+HERO: fighter1
+ENEMIES: rat_pv, unknown_enemy, rat_pv
+ARTEFACTS: rusty_key
+MAP:
+###-###
+#.....#
+###=###
+END MAP
+`;
+
+test('createSceneList builds scene definitions from a script', () => {
+  const sceneList = createSceneList(SCRIPT);
+  expect(sceneList.definesHero()).toBe(true);
+  expect(sceneList.hasNext()).toBe(true);
+  const sceneDefn = sceneList.getNext();
+  expect(sceneDefn).toBeInstanceOf(SceneDefinition);
+  expect(sceneDefn.intro).toBe('Welcome.');
+  expect(sceneDefn.hero.almanacEntry.id).toBe('fighter1');
+  expect(sceneDefn.enemies.map((entry) => entry.id)).toEqual([
+    'rat_pv',
+    'rat_pv',
+  ]);
+  expect(sceneDefn.artefacts.map((entry) => entry.id)).toEqual(['rusty_key']);
+  expect(sceneDefn.portal).toBeUndefined();
+  expect(sceneDefn.mapDesign).toEqual(['###-###', '#.....#', '###=###']);
+  expect(sceneList.hasNext()).toBe(false);
+});
+
+test('createSceneList uses the player created hero', () => {
+  const sceneList = createSceneList(SCRIPT);
+  const hero = { id: 'created hero' };
+  sceneList.reset(hero);
+  expect(sceneList.getNext().hero).toBe(hero);
+});
@@ -85,6 +85,40 @@ function createExitDefn(imageName) {
   };
 }
 
+/**
+ * @param {string} imageName
+ * @returns {TileDefinition}
+ */
+function createStairsUpDefn(imageName) {
+  return {
+    role: TileRole.STAIRS_UP,
+    onClick: (target, point, detail) =>
+      TURN_MANAGER.triggerEvent(
+        TURN_MANAGER.EventId.CLICKED_STAIRS_UP,
+        point,
+        detail
+      ),
+    image: imageName,
+  };
+}
+
+/**
+ * @param {string} imageName
+ * @returns {TileDefinition}
+ */
+function createStairsDownDefn(imageName) {
+  return {
+    role: TileRole.STAIRS_DOWN,
+    onClick: (target, point, detail) =>
+      TURN_MANAGER.triggerEvent(
+        TURN_MANAGER.EventId.CLICKED_STAIRS_DOWN,
+        point,
+        detail
+      ),
+    image: imageName,
+  };
+}
+
 export const TILE_MAP_KEYS = new Map([
   ['x', { role: TileRole.OBSTACLE, image: 'block.png' }],
   // wall parts
@@ -125,6 +159,17 @@ export const TILE_MAP_KEYS = new Map([
   ['--L', createEntranceDefn('door-L.png')],
   ['=', { role: TileRole.OBSTACLE, image: 'block.png' }],
   ['-', { role: TileRole.OBSTACLE, image: 'block.png' }],
+  // stairs to previously visited floors
+  ['^-T', createStairsUpDefn('stairs-up-T.png')],
+  ['^-R', createStairsUpDefn('stairs-up-R.png')],
+  ['^-B', createStairsUpDefn('stairs-up-B.png')],
+  ['^-L', createStairsUpDefn('stairs-up-L.png')],
+  ['v-T', createStairsDownDefn('stairs-down-T.png')],
+  ['v-R', createStairsDownDefn('stairs-down-R.png')],
+  ['v-B', createStairsDownDefn('stairs-down-B.png')],
+  ['v-L', createStairsDownDefn('stairs-down-L.png')],
+  ['^', { role: TileRole.OBSTACLE, image: 'block.png' }],
+  ['v', { role: TileRole.OBSTACLE, image: 'block.png' }],
   // ground
   ['.', createGroundDefn('floor.png')],
   ['.-SBW', createGroundDefn('floor-SBW.png')],
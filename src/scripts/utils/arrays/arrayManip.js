@@ -28,6 +28,8 @@
  * OTHER DEALINGS IN THE SOFTWARE.
  */
 
+import * as maths from '../maths.js';
+
 /**
  * @typedef Surrounds
  * @property {*} centre - value at centre
@@ -247,7 +249,7 @@ export function randomise(source) {
 
   // While there remain elements to shuffle.
   while (currentIndex > 0) {
-    randomIndex = Math.floor(Math.random() * currentIndex);
+    randomIndex = maths.getRandomInt(0, currentIndex);
     currentIndex--;
     // swap
     [source[currentIndex], source[randomIndex]] = [
@@ -296,6 +296,52 @@ export class RangeControl extends BaseControl {
     return element;
   }
 }
+/**
+ * Text input control
+ */
+export class TextInputControl extends BaseControl {
+  /** @type {Element} */
+  #textInput;
+
+  /**
+   * Create the TextInputControl
+   * @param {ControlDefinition} options - see BaseControl plus
+   * @param {string} options.label
+   * @param {number} options.maxLength - maximum number of characters.
+   */
+  constructor(options) {
+    super(options);
+    this._element = this.buildElement(options);
+    this.#textInput.value = this.value ?? '';
+    this._element.addEventListener('input', (eventUnused) => {
+      this.value = this.#textInput.value;
+      if (options.onChange) {
+        options.onChange(this.value);
+      }
+    });
+  }
+
+  /**
+   * Build the element
+   * @param {Object} options - see Constructor.
+   * @returns {Element}
+   */
+  buildElement(options) {
+    const textContainer = document.createElement('span');
+    textContainer.className = 'styled-text';
+    this.#textInput = document.createElement('input');
+    this.#textInput.setAttribute('type', 'text');
+    if (options.maxLength) {
+      this.#textInput.setAttribute('maxlength', options.maxLength);
+    }
+    textContainer.appendChild(this.#textInput);
+    const element = document.createElement('label');
+    element.appendChild(document.createTextNode(options.label));
+    element.appendChild(textContainer);
+    return element;
+  }
+}
+
 /**
  * Control UI types.
  * @enum {string}
@@ -304,6 +350,7 @@ export const ControlType = {
   TEXT_BUTTON: 'text button',
   CHECKBOX: 'checkbox',
   RANGE: 'range',
+  TEXT_INPUT: 'text input',
 };
 
 /**
@@ -334,6 +381,9 @@ export function createControl(definition) {
     case ControlType.TEXT_BUTTON:
       control = new TextButtonControl(definition);
       break;
+    case ControlType.TEXT_INPUT:
+      control = new TextInputControl(definition);
+      break;
     default:
       throw new Error(
         `Attempt to create unrecognised control type ${definition.controlType}`
@@ -0,0 +1,75 @@
+/**
+ * @file Functions for saving and loading files selected by the user.
+ *
+ * @module utils/dom/files
+ */
+/**
+ * License {@link https://opensource.org/license/mit/|MIT}
+ *
+ * Copyright 2024 Steve Butler (henspace.com).
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the “Software”), to deal in
+ * the Software without restriction, including without limitation the rights to use,
+ * copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the
+ * Software, and to permit persons to whom the Software is furnished to do so,
+ * subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED “AS IS”, WITHOUT WARRANTY OF ANY KIND,
+ * EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES
+ * OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT
+ * HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY,
+ * WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR
+ * OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+/**
+ * Download text as a file.
+ * @param {string} filename - suggested name for the file.
+ * @param {string} text
+ * @param {string} [mimeType = 'application/json']
+ */
+export function downloadTextFile(
+  filename,
+  text,
+  mimeType = 'application/json'
+) {
+  const url = URL.createObjectURL(new Blob([text], { type: mimeType }));
+  const anchor = document.createElement('a');
+  anchor.href = url;
+  anchor.download = filename;
+  document.body.appendChild(anchor);
+  anchor.click();
+  anchor.remove();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Let the user select a text file and read its contents.
+ * @param {string} accept - file types accepted, as used by the input element's
+ * accept attribute.
+ * @returns {Promise<string>} fulfils to the file contents or null if no file
+ * selected.
+ */
+export function selectTextFile(accept) {
+  return new Promise((resolve, reject) => {
+    const input = document.createElement('input');
+    input.setAttribute('type', 'file');
+    input.setAttribute('accept', accept);
+    input.addEventListener('change', () => {
+      const file = input.files?.[0];
+      if (file) {
+        file.text().then(resolve, reject);
+      } else {
+        resolve(null);
+      }
+    });
+    input.addEventListener('cancel', () => resolve(null));
+    input.click();
+  });
+}
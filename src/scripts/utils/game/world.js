@@ -266,7 +266,7 @@ function getOrganicActors() {
  * @returns {Map<Actor, Actor>}
  */
 function getArtefacts() {
-  return actors;
+  return artefacts;
 }
 
 /**
@@ -27,6 +27,7 @@
  * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR
  * OTHER DEALINGS IN THE SOFTWARE.
  */
+import RANDOM from './random.js';
 
 /**
  * Common angles
@@ -122,6 +123,15 @@ export function angleToEightPointCompass(angle) {
   return CompassEightPoint.W;
 }
 
+/**
+ * Get random number in the range [0, 1). This should be used in preference to
+ * Math.random so that the sequence can be reproduced from a seed.
+ * @returns {number}
+ */
+export function getRandom() {
+  return RANDOM.next();
+}
+
 /**
  * Get random number between min and max, inclusive
  * @param {number} min - inclusive minimum
@@ -131,7 +141,7 @@ export function angleToEightPointCompass(angle) {
 export function getRandomInt(min, max) {
   const minCeiled = Math.ceil(min);
   const maxFloored = Math.floor(max);
-  return Math.floor(Math.random() * (maxFloored - minCeiled) + minCeiled);
+  return Math.floor(RANDOM.next() * (maxFloored - minCeiled) + minCeiled);
 }
 
 /**
@@ -153,7 +163,7 @@ export function getRandomMember(array) {
 export function getRandomIntInclusive(min, max) {
   const minCeiled = Math.ceil(min);
   const maxFloored = Math.floor(max);
-  return Math.floor(Math.random() * (maxFloored - minCeiled + 1) + minCeiled);
+  return Math.floor(RANDOM.next() * (maxFloored - minCeiled + 1) + minCeiled);
 }
 
 /**
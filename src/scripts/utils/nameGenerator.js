@@ -126,7 +126,7 @@ const END_SOUNDS = [
  */
 export function getRandomName() {
   let name;
-  if (Math.random() < 0.5) {
+  if (maths.getRandom() < 0.5) {
     name =
       maths.getRandomMember(START_SOUNDS) +
       maths.getRandomMember(VOWEL_SOUNDS) +
@@ -29,6 +29,7 @@
  */
 import LOG from './logging.js';
 import { simple32 } from './hashes.js';
+import { createStorageAdapter } from './storageAdapters.js';
 
 /**
  * @typedef {Object} ObjectJSON
@@ -41,7 +42,7 @@ class PersistentData {
   /** @type {string} */
   #appCode = '';
 
-  /** @type {Storage}   */
+  /** @type {module:utils/storageAdapters~StorageAdapter}   */
   #storage;
   /**
    * Cached objects so they don't need to be reparsed.
@@ -50,7 +51,7 @@ class PersistentData {
   #cache;
 
   /**
-   * Create persistent data object.
+   * Create persistent data object. This uses localStorage until initialised.
    * @param {string}  appCode - unique code for this app
    */
   constructor(appCode) {
@@ -59,6 +60,20 @@ class PersistentData {
     this.#cache = new Map();
   }
 
+  /**
+   * Switch to the best storage available. IndexedDB is preferred, with any
+   * existing data being moved into it from localStorage, but localStorage is
+   * used if IndexedDB is unavailable. This should complete before any data is
+   * read.
+   * @returns {Promise} fulfils to undefined when complete.
+   */
+  initialise() {
+    return createStorageAdapter(this.#appCode).then((storage) => {
+      this.#storage = storage;
+      this.#cache.clear();
+    });
+  }
+
   /**
    * Converts key to one unique to this app.
    * @param {string} key
@@ -107,6 +122,20 @@ class PersistentData {
     return value;
   }
 
+  /**
+   * Remove a value.
+   * @param {string} key
+   */
+  remove(key) {
+    key = this.toAppKey(key);
+    this.#cache.delete(key);
+    try {
+      this.#storage.removeItem(key);
+    } catch (error) {
+      LOG.error(`Cannot remove setting. ${error.message}`);
+    }
+  }
+
   /**
    * Clear everything
    */
@@ -118,7 +147,7 @@ class PersistentData {
 
   /**
    * Set the storage object. This is normally only used for test purposes.
-   * @param {Storage} storage
+   * @param {module:utils/storageAdapters~StorageAdapter} storage
    */
   setStorage(storage) {
     this.#storage = storage;
@@ -36,6 +36,7 @@ const mockedStorage = (() => {
   return {
     getItem: jest.fn((key) => map.get(key)),
     setItem: jest.fn((key, value) => map.set(key, value)),
+    removeItem: jest.fn((key) => map.delete(key)),
     clear: jest.fn(() => map.clear()),
   };
 })();
@@ -164,3 +165,11 @@ test('Get invalid checksum returns default', () => {
   const result = PERSISTENT_DATA.get(key, defValue);
   expect(result).toBe(defValue);
 });
+
+test('Remove deletes stored and cached value', () => {
+  const key = 'My key';
+  PERSISTENT_DATA.set(key, 'Test data');
+  PERSISTENT_DATA.remove(key);
+  expect(mockedStorage.getItem(`ClickAndCrawl_${key}`)).toBeUndefined();
+  expect(PERSISTENT_DATA.get(key, 'default')).toEqual('default');
+});
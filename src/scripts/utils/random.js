@@ -0,0 +1,264 @@
+/**
+ * @file Seedable pseudo random number generation
+ *
+ * @module utils/random
+ */
+/**
+ * license {@link https://opensource.org/license/mit/|MIT}
+ * Copyright 2024 Steve Butler (henspace.com).
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the “Software”), to deal in
+ * the Software without restriction, including without limitation the rights to use,
+ * copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the
+ * Software, and to permit persons to whom the Software is furnished to do so,
+ * subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED “AS IS”, WITHOUT WARRANTY OF ANY KIND,
+ * EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES
+ * OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT
+ * HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY,
+ * WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR
+ * OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+import { simple32 } from './hashes.js';
+
+/**
+ * @typedef {Object} RandomGenerator
+ * @property {function():number} next - returns a number in the range [0, 1).
+ */
+
+/**
+ * Characters used when generating new seeds. Ambiguous characters such as 0, O,
+ * 1 and I are excluded so seeds can be read out and typed in reliably.
+ * @type {string}
+ */
+const SEED_CHARACTERS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+/** @type {number} */
+const SEED_LENGTH = 8;
+
+/**
+ * Mulberry32 generator. This is a small, fast generator with a 32 bit state
+ * which is more than adequate for games.
+ * See {@link https://github.com/bryc/code/blob/master/jshash/PRNGs.md#mulberry32}
+ * @implements {RandomGenerator}
+ */
+export class Mulberry32 {
+  /** @type {number} */
+  #state;
+
+  /**
+   * Create the generator.
+   * @param {number} seed - 32 bit integer seed.
+   */
+  constructor(seed) {
+    this.#state = seed | 0;
+  }
+
+  /**
+   * Get the next number.
+   * @returns {number} number in the range [0, 1).
+   */
+  next() {
+    this.#state = (this.#state + 0x6d2b79f5) | 0;
+    let t = this.#state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+}
+
+/**
+ * Convert a seed string into a 32 bit integer.
+ * @param {string} seed
+ * @returns {number}
+ */
+function seedToInt(seed) {
+  return parseInt(simple32(seed), 16);
+}
+
+/**
+ * Create a new random seed. This is the only place where the built-in
+ * `Math.random` should be used.
+ * @returns {string}
+ */
+export function createSeed() {
+  let seed = '';
+  for (let n = 0; n < SEED_LENGTH; n++) {
+    seed += SEED_CHARACTERS.charAt(
+      Math.floor(Math.random() * SEED_CHARACTERS.length)
+    );
+  }
+  return seed;
+}
+
+/**
+ * Tidy a seed entered by the user. Whitespace is removed and the seed is
+ * converted to uppercase so that seeds are not case sensitive.
+ * @param {string} seed
+ * @returns {string} normalised seed. Empty string if seed is not valid.
+ */
+export function normaliseSeed(seed) {
+  return (seed ?? '').toString().replace(/\s/g, '').toUpperCase();
+}
+
+/**
+ * Source of all random numbers used by the game. The source is seeded so that
+ * runs can be reproduced. Streams can be restarted for a given key, e.g. a
+ * dungeon floor, so that the content generated for that key does not depend
+ * on how many random numbers have been consumed elsewhere.
+ */
+class RandomSource {
+  /** @type {string} */
+  #seed;
+  /** @type {RandomGenerator} */
+  #generator;
+  /** @type {function(number):RandomGenerator} */
+  #generatorFactory;
+  /**
+   * Seed requested by the user for the next run.
+   * @type {string}
+   */
+  #requestedSeed;
+  /**
+   * Key of the current stream. Null if the stream started from the seed alone.
+   * @type {string}
+   */
+  #streamKey;
+  /**
+   * Number of values drawn since the stream started.
+   * @type {number}
+   */
+  #drawCount;
+
+  /**
+   * Create the source.
+   * @param {function(number):RandomGenerator} generatorFactory - factory to
+   * create generators from a 32 bit integer seed.
+   */
+  constructor(generatorFactory) {
+    this.#generatorFactory = generatorFactory;
+    this.setSeed(createSeed());
+  }
+
+  /**
+   * Set the factory used to create the underlying generator. The current seed
+   * is reapplied.
+   * @param {function(number):RandomGenerator} generatorFactory
+   */
+  setGeneratorFactory(generatorFactory) {
+    this.#generatorFactory = generatorFactory;
+    this.setSeed(this.#seed);
+  }
+
+  /**
+   * Set the seed. This restarts the sequence.
+   * @param {string} seed
+   */
+  setSeed(seed) {
+    this.#seed = normaliseSeed(seed) || createSeed();
+    this.#generator = this.#generatorFactory(seedToInt(this.#seed));
+    this.#streamKey = null;
+    this.#drawCount = 0;
+  }
+
+  /**
+   * Get the current seed.
+   * @returns {string}
+   */
+  getSeed() {
+    return this.#seed;
+  }
+
+  /**
+   * Restart the sequence for a particular key. The resulting sequence depends
+   * only on the seed and the key.
+   * @param {string} key
+   */
+  restartStream(key) {
+    this.#generator = this.#generatorFactory(seedToInt(`${this.#seed}:${key}`));
+    this.#streamKey = key;
+    this.#drawCount = 0;
+  }
+
+  /**
+   * @typedef {Object} StreamPosition
+   * @property {string} key - stream key. Null if started from the seed alone.
+   * @property {number} count - number of values drawn from the stream.
+   */
+
+  /**
+   * Get the position in the current stream. This allows a saved game to
+   * continue the sequence where it left off.
+   * @returns {StreamPosition}
+   */
+  getStreamPosition() {
+    return { key: this.#streamKey, count: this.#drawCount };
+  }
+
+  /**
+   * Move to a position previously returned by getStreamPosition. The seed
+   * must already have been set.
+   * @param {StreamPosition} position
+   */
+  setStreamPosition(position) {
+    if (position.key === null) {
+      this.setSeed(this.#seed);
+    } else {
+      this.restartStream(position.key);
+    }
+    for (let n = 0; n < position.count; n++) {
+      this.next();
+    }
+  }
+
+  /**
+   * Request a seed for the next run. Set to a falsy value to clear.
+   * @param {string} seed
+   */
+  requestSeed(seed) {
+    this.#requestedSeed = normaliseSeed(seed);
+  }
+
+  /**
+   * Get the seed that has been requested for the next run.
+   * @returns {string} empty string or undefined if none.
+   */
+  getRequestedSeed() {
+    return this.#requestedSeed;
+  }
+
+  /**
+   * Prepare for a new run. The requested seed is used if set, otherwise a
+   * new seed is created. The requested seed is cleared.
+   * @returns {string} the seed in use.
+   */
+  startNewRun() {
+    this.setSeed(this.#requestedSeed || createSeed());
+    this.#requestedSeed = undefined;
+    return this.#seed;
+  }
+
+  /**
+   * Get the next random number.
+   * @returns {number} number in the range [0, 1).
+   */
+  next() {
+    this.#drawCount++;
+    return this.#generator.next();
+  }
+}
+
+/**
+ * The random number singleton.
+ */
+const RANDOM = new RandomSource((seed) => new Mulberry32(seed));
+
+export default RANDOM;
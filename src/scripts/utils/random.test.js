@@ -0,0 +1,143 @@
+/**
+ * @file Test seedable random numbers
+ *
+ * @module utils/random.test
+ */
+/**
+ * license {@link https://opensource.org/license/mit/|MIT}
+ * Copyright 2024 Steve Butler (henspace.com).
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the “Software”), to deal in
+ * the Software without restriction, including without limitation the rights to use,
+ * copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the
+ * Software, and to permit persons to whom the Software is furnished to do so,
+ * subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED “AS IS”, WITHOUT WARRANTY OF ANY KIND,
+ * EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES
+ * OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT
+ * HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY,
+ * WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR
+ * OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+import { test, expect } from '@jest/globals';
+import RANDOM, { Mulberry32, createSeed, normaliseSeed } from './random.js';
+import * as maths from './maths.js';
+
+/**
+ * Get a sequence of numbers from the RANDOM singleton.
+ * @param {number} length
+ * @returns {number[]}
+ */
+function getSequence(length) {
+  const result = [];
+  for (let n = 0; n < length; n++) {
+    result.push(RANDOM.next());
+  }
+  return result;
+}
+
+test('Mulberry32: same seed gives same sequence', () => {
+  const generatorA = new Mulberry32(1234);
+  const generatorB = new Mulberry32(1234);
+  for (let n = 0; n < 100; n++) {
+    const value = generatorA.next();
+    expect(value).toBeGreaterThanOrEqual(0);
+    expect(value).toBeLessThan(1);
+    expect(generatorB.next()).toEqual(value);
+  }
+});
+
+test('Mulberry32: different seeds give different sequences', () => {
+  const generatorA = new Mulberry32(1234);
+  const generatorB = new Mulberry32(1235);
+  expect(generatorA.next()).not.toEqual(generatorB.next());
+});
+
+test('createSeed', () => {
+  const seed = createSeed();
+  expect(seed).toMatch(/^[A-Z2-9]{8}$/);
+  expect(normaliseSeed(seed)).toEqual(seed);
+});
+
+test('normaliseSeed', () => {
+  expect(normaliseSeed(' ab c1 ')).toEqual('ABC1');
+  expect(normaliseSeed(undefined)).toEqual('');
+  expect(normaliseSeed(42)).toEqual('42');
+});
+
+test('RANDOM: setSeed reproduces sequence', () => {
+  RANDOM.setSeed('test seed');
+  expect(RANDOM.getSeed()).toEqual('TESTSEED');
+  const first = getSequence(20);
+  RANDOM.setSeed('testseed');
+  expect(getSequence(20)).toEqual(first);
+  RANDOM.setSeed('other');
+  expect(getSequence(20)).not.toEqual(first);
+});
+
+test('RANDOM: blank seed creates new seed', () => {
+  RANDOM.setSeed('');
+  expect(RANDOM.getSeed()).toMatch(/^[A-Z2-9]{8}$/);
+});
+
+test('RANDOM: restartStream independent of consumption', () => {
+  RANDOM.setSeed('ABC');
+  RANDOM.restartStream('SCENE 3');
+  const expected = getSequence(10);
+  RANDOM.setSeed('ABC');
+  getSequence(57);
+  RANDOM.restartStream('SCENE 3');
+  expect(getSequence(10)).toEqual(expected);
+  RANDOM.restartStream('SCENE 4');
+  expect(getSequence(10)).not.toEqual(expected);
+});
+
+test('RANDOM: startNewRun uses requested seed once', () => {
+  RANDOM.requestSeed('my dungeon');
+  expect(RANDOM.getRequestedSeed()).toEqual('MYDUNGEON');
+  expect(RANDOM.startNewRun()).toEqual('MYDUNGEON');
+  expect(RANDOM.getRequestedSeed()).toBeUndefined();
+  expect(RANDOM.startNewRun()).not.toEqual('MYDUNGEON');
+});
+
+test('RANDOM: setGeneratorFactory', () => {
+  let value = 0;
+  RANDOM.setGeneratorFactory(() => ({ next: () => (value += 0.25) % 1 }));
+  expect(maths.getRandomInt(0, 4)).toEqual(1);
+  expect(maths.getRandomIntInclusive(0, 3)).toEqual(2);
+  RANDOM.setGeneratorFactory((seed) => new Mulberry32(seed));
+});
+
+test('maths: random functions reproducible from seed', () => {
+  RANDOM.setSeed('DICE');
+  const first = [];
+  for (let n = 0; n < 50; n++) {
+    first.push(maths.getRandomIntInclusive(1, 20));
+  }
+  RANDOM.setSeed('DICE');
+  for (let n = 0; n < 50; n++) {
+    expect(maths.getRandomIntInclusive(1, 20)).toEqual(first[n]);
+  }
+});
+
+test('RANDOM: setStreamPosition continues sequence', () => {
+  RANDOM.setSeed('SAVE ME');
+  RANDOM.restartStream('SCENE 3');
+  for (let n = 0; n < 7; n++) {
+    RANDOM.next();
+  }
+  const position = RANDOM.getStreamPosition();
+  expect(position).toEqual({ key: 'SCENE 3', count: 7 });
+  const expected = [RANDOM.next(), RANDOM.next()];
+  RANDOM.restartStream('OTHER');
+  RANDOM.setStreamPosition(position);
+  expect([RANDOM.next(), RANDOM.next()]).toEqual(expected);
+});
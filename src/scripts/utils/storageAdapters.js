@@ -0,0 +1,225 @@
+/**
+ * @file Storage adapters used by persistent data.
+ *
+ * @module utils/storageAdapters
+ */
+/**
+ * License {@link https://opensource.org/license/mit/|MIT}
+ *
+ * Copyright 2024 Steve Butler (henspace.com).
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the “Software”), to deal in
+ * the Software without restriction, including without limitation the rights to use,
+ * copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the
+ * Software, and to permit persons to whom the Software is furnished to do so,
+ * subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED “AS IS”, WITHOUT WARRANTY OF ANY KIND,
+ * EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES
+ * OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT
+ * HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY,
+ * WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR
+ * OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+import LOG from './logging.js';
+
+/**
+ * Synchronous key-value storage used by persistent data. This matches the
+ * parts of the Web Storage interface that are used, so localStorage can be
+ * used as an adapter directly.
+ * @typedef {Object} StorageAdapter
+ * @property {function(string):string} getItem - returns null if not present.
+ * @property {function(string, string)} setItem
+ * @property {function(string)} removeItem
+ * @property {function()} clear - removes all items.
+ */
+
+/** @type {number} */
+const DB_VERSION = 1;
+
+/** @type {string} */
+const STORE_NAME = 'keyValues';
+
+/**
+ * Convert an IndexedDB request into a promise.
+ * @param {IDBRequest} request
+ * @returns {Promise<*>} fulfils to the request's result.
+ */
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Storage that keeps its items in IndexedDB. All items are held in memory so
+ * that reads are synchronous. Writes update memory immediately and are then
+ * written to the database in the background, so they do not block the main
+ * thread.
+ * @implements {StorageAdapter}
+ */
+export class IndexedDbStorage {
+  /** @type {IDBDatabase} */
+  #db;
+  /** @type {Map<string, string>} */
+  #items;
+
+  /**
+   * Create the storage. Use IndexedDbStorage.open rather than calling this
+   * directly.
+   * @param {IDBDatabase} db
+   * @param {Map<string, string>} items - items already in the database.
+   */
+  constructor(db, items) {
+    this.#db = db;
+    this.#items = items;
+  }
+
+  /**
+   * Open the database and load its contents. Any items for the app still held
+   * in the legacy storage are moved into the database and then removed from
+   * the legacy storage, so this only happens once.
+   * @param {string} appCode - used for the database name and to identify the
+   * app's legacy keys.
+   * @param {IDBFactory} factory - normally window.indexedDB.
+   * @param {Storage} legacyStorage - normally localStorage.
+   * @returns {Promise<IndexedDbStorage>}
+   */
+  static open(appCode, factory, legacyStorage) {
+    const request = factory.open(appCode, DB_VERSION);
+    request.onupgradeneeded = () => {
+      if (!request.result.objectStoreNames.contains(STORE_NAME)) {
+        request.result.createObjectStore(STORE_NAME);
+      }
+    };
+    return requestToPromise(request)
+      .then((db) => {
+        const store = db
+          .transaction(STORE_NAME, 'readonly')
+          .objectStore(STORE_NAME);
+        return Promise.all([
+          requestToPromise(store.getAllKeys()),
+          requestToPromise(store.getAll()),
+        ]).then(([keys, values]) => {
+          const items = new Map();
+          keys.forEach((key, index) => items.set(key, values[index]));
+          return new IndexedDbStorage(db, items);
+        });
+      })
+      .then((storage) =>
+        storage.#migrate(`${appCode}_`, legacyStorage).then(() => storage)
+      );
+  }
+
+  /**
+   * Move items from legacy storage into this storage.
+   * @param {string} prefix - only keys starting with this are moved.
+   * @param {Storage} legacyStorage
+   * @returns {Promise} fulfils when the items have been written.
+   */
+  #migrate(prefix, legacyStorage) {
+    const keys = [];
+    for (let index = 0; index < (legacyStorage?.length ?? 0); index++) {
+      const key = legacyStorage.key(index);
+      if (key.startsWith(prefix)) {
+        keys.push(key);
+      }
+    }
+    if (keys.length === 0) {
+      return Promise.resolve();
+    }
+    const transaction = this.#db.transaction(STORE_NAME, 'readwrite');
+    const store = transaction.objectStore(STORE_NAME);
+    keys.forEach((key) => {
+      const value = legacyStorage.getItem(key);
+      this.#items.set(key, value);
+      store.put(value, key);
+    });
+    return new Promise((resolve, reject) => {
+      transaction.oncomplete = () => {
+        keys.forEach((key) => legacyStorage.removeItem(key));
+        LOG.info(`Moved ${keys.length} items from localStorage to IndexedDB.`);
+        resolve();
+      };
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * Write a change to the database in the background.
+   * @param {function(IDBObjectStore)} change
+   */
+  #write(change) {
+    const transaction = this.#db.transaction(STORE_NAME, 'readwrite');
+    transaction.onerror = () =>
+      LOG.error(`Unable to write to IndexedDB. ${transaction.error?.message}`);
+    change(transaction.objectStore(STORE_NAME));
+  }
+
+  /**
+   * @param {string} key
+   * @returns {string} null if not present.
+   */
+  getItem(key) {
+    return this.#items.get(key) ?? null;
+  }
+
+  /**
+   * @param {string} key
+   * @param {string} value
+   */
+  setItem(key, value) {
+    this.#items.set(key, value);
+    this.#write((store) => store.put(value, key));
+  }
+
+  /**
+   * @param {string} key
+   */
+  removeItem(key) {
+    this.#items.delete(key);
+    this.#write((store) => store.delete(key));
+  }
+
+  /**
+   * Remove all items.
+   */
+  clear() {
+    this.#items.clear();
+    this.#write((store) => store.clear());
+  }
+}
+
+/**
+ * Create the best storage available. IndexedDB is used if available;
+ * otherwise localStorage.
+ * @param {string} appCode
+ * @param {Object} [environment] - normally only set for testing.
+ * @param {IDBFactory} environment.indexedDB
+ * @param {Storage} environment.localStorage
+ * @returns {Promise<StorageAdapter>}
+ */
+export function createStorageAdapter(appCode, environment = globalThis) {
+  const legacyStorage = environment.localStorage;
+  if (!environment.indexedDB) {
+    LOG.info('IndexedDB not available. Using localStorage.');
+    return Promise.resolve(legacyStorage);
+  }
+  return IndexedDbStorage.open(appCode, environment.indexedDB, legacyStorage)
+    .then((storage) => {
+      LOG.info('Using IndexedDB for storage.');
+      return storage;
+    })
+    .catch((error) => {
+      LOG.error(`Unable to open IndexedDB. Using localStorage. ${error}`);
+      return legacyStorage;
+    });
+}
@@ -0,0 +1,150 @@
+/**
+ * @file Test storage adapters
+ *
+ * @module utils/storageAdapters.test
+ */
+/**
+ * license {@link https://opensource.org/license/mit/|MIT}
+ * Copyright 2024 Steve Butler (henspace.com).
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the “Software”), to deal in
+ * the Software without restriction, including without limitation the rights to use,
+ * copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the
+ * Software, and to permit persons to whom the Software is furnished to do so,
+ * subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED “AS IS”, WITHOUT WARRANTY OF ANY KIND,
+ * EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES
+ * OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT
+ * HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY,
+ * WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR
+ * OTHER DEALINGS IN THE SOFTWARE.
+ */
+import { beforeEach, test, expect } from '@jest/globals';
+import { createStorageAdapter, IndexedDbStorage } from './storageAdapters.js';
+
+/**
+ * Create a request whose result is delivered asynchronously.
+ * @param {function():*} getResult - throws to signal an error.
+ * @returns {Object}
+ */
+function createFakeRequest(getResult) {
+  const request = {};
+  setTimeout(() => {
+    try {
+      request.result = getResult();
+    } catch (error) {
+      request.error = error;
+      request.onerror?.();
+      return;
+    }
+    request.onupgradeneeded?.();
+    request.onsuccess?.();
+  }, 0);
+  return request;
+}
+
+/**
+ * Minimal in-memory stand in for window.indexedDB.
+ * @param {boolean} failOpen - if true, opening the database fails.
+ * @returns {Object}
+ */
+function createFakeIndexedDb(failOpen = false) {
+  const stores = new Map();
+  const db = {
+    objectStoreNames: { contains: (name) => stores.has(name) },
+    createObjectStore: (name) => stores.set(name, new Map()),
+    transaction: (name) => {
+      const transaction = {};
+      const items = stores.get(name);
+      transaction.objectStore = () => ({
+        put: (value, key) => items.set(key, value),
+        delete: (key) => items.delete(key),
+        clear: () => items.clear(),
+        getAllKeys: () => createFakeRequest(() => [...items.keys()]),
+        getAll: () => createFakeRequest(() => [...items.values()]),
+      });
+      setTimeout(() => transaction.oncomplete?.(), 0);
+      return transaction;
+    },
+  };
+  return {
+    stores: stores,
+    open: () =>
+      createFakeRequest(() => {
+        if (failOpen) {
+          throw new Error('Open failed');
+        }
+        return db;
+      }),
+  };
+}
+
+/**
+ * Wait for background writes.
+ * @returns {Promise}
+ */
+function waitForWrites() {
+  return new Promise((resolve) => setTimeout(resolve, 0));
+}
+
+beforeEach(() => {
+  localStorage.clear();
+});
+
+test('createStorageAdapter falls back to localStorage if no IndexedDB', () => {
+  return createStorageAdapter('TestApp', {
+    localStorage: localStorage,
+  }).then((storage) => expect(storage).toBe(localStorage));
+});
+
+test('createStorageAdapter falls back to localStorage if IndexedDB fails', () => {
+  return createStorageAdapter('TestApp', {
+    indexedDB: createFakeIndexedDb(true),
+    localStorage: localStorage,
+  }).then((storage) => expect(storage).toBe(localStorage));
+});
+
+test('IndexedDbStorage moves app items from localStorage once', () => {
+  localStorage.setItem('TestApp_ONE', 'first');
+  localStorage.setItem('TestApp_TWO', 'second');
+  localStorage.setItem('OtherApp_ONE', 'other');
+  const factory = createFakeIndexedDb();
+  return IndexedDbStorage.open('TestApp', factory, localStorage).then(
+    (storage) => {
+      expect(storage.getItem('TestApp_ONE')).toBe('first');
+      expect(storage.getItem('TestApp_TWO')).toBe('second');
+      expect(storage.getItem('OtherApp_ONE')).toBeNull();
+      expect(localStorage.getItem('TestApp_ONE')).toBeNull();
+      expect(localStorage.getItem('OtherApp_ONE')).toBe('other');
+      expect(factory.stores.get('keyValues').get('TestApp_TWO')).toBe('second');
+    }
+  );
+});
+
+test('IndexedDbStorage writes changes to the database', async () => {
+  const factory = createFakeIndexedDb();
+  const storage = await IndexedDbStorage.open('TestApp', factory, localStorage);
+  storage.setItem('TestApp_ONE', 'first');
+  storage.setItem('TestApp_TWO', 'second');
+  storage.removeItem('TestApp_TWO');
+  expect(storage.getItem('TestApp_ONE')).toBe('first');
+  expect(storage.getItem('TestApp_TWO')).toBeNull();
+  await waitForWrites();
+  const reopened = await IndexedDbStorage.open(
+    'TestApp',
+    factory,
+    localStorage
+  );
+  expect(reopened.getItem('TestApp_ONE')).toBe('first');
+  expect(reopened.getItem('TestApp_TWO')).toBeNull();
+  reopened.clear();
+  expect(reopened.getItem('TestApp_ONE')).toBeNull();
+  expect(factory.stores.get('keyValues').size).toBe(0);
+});
@@ -0,0 +1,518 @@
+/**
+ * @file Room and corridor generator using binary space partitioning
+ *
+ * @module utils/tileMaps/bspRoomGenerator
+ */
+/**
+ * license {@link https://opensource.org/license/mit/|MIT}
+ * Copyright 2024 Steve Butler (henspace.com).
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the “Software”), to deal in
+ * the Software without restriction, including without limitation the rights to use,
+ * copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the
+ * Software, and to permit persons to whom the Software is furnished to do so,
+ * subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED “AS IS”, WITHOUT WARRANTY OF ANY KIND,
+ * EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES
+ * OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT
+ * HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY,
+ * WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR
+ * OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+import * as maths from '../maths.js';
+import * as arrayManip from '../arrays/arrayManip.js';
+import { SpecialSymbols } from './tilePlan.js';
+
+/**
+ * Rectangular area of the dungeon.
+ * @typedef {Object} Area
+ * @property {number} col - left column
+ * @property {number} row - top row
+ * @property {number} cols - number of columns
+ * @property {number} rows - number of rows
+ */
+
+/**
+ * Node in the partition tree. Leaf nodes have a room; other nodes have two
+ * children.
+ * @typedef {Object} PartitionNode
+ * @property {Area} area
+ * @property {PartitionNode} first
+ * @property {PartitionNode} second
+ * @property {Area} room - floor area of the room, excluding its walls.
+ */
+
+/**
+ * Class used to create rooms connected by corridors. The dungeon area is
+ * recursively split into two until the areas are small enough for a single
+ * room. Each room is then connected to its sibling in the partition tree so
+ * that all rooms are reachable. Additional corridors are added to create loops
+ * and dead ends.
+ */
+export class BspRoomCreator {
+  #maxCols;
+  #maxRows;
+  #minRoomCols;
+  #minRoomRows;
+  #maxRoomCols;
+  #maxRoomRows;
+  #loops;
+  #deadEnds;
+  /** @type {Array.string[]} */
+  #dungeon;
+  /** @type {Area[]} */
+  #rooms;
+
+  /**
+   * Create the generator. Room sizes include their walls.
+   * @param {Object} options
+   * @param {number} options.minCols
+   * @param {number} options.minRows
+   * @param {number} options.maxCols
+   * @param {number} options.maxRows
+   * @param {number} [options.minRoomCols = 4]
+   * @param {number} [options.minRoomRows = 4]
+   * @param {number} options.maxRoomCols
+   * @param {number} options.maxRoomRows
+   * @param {number} [options.loops] - additional corridors. Random 1 to 2 if
+   * not set.
+   * @param {number} [options.deadEnds] - corridors that lead nowhere. Random 1
+   * to 3 if not set.
+   */
+  constructor(options) {
+    this.#maxCols = maths.getRandomIntInclusive(
+      options.minCols,
+      options.maxCols
+    );
+    this.#maxRows = maths.getRandomIntInclusive(
+      options.minRows,
+      options.maxRows
+    );
+    this.#minRoomCols = Math.max(options.minRoomCols ?? 4, 3);
+    this.#minRoomRows = Math.max(options.minRoomRows ?? 4, 3);
+    this.#maxRoomCols = Math.max(options.maxRoomCols, this.#minRoomCols);
+    this.#maxRoomRows = Math.max(options.maxRoomRows, this.#minRoomRows);
+    this.#loops = options.loops ?? maths.getRandomIntInclusive(1, 2);
+    this.#deadEnds = options.deadEnds ?? maths.getRandomIntInclusive(1, 3);
+  }
+
+  /**
+   * Generate the dungeon.
+   * @returns {String[]}
+   */
+  generate() {
+    this.#dungeon = [];
+    for (let row = 0; row < this.#maxRows; row++) {
+      this.#dungeon.push(Array(this.#maxCols).fill(SpecialSymbols.VOID[0]));
+    }
+    this.#rooms = [];
+    const tree = this.#partition({
+      col: 0,
+      row: 0,
+      cols: this.#maxCols,
+      rows: this.#maxRows,
+    });
+    this.#rooms.forEach((room) => this.#carveArea(room));
+    this.#connect(tree);
+    this.#addLoops();
+    this.#addDeadEnds();
+    this.#buildWalls();
+    this.#locateDoors();
+    this.#crop();
+    return this.getMatrixAsStrings();
+  }
+
+  /**
+   * Convert matrix to a plan design.
+   * @returns {string[]}
+   */
+  getMatrixAsStrings() {
+    return this.#dungeon.map((columns) => columns.join(''));
+  }
+
+  /**
+   * Recursively split an area. Leaves are given a room.
+   * @param {Area} area
+   * @returns {PartitionNode}
+   */
+  #partition(area) {
+    const node = { area: area };
+    const canSplitCols = area.cols >= 2 * this.#minRoomCols + 1;
+    const canSplitRows = area.rows >= 2 * this.#minRoomRows + 1;
+    const needSplitCols = area.cols > this.#maxRoomCols + 1;
+    const needSplitRows = area.rows > this.#maxRoomRows + 1;
+    let splitCols;
+    if (canSplitCols && needSplitCols && canSplitRows && needSplitRows) {
+      splitCols =
+        area.cols / this.#maxRoomCols >= area.rows / this.#maxRoomRows;
+    } else if (canSplitCols && needSplitCols) {
+      splitCols = true;
+    } else if (canSplitRows && needSplitRows) {
+      splitCols = false;
+    } else {
+      node.room = this.#createRoom(area);
+      this.#rooms.push(node.room);
+      return node;
+    }
+    if (splitCols) {
+      const cols = maths.getRandomIntInclusive(
+        this.#minRoomCols,
+        area.cols - this.#minRoomCols - 1
+      );
+      node.first = this.#partition({ ...area, cols: cols });
+      node.second = this.#partition({
+        ...area,
+        col: area.col + cols + 1,
+        cols: area.cols - cols - 1,
+      });
+    } else {
+      const rows = maths.getRandomIntInclusive(
+        this.#minRoomRows,
+        area.rows - this.#minRoomRows - 1
+      );
+      node.first = this.#partition({ ...area, rows: rows });
+      node.second = this.#partition({
+        ...area,
+        row: area.row + rows + 1,
+        rows: area.rows - rows - 1,
+      });
+    }
+    return node;
+  }
+
+  /**
+   * Create a room within an area.
+   * @param {Area} area
+   * @returns {Area} the floor area of the room.
+   */
+  #createRoom(area) {
+    const cols = maths.getRandomIntInclusive(
+      Math.min(this.#minRoomCols, area.cols),
+      Math.min(this.#maxRoomCols, area.cols)
+    );
+    const rows = maths.getRandomIntInclusive(
+      Math.min(this.#minRoomRows, area.rows),
+      Math.min(this.#maxRoomRows, area.rows)
+    );
+    const col = maths.getRandomIntInclusive(
+      area.col,
+      area.col + area.cols - cols
+    );
+    const row = maths.getRandomIntInclusive(
+      area.row,
+      area.row + area.rows - rows
+    );
+    return { col: col + 1, row: row + 1, cols: cols - 2, rows: rows - 2 };
+  }
+
+  /**
+   * Connect the rooms in the tree. A room from each half of the tree is joined
+   * so every room can be reached.
+   * @param {PartitionNode} node
+   * @returns {Area[]} rooms within the node.
+   */
+  #connect(node) {
+    if (node.room) {
+      return [node.room];
+    }
+    const firstRooms = this.#connect(node.first);
+    const secondRooms = this.#connect(node.second);
+    this.#carveCorridor(
+      maths.getRandomMember(firstRooms),
+      maths.getRandomMember(secondRooms)
+    );
+    return [...firstRooms, ...secondRooms];
+  }
+
+  /**
+   * Add corridors between random rooms to create loops.
+   */
+  #addLoops() {
+    if (this.#rooms.length < 3) {
+      return;
+    }
+    for (let n = 0; n < this.#loops; n++) {
+      const rooms = arrayManip.randomise([...this.#rooms]);
+      this.#carveCorridor(rooms[0], rooms[1]);
+    }
+  }
+
+  /**
+   * Add corridors which lead nowhere.
+   */
+  #addDeadEnds() {
+    const directions = [
+      { dCol: 1, dRow: 0 },
+      { dCol: -1, dRow: 0 },
+      { dCol: 0, dRow: 1 },
+      { dCol: 0, dRow: -1 },
+    ];
+    for (let n = 0; n < this.#deadEnds; n++) {
+      const room = maths.getRandomMember(this.#rooms);
+      const direction = maths.getRandomMember(directions);
+      let point = this.#getRandomPointInRoom(room);
+      let length = maths.getRandomIntInclusive(3, 8);
+      while (length > 0) {
+        point = {
+          col: point.col + direction.dCol,
+          row: point.row + direction.dRow,
+        };
+        if (
+          point.col < 1 ||
+          point.col > this.#maxCols - 2 ||
+          point.row < 1 ||
+          point.row > this.#maxRows - 2
+        ) {
+          break;
+        }
+        if (!this.#isFloorChr(this.#dungeon[point.row][point.col])) {
+          length--;
+        }
+        this.#setFloor(point.col, point.row);
+      }
+    }
+  }
+
+  /**
+   * Carve an L shaped corridor between two rooms.
+   * @param {Area} roomA
+   * @param {Area} roomB
+   */
+  #carveCorridor(roomA, roomB) {
+    const start = this.#getRandomPointInRoom(roomA);
+    const end = this.#getRandomPointInRoom(roomB);
+    const horizontalFirst = maths.getRandom() < 0.5;
+    const corner = horizontalFirst
+      ? { col: end.col, row: start.row }
+      : { col: start.col, row: end.row };
+    this.#carveLine(start, corner);
+    this.#carveLine(corner, end);
+  }
+
+  /**
+   * Carve a horizontal or vertical line.
+   * @param {{col: number, row: number}} start
+   * @param {{col: number, row: number}} end
+   */
+  #carveLine(start, end) {
+    const dCol = Math.sign(end.col - start.col);
+    const dRow = Math.sign(end.row - start.row);
+    let col = start.col;
+    let row = start.row;
+    this.#setFloor(col, row);
+    while (col !== end.col || row !== end.row) {
+      col += dCol;
+      row += dRow;
+      this.#setFloor(col, row);
+    }
+  }
+
+  /**
+   * Fill an area with floor.
+   * @param {Area} area
+   */
+  #carveArea(area) {
+    for (let row = area.row; row < area.row + area.rows; row++) {
+      for (let col = area.col; col < area.col + area.cols; col++) {
+        this.#setFloor(col, row);
+      }
+    }
+  }
+
+  /**
+   * Set a floor tile unless already floor.
+   * @param {number} col
+   * @param {number} row
+   */
+  #setFloor(col, row) {
+    if (!this.#isFloorChr(this.#dungeon[row][col])) {
+      this.#dungeon[row][col] = maths.getRandomMember(SpecialSymbols.GROUND);
+    }
+  }
+
+  /**
+   * Get random point within a room.
+   * @param {Area} room
+   * @returns {{col: number, row: number}}
+   */
+  #getRandomPointInRoom(room) {
+    return {
+      col: maths.getRandomInt(room.col, room.col + room.cols),
+      row: maths.getRandomInt(room.row, room.row + room.rows),
+    };
+  }
+
+  /**
+   * Surround all floor tiles with walls.
+   */
+  #buildWalls() {
+    this.#dungeon.forEach((rowValue, rowIndex) =>
+      rowValue.forEach((colValue, colIndex) => {
+        if (!this.#isLandChr(colValue)) {
+          return;
+        }
+        const surrounds = arrayManip.getSurrounds(
+          this.#dungeon,
+          rowIndex,
+          colIndex
+        );
+        const besideFloor = Object.values(surrounds).some((chr) =>
+          this.#isFloorChr(chr)
+        );
+        if (besideFloor) {
+          this.#dungeon[rowIndex][colIndex] = maths.getRandomMember(
+            SpecialSymbols.WALL
+          );
+        }
+      })
+    );
+  }
+
+  /**
+   * Get the locations in a room's walls where a door can be placed. A door
+   * must be in a straight outer wall with floor on one side and nothing on
+   * the other.
+   * @param {Area} room
+   * @returns {{row: number, col: number}[]}
+   */
+  #getDoorLocations(room) {
+    const locations = [];
+    for (let row = room.row - 1; row <= room.row + room.rows; row++) {
+      for (let col = room.col - 1; col <= room.col + room.cols; col++) {
+        const surrounds = arrayManip.getSurrounds(this.#dungeon, row, col);
+        if (!this.#isWallChr(surrounds.centre)) {
+          continue;
+        }
+        const horizontal =
+          this.#isWallChr(surrounds.left) &&
+          this.#isWallChr(surrounds.right) &&
+          this.#isOutside(surrounds.above) !==
+            this.#isOutside(surrounds.below) &&
+          (this.#isFloorChr(surrounds.above) ||
+            this.#isFloorChr(surrounds.below));
+        const vertical =
+          this.#isWallChr(surrounds.above) &&
+          this.#isWallChr(surrounds.below) &&
+          this.#isOutside(surrounds.left) !==
+            this.#isOutside(surrounds.right) &&
+          (this.#isFloorChr(surrounds.left) ||
+            this.#isFloorChr(surrounds.right));
+        if (horizontal || vertical) {
+          locations.push({ row: row, col: col });
+        }
+      }
+    }
+    return locations;
+  }
+
+  /**
+   * Position the doors. The entrance is placed in a random room and the exit in
+   * the room furthest from it.
+   */
+  #locateDoors() {
+    const entranceRoom = maths.getRandomMember(this.#rooms);
+    const exitRoom = this.#rooms.reduce((furthest, room) =>
+      this.#roomSeparation(entranceRoom, room) >
+      this.#roomSeparation(entranceRoom, furthest)
+        ? room
+        : furthest
+    );
+    let entrance = maths.getRandomMember(this.#getDoorLocations(entranceRoom));
+    let exit = maths.getRandomMember(
+      this.#getDoorLocations(exitRoom).filter(
+        (location) =>
+          location.row !== entrance?.row || location.col !== entrance?.col
+      )
+    );
+    if (!entrance || !exit) {
+      const allLocations = arrayManip.randomise(
+        this.#rooms.flatMap((room) => this.#getDoorLocations(room))
+      );
+      entrance = allLocations[0];
+      exit = allLocations.find(
+        (location) =>
+          location.row !== entrance.row || location.col !== entrance.col
+      );
+    }
+    this.#dungeon[entrance.row][entrance.col] = maths.getRandomMember(
+      SpecialSymbols.DOOR_IN
+    );
+    this.#dungeon[exit.row][exit.col] = maths.getRandomMember(
+      SpecialSymbols.DOOR_OUT
+    );
+  }
+
+  /**
+   * Get the squared distance between the centres of two rooms.
+   * @param {Area} roomA
+   * @param {Area} roomB
+   * @returns {number}
+   */
+  #roomSeparation(roomA, roomB) {
+    const dCol = roomA.col + roomA.cols / 2 - (roomB.col + roomB.cols / 2);
+    const dRow = roomA.row + roomA.rows / 2 - (roomB.row + roomB.rows / 2);
+    return dCol * dCol + dRow * dRow;
+  }
+
+  /**
+   * Remove empty rows and columns from around the dungeon.
+   */
+  #crop() {
+    const isEmpty = (chrs) => chrs.every((chr) => this.#isLandChr(chr));
+    while (this.#dungeon.length > 0 && isEmpty(this.#dungeon[0])) {
+      this.#dungeon.shift();
+    }
+    while (this.#dungeon.length > 0 && isEmpty(this.#dungeon.at(-1))) {
+      this.#dungeon.pop();
+    }
+    if (this.#dungeon.length === 0) {
+      return;
+    }
+    while (isEmpty(this.#dungeon.map((columns) => columns[0]))) {
+      this.#dungeon.forEach((columns) => columns.shift());
+    }
+    while (isEmpty(this.#dungeon.map((columns) => columns.at(-1)))) {
+      this.#dungeon.forEach((columns) => columns.pop());
+    }
+  }
+
+  /** Test is a wall char.
+   * @param {string} char
+   * @returns {boolean}
+   */
+  #isWallChr(chr) {
+    return SpecialSymbols.WALL.includes(chr);
+  }
+
+  /** Test is a floor character.
+   * @param {string} char
+   * @returns {boolean}
+   */
+  #isFloorChr(chr) {
+    return SpecialSymbols.GROUND.includes(chr);
+  }
+
+  /** Test is a land character.
+   * @param {string} char
+   * @returns {boolean}
+   */
+  #isLandChr(chr) {
+    return SpecialSymbols.VOID.includes(chr);
+  }
+
+  /** Test if outside the dungeon. This is land or beyond the edge of the map.
+   * @param {string} char
+   * @returns {boolean}
+   */
+  #isOutside(chr) {
+    return chr === undefined || this.#isLandChr(chr);
+  }
+}
@@ -0,0 +1,131 @@
+/**
+ * @file Test BSP room generator
+ *
+ * @module utils/tileMaps/bspRoomGenerator.test
+ */
+/**
+ * license {@link https://opensource.org/license/mit/|MIT}
+ * Copyright 2024 Steve Butler (henspace.com).
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the “Software”), to deal in
+ * the Software without restriction, including without limitation the rights to use,
+ * copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the
+ * Software, and to permit persons to whom the Software is furnished to do so,
+ * subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED “AS IS”, WITHOUT WARRANTY OF ANY KIND,
+ * EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES
+ * OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT
+ * HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY,
+ * WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR
+ * OTHER DEALINGS IN THE SOFTWARE.
+ */
+import { BspRoomCreator } from './bspRoomGenerator.js';
+import { SpecialSymbols } from './tilePlan.js';
+import RANDOM from '../random.js';
+import { test, expect } from '@jest/globals';
+
+/**
+ * Find all the symbols in the design.
+ * @param {string[]} design
+ * @param {string[]} symbols
+ * @returns {{row: number, col: number}[]}
+ */
+function findSymbols(design, symbols) {
+  const result = [];
+  design.forEach((row, rowIndex) =>
+    row.split('').forEach((chr, colIndex) => {
+      if (symbols.includes(chr)) {
+        result.push({ row: rowIndex, col: colIndex });
+      }
+    })
+  );
+  return result;
+}
+
+/**
+ * Count the ground tiles reachable from a door.
+ * @param {string[]} design
+ * @param {{row: number, col: number}} door
+ * @returns {number}
+ */
+function countReachableGround(design, door) {
+  const visited = new Set();
+  const queue = [door];
+  while (queue.length > 0) {
+    const point = queue.shift();
+    for (const [dRow, dCol] of [
+      [0, 1],
+      [0, -1],
+      [1, 0],
+      [-1, 0],
+    ]) {
+      const row = point.row + dRow;
+      const col = point.col + dCol;
+      const key = `${row}|${col}`;
+      if (
+        !visited.has(key) &&
+        SpecialSymbols.GROUND.includes(design[row]?.[col])
+      ) {
+        visited.add(key);
+        queue.push({ row: row, col: col });
+      }
+    }
+  }
+  return visited.size;
+}
+
+const OPTIONS = {
+  minCols: 12,
+  maxCols: 40,
+  maxRoomCols: 10,
+  minRows: 12,
+  maxRows: 40,
+  maxRoomRows: 6,
+};
+
+test('BspRoomCreator creates connected dungeon with one entrance and exit', () => {
+  for (let n = 0; n < 50; n++) {
+    RANDOM.setSeed(`BSP${n}`);
+    const design = new BspRoomCreator(OPTIONS).generate();
+    expect(design.length).toBeGreaterThan(2);
+    expect(design.length).toBeLessThanOrEqual(40);
+    design.forEach((row) => expect(row.length).toBe(design[0].length));
+
+    const entrances = findSymbols(design, SpecialSymbols.DOOR_IN);
+    const exits = findSymbols(design, SpecialSymbols.DOOR_OUT);
+    expect(entrances.length).toBe(1);
+    expect(exits.length).toBe(1);
+
+    const totalGround = findSymbols(design, SpecialSymbols.GROUND).length;
+    expect(countReachableGround(design, entrances[0])).toBe(totalGround);
+    expect(countReachableGround(design, exits[0])).toBe(totalGround);
+  }
+});
+
+test('BspRoomCreator ground is enclosed by walls', () => {
+  RANDOM.setSeed('ENCLOSED');
+  const design = new BspRoomCreator(OPTIONS).generate();
+  findSymbols(design, SpecialSymbols.GROUND).forEach((point) => {
+    for (let dRow = -1; dRow <= 1; dRow++) {
+      for (let dCol = -1; dCol <= 1; dCol++) {
+        const chr = design[point.row + dRow]?.[point.col + dCol];
+        expect(chr).toBeDefined();
+        expect(SpecialSymbols.VOID.includes(chr)).toBe(false);
+      }
+    }
+  });
+});
+
+test('BspRoomCreator reproducible from seed', () => {
+  RANDOM.setSeed('SAME');
+  const first = new BspRoomCreator(OPTIONS).generate();
+  RANDOM.setSeed('SAME');
+  expect(new BspRoomCreator(OPTIONS).generate()).toEqual(first);
+});
@@ -0,0 +1,101 @@
+/**
+ * @file Small thumbnail images of map designs.
+ *
+ * @module utils/tileMaps/mapThumbnail
+ */
+/**
+ * License {@link https://opensource.org/license/mit/|MIT}
+ *
+ * Copyright 2024 Steve Butler
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the “Software”), to deal in
+ * the Software without restriction, including without limitation the rights to use,
+ * copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the
+ * Software, and to permit persons to whom the Software is furnished to do so,
+ * subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED “AS IS”, WITHOUT WARRANTY OF ANY KIND,
+ * EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES
+ * OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT
+ * HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY,
+ * WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR
+ * OTHER DEALINGS IN THE SOFTWARE.
+ */
+
+import { SpecialSymbols } from './tilePlan.js';
+import { Colours } from '../../constants/canvasStyles.js';
+import LOG from '../logging.js';
+
+/** @type {number} */
+const DEFAULT_PIXELS_PER_TILE = 2;
+
+/**
+ * Get the colour used to represent a symbol.
+ * @param {string} symbol
+ * @returns {string} undefined if the symbol is not drawn.
+ */
+function getSymbolColour(symbol) {
+  if (SpecialSymbols.WALL.includes(symbol)) {
+    return Colours.THUMBNAIL_WALL;
+  } else if (SpecialSymbols.GROUND.includes(symbol)) {
+    return Colours.THUMBNAIL_GROUND;
+  } else if (
+    SpecialSymbols.DOOR_IN.includes(symbol) ||
+    SpecialSymbols.DOOR_OUT.includes(symbol) ||
+    SpecialSymbols.STAIRS_UP.includes(symbol) ||
+    SpecialSymbols.STAIRS_DOWN.includes(symbol)
+  ) {
+    return Colours.THUMBNAIL_DOOR;
+  }
+  return undefined;
+}
+
+/**
+ * Create a thumbnail of a map design. Each tile is drawn as a small block of
+ * colour.
+ * @param {string[]} mapDesign
+ * @param {number} [pixelsPerTile = DEFAULT_PIXELS_PER_TILE]
+ * @returns {string} PNG data URL or null if the thumbnail cannot be created.
+ */
+export function createMapThumbnail(
+  mapDesign,
+  pixelsPerTile = DEFAULT_PIXELS_PER_TILE
+) {
+  if (!mapDesign?.length) {
+    return null;
+  }
+  const columns = Math.max(...mapDesign.map((row) => row.length));
+  const canvas = document.createElement('canvas');
+  canvas.width = columns * pixelsPerTile;
+  canvas.height = mapDesign.length * pixelsPerTile;
+  let context;
+  try {
+    context = canvas.getContext('2d');
+  } catch (error) {
+    LOG.debug(`Unable to create thumbnail. ${error.message}`);
+  }
+  if (!context) {
+    return null;
+  }
+  mapDesign.forEach((row, rowIndex) => {
+    [...row].forEach((symbol, colIndex) => {
+      const colour = getSymbolColour(symbol);
+      if (colour) {
+        context.fillStyle = colour;
+        context.fillRect(
+          colIndex * pixelsPerTile,
+          rowIndex * pixelsPerTile,
+          pixelsPerTile,
+          pixelsPerTile
+        );
+      }
+    });
+  });
+  return canvas.toDataURL('image/png');
+}
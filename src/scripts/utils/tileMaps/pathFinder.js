@@ -31,6 +31,95 @@
 import { Point } from '../geometry.js';
 import * as maths from '../maths.js';
 
+/**
+ * Steps to the orthogonal neighbours of a tile: up, right, down and left.
+ * @type {number[][]}
+ */
+const ORTHOGONAL_STEPS = [
+  [0, -1],
+  [1, 0],
+  [0, 1],
+  [-1, 0],
+];
+
+/**
+ * Node in an A* search.
+ * @typedef {Object} SearchNode
+ * @property {Point} point - grid point.
+ * @property {number} cost - number of moves from the start.
+ * @property {number} estimate - cost plus the estimated moves remaining.
+ */
+
+/**
+ * Minimal binary heap of search nodes ordered by their estimates.
+ */
+class SearchQueue {
+  /** @type {SearchNode[]} */
+  #nodes = [];
+
+  /**
+   * @returns {boolean}
+   */
+  isEmpty() {
+    return this.#nodes.length === 0;
+  }
+
+  /**
+   * Add a node.
+   * @param {SearchNode} node
+   */
+  push(node) {
+    const nodes = this.#nodes;
+    nodes.push(node);
+    let index = nodes.length - 1;
+    while (index > 0) {
+      const parent = (index - 1) >> 1;
+      if (nodes[parent].estimate <= nodes[index].estimate) {
+        break;
+      }
+      [nodes[parent], nodes[index]] = [nodes[index], nodes[parent]];
+      index = parent;
+    }
+  }
+
+  /**
+   * Remove the node with the lowest estimate.
+   * @returns {SearchNode}
+   */
+  pop() {
+    const nodes = this.#nodes;
+    const top = nodes[0];
+    const last = nodes.pop();
+    if (nodes.length > 0) {
+      nodes[0] = last;
+      let index = 0;
+      for (;;) {
+        const left = 2 * index + 1;
+        const right = left + 1;
+        let smallest = index;
+        if (
+          left < nodes.length &&
+          nodes[left].estimate < nodes[smallest].estimate
+        ) {
+          smallest = left;
+        }
+        if (
+          right < nodes.length &&
+          nodes[right].estimate < nodes[smallest].estimate
+        ) {
+          smallest = right;
+        }
+        if (smallest === index) {
+          break;
+        }
+        [nodes[smallest], nodes[index]] = [nodes[index], nodes[smallest]];
+        index = smallest;
+      }
+    }
+    return top;
+  }
+}
+
 /**
  * Map of located routes.
  * Note that all points are grid references NOT WORLD POINTS.
@@ -153,12 +242,8 @@ export class Routes {
 export class RouteFinder {
   /** Actor trying to find routes. @type {module:players/actors~Actor} */
   actor;
-  /** @type {Route[]} */
-  #routes;
   /** @type {module:utils/tileMaps/tileMap~TileMap} */
   #tileMap;
-  /** @type {Point} */
-  #startPoint;
 
   /** Create the route finder.
    * @param {module:utils/tileMaps/tileMap~TileMap} tileMap
@@ -192,7 +277,7 @@ export class RouteFinder {
     let dX = Math.sign(destination.x - startingGridPoint.x);
     let dY = Math.sign(destination.y - startingGridPoint.y);
     let waypoint = Point.copy(startingGridPoint);
-    let movingX = Math.random() < 0.5;
+    let movingX = maths.getRandom() < 0.5;
     let consecutiveFails = 0;
     while (maxMove > 0) {
       let nextPoint = Point.copy(waypoint);
@@ -231,58 +316,146 @@ export class RouteFinder {
   }
 
   /**
-   * Get all available routes as a Map of paths.
+   * Find the shortest route to a tile next to the target grid point using an
+   * A* search. Routes can pass through any tile that is passable by the actor,
+   * but the route only ends on a tile the actor can occupy. If no tile next to
+   * the target can be reached, the route leads to the reachable tile closest to
+   * the target. Only the first maxMove tiles of the route are used.
    * @param {Point} startingGridPoint - starting point
-   * @param {*} maxMove - maximum number of moves allowed.
-   * @returns {Routes}
+   * @param {Point} targetGridPoint - point to get next to.
+   * @param {number} maxMove - maximum number of moves allowed.
+   * @returns {Point[]} world points of the waypoints, excluding the start.
+   * Empty if no movement is possible or necessary.
    */
-  getAllRoutesFrom(startingGridPoint, maxMove) {
-    this.#routes = new Routes(this.#tileMap);
-    this.#startPoint = startingGridPoint;
-    this.#findRoutes(startingGridPoint.x, startingGridPoint.y, maxMove, null);
-    return this.#routes;
+  getRouteNextTo(startingGridPoint, targetGridPoint, maxMove) {
+    const remaining = (point) =>
+      Math.max(0, point.getOrthoSeparation(targetGridPoint) - 1);
+    const key = (point) => `${point.x}|${point.y}`;
+    const costs = new Map([[key(startingGridPoint), 0]]);
+    const cameFrom = new Map();
+    const queue = new SearchQueue();
+    queue.push({
+      point: startingGridPoint,
+      cost: 0,
+      estimate: remaining(startingGridPoint),
+    });
+    let bestEnd = {
+      point: startingGridPoint,
+      remaining: remaining(startingGridPoint),
+    };
+    while (!queue.isEmpty()) {
+      const node = queue.pop();
+      if (node.cost > costs.get(key(node.point))) {
+        continue; // already reached more cheaply.
+      }
+      const isStart = node.point.coincident(startingGridPoint);
+      if (isStart || this.#canTileBeOccupied(node.point.x, node.point.y)) {
+        const nodeRemaining = remaining(node.point);
+        if (nodeRemaining < bestEnd.remaining) {
+          bestEnd = { point: node.point, remaining: nodeRemaining };
+        }
+        if (nodeRemaining === 0) {
+          break;
+        }
+      }
+      for (const [dX, dY] of ORTHOGONAL_STEPS) {
+        const next = new Point(node.point.x + dX, node.point.y + dY);
+        const cost = node.cost + 1;
+        if (
+          cost < (costs.get(key(next)) ?? Infinity) &&
+          this.#isTilePassable(next.x, next.y)
+        ) {
+          costs.set(key(next), cost);
+          cameFrom.set(key(next), node.point);
+          queue.push({
+            point: next,
+            cost: cost,
+            estimate: cost + remaining(next),
+          });
+        }
+      }
+    }
+
+    const route = [bestEnd.point];
+    while (!route[0].coincident(startingGridPoint)) {
+      route.unshift(cameFrom.get(key(route[0])));
+    }
+    route.splice(maxMove + 1);
+    while (
+      route.length > 1 &&
+      !this.#canTileBeOccupied(
+        route[route.length - 1].x,
+        route[route.length - 1].y
+      )
+    ) {
+      route.pop();
+    }
+    return this.#routeToWaypoints(route).map((gridPoint) =>
+      this.#tileMap.gridPointToWorldPoint(gridPoint)
+    );
   }
 
   /**
-   * @param {number} x - tile x index of current tile
-   * @param {number} y - tile y index of current tile
-   * @param {number} maxTiles - the maximum number of tiles that can be moved.
-   * @param {Point[]} [routePoints] - array of points that
-   * represent current path taken to get here. If null, this is the start of the
-   * route.
+   * Reduce a route to the points where it changes direction plus its end point.
+   * The start point is removed.
+   * @param {Point[]} route - grid points of every tile on the route.
+   * @returns {Point[]}
    */
-  #findRoutes(x, y, movesLeft, routePoints) {
-    if (!routePoints) {
-      /* Initialise route. Don't check if it's clear as it may well be occupied
-       * by the sprite seeking a route.
-       */
-      routePoints = [new Point(x, y)];
-    } else {
-      if (x === this.#startPoint.x && y === this.#startPoint.y) {
-        return;
-      } else if (!this.#isTilePassable(x, y)) {
-        return;
-      }
-      const existingRoute = this.#routes.getRouteToCoords(x, y);
-      if (!existingRoute || routePoints.length < existingRoute.length - 1) {
-        routePoints.push(new Point(x, y)); // we have a route to this point
-        if (this.#canTileBeOccupied(x, y)) {
-          // only save route if we are actually allowed to occupy its end point.
-          this.#routes.setRouteToCoords(routePoints, x, y);
-        }
-        movesLeft--;
-      } else {
-        return;
+  #routeToWaypoints(route) {
+    const waypoints = [];
+    for (let index = 1; index < route.length; index++) {
+      const next = route[index + 1];
+      if (
+        !next ||
+        next.x - route[index].x !== route[index].x - route[index - 1].x ||
+        next.y - route[index].y !== route[index].y - route[index - 1].y
+      ) {
+        waypoints.push(route[index]);
       }
     }
+    return waypoints;
+  }
 
-    if (movesLeft > 0) {
-      // try all 4 directions
-      this.#findRoutes(x, y - 1, movesLeft, [...routePoints]); // up
-      this.#findRoutes(x + 1, y, movesLeft, [...routePoints]); // right
-      this.#findRoutes(x, y + 1, movesLeft, [...routePoints]); // down
-      this.#findRoutes(x - 1, y, movesLeft, [...routePoints]); // left
+  /**
+   * Get all available routes as a Map of paths. This is a breadth-first flood
+   * fill, so every route is a shortest route. Where there are several shortest
+   * routes, the one found first when trying up, right, down and left in turn
+   * is used. Routes may pass through tiles that the actor can pass but not
+   * occupy, but they only end on tiles it can occupy.
+   * @param {Point} startingGridPoint - starting point
+   * @param {*} maxMove - maximum number of moves allowed.
+   * @returns {Routes}
+   */
+  getAllRoutesFrom(startingGridPoint, maxMove) {
+    const routes = new Routes(this.#tileMap);
+    /* Don't check if the start is clear as it may well be occupied by the
+     * sprite seeking a route.
+     */
+    const start = new Point(startingGridPoint.x, startingGridPoint.y);
+    const reached = new Set([routes.coordsToKey(start.x, start.y)]);
+    let frontier = [[start]];
+    for (let move = 0; move < maxMove && frontier.length > 0; move++) {
+      const nextFrontier = [];
+      for (const route of frontier) {
+        const end = route[route.length - 1];
+        for (const [dX, dY] of ORTHOGONAL_STEPS) {
+          const x = end.x + dX;
+          const y = end.y + dY;
+          const key = routes.coordsToKey(x, y);
+          if (reached.has(key) || !this.#isTilePassable(x, y)) {
+            continue;
+          }
+          reached.add(key);
+          const extendedRoute = [...route, new Point(x, y)];
+          if (this.#canTileBeOccupied(x, y)) {
+            routes.setRouteToCoords(extendedRoute, x, y);
+          }
+          nextFrontier.push(extendedRoute);
+        }
+      }
+      frontier = nextFrontier;
     }
+    return routes;
   }
 
   /** Check if tile is passable.
@@ -413,6 +586,20 @@ export class RayTracer {
       : false;
   }
 
+  /**
+   * Test if grid point is in the rays and within the actor's sight range.
+   * Actors without a sight range can see as far as the rays reach.
+   * @param {Point} gridPoint
+   * @returns {boolean}
+   */
+  isGridPointInSight(gridPoint) {
+    if (!this.isGridPointInRays(gridPoint)) {
+      return false;
+    }
+    const range = this.#actor.traits?.getSightRangeInTiles?.() ?? Infinity;
+    return this.#rayStartPoint.isOtherClose(gridPoint, range);
+  }
+
   /**
    * Get the end point of the rays.
    * @returns {Point[]} array of the end grid points for each ray.
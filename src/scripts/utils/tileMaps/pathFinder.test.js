@@ -0,0 +1,270 @@
+/**
+ * @file Test the path finders
+ *
+ * @module utils/tileMaps/pathFinder.test
+ */
+/**
+ * License {@link https://opensource.org/license/mit/|MIT}
+ *
+ * Copyright 2024 Steve Butler (henspace.com).
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the “Software”), to deal in
+ * the Software without restriction, including without limitation the rights to use,
+ * copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the
+ * Software, and to permit persons to whom the Software is furnished to do so,
+ * subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED “AS IS”, WITHOUT WARRANTY OF ANY KIND,
+ * EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES
+ * OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT
+ * HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY,
+ * WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR
+ * OTHER DEALINGS IN THE SOFTWARE.
+ */
+import { RayTracer, RouteFinder } from './pathFinder.js';
+import { Point, Rectangle } from '../geometry.js';
+import { CharacterTraits } from '../../dnd/traits.js';
+import { test, expect } from '@jest/globals';
+
+/**
+ * Create a minimal tile map from a design.
+ * # is a wall, X is passable but cannot be occupied, H is the hero and
+ * everything else is ground. World points are the same as grid points.
+ * @param {string[]} design
+ * @returns {Object}
+ */
+function createTileMap(design) {
+  const symbolAt = (point) => design[point.y]?.[point.x];
+  return {
+    isGridPointPassableByActor: (point) => ['.', 'X'].includes(symbolAt(point)),
+    canGridPointBeOccupiedByActor: (point) => symbolAt(point) === '.',
+    gridPointToWorldPoint: (point) => new Point(point.x, point.y),
+  };
+}
+
+/**
+ * Check waypoints form straight segments and get the total moves.
+ * @param {Point} start
+ * @param {Point[]} waypoints
+ * @returns {number}
+ */
+function countMoves(start, waypoints) {
+  let moves = 0;
+  let last = start;
+  waypoints.forEach((waypoint) => {
+    expect(waypoint.x === last.x || waypoint.y === last.y).toBe(true);
+    moves += last.getOrthoSeparation(waypoint);
+    last = waypoint;
+  });
+  return moves;
+}
+
+const WALLED_DESIGN = ['.......', '.......', '.######', '.......', '...H...'];
+
+test('getRouteNextTo finds route around walls', () => {
+  const tileMap = createTileMap(WALLED_DESIGN);
+  const finder = new RouteFinder(tileMap, {});
+  const start = new Point(3, 0);
+  const hero = new Point(3, 4);
+  const waypoints = finder.getRouteNextTo(start, hero, 20);
+  const end = waypoints[waypoints.length - 1];
+  expect(end.getOrthoSeparation(hero)).toBe(1);
+  expect(countMoves(start, waypoints)).toBe(9);
+});
+
+test('getRouteNextTo limits moves', () => {
+  const tileMap = createTileMap(WALLED_DESIGN);
+  const finder = new RouteFinder(tileMap, {});
+  const start = new Point(3, 0);
+  const waypoints = finder.getRouteNextTo(start, new Point(3, 4), 4);
+  expect(countMoves(start, waypoints)).toBe(4);
+  expect(waypoints[waypoints.length - 1].x).toBe(0);
+});
+
+test('getRouteNextTo returns empty route if already next to target', () => {
+  const tileMap = createTileMap(WALLED_DESIGN);
+  const finder = new RouteFinder(tileMap, {});
+  expect(finder.getRouteNextTo(new Point(3, 3), new Point(3, 4), 5)).toEqual(
+    []
+  );
+});
+
+test('getRouteNextTo does not end on tiles that cannot be occupied', () => {
+  const tileMap = createTileMap(['..X..H']);
+  const finder = new RouteFinder(tileMap, {});
+  const start = new Point(0, 0);
+  expect(finder.getRouteNextTo(start, new Point(5, 0), 2)).toEqual([
+    new Point(1, 0),
+  ]);
+  expect(finder.getRouteNextTo(start, new Point(5, 0), 3)).toEqual([
+    new Point(3, 0),
+  ]);
+});
+
+test('getRouteNextTo moves closer to unreachable target', () => {
+  const tileMap = createTileMap(['....#', '....#', '..##H']);
+  const finder = new RouteFinder(tileMap, {});
+  const waypoints = finder.getRouteNextTo(new Point(0, 0), new Point(4, 2), 10);
+  expect(waypoints[waypoints.length - 1]).toEqual(new Point(3, 1));
+});
+
+/**
+ * Reference implementation of the original recursive route search. This is
+ * used to check that the flood fill finds the same routes.
+ * @param {Object} tileMap
+ * @param {Point} start
+ * @param {number} maxMove
+ * @returns {Map<string, Point[]>}
+ */
+function findRoutesRecursively(tileMap, start, maxMove) {
+  const routes = new Map();
+  const search = (x, y, movesLeft, routePoints) => {
+    if (
+      (x === start.x && y === start.y) ||
+      !tileMap.isGridPointPassableByActor(new Point(x, y))
+    ) {
+      return;
+    }
+    const existingRoute = routes.get(`${x}|${y}`);
+    if (existingRoute && routePoints.length >= existingRoute.length - 1) {
+      return;
+    }
+    routePoints.push(new Point(x, y));
+    if (tileMap.canGridPointBeOccupiedByActor(new Point(x, y))) {
+      routes.set(`${x}|${y}`, routePoints);
+    }
+    if (--movesLeft > 0) {
+      search(x, y - 1, movesLeft, [...routePoints]);
+      search(x + 1, y, movesLeft, [...routePoints]);
+      search(x, y + 1, movesLeft, [...routePoints]);
+      search(x - 1, y, movesLeft, [...routePoints]);
+    }
+  };
+  if (maxMove > 0) {
+    const routePoints = [new Point(start.x, start.y)];
+    search(start.x, start.y - 1, maxMove, [...routePoints]);
+    search(start.x + 1, start.y, maxMove, [...routePoints]);
+    search(start.x, start.y + 1, maxMove, [...routePoints]);
+    search(start.x - 1, start.y, maxMove, [...routePoints]);
+  }
+  return routes;
+}
+
+/**
+ * Convert routes to a map for comparison.
+ * @param {module:utils/tileMaps/pathFinder~Routes} routes
+ * @returns {Map<string, Point[]>}
+ */
+function routesToMap(routes) {
+  const result = new Map();
+  routes.forEach((route, key) => result.set(key, route));
+  return result;
+}
+
+/**
+ * Create an open square design.
+ * @param {number} size
+ * @returns {string[]}
+ */
+function createOpenDesign(size) {
+  return new Array(size).fill('.'.repeat(size));
+}
+
+test('getAllRoutesFrom matches recursive search', () => {
+  const designs = [
+    WALLED_DESIGN,
+    ['..X..', '.#X#.', '.....', 'XX#..', '.....'],
+    ['.....#..', '.###.#..', '...X....', '##.#.##.', '........'],
+    createOpenDesign(6),
+  ];
+  designs.forEach((design) => {
+    const tileMap = createTileMap(design);
+    const finder = new RouteFinder(tileMap, {});
+    [new Point(0, 0), new Point(2, 2), new Point(4, 4)].forEach((start) => {
+      for (let maxMove = 0; maxMove <= 7; maxMove++) {
+        expect(routesToMap(finder.getAllRoutesFrom(start, maxMove))).toEqual(
+          findRoutesRecursively(tileMap, start, maxMove)
+        );
+      }
+    });
+  });
+});
+
+test('getAllRoutesFrom finds shortest routes within move allowance', () => {
+  const tileMap = createTileMap(createOpenDesign(9));
+  const start = new Point(4, 4);
+  const routes = new RouteFinder(tileMap, {}).getAllRoutesFrom(start, 3);
+  let count = 0;
+  routes.forEach((route, key) => {
+    const end = routes.keyToGridPoint(key);
+    expect(route[0]).toEqual(start);
+    expect(route.length - 1).toBe(start.getOrthoSeparation(end));
+    expect(route.length - 1).toBeLessThanOrEqual(3);
+    count++;
+  });
+  expect(count).toBe(24);
+  expect(routes.hasRouteToCoords(start.x, start.y)).toBe(false);
+});
+
+test('getAllRoutesFrom passes through but does not end on unoccupiable tiles', () => {
+  const tileMap = createTileMap(['.X..']);
+  const routes = new RouteFinder(tileMap, {}).getAllRoutesFrom(
+    new Point(0, 0),
+    2
+  );
+  expect(routes.hasRouteToCoords(1, 0)).toBe(false);
+  expect(routes.getWaypointsAsGridPoints(new Point(2, 0))).toEqual([
+    new Point(1, 0),
+    new Point(2, 0),
+  ]);
+  expect(routes.hasRouteToCoords(3, 0)).toBe(false);
+});
+
+test.each([5, 10, 20, 40, 80])(
+  'getAllRoutesFrom on 40x40 open map with %i moves',
+  (maxMove) => {
+    const tileMap = createTileMap(createOpenDesign(40));
+    const start = new Point(20, 20);
+    const routes = new RouteFinder(tileMap, {}).getAllRoutesFrom(
+      start,
+      maxMove
+    );
+    routes.forEach((route, key) => {
+      expect(route.length - 1).toBe(
+        start.getOrthoSeparation(routes.keyToGridPoint(key))
+      );
+    });
+    expect(routes.hasRouteToCoords(39, 39)).toBe(maxMove >= 38);
+  }
+);
+
+test('RayTracer.isGridPointInSight limits sight to light unless darkvision', () => {
+  const tileMap = {
+    worldPointToGrid: (point) => point,
+    getMapGridPointRect: () => new Rectangle(0, 0, 19, 0),
+    isSeeThrough: () => true,
+  };
+  const createTracer = (traits) => {
+    const tracer = new RayTracer(tileMap, {
+      position: new Point(0, 0),
+      traits: traits,
+    });
+    tracer.findReachedTiles();
+    return tracer;
+  };
+  const lit = createTracer(new CharacterTraits(new Map()));
+  expect(lit.isGridPointInRays(new Point(8, 0))).toBe(true);
+  expect(lit.isGridPointInSight(new Point(5, 0))).toBe(true);
+  expect(lit.isGridPointInSight(new Point(6, 0))).toBe(false);
+  const darkvision = createTracer(
+    new CharacterTraits(new Map([['DARKVISION', '60 FEET']]))
+  );
+  expect(darkvision.isGridPointInSight(new Point(8, 0))).toBe(true);
+  expect(darkvision.isGridPointInSight(new Point(9, 0))).toBe(false);
+});
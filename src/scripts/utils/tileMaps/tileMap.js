@@ -52,6 +52,9 @@ export const ClickEventFilter = {
   OCCUPIED_TILE: 2,
   HERO_TILE: 3,
   MOVE_OR_INTERACT_TILE: 4,
+  RANGED_TARGET_TILE: 5,
+  SPELL_TARGET_TILE: 6,
+  OUTSIDE_SPELL_TARGETS_TILE: 7,
 };
 
 /**
@@ -66,6 +69,20 @@ export const TileRole = {
   STAIRS_UP: 3,
   STAIRS_DOWN: 4,
 };
+
+/**
+ * Test if a role is one of the doorways out of the map, i.e. a door or stairs.
+ * @param {TileRole} role
+ * @returns {boolean}
+ */
+function isDoorwayRole(role) {
+  return (
+    role === TileRole.ENTRANCE ||
+    role === TileRole.EXIT ||
+    role === TileRole.STAIRS_UP ||
+    role === TileRole.STAIRS_DOWN
+  );
+}
 /**
  * @typedef {Object} TileDefinition
  * @property {TileRole} role
@@ -179,7 +196,7 @@ export class Tile extends UiClickHandler {
    * @returns {boolean}
    */
   isPassableByActor(actor) {
-    if (this.#role === TileRole.ENTRANCE || this.#role === TileRole.EXIT) {
+    if (isDoorwayRole(this.#role)) {
       return false;
     }
     if (this.obstacle) {
@@ -199,10 +216,7 @@ export class Tile extends UiClickHandler {
    * @returns {boolean}
    */
   canBeOccupiedByActor(actor) {
-    if (
-      (this.#role === TileRole.ENTRANCE || this.#role === TileRole.EXIT) &&
-      !actor.isHero()
-    ) {
+    if (isDoorwayRole(this.#role) && !actor.isHero()) {
       return false;
     }
     if (this.obstacle) {
@@ -222,11 +236,7 @@ export class Tile extends UiClickHandler {
    * @returns {boolean}
    */
   isSeeThrough(actorUnused) {
-    if (
-      this.obstacle ||
-      this.#role === TileRole.ENTRANCE ||
-      this.#role === TileRole.EXIT
-    ) {
+    if (this.obstacle || isDoorwayRole(this.#role)) {
       return false;
     }
     return true;
@@ -274,6 +284,18 @@ export class TileMap {
   #interactTileGridPoints;
   /** @type {module:utils/sprites/sprites.Sprite} */
   #interactTileHighlighter;
+  /** @type {Point[]} */
+  #rangedTargetGridPoints;
+  /** @type {module:utils/sprites/sprites.Sprite} */
+  #rangedTargetTileHighlighter;
+  /** @type {Point[]} */
+  #spellTargetGridPoints;
+  /** @type {module:utils/sprites/sprites.Sprite} */
+  #spellTargetTileHighlighter;
+  /** @type {Point[]} */
+  #spellAreaGridPoints;
+  /** @type {module:utils/sprites/sprites.Sprite} */
+  #spellAreaTileHighlighter;
   /** @type {module:players/actors.Actor} */
   #heroActor;
 
@@ -313,6 +335,30 @@ export class TileMap {
         strokeStyle: Colours.INTERACT_HIGHLIGHT_STROKE,
       }),
     });
+    this.#rangedTargetTileHighlighter = new Sprite({
+      renderer: new RectSpriteCanvasRenderer(context, {
+        width: gridSize - 8,
+        height: gridSize - 8,
+        fillStyle: Colours.RANGED_HIGHLIGHT_FILL,
+        strokeStyle: Colours.RANGED_HIGHLIGHT_STROKE,
+      }),
+    });
+    this.#spellTargetTileHighlighter = new Sprite({
+      renderer: new RectSpriteCanvasRenderer(context, {
+        width: gridSize - 8,
+        height: gridSize - 8,
+        fillStyle: Colours.SPELL_TARGET_HIGHLIGHT_FILL,
+        strokeStyle: Colours.SPELL_TARGET_HIGHLIGHT_STROKE,
+      }),
+    });
+    this.#spellAreaTileHighlighter = new Sprite({
+      renderer: new RectSpriteCanvasRenderer(context, {
+        width: gridSize,
+        height: gridSize,
+        fillStyle: Colours.SPELL_AREA_HIGHLIGHT_FILL,
+        strokeStyle: Colours.SPELL_AREA_HIGHLIGHT_STROKE,
+      }),
+    });
     this.#gridSize = gridSize;
     this.#tiles = [];
     this.#tilesY = matrix.length;
@@ -377,6 +423,7 @@ export class TileMap {
   processTileRole(tile) {
     switch (tile.role) {
       case TileRole.ENTRANCE:
+      case TileRole.STAIRS_UP:
         if (this.#entranceTile) {
           const gp = tile.gridPoint;
           LOG.error(`Duplicate entrance found at (${gp.x}, ${gp.y}). Ignored.`);
@@ -385,6 +432,7 @@ export class TileMap {
         }
         break;
       case TileRole.EXIT:
+      case TileRole.STAIRS_DOWN:
         if (this.#exitTile) {
           const gp = tile.gridPoint;
           LOG.error(`Duplicate exit found at (${gp.x}, ${gp.y}). Ignored.`);
@@ -417,7 +465,7 @@ export class TileMap {
         col <= visibleGridPoints.x + visibleGridPoints.width;
         col++
       ) {
-        if (this.#heroRayTracer?.isGridPointInRays(new Point(col, row))) {
+        if (this.#heroRayTracer?.isGridPointInSight(new Point(col, row))) {
           const tile = this.#tiles[row][col];
           tile?.sprite.update(deltaSeconds);
         }
@@ -445,11 +493,7 @@ export class TileMap {
       }
       const heroTile = this.getTileAtWorldPoint(this.#heroActor.position);
       if (heroTile) {
-        const heroTileRole = heroTile.role;
-        if (
-          heroTileRole != TileRole.ENTRANCE &&
-          heroTileRole != TileRole.EXIT
-        ) {
+        if (!isDoorwayRole(heroTile.role)) {
           this.#heroRayTracer.findReachedTiles();
         }
       }
@@ -577,6 +621,14 @@ export class TileMap {
   getWorldPositionOfTileByEntry() {
     return this.gridPointToWorldPoint(this.#entryGridPointByDoor);
   }
+
+  /** Get the world position of the tile in front of the exit. This is where
+   * the hero appears when climbing back up to the floor.
+   * @returns {Point}
+   */
+  getWorldPositionOfTileByExit() {
+    return this.gridPointToWorldPoint(this.#exitGridPointByDoor);
+  }
   /** Get the grid position of the door at index. If there are no doors, then
    * the entrance is the first ground tile
    * @returns {Point}
@@ -632,6 +684,45 @@ export class TileMap {
     return firstPoint;
   }
 
+  /**
+   * Set the targets of ranged attacks. Only actors that the hero can see are
+   * used.
+   * @param {Actor[]} actors - actors that can be attacked from a distance.
+   * @returns {Point} position of first target. Undefined if none.
+   */
+  setRangedTargets(actors) {
+    let firstPoint;
+    this.#rangedTargetGridPoints = [];
+    this.#setRayTracer();
+    actors?.forEach((actor) => {
+      const gridPoint = this.worldPointToGrid(actor.position);
+      if (this.canHeroSeeGridPoint(gridPoint)) {
+        this.#rangedTargetGridPoints.push(gridPoint);
+        if (!firstPoint) {
+          firstPoint = new Point(actor.position.x, actor.position.y);
+        }
+      }
+    });
+    return firstPoint;
+  }
+
+  /**
+   * Set the tiles that can be picked as the target of an area spell. While
+   * set, clicks on any other tile are reported as outside the targets.
+   * @param {Point[]} gridPoints - null or empty to end targeting.
+   */
+  setSpellTargets(gridPoints) {
+    this.#spellTargetGridPoints = gridPoints?.length ? gridPoints : null;
+  }
+
+  /**
+   * Set the tiles highlighted as the area affected by a spell.
+   * @param {Point[]} gridPoints - null to clear the area.
+   */
+  setSpellArea(gridPoints) {
+    this.#spellAreaGridPoints = gridPoints;
+  }
+
   /**
    * Recalculate the reachable doors.
    * @param {module:utils/geometry.Position} position
@@ -665,7 +756,9 @@ export class TileMap {
   #highlightTiles(deltaSeconds) {
     this.#highlightMovementTiles(deltaSeconds);
     this.#highlightInteractTiles(deltaSeconds);
+    this.#highlightRangedTargetTiles(deltaSeconds);
     this.#highlightReachableDoorTiles(deltaSeconds);
+    this.#highlightSpellTiles(deltaSeconds);
   }
 
   /**
@@ -691,6 +784,34 @@ export class TileMap {
     });
   }
 
+  /**
+   * Highlight targets of ranged attacks.
+   * @param {number} deltaSeconds
+   */
+  #highlightRangedTargetTiles(deltaSeconds) {
+    this.#rangedTargetGridPoints?.forEach((gp) => {
+      this.#rangedTargetTileHighlighter.position =
+        this.gridPointToWorldPoint(gp);
+      this.#rangedTargetTileHighlighter.update(deltaSeconds);
+    });
+  }
+
+  /**
+   * Highlight the targets and affected area of a spell.
+   * @param {number} deltaSeconds
+   */
+  #highlightSpellTiles(deltaSeconds) {
+    this.#spellAreaGridPoints?.forEach((gp) => {
+      this.#spellAreaTileHighlighter.position = this.gridPointToWorldPoint(gp);
+      this.#spellAreaTileHighlighter.update(deltaSeconds);
+    });
+    this.#spellTargetGridPoints?.forEach((gp) => {
+      this.#spellTargetTileHighlighter.position =
+        this.gridPointToWorldPoint(gp);
+      this.#spellTargetTileHighlighter.update(deltaSeconds);
+    });
+  }
+
   /**
    * Highlight reachable door tiles.
    * @param {number} deltaSeconds
@@ -719,6 +840,19 @@ export class TileMap {
       occupant = occupants.values().next().value;
     }
 
+    if (this.#spellTargetGridPoints) {
+      const spellTarget = this.#spellTargetGridPoints.some((gp) =>
+        gp.isCoincident(gridPoint)
+      );
+      clickHandler(target, point, {
+        filter: spellTarget
+          ? ClickEventFilter.SPELL_TARGET_TILE
+          : ClickEventFilter.OUTSIDE_SPELL_TARGETS_TILE,
+        occupant: occupant,
+      });
+      return;
+    }
+
     const movement = this.#movementRoutes?.containsGridPoint(gridPoint);
     let interaction = false;
     if (this.#interactTileGridPoints) {
@@ -750,6 +884,18 @@ export class TileMap {
       return;
     }
 
+    if (this.#rangedTargetGridPoints) {
+      for (const gp of this.#rangedTargetGridPoints) {
+        if (gp.isCoincident(gridPoint)) {
+          clickHandler(target, point, {
+            filter: ClickEventFilter.RANGED_TARGET_TILE,
+            occupant: occupant,
+          });
+          return;
+        }
+      }
+    }
+
     if (this.#reachableDoorTileGridPoints) {
       for (const gp of this.#reachableDoorTileGridPoints) {
         if (gp.isCoincident(gridPoint)) {
@@ -833,12 +979,41 @@ export class TileMap {
   }
 
   /**
-   * Is the grid point visible by the hero.
+   * Is the grid point visible by the hero. The point must be in the hero's
+   * line of sight and within its sight range.
    * @param {Point} gridPoint
    * @returns {boolean}
    */
   canHeroSeeGridPoint(gridPoint) {
-    return this.#heroRayTracer?.isGridPointInRays(gridPoint) ?? true;
+    return this.#heroRayTracer?.isGridPointInSight(gridPoint) ?? true;
+  }
+
+  /**
+   * Test if the hero and an actor can see each other. Sight lines are treated
+   * as symmetric so the hero's rays are used, refreshed first in case the
+   * hero has moved since the last update.
+   * @param {module:players/actors.Actor} actor
+   * @returns {boolean}
+   */
+  canHeroSeeActor(actor) {
+    this.#setRayTracer();
+    return this.canHeroSeeGridPoint(this.worldPointToGrid(actor.position));
+  }
+
+  /**
+   * Test if an actor is in the hero's line of sight, regardless of the hero's
+   * sight range. The light carried by the hero means that it can be seen by
+   * actors that it cannot see.
+   * @param {module:players/actors.Actor} actor
+   * @returns {boolean}
+   */
+  isActorInHeroLineOfSight(actor) {
+    this.#setRayTracer();
+    return (
+      this.#heroRayTracer?.isGridPointInRays(
+        this.worldPointToGrid(actor.position)
+      ) ?? true
+    );
   }
 
   /**
@@ -895,6 +1070,49 @@ export class TileMap {
     });
   }
 
+  /**
+   * Get the tiles reached by spreading out from a point, in the way that a
+   * sound would travel. Spreading is orthogonal and only continues through
+   * tiles that can be seen through, so walls block it but it can wind around
+   * corners.
+   * @param {Point} gridPoint
+   * @param {number} distance - maximum number of steps, in tiles.
+   * @returns {Map<Tile, number>} tiles and the number of steps taken to reach
+   * them. The starting tile is included at zero steps.
+   */
+  getSpreading(gridPoint, distance) {
+    const reached = new Map();
+    const startTile = this.getTileAtGridPoint(gridPoint);
+    if (!startTile) {
+      return reached;
+    }
+    reached.set(startTile, 0);
+    let edge = [startTile];
+    for (let steps = 1; steps <= distance && edge.length > 0; steps++) {
+      const nextEdge = [];
+      for (const tile of edge) {
+        for (const [dx, dy] of [
+          [0, -1],
+          [1, 0],
+          [0, 1],
+          [-1, 0],
+        ]) {
+          const neighbour = this.getTileAtGridPoint(
+            new Point(tile.gridPoint.x + dx, tile.gridPoint.y + dy)
+          );
+          if (neighbour && !reached.has(neighbour)) {
+            reached.set(neighbour, steps);
+            if (neighbour.isSeeThrough()) {
+              nextEdge.push(neighbour);
+            }
+          }
+        }
+      }
+      edge = nextEdge;
+    }
+    return reached;
+  }
+
   /** Get radial visible tiles around the hero
    * @param {number} rangeInTiles
    * @returns {Tile[]}
@@ -920,6 +1138,24 @@ export class TileMap {
     return tiles;
   }
 
+  /**
+   * Get the tiles at grid points which the hero can see and which can be seen
+   * through. Points outside the map are ignored.
+   * @param {Point[]} gridPoints
+   * @returns {Tile[]}
+   */
+  getVisibleTiles(gridPoints) {
+    this.#setRayTracer();
+    const tiles = [];
+    for (const gridPoint of gridPoints) {
+      const tile = this.getTileAtGridPoint(gridPoint);
+      if (tile?.isSeeThrough() && this.canHeroSeeGridPoint(gridPoint)) {
+        tiles.push(tile);
+      }
+    }
+    return tiles;
+  }
+
   /**
    * Removed occupant from the list of occupants
    * of the tile at the grid point.
@@ -43,6 +43,8 @@ export const SpecialSymbols = {
   WALL: ['#', '*', '|'],
   DOOR_IN: ['-', '~'],
   DOOR_OUT: ['=', '>'],
+  STAIRS_UP: ['^'],
+  STAIRS_DOWN: ['v'],
   GROUND: ['.', ':', ',', ';'],
   VOID: [' '],
 };
@@ -153,7 +155,7 @@ export class TilePlan {
     });
     design.forEach((row) => {
       if (row.length < nColumns) {
-        row = row + ' '.repeat(nColumns - length);
+        row = row + ' '.repeat(nColumns - row.length);
       }
       matrix.push(row.split(''));
     });
@@ -221,7 +223,10 @@ function isVoid(symbol) {
  * @returns {boolean}
  */
 function isEntrance(symbol) {
-  return SpecialSymbols.DOOR_IN.includes(symbol);
+  return (
+    SpecialSymbols.DOOR_IN.includes(symbol) ||
+    SpecialSymbols.STAIRS_UP.includes(symbol)
+  );
 }
 
 /**
@@ -229,7 +234,10 @@ function isEntrance(symbol) {
  * @returns {boolean}
  */
 function isExit(symbol) {
-  return SpecialSymbols.DOOR_OUT.includes(symbol);
+  return (
+    SpecialSymbols.DOOR_OUT.includes(symbol) ||
+    SpecialSymbols.STAIRS_DOWN.includes(symbol)
+  );
 }
 
 /**
@@ -463,3 +471,20 @@ function formClarifiedSymbol(unclarifiedSymbol, clarifier, shadowClarifier) {
   }
   return result;
 }
+
+/**
+ * Create a copy of a design with symbols replaced. This is used to turn doors
+ * into stairs when floors are revisited.
+ * @param {TileMapDesign} design
+ * @param {string[]} fromSymbols - unclarified symbols to replace.
+ * @param {string} toSymbol
+ * @returns {TileMapDesign}
+ */
+export function replaceSymbols(design, fromSymbols, toSymbol) {
+  return design.map((row) =>
+    row
+      .split('')
+      .map((symbol) => (fromSymbols.includes(symbol) ? toSymbol : symbol))
+      .join('')
+  );
+}
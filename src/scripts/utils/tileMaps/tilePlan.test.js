@@ -29,7 +29,7 @@
  */
 
 import { test, expect } from '@jest/globals';
-import { TilePlan } from './tilePlan.js';
+import { TilePlan, SpecialSymbols, replaceSymbols } from './tilePlan.js';
 
 const map = new Map([
   [' ', null],
@@ -53,6 +53,9 @@ const map = new Map([
   ['--T', 'door top'],
   ['--B', 'door bottom'],
 
+  ['^-T', 'stairs up top'],
+  ['v-B', 'stairs down bottom'],
+
   ['.', 'floor'],
 ]);
 
@@ -146,3 +149,23 @@ test('Test plan from design with internal corners', () => {
     });
   });
 });
+
+test('Test plan stairs from design', () => {
+  const design = ['#^#', '#.#', '#.#', '#v#'];
+  const plan = TilePlan.generateTileMapPlan(design, map);
+  expect(plan.matrix[0][1]).toBe(map.get('^-T'));
+  expect(plan.matrix[3][1]).toBe(map.get('v-B'));
+  expect(plan.entryPointByDoor).toEqual({ x: 1, y: 1 });
+  expect(plan.exitPointByDoor).toEqual({ x: 1, y: 2 });
+});
+
+test('Test replace symbols', () => {
+  const design = ['#-#', '#.#', '#=#'];
+  const result = replaceSymbols(
+    design,
+    SpecialSymbols.DOOR_IN,
+    SpecialSymbols.STAIRS_UP[0]
+  );
+  expect(result).toEqual(['#^#', '#.#', '#=#']);
+  expect(design).toEqual(['#-#', '#.#', '#=#']);
+});
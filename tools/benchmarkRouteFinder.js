@@ -0,0 +1,63 @@
+/**
+ * @file Benchmark the route finder on a large open map.
+ *
+ * @module tools/benchmarkRouteFinder.js
+ */
+/**
+ * license {@link https://opensource.org/license/mit/|MIT}
+ * Copyright 2024 Steve Butler (henspace.com).
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy of
+ * this software and associated documentation files (the “Software”), to deal in
+ * the Software without restriction, including without limitation the rights to use,
+ * copy, modify, merge, publish, distribute, sublicense, and/or sell copies of the
+ * Software, and to permit persons to whom the Software is furnished to do so,
+ * subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED “AS IS”, WITHOUT WARRANTY OF ANY KIND,
+ * EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES
+ * OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+ * NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT
+ * HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY,
+ * WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR
+ * OTHER DEALINGS IN THE SOFTWARE.
+ */
+import { RouteFinder } from '../src/scripts/utils/tileMaps/pathFinder.js';
+import { Point } from '../src/scripts/utils/geometry.js';
+
+const MAP_SIZE = 40;
+const REPEATS = 10;
+const MOVES = [5, 10, 20, 40, 80];
+
+/**
+ * Create an open tile map with no walls. World points are the same as grid
+ * points.
+ * @param {number} size - width and height of the map in tiles.
+ * @returns {Object}
+ */
+function createOpenTileMap(size) {
+  const isInside = (point) =>
+    point.x >= 0 && point.x < size && point.y >= 0 && point.y < size;
+  return {
+    isGridPointPassableByActor: isInside,
+    canGridPointBeOccupiedByActor: isInside,
+    gridPointToWorldPoint: (point) => new Point(point.x, point.y),
+  };
+}
+
+const finder = new RouteFinder(createOpenTileMap(MAP_SIZE), {});
+const start = new Point(MAP_SIZE / 2, MAP_SIZE / 2);
+MOVES.forEach((maxMove) => {
+  const startTime = performance.now();
+  for (let n = 0; n < REPEATS; n++) {
+    finder.getAllRoutesFrom(start, maxMove);
+  }
+  const msPerSearch = (performance.now() - startTime) / REPEATS;
+  console.log(
+    `getAllRoutesFrom ${MAP_SIZE}x${MAP_SIZE} open map, ${maxMove} moves: ${msPerSearch.toFixed(2)} ms`
+  );
+});